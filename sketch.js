@@ -1,99 +1,367 @@
-
-// PART 1: Global Variables and p5.js Sketch Setup
-// -------------------------------------------------
-// These variables will hold instances of the main classes, managing different aspects of the application.
-
-/** @type {Flower} Instance of the Flower class, responsible for the 3D flower visualization. */
-let flowerInstance;
-/** @type {UIManager} Instance of the UIManager class, handling user interface elements and interactions. */
-let uiManagerInstance;
-/** @type {AudioManager} Instance of the AudioManager class, managing audio playback (music and sound effects). */
-let audioManagerInstance;
-/** @type {p5.Renderer} Instance of the p5.js canvas renderer, specifically a WebGL renderer for 3D graphics. */
-let p5Canvas;
+// PART 1: FlowerExperience Class and Entry Point
+// ----------------------------------------------
+// Each experience is a p5.js instance-mode sketch with its own flower, garden, UI and audio, so several can share a page.
 
 /**
- * p5.js setup function.
- * This function is called once when the program starts. It's used to define initial environment
- * properties such as screen size and to load media such as images and fonts as run the program.
- * It initializes the canvas, sets up the 3D perspective, and creates instances of the
- * AudioManager, Flower, and UIManager.
+ * @typedef {object} FlowerExperienceOptions
+ * @property {object} [params] - Initial flower params, clamped to their slider ranges; missing ones use `AppConfig.INITIAL_PARAMS`.
+ * @property {string} [shape] - Name of the initial petal shape model (see `PetalShapes`).
+ * @property {ParentNode|null} [controls=null] - Element (or document) holding the control markup of index.html, in which the
+ *   UI, audio, timeline, recorder and still export elements are looked up. Without it the widget has no controls.
+ * @property {boolean} [persist=false] - Save and restore the garden layout in localStorage. At most one experience per page should.
+ * @property {boolean} [urlState=false] - Mirror the state into the page's URL hash. At most one experience per page should.
+ * @property {boolean} [autoAnimate=false] - Start with auto-animation on.
+ * @property {boolean} [orbitControl=true] - Let the user orbit the camera by dragging on the canvas.
+ * @property {string[]|null} [embedOrigins=null] - When running in an iframe, let host pages of these origins control the
+ *   experience with postMessage (see `EmbedBridge`). Null turns the bridge off.
+ * @property {DisplaySyncOptions|null} [sync=null] - Keep the flower in lockstep with other windows of the same room (see `DisplaySync`).
+ * @property {ControlSurfaceOptions|null} [control=null] - Let live performance tools drive the params over a WebSocket (see `ControlSurface`).
  */
-function setup() {
-    // Attempt to find the designated canvas container element in the HTML.
-    const canvasContainerEl = document.getElementById(AppConfig.P5_CANVAS_ID);
-    if (canvasContainerEl) {
-        // Create a WebGL canvas fitting the container's dimensions and parent it to the container.
-        p5Canvas = createCanvas(canvasContainerEl.offsetWidth, canvasContainerEl.offsetHeight, WEBGL);
-        p5Canvas.parent(AppConfig.P5_CANVAS_ID);
-    } else {
-        // Fallback: If the container is not found, create a default-sized canvas.
-        console.error(`#${AppConfig.P5_CANVAS_ID} not found! Creating fallback canvas.`);
-        p5Canvas = createCanvas(windowWidth - 120, windowHeight - 120, WEBGL); // Fallback if container is smaller
-        p5Canvas.position(60, 60); // Default fallback positioning
-    }
-
-    // Set the frame rate for the animation.
-    frameRate(AppConfig.FLOWER_CONFIG.frameRate);
-    // Set up the 3D perspective for the scene.
-    // Parameters: field of view, aspect ratio, near clipping plane, far clipping plane.
-    perspective(PI / 3.0, width / height, 0.1, 5000);
-
-    // Initialize the AudioManager to handle sound.
-    audioManagerInstance = new AudioManager();
-    // Initialize the Flower with p5 instance, configuration, initial parameters, and color scheme.
-    flowerInstance = new Flower(this, AppConfig.FLOWER_CONFIG, AppConfig.INITIAL_PARAMS, AppConfig.COLOR_SCHEME);
-    // Initialize the UIManager with p5 instance, initial parameters, and references to the flower and audio manager.
-    uiManagerInstance = new UIManager(this, AppConfig.INITIAL_PARAMS, flowerInstance, audioManagerInstance);
-
-    console.log("3D Flower Experience Initialized.");
-}
 
 /**
- * p5.js draw function.
- * Called directly after setup(), the draw() function continuously executes the lines of code
- * contained inside its block until the program is stopped or noLoop() is called.
- * It handles rendering the background, updating animations, and displaying the flower.
+ * @class FlowerExperience
+ * Owns one p5.js instance (instance mode, so nothing is added to the global scope) and everything drawn into it:
+ * the flower and garden, the lights, the UI and audio managers and, when `controls` markup is given, the timeline,
+ * recorder and still exporter. The canvas fills the container and follows window resizes.
+ * Use `createFlowerExperience` for the public API.
  */
-function draw() {
-    // Determine background color based on the current theme (light or dark).
-    const currentThemeIsLight = document.body.classList.contains('theme--light');
-    const bgColorHex = currentThemeIsLight ? (AppConfig.COLOR_SCHEME_LIGHT_BG || '#F5F5F5') : (AppConfig.COLOR_SCHEME_DARK_BG || '#0F0F0F');
-    const bgColorRgb = Utils.hexToRgb(bgColorHex);
-    background(bgColorRgb.r, bgColorRgb.g, bgColorRgb.b);
+class FlowerExperience {
+    /**
+     * Creates an experience and starts its sketch (p5.js runs `setup` once the page has loaded).
+     * @param {HTMLElement} container - Element the canvas is created in.
+     * @param {FlowerExperienceOptions} [options] - Options.
+     */
+    constructor(container, options = {}) {
+        /** @type {HTMLElement} Element holding the canvas. */
+        this.container = container;
+        /** @type {FlowerExperienceOptions} Options, with defaults filled in. */
+        this.options = { params: {}, shape: AppConfig.DEFAULT_SHAPE_MODEL, controls: null, persist: false, urlState: false, autoAnimate: false, orbitControl: true, embedOrigins: null, sync: null, control: null, ...options };
+        /** @type {p5|null} The p5.js instance. */
+        this.p = null;
+        /** @type {Flower|null} The main flower of the garden. */
+        this.flower = null;
+        /** @type {Garden|null} Holds the main flower and any extra flowers shown in garden mode. */
+        this.garden = null;
+        /** @type {UIManager|null} Handles the controls, params, transitions and auto-animation. */
+        this.uiManager = null;
+        /** @type {AudioManager|null} Manages the music, sound effects and microphone. */
+        this.audioManager = null;
+        /** @type {AudioReactor|null} Maps the music's bands, level and beats to flower params. */
+        this.audioReactor = null;
+        /** @type {p5.Renderer|null} The WebGL canvas renderer. */
+        this.canvas = null;
+        /** @type {p5.Camera|null} The orbit camera driven by `orbitControl`, kept so its pose can be saved and restored. */
+        this.camera = null;
+        /** @type {UrlStateManager|null} Mirrors the flower state into the URL hash (with `urlState` only). */
+        this.urlStateManager = null;
+        /** @type {TimelineEditor|null} Plays back keyframed flower animations (with `controls` only). */
+        this.timelineEditor = null;
+        /** @type {CanvasRecorder|null} Records the canvas to video, GIF or PNG frames (with `controls` only). */
+        this.canvasRecorder = null;
+        /** @type {StillExporter|null} Renders high-resolution still images offscreen (with `controls` only). */
+        this.stillExporter = null;
+        /** @type {LightingRig|null} Holds the lights and material used to render the flowers. */
+        this.lightingRig = null;
+        /** @type {FrameStats|null} Measures frame and draw times. */
+        this.frameStats = null;
+        /** @type {DetailController|null} Chooses the mesh resolution (manual or automatic LOD). */
+        this.detailController = null;
+        /** @type {EmbedBridge|null} Talks to the host page when running in an iframe (with `embedOrigins` only). */
+        this.embedBridge = null;
+        /** @type {DisplaySync|null} Synchronizes the flower with other windows (with `sync` only). */
+        this.displaySync = null;
+        /** @type {ControlSurface|null} Receives and publishes params over a WebSocket (with `control` only). */
+        this.controlSurface = null;
+        /** @type {boolean} Whether the draw loop should run; kept while `setup` hasn't run yet. */
+        this.playing = true;
+        /** @type {Object<string, Set<function>>} Event handlers by event name (see `FlowerExperience.EVENTS`). */
+        this.handlers = {};
+        FlowerExperience.EVENTS.forEach(event => { this.handlers[event] = new Set(); });
+        /** @type {string} The params last reported to 'change' handlers, serialized. */
+        this.lastReportedParams = '';
+        /** @type {boolean} Set once `destroy` has run. */
+        this.destroyed = false;
+
+        new p5((p) => {
+            this.p = p;
+            p.setup = () => this._setup(p);
+            p.draw = () => this._draw(p);
+            p.windowResized = () => this._resize(p);
+        }, container);
+    }
+
+    /**
+     * Creates the canvas, sets up the 3D perspective and creates the flower, garden, UI and audio managers.
+     * @param {p5} p - The p5.js instance.
+     * @private
+     */
+    _setup(p) {
+        const { options } = this;
+        const root = options.controls || this.container;
+        // Create a WebGL canvas fitting the container's dimensions (p5.js places it in the container).
+        this.canvas = p.createCanvas(this.container.offsetWidth || FlowerExperience.FALLBACK_SIZE, this.container.offsetHeight || FlowerExperience.FALLBACK_SIZE, p.WEBGL);
+
+        // Set the frame rate for the animation.
+        p.frameRate(AppConfig.FLOWER_CONFIG.frameRate);
+        // Create an explicit camera so its pose can be read back and restored (e.g. from a shared link).
+        this.camera = p.createCamera();
+        // Set up the 3D perspective for the scene.
+        // Parameters: field of view, aspect ratio, near clipping plane, far clipping plane.
+        p.perspective(p.PI / 3.0, p.width / p.height, 0.1, 5000);
+
+        // Initialize the AudioManager to handle sound.
+        this.audioManager = new AudioManager(root);
+        // Analyses the music for the audio-reactive mode (the analyser itself is created when the mode is turned on).
+        this.audioReactor = new AudioReactor(this.audioManager);
+        // Initialize the Flower with p5 instance, configuration, initial parameters, color scheme and shape model.
+        const initialParams = Utils.sanitizeParams(options.params, AppConfig.INITIAL_PARAMS);
+        this.flower = new Flower(p, AppConfig.FLOWER_CONFIG, initialParams, AppConfig.COLOR_SCHEME, options.shape);
+        // Attach the light rig before the UI is built, so the lighting controls can find it.
+        this.lightingRig = new LightingRig(this.camera);
+        this.flower.setLighting(this.lightingRig);
+        // Place the main flower in a garden and restore any saved garden layout.
+        this.garden = new Garden(p, this.flower, options.persist);
+        // Measure frame times (shown in an overlay when the page is opened with `?stats`); the automatic LOD relies on them.
+        this.frameStats = new FrameStats(this.garden);
+        // Restore the saved mesh resolution mode before the UI shows it.
+        this.detailController = new DetailController(this.garden, this.camera, this.frameStats);
+        // Initialize the UIManager with p5 instance, initial parameters, and references to the flower, audio manager, resolution controller, garden and audio reactor.
+        this.uiManager = new UIManager(p, initialParams, this.flower, this.audioManager, this.detailController, this.garden, this.audioReactor, root);
+        // Restore any state encoded in the URL hash (applied to the flower selected in the UI) and keep the hash in sync from now on.
+        if (options.urlState) this.urlStateManager = new UrlStateManager(this.camera, this.uiManager);
+        if (options.controls) {
+            // Initialize the keyframe timeline panel.
+            this.timelineEditor = new TimelineEditor(p, this.camera, this.uiManager, root);
+            // Initialize the canvas recorder (live WebM and frame-exact GIF/PNG capture).
+            this.canvasRecorder = new CanvasRecorder(p, this.canvas.elt, this.audioManager, root);
+            // Initialize the still image export dialog (offscreen high-resolution rendering).
+            this.stillExporter = new StillExporter(p, this.camera, this.garden, root);
+        }
+        if (options.autoAnimate) this.uiManager.setAutoAnimating(true);
+        if (!this.playing) p.noLoop();
+        this.lastReportedParams = JSON.stringify(this.uiManager.currentParams);
+        if (options.sync && typeof BroadcastChannel !== 'undefined') this.displaySync = new DisplaySync(this, options.sync);
+        if (options.control) this.controlSurface = new ControlSurface(this, options.control);
+        // Announce the experience to the host page once everything is set up.
+        if (options.embedOrigins && window.parent !== window) this.embedBridge = new EmbedBridge(this, options.embedOrigins);
+
+        console.log("3D Flower Experience Initialized.");
+    }
+
+    /**
+     * Draws a frame: renders the background, updates animations and displays the flower.
+     * @param {p5} p - The p5.js instance.
+     * @private
+     */
+    _draw(p) {
+        const drawStartTime = performance.now();
+        // Time step for this frame: fixed while the recorder steps frames exactly, otherwise the real frame time
+        // (capped so a stalled tab doesn't make animations jump).
+        const isStepping = Boolean(this.canvasRecorder && this.canvasRecorder.isStepping);
+        const frameDeltaMs = isStepping
+            ? this.canvasRecorder.stepMs
+            : Math.min(p.deltaTime, AppConfig.RECORDING.MAX_LIVE_FRAME_DELTA);
+
+        // Determine background color based on the current theme (light or dark).
+        const bgColorRgb = Utils.getThemeBackgroundRgb();
+        p.background(bgColorRgb.r, bgColorRgb.g, bgColorRgb.b);
+
+        // Enable orbiting (camera) controls for navigating the 3D scene.
+        // Parameters: sensitivityX, sensitivityY, sensitivityZoom
+        if (this.options.orbitControl) p.orbitControl(1, 1, 0.1);
+
+        // Synchronized followers show the leader's state; otherwise a playing timeline drives the flower in place of
+        // the noise-driven auto-animation.
+        if (this.displaySync && !this.displaySync.isLeader) {
+            this.displaySync.applyLeaderState();
+        } else if (this.timelineEditor && this.timelineEditor.isPlaying) {
+            this.timelineEditor.update(frameDeltaMs);
+        } else if (this.uiManager.isAutoAnimating) {
+            // If auto-animation is enabled in the UI, update the flower's parameters.
+            this.uiManager.updateAnimatedFlowerParams(frameDeltaMs);
+        }
+
+        // Let the automatic LOD adapt the mesh resolution (held still while frames are stepped for a recording).
+        if (!isStepping) {
+            this.detailController.update(performance.now());
+        }
+
+        // Advance any running parameter transition (e.g. after loading a preset).
+        this.uiManager.paramTransition.update(frameDeltaMs);
+        // Offset the params by the music when the audio-reactive mode is on.
+        this.uiManager.updateAudioReactiveParams(performance.now());
+        // Let the generative soundtrack (if playing) follow the edited flower.
+        this.audioManager.updateGenerative(this.uiManager.flower.params);
+        // Param changes can make a custom shape formula fail (or recover); keep its error line current.
+        this.uiManager.refreshExpressionErrors();
+
+        // Send the frame to synchronized followers before the flowers turn further.
+        if (this.displaySync) this.displaySync.publish();
+        // Display the flower (or every flower in garden mode).
+        this.garden.display(frameDeltaMs);
+
+        // Stepped frames take as long as encoding needs, so they would only skew the averages.
+        if (!isStepping) {
+            this.frameStats.record(p.deltaTime, performance.now() - drawStartTime);
+        }
+        this._reportChange();
+    }
+
+    /**
+     * Fits the canvas to the container after a window resize and updates the 3D perspective to match.
+     * @param {p5} p - The p5.js instance.
+     * @private
+     */
+    _resize(p) {
+        // Resize the canvas to fit the container's new dimensions.
+        p.resizeCanvas(this.container.offsetWidth || FlowerExperience.FALLBACK_SIZE, this.container.offsetHeight || FlowerExperience.FALLBACK_SIZE);
+        // Update the 3D perspective with the new aspect ratio.
+        p.perspective(p.PI / 3.0, p.width / p.height, 0.1, 5000);
+    }
+
+    /**
+     * Applies params to the edited flower and its sliders. Values are clamped to their slider ranges.
+     * Before `setup` has run, they replace the corresponding initial params.
+     * @param {object} params - Parameter values to apply (a partial set is fine).
+     */
+    setParams(params) {
+        if (this.destroyed) return;
+        if (!this.uiManager) {
+            this.options.params = { ...this.options.params, ...params };
+            return;
+        }
+        this.uiManager.applyParams(params);
+        if (!this.playing) this.p.redraw(); // Show the change (and report it) while paused.
+    }
+
+    /**
+     * Returns the edited flower's params, as set by the sliders, presets or `setParams`.
+     * @returns {object} A copy of the params.
+     */
+    getParams() {
+        if (!this.uiManager) return Utils.sanitizeParams(this.options.params, AppConfig.INITIAL_PARAMS);
+        return { ...this.uiManager.currentParams };
+    }
+
+    /**
+     * Resumes the draw loop.
+     */
+    play() {
+        this.playing = true;
+        if (this.p && this.uiManager && !this.destroyed) this.p.loop();
+    }
+
+    /**
+     * Stops the draw loop; the canvas keeps showing the last frame.
+     */
+    pause() {
+        this.playing = false;
+        if (this.p && this.uiManager && !this.destroyed) this.p.noLoop();
+    }
+
+    /**
+     * Registers an event handler.
+     * @param {string} event - One of `FlowerExperience.EVENTS`: 'change' is called with a copy of the params
+     *   after any frame in which they changed (sliders, presets, animation or `setParams`).
+     * @param {function} handler - The handler.
+     * @returns {function(): void} Removes the handler again.
+     * @throws {Error} If the event is unknown.
+     */
+    on(event, handler) {
+        if (!this.handlers[event]) throw new Error(`Unknown event "${event}". Known events: ${FlowerExperience.EVENTS.join(', ')}.`);
+        if (typeof handler !== 'function') throw new TypeError("The event handler must be a function.");
+        this.handlers[event].add(handler);
+        return () => this.off(event, handler);
+    }
 
-    // Enable orbiting (camera) controls for navigating the 3D scene.
-    // Parameters: sensitivityX, sensitivityY, sensitivityZoom
-    orbitControl(1, 1, 0.1);
+    /**
+     * Removes an event handler registered with `on`.
+     * @param {string} event - The event name.
+     * @param {function} handler - The handler.
+     */
+    off(event, handler) {
+        if (this.handlers[event]) this.handlers[event].delete(handler);
+    }
 
-    // If auto-animation is enabled in the UI, update the flower's parameters.
-    if (uiManagerInstance && uiManagerInstance.isAutoAnimating) {
-        uiManagerInstance.updateAnimatedFlowerParams();
+    /**
+     * Stops the sketch and releases everything the experience holds: the canvas, audio, timers and listeners
+     * outside its own elements. The control markup, if any, is left in place.
+     */
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        Object.values(this.handlers).forEach(handlers => handlers.clear());
+        if (this.embedBridge) this.embedBridge.destroy();
+        if (this.displaySync) this.displaySync.destroy();
+        if (this.controlSurface) this.controlSurface.destroy();
+        if (this.timelineEditor) this.timelineEditor.destroy();
+        if (this.canvasRecorder) this.canvasRecorder.destroy();
+        if (this.stillExporter) this.stillExporter.destroy();
+        if (this.urlStateManager) this.urlStateManager.destroy();
+        if (this.uiManager) this.uiManager.destroy();
+        if (this.audioManager) this.audioManager.destroy();
+        if (this.garden) this.garden.destroy();
+        if (this.frameStats) this.frameStats.destroy();
+        if (this.p) this.p.remove(); // Removes the canvas and stops the draw loop.
     }
 
-    // Display the flower.
-    if (flowerInstance) {
-        flowerInstance.display();
+    /**
+     * Calls the 'change' handlers if the params differ from the last reported ones.
+     * @private
+     */
+    _reportChange() {
+        if (!this.handlers.change.size) return;
+        const serialized = JSON.stringify(this.uiManager.currentParams);
+        if (serialized === this.lastReportedParams) return;
+        this.lastReportedParams = serialized;
+        this.handlers.change.forEach(handler => {
+            try {
+                handler({ ...this.uiManager.currentParams });
+            } catch (e) {
+                console.error("A 'change' handler failed:", e);
+            }
+        });
     }
 }
 
+/** @type {string[]} Events that can be subscribed to with `FlowerExperience.on`. */
+FlowerExperience.EVENTS = Object.freeze(['change']);
+/** @type {number} Canvas width and height used when the container has no size. */
+FlowerExperience.FALLBACK_SIZE = 300;
+
 /**
- * p5.js windowResized function.
- * This function is called once every time the browser window is resized.
- * It adjusts the canvas dimensions and updates the 3D perspective to match the new window size.
+ * @typedef {object} FlowerExperienceAPI
+ * @property {function(object): void} setParams - Applies (partial) flower params; see `FlowerExperience.setParams`.
+ * @property {function(): object} getParams - Returns a copy of the edited flower's params.
+ * @property {function(): void} play - Resumes the animation.
+ * @property {function(): void} pause - Stops the animation on the current frame.
+ * @property {function(string, function): function(): void} on - Registers an event handler and returns a function removing it.
+ * @property {function(string, function): void} off - Removes an event handler.
+ * @property {function(): void} destroy - Removes the canvas and releases audio, timers and page-wide listeners.
  */
-function windowResized() {
-    const canvasContainerEl = document.getElementById(AppConfig.P5_CANVAS_ID);
-    if (canvasContainerEl) {
-        // Resize the canvas to fit the container's new dimensions.
-        resizeCanvas(canvasContainerEl.offsetWidth, canvasContainerEl.offsetHeight);
-    } else {
-        // Fallback: Adjust fallback canvas size based on window dimensions.
-        const edgePadding = 70; // Assuming default, or parse from CSS if complex
-        resizeCanvas(windowWidth - (2 * edgePadding), windowHeight - (2 * edgePadding));
-    }
-    // Update the 3D perspective with the new aspect ratio.
-    perspective(PI / 3.0, width / height, 0.1, 5000);
+
+/**
+ * Public entry point: creates a flower experience in a container element.
+ * @example
+ * const flower = createFlowerExperience(document.getElementById('flower'), { params: { opening: 1.1 }, autoAnimate: true });
+ * flower.on('change', params => console.log(params.opening));
+ * @param {HTMLElement} container - Element the canvas is created in; give it a size.
+ * @param {FlowerExperienceOptions} [options] - Options.
+ * @returns {FlowerExperienceAPI} The API.
+ * @throws {TypeError} If `container` is not an element.
+ */
+function createFlowerExperience(container, options = {}) {
+    if (!(container instanceof HTMLElement)) throw new TypeError("createFlowerExperience needs a container element.");
+    const experience = new FlowerExperience(container, options);
+    return Object.freeze({
+        setParams: (params) => experience.setParams(params),
+        getParams: () => experience.getParams(),
+        play: () => experience.play(),
+        pause: () => experience.pause(),
+        on: (event, handler) => experience.on(event, handler),
+        off: (event, handler) => experience.off(event, handler),
+        destroy: () => experience.destroy(),
+    });
 }
 
 // PART 2: AudioManager Class
@@ -109,12 +377,50 @@ class AudioManager {
     /**
      * Creates an instance of AudioManager.
      * Initializes references to audio HTML elements and sets up event listeners.
+     * @param {ParentNode} [root=document] - Element (or document) in which the audio elements and the mute button are looked up.
      */
-    constructor() {
-        /** @type {HTMLAudioElement | null} The HTML audio element for background music. */
-        this.music = document.getElementById(AppConfig.AUDIO_FILES.BACKGROUND_MUSIC_ID);
+    constructor(root = document) {
+        /** @type {AbortController} Aborting it removes the event listeners added by this manager (see `destroy`). */
+        this.listenerController = new AbortController();
+        /** @type {HTMLAudioElement | null} The HTML audio element playing the current track (one of two decks that swap on crossfades). */
+        this.music = root.querySelector(`#${AppConfig.AUDIO_FILES.BACKGROUND_MUSIC_ID}`);
+        /** @type {HTMLAudioElement | null} The other deck, which fades the next track in. */
+        this.standbyMusic = this.music ? this.music.cloneNode(false) : null;
+        if (this.standbyMusic) this.standbyMusic.removeAttribute('id');
         /** @type {HTMLAudioElement | null} The HTML audio element for click sounds. */
-        this.clickSound = document.getElementById(AppConfig.AUDIO_FILES.CLICK_SOUND_ID);
+        this.clickSound = root.querySelector(`#${AppConfig.AUDIO_FILES.CLICK_SOUND_ID}`);
+        /** @type {Array<{name: string, src: string, local: boolean}>} Tracks played in turn; the bundled track first, then local files. */
+        this.playlist = this.music ? [{ name: AppConfig.AUDIO_FILES.BUNDLED_TRACK_NAME, src: this.music.getAttribute('src'), local: false }] : [];
+        /** @type {number} Index into `playlist` of the current track. */
+        this.trackIndex = 0;
+        /** @type {string} Name of the current track. */
+        this.trackName = AppConfig.AUDIO_FILES.BUNDLED_TRACK_NAME;
+        /** @type {function(): void|null} Called when the current track changes by itself (the playlist moved on). */
+        this.onTrackChange = null;
+        /** @type {{music: number, effects: number}} Saved volumes (see `AudioManager.sanitizeVolumes`). */
+        this.volumes = AudioManager.sanitizeVolumes(null);
+        /** @type {Map<HTMLAudioElement, number>} Fade level (0-1) of each deck; its volume is the level times the music volume. */
+        this.deckLevels = new Map();
+        /** @type {Map<HTMLAudioElement, number>} Interval timer of each deck's running fade. */
+        this.deckFades = new Map();
+        /** @type {boolean} Whether the browser blocked playback until the user interacts with the page. */
+        this.playbackBlocked = false;
+        /** @type {function(Event): void|null} Listener waiting for the first interaction while playback is blocked. */
+        this.interactionListener = null;
+        /** @type {{deviceId: string, gain: number, smoothing: number}} Saved microphone settings (see `AudioManager.sanitizeMicrophoneSettings`). */
+        this.microphoneSettings = AudioManager.sanitizeMicrophoneSettings(null);
+        /** @type {MediaStream|null} The open microphone stream, or null while the microphone is off. */
+        this.microphoneStream = null;
+        /** @type {MediaStreamAudioSourceNode|null} The microphone stream in the audio graph. */
+        this.microphoneSource = null;
+        /** @type {string} Which input the analysers hear: 'music' or 'microphone'. */
+        this.analysisSource = 'music';
+        /** @type {function(): void|null} Called when the microphone stops by itself (e.g. the device was unplugged). */
+        this.onMicrophoneEnded = null;
+        /** @type {GenerativeSoundtrack|null} Synthesizer of the generative soundtrack and slider feedback, created on first use. */
+        this.generativeSoundtrack = null;
+        /** @type {boolean} Whether the generative soundtrack plays in place of the music. */
+        this.generativeEnabled = false;
 
         /**
          * @typedef {object} AudioManagerDOM
@@ -124,24 +430,68 @@ class AudioManager {
          */
         /** @type {AudioManagerDOM} References to DOM elements related to audio controls. */
         this.dom = {
-            muteToggleBtn: document.getElementById('muteToggleBtn'),
-            iconSoundOn: document.querySelector('#muteToggleBtn .icon--sound-on'),
-            iconSoundOff: document.querySelector('#muteToggleBtn .icon--sound-off'),
+            muteToggleBtn: root.querySelector('#muteToggleBtn'),
+            iconSoundOn: root.querySelector('#muteToggleBtn .icon--sound-on'),
+            iconSoundOff: root.querySelector('#muteToggleBtn .icon--sound-off'),
         };
 
+        this._loadVolumes();
         this._initializeMusic();
         this._setupMuteButton();
+        this._loadMicrophoneSettings();
+    }
+
+    /**
+     * Validates volumes, filling anything missing or malformed with the defaults of `AppConfig.AUDIO_SETTINGS`.
+     * @param {*} raw - Candidate volumes.
+     * @returns {{music: number, effects: number}} Valid volumes (0-1).
+     */
+    static sanitizeVolumes(raw) {
+        const source = raw && typeof raw === 'object' ? raw : {};
+        const volume = (value, fallback) => {
+            const n = Number(value);
+            return value !== undefined && value !== null && value !== '' && Number.isFinite(n) ? Math.min(1, Math.max(0, n)) : fallback;
+        };
+        return {
+            music: volume(source.music, AppConfig.AUDIO_SETTINGS.DEFAULT_MUSIC_VOLUME),
+            effects: volume(source.effects, AppConfig.AUDIO_SETTINGS.DEFAULT_EFFECTS_VOLUME),
+        };
+    }
+
+    /**
+     * Validates microphone settings, filling anything missing or malformed with the defaults of `AppConfig.MICROPHONE`.
+     * @param {*} raw - Candidate settings.
+     * @returns {{deviceId: string, gain: number, smoothing: number}} Valid settings.
+     */
+    static sanitizeMicrophoneSettings(raw) {
+        const config = AppConfig.MICROPHONE;
+        const source = raw && typeof raw === 'object' ? raw : {};
+        const number = (value, max, fallback) => {
+            const n = Number(value);
+            return value !== undefined && value !== null && value !== '' && Number.isFinite(n) ? Math.min(max, Math.max(0, n)) : fallback;
+        };
+        return {
+            deviceId: typeof source.deviceId === 'string' ? source.deviceId : '',
+            gain: number(source.gain, config.MAX_GAIN, config.DEFAULT_GAIN),
+            smoothing: number(source.smoothing, config.MAX_SMOOTHING, config.DEFAULT_SMOOTHING),
+        };
     }
 
     /**
      * Initializes the background music settings.
      * Sets volume, attempts to load saved mute state from localStorage,
-     * and handles initial playback.
+     * and handles initial playback (faded in, once the browser allows it).
      * @private
      */
     _initializeMusic() {
         if (this.music) {
-            this.music.volume = 0.3; // Set a default volume.
+            [this.music, this.standbyMusic].forEach(deck => {
+                this._setDeckLevel(deck, deck === this.music ? 1 : 0);
+                const { signal } = this.listenerController;
+                deck.addEventListener('timeupdate', () => this._checkTrackEnd(deck), { signal });
+                deck.addEventListener('ended', () => this._checkTrackEnd(deck, true), { signal });
+            });
+            if (this.clickSound) this.clickSound.volume = this.volumes.effects;
             let startMuted = true; // Default to starting muted.
             try {
                 // Check localStorage for a saved mute preference.
@@ -149,13 +499,11 @@ class AudioManager {
                 if (savedMuteState === 'false') startMuted = false;
             } catch (e) { console.warn("localStorage not available for music mute state."); }
 
-            this.music.muted = startMuted;
-            if (!startMuted) {
-                 // Attempt to play music if not muted; browsers might block autoplay.
-                 this.music.play().catch(error => console.log("Background music autoplay prevented:", error.message));
-            }
+            this.music.muted = this.standbyMusic.muted = startMuted;
+            // Attempt to play music if not muted; browsers might block autoplay until the first interaction.
+            if (!startMuted) this._playMusic();
             this.updateMuteButtonVisuals(); // Update button icon based on mute state.
-        } else {
+        } else if (this.dom.muteToggleBtn) { // Widgets embedded without the page's controls have no music.
             console.error("Background music element not found:", AppConfig.AUDIO_FILES.BACKGROUND_MUSIC_ID);
         }
     }
@@ -167,10 +515,10 @@ class AudioManager {
      */
     _setupMuteButton() {
         if (this.dom.muteToggleBtn && this.music) {
-            this.dom.muteToggleBtn.addEventListener('click', () => this.toggleMute());
-        } else if (!this.music) {
+            this.dom.muteToggleBtn.addEventListener('click', () => this.toggleMute(), { signal: this.listenerController.signal });
+        } else if (!this.music && this.dom.muteToggleBtn) {
             console.warn("Mute button found, but music element is missing.");
-            if (this.dom.muteToggleBtn) this.dom.muteToggleBtn.disabled = true;
+            this.dom.muteToggleBtn.disabled = true;
         } else if (!this.dom.muteToggleBtn) {
             // console.warn("Mute toggle button not found in DOM."); // This can be common if UI structure varies
         }
@@ -180,15 +528,17 @@ class AudioManager {
      * Toggles the mute state of the background music.
      * Plays music if unmuted and paused, saves the state to localStorage,
      * and updates the mute button's visual appearance.
+     * While the browser blocks playback the button shows sound off, so a click unmutes (and starts playback) instead.
      */
     toggleMute() {
         if (!this.music) return;
-        this.music.muted = !this.music.muted;
-        if (!this.music.muted && this.music.paused) {
-            // If unmuting and music was paused, try to play it.
-            this.music.play().catch(e => console.error("Error playing audio on unmute:", e.message));
-        }
-        try { localStorage.setItem('musicMuted', this.music.muted.toString()); }
+        const muted = !this.music.muted && !this.playbackBlocked;
+        this._clearPlaybackBlock(); // The click is a user gesture.
+        this.music.muted = this.standbyMusic.muted = muted;
+        if (this.generativeSoundtrack) this.generativeSoundtrack.setMuted(muted);
+        // If unmuting and music was paused, try to play it.
+        if (!muted && this.music.paused) this._playMusic();
+        try { localStorage.setItem('musicMuted', muted.toString()); }
         catch (e) { console.warn("localStorage not available. Mute state not saved."); }
         this.updateMuteButtonVisuals();
     }
@@ -199,999 +549,10353 @@ class AudioManager {
      */
     updateMuteButtonVisuals() {
         if (!this.dom.iconSoundOn || !this.dom.iconSoundOff || !this.music) return;
-        const isMuted = this.music.muted;
+        const isMuted = this.music.muted || this.playbackBlocked;
         this.dom.iconSoundOn.style.display = isMuted ? 'none' : 'inline-block';
         this.dom.iconSoundOff.style.display = isMuted ? 'inline-block' : 'none';
     }
 
     /**
-     * Plays a short click sound effect.
-     * Typically used for UI interactions. Sound only plays if music is not globally muted.
+     * Lazily creates the Web Audio graph that routes the background music through an AudioContext.
+     * `createMediaElementSource` can only be called once per element, so the source node is kept.
+     * @returns {boolean} True if the graph is available.
+     * @private
      */
-    playClickSound() {
-        if (this.clickSound && (!this.music || !this.music.muted)) {
-            this.clickSound.currentTime = 0; // Rewind to start for immediate playback.
-            this.clickSound.play().catch(e => console.warn("Click sound playback error:", e.message));
+    _ensureAudioGraph() {
+        if (this.audioContext) return true;
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass || !this.music) return false;
+        try {
+            /** @type {AudioContext} Shared audio context for analysis, recording and synthesis. */
+            this.audioContext = new AudioContextClass();
+            /** @type {GainNode} Bus carrying both music decks, routed into the audio graph. */
+            this.musicBus = this.audioContext.createGain();
+            this.musicBus.connect(this.audioContext.destination); // Keep the music audible.
+            [this.music, this.standbyMusic].forEach(deck => this.audioContext.createMediaElementSource(deck).connect(this.musicBus));
+            /** @type {GainNode} Input gain of the microphone. Only feeds the analysers, never the speakers (no feedback). */
+            this.microphoneGain = this.audioContext.createGain();
+            this.microphoneGain.gain.value = this.microphoneSettings.gain;
+            /** @type {GainNode} Bus feeding the analysers: the music, or the microphone while it is the analysed input. */
+            this.analysisInput = this.audioContext.createGain();
+            this.musicBus.connect(this.analysisInput);
+            return true;
+        } catch (e) {
+            console.warn("Web Audio graph could not be created:", e.message);
+            this.audioContext = null;
+            return false;
         }
     }
-}
 
-// PART 3: UIManager Class
-// -----------------------
-// Manages UI elements, interactions, theme switching, and controls for the flower visualization.
+    /**
+     * Returns a MediaStream carrying the background music, for mixing into recordings.
+     * The stream follows the mute state of the music.
+     * @returns {MediaStream|null} The audio stream, or null if Web Audio is unavailable.
+     */
+    getRecordingStream() {
+        if (!this._ensureAudioGraph()) return null;
+        if (!this.recordingDestination) {
+            /** @type {MediaStreamAudioDestinationNode} Tap of the music (and the generative soundtrack) used for recordings. */
+            this.recordingDestination = this.audioContext.createMediaStreamDestination();
+            this.musicBus.connect(this.recordingDestination);
+            if (this.generativeSoundtrack) this.generativeSoundtrack.output.connect(this.recordingDestination);
+        }
+        if (this.audioContext.state === 'suspended') this.audioContext.resume();
+        return this.recordingDestination.stream;
+    }
 
-/**
- * @class UIManager
- * Manages all user interface elements and their interactions.
- * This includes control sliders for the flower, theme toggling, information popups,
- * and auto-animation controls.
- */
-class UIManager {
     /**
-     * Creates an instance of UIManager.
-     * @param {p5} p - The p5.js instance.
-     * @param {object} initialParams - Initial parameters for the flower controls.
-     * @param {Flower} flowerInstance - The instance of the Flower class.
-     * @param {AudioManager} audioManagerInstance - The instance of the AudioManager class.
+     * Creates an AnalyserNode fed by the analysed input: the background music (whichever track is playing),
+     * or the microphone while it is on.
+     * @returns {AnalyserNode|null} The analyser, or null if Web Audio is unavailable.
      */
-    constructor(p, initialParams, flowerInstance, audioManagerInstance) {
-        /** @type {p5} The p5.js instance, used for canvas operations like saving. */
-        this.p = p;
-        /** @type {object} Current parameters for the flower, mirrored from sliders or auto-animation. */
-        this.currentParams = { ...initialParams };
-        /** @type {Flower} Reference to the Flower instance to update its parameters. */
-        this.flower = flowerInstance;
-        /** @type {AudioManager} Reference to the AudioManager for playing UI sounds. */
-        this.audioManager = audioManagerInstance;
+    createAnalyser() {
+        if (!this._ensureAudioGraph()) return null;
+        const analyser = this.audioContext.createAnalyser();
+        this.analysisInput.connect(analyser);
+        if (this.audioContext.state === 'suspended') this.audioContext.resume();
+        return analyser;
+    }
 
-        /**
-         * @typedef {object} UIManagerDOM
-         * @property {HTMLElement|null} controlsTrigger - Button to show/hide the controls panel.
-         * @property {HTMLElement|null} controlsPanel - Panel containing flower control sliders.
-         * @property {HTMLElement|null} slidersArea - Area where sliders are dynamically created.
-         * @property {HTMLElement|null} autoAnimationArea - Area for the auto-animation toggle.
-         * @property {HTMLElement|null} saveImageBtn - Button to save the canvas as an image.
-         * @property {HTMLElement|null} themeToggleBtn - Button to switch between light and dark themes.
-         * @property {HTMLElement|null} iconSun - Sun icon for the theme toggle (dark mode active).
-         * @property {HTMLElement|null} iconMoon - Moon icon for the theme toggle (light mode active).
-         * @property {HTMLElement|null} muteToggleBtn - Button to mute/unmute audio (managed by AudioManager, referenced here for completeness).
-         * @property {HTMLElement|null} infoPopupTriggerBtn - Button to show the information popup.
-         * @property {HTMLElement|null} infoPopup - The main information popup container.
-         * @property {HTMLElement|null} infoPopupCloseBtn - Button to close the information popup.
-         * @property {HTMLElement|null} infoPopupContentWrapper - Scrollable wrapper for popup content.
-         * @property {HTMLElement|null} infoPopupInitialTitleContainer - Container for the initial large title in the popup.
-         * @property {HTMLElement|null} infoPopupSecondaryContentContainer - Container for the detailed secondary content in the popup.
-         * @property {HTMLElement|null} stickyHeaderContent - Sticky header within the popup.
-         * @property {HTMLElement|null} secondaryContentHeading - Main heading for secondary content.
-         * @property {HTMLElement|null} secondaryContentSubheading - Subheading for secondary content.
-         * @property {HTMLElement|null} quoteTextElement - Element to display the quote.
-         * @property {HTMLElement|null} secondaryContentAttribution - Element for quote attribution.
-         * @property {HTMLElement|null} contentBlock1 - First block of scrollable content.
-         * @property {HTMLElement|null} contentBlock2 - Second block of scrollable content.
-         * @property {HTMLElement|null} additionalParagraphElement - Element for an additional paragraph.
-         * @property {HTMLElement|null} contentBlock3 - Third block of scrollable content (credits).
-         * @property {HTMLElement|null} callToActionTextElement - Element for the call to action text.
-         * @property {HTMLElement|null} creditsLayout - Main container for credits layout.
-         * @property {HTMLElement|null} creditsGroupTitle1 - Title for the first credits group.
-         * @property {HTMLElement|null} creditsList1 - List for the first credits group.
-         * @property {HTMLElement|null} creditsGroupTitle2 - Title for the second credits group.
-         * @property {HTMLElement|null} creditsList2 - List for the second credits group.
-         * @property {HTMLElement|null} creditsGroupTitle3 - Title for the third credits group.
-         * @property {HTMLElement|null} creditsList3 - List for the third credits group.
-         * @property {HTMLElement|null} creditsCopyright - Copyright text element.
-         */
-        /** @type {UIManagerDOM} Collection of references to key DOM elements. */
-        this.dom = {
-            controlsTrigger: document.getElementById('flowerControlsTrigger'),
-            controlsPanel: document.getElementById('controlsPanel'),
-            slidersArea: document.getElementById('slidersArea'),
-            autoAnimationArea: document.getElementById('autoAnimationArea'),
-            saveImageBtn: document.getElementById('saveImageBtn'),
-            themeToggleBtn: document.getElementById('themeToggleBtn'),
-            iconSun: document.querySelector('#themeToggleBtn .icon--sun'),
-            iconMoon: document.querySelector('#themeToggleBtn .icon--moon'),
-            muteToggleBtn: document.getElementById('muteToggleBtn'), // Though managed by AudioManager, good to have a ref if needed
-            infoPopupTriggerBtn: document.getElementById('infoPopupTriggerBtn'),
-            infoPopup: document.getElementById('infoPopup'),
-            infoPopupCloseBtn: document.getElementById('infoPopupCloseBtn'),
-            infoPopupContentWrapper: document.getElementById('infoPopupContentWrapper'),
-            infoPopupInitialTitleContainer: document.getElementById('infoPopupInitialTitleContainer'),
-            infoPopupSecondaryContentContainer: document.getElementById('infoPopupSecondaryContentContainer'),
-            stickyHeaderContent: document.getElementById('stickyHeaderContent'),
-            secondaryContentHeading: document.getElementById('secondaryContentHeading'),
-            secondaryContentSubheading: document.getElementById('secondaryContentSubheading'),
-            quoteTextElement: document.getElementById('quoteTextElement'),
-            secondaryContentAttribution: document.getElementById('secondaryContentAttribution'),
-            contentBlock1: document.getElementById('contentBlock1'),
-            contentBlock2: document.getElementById('contentBlock2'),
-            additionalParagraphElement: document.getElementById('additionalParagraphElement'),
-            contentBlock3: document.getElementById('contentBlock3'),
-            callToActionTextElement: document.getElementById('callToActionTextElement'),
-            // DOM elements for structured credits
-            creditsLayout: document.getElementById('creditsLayout'),
-            creditsGroupTitle1: document.getElementById('creditsGroupTitle1'),
-            creditsList1: document.getElementById('creditsList1'),
-            creditsGroupTitle2: document.getElementById('creditsGroupTitle2'),
-            creditsList2: document.getElementById('creditsList2'),
-            creditsGroupTitle3: document.getElementById('creditsGroupTitle3'),
-            creditsList3: document.getElementById('creditsList3'),
-            creditsCopyright: document.getElementById('creditsCopyright'),
-        };
+    /**
+     * Makes sure the background music is audible: unmutes it (saving the choice like the mute button) or resumes it.
+     * The generative soundtrack, if on, gives way to the music. Must be called from a user gesture, or the browser may block playback.
+     */
+    ensurePlaying() {
+        if (!this.music) return;
+        this.setGenerative(false);
+        this._clearPlaybackBlock();
+        if (this.music.muted) {
+            this.toggleMute(); // Also starts playback and updates the button.
+        } else if (this.music.paused) {
+            this._playMusic();
+        }
+        this.updateMuteButtonVisuals();
+    }
 
-        /** @type {Object<string, {slider: HTMLInputElement, valueSpan: HTMLSpanElement, definition: object}>} Stores references to slider elements and their value displays. */
-        this.flowerSliders = {};
-        /** @type {boolean} Flag indicating if auto-animation of flower parameters is active. */
-        this.isAutoAnimating = false;
-        /** @type {number} Timer variable used for Perlin noise calculation in auto-animation. */
-        this.animationTime = 0;
-        /** @type {boolean} Flag to track if the secondary content of the info popup has been loaded. */
-        this.secondaryContentLoaded = false;
+    /**
+     * Adds a local audio file (e.g. one dropped onto the page) to the end of the playlist, without playing it.
+     * Both decks go through the same audio graph, so recordings and the audio-reactive mode pick it up.
+     * @param {File} file - The audio file.
+     * @returns {boolean} True if the browser may be able to play the file.
+     */
+    addFile(file) {
+        if (!this.music || !file) return false;
+        if (file.type && (!file.type.startsWith('audio/') || !this.music.canPlayType(file.type))) return false;
+        this.playlist.push({ name: file.name, src: URL.createObjectURL(file), local: true });
+        this._updateLooping();
+        return true;
+    }
 
-        /** @type {Array<HTMLElement|null>} Array of popup elements to animate on scroll. */
-        this.animatablePopupElements = [
-            this.dom.infoPopupInitialTitleContainer,
-            this.dom.stickyHeaderContent,
-            this.dom.contentBlock1,
-            this.dom.contentBlock2,
-            this.dom.contentBlock3
-        ].filter(el => el); // Filter out any null elements to prevent errors.
-        /** @type {IntersectionObserver|null} Observer for animating popup elements on scroll. */
-        this.popupScrollObserver = null;
+    /**
+     * Switches to a playlist track, crossfading if music is playing.
+     * @param {number} index - Index into `playlist`.
+     * @param {boolean} [keepPlaying] - Whether to start the new track; by default, if the current one is playing.
+     *     Needed when a track has just ended, as its deck already reports being paused.
+     * @returns {boolean} False if there is no such track.
+     */
+    playTrack(index, keepPlaying) {
+        if (!this.music || !Number.isInteger(index) || index < 0 || index >= this.playlist.length) return false;
+        const track = this.playlist[index];
+        const outgoing = this.music;
+        const wasPlaying = keepPlaying === undefined ? !outgoing.paused : keepPlaying;
+        this.trackIndex = index;
+        this.trackName = track.name;
+        this.music = this.standbyMusic;
+        this.standbyMusic = outgoing;
+        this.music.src = track.src;
+        this._updateLooping();
+        const crossfadeMs = AppConfig.AUDIO_SETTINGS.CROSSFADE_MS;
+        this._fadeDeck(outgoing, 0, wasPlaying ? crossfadeMs : 0, () => outgoing.pause());
+        if (wasPlaying) this._playMusic(crossfadeMs);
+        else this._setDeckLevel(this.music, 1);
+        return true;
+    }
 
+    /**
+     * Moves on to the next track of the playlist, wrapping around.
+     * @param {boolean} [keepPlaying] - Passed on to `playTrack`.
+     */
+    nextTrack(keepPlaying) {
+        if (this.playlist.length > 1) this.playTrack((this.trackIndex + 1) % this.playlist.length, keepPlaying);
+    }
 
-        this._setupEventListeners();
-        this._initializeTheme();
-        this._createSliders();
-        this._createAutoAnimationToggle();
-        this._setupInitialPopupContent();
-        this._positionControlsPanel(); // Initial positioning
-        this._initPopupScrollObserver(); // Initialize the scroll observer for popup animations
+    /**
+     * Moves back to the previous track of the playlist, wrapping around.
+     */
+    previousTrack() {
+        if (this.playlist.length > 1) this.playTrack((this.trackIndex - 1 + this.playlist.length) % this.playlist.length);
     }
 
     /**
-     * Sets up event listeners for various UI controls.
-     * @private
+     * Removes a local file from the playlist, moving on if it was playing. The bundled track stays.
+     * @param {number} index - Index into `playlist`.
+     * @returns {boolean} False if there is no such local track.
      */
-    _setupEventListeners() {
-        if (this.dom.controlsTrigger) this.dom.controlsTrigger.addEventListener('click', (e) => { e.preventDefault(); this.toggleControlsPanel(); });
-        if (this.dom.saveImageBtn) this.dom.saveImageBtn.addEventListener('click', () => this.p.saveCanvas(p5Canvas, 'flower_artwork.png'));
-        if (this.dom.themeToggleBtn) this.dom.themeToggleBtn.addEventListener('click', () => this.toggleTheme());
+    removeTrack(index) {
+        const track = this.playlist[index];
+        if (!track || !track.local) return false;
+        const wasCurrent = index === this.trackIndex;
+        if (wasCurrent) this.playTrack(index === this.playlist.length - 1 ? 0 : index + 1);
+        this.playlist.splice(index, 1);
+        if (this.trackIndex > index) this.trackIndex--;
+        this._updateLooping();
+        // A removed current track is still fading out.
+        setTimeout(() => URL.revokeObjectURL(track.src), wasCurrent ? AppConfig.AUDIO_SETTINGS.CROSSFADE_MS + 1000 : 0);
+        return true;
+    }
 
-        if (this.dom.infoPopupTriggerBtn) this.dom.infoPopupTriggerBtn.addEventListener('click', () => this.showInfoPopup());
-        if (this.dom.infoPopupCloseBtn) this.dom.infoPopupCloseBtn.addEventListener('click', () => this.hideInfoPopup());
+    /**
+     * Merges partial volumes into the current ones, validates and saves them, and applies them to the decks,
+     * the click sound and the generative soundtrack.
+     * @param {{music?: number, effects?: number}} partial - Volumes (0-1) to change.
+     */
+    setVolumes(partial) {
+        this.volumes = AudioManager.sanitizeVolumes({ ...this.volumes, ...partial });
+        this._applyVolumes();
+        try { localStorage.setItem(AudioManager.VOLUME_STORAGE_KEY, JSON.stringify(this.volumes)); }
+        catch (e) { console.warn("localStorage not available. Volumes not saved."); }
+    }
 
-        // Global click listener for playing click sounds on interactive elements.
-        document.body.addEventListener('click', (event) => {
-            const target = event.target;
-            // Play sound for buttons, range inputs, checkboxes, but not if interacting with p5 canvas itself.
-            if (target.closest('button, a[role="button"], input[type="range"], input[type="checkbox"]') && !target.closest(`#${AppConfig.P5_CANVAS_ID}`)) {
-                if (this.audioManager) this.audioManager.playClickSound();
-            }
-        }, true); // Use capture phase to catch clicks early.
+    /**
+     * Restores the volumes saved in localStorage.
+     * @private
+     */
+    _loadVolumes() {
+        try {
+            const saved = localStorage.getItem(AudioManager.VOLUME_STORAGE_KEY);
+            if (saved) this.volumes = AudioManager.sanitizeVolumes(JSON.parse(saved));
+        } catch (e) {
+            console.warn("Saved volumes could not be read from localStorage:", e.message);
+        }
+    }
 
-        // Reposition controls panel on window resize.
-        window.addEventListener('resize', () => this._positionControlsPanel());
+    /**
+     * Applies the current volumes everywhere they are used.
+     * @private
+     */
+    _applyVolumes() {
+        this.deckLevels.forEach((level, deck) => this._setDeckLevel(deck, level));
+        if (this.clickSound) this.clickSound.volume = this.volumes.effects;
+        if (this.generativeSoundtrack) this.generativeSoundtrack.setVolumes(this.volumes);
     }
-    
+
     /**
-     * Initializes the IntersectionObserver for scroll-triggered animations within the info popup.
-     * Elements with the 'scroll-animate' class will have 'scroll-animate--in-view' added/removed
-     * based on their visibility within the popup's scrollable area.
+     * Starts the current deck, fading it in. If the browser blocks playback, waits for the first interaction
+     * with the page and tries again then, showing the mute button as off meanwhile.
+     * @param {number} [fadeMs=AppConfig.AUDIO_SETTINGS.FADE_IN_MS] - Fade-in time.
      * @private
      */
-    _initPopupScrollObserver() {
-        if (!('IntersectionObserver' in window) || !this.dom.infoPopupContentWrapper) {
-            console.warn("IntersectionObserver not supported or popup content wrapper not found. Scroll animations disabled.");
-            // Fallback: make all elements visible directly if IntersectionObserver is not available.
-            this.animatablePopupElements.forEach(el => {
-                if (el) {
-                    el.classList.add('scroll-animate', 'scroll-animate--in-view');
-                }
+    _playMusic(fadeMs = AppConfig.AUDIO_SETTINGS.FADE_IN_MS) {
+        if (!this.music || this.generativeEnabled || this.playbackBlocked) return;
+        const deck = this.music;
+        this._fadeDeck(deck, 0, 0);
+        deck.play()
+            .then(() => { if (deck === this.music) this._fadeDeck(deck, 1, fadeMs); })
+            .catch(e => {
+                if (e.name === 'NotAllowedError') this._waitForInteraction();
+                else if (e.name !== 'AbortError') console.warn("Background music could not be played:", e.message); // Aborted by a track switch.
             });
-            return;
-        }
+    }
 
-        const observerOptions = {
-            root: this.dom.infoPopupContentWrapper, // The scrollable container.
-            rootMargin: '0px 0px -50px 0px', // Trigger when element is 50px from the bottom of the wrapper's viewport.
-            threshold: 0.1 // Trigger when 10% of the element is visible.
+    /**
+     * Marks playback as blocked and retries it on the first pointer or key press anywhere on the page.
+     * A press on the mute button is left to `toggleMute`, which then unmutes.
+     * @private
+     */
+    _waitForInteraction() {
+        if (this.playbackBlocked) return;
+        this.playbackBlocked = true;
+        this.interactionListener = (event) => {
+            if (this.dom.muteToggleBtn && event.target instanceof Node && this.dom.muteToggleBtn.contains(event.target)) return;
+            this._clearPlaybackBlock();
+            if (!this.music.muted) this._playMusic();
+            this.updateMuteButtonVisuals();
         };
+        ['pointerdown', 'keydown'].forEach(type => window.addEventListener(type, this.interactionListener, true));
+        this.updateMuteButtonVisuals();
+    }
 
-        this.popupScrollObserver = new IntersectionObserver((entries, observer) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.classList.add('scroll-animate--in-view');
-                } else {
-                    // Elements remain in view once triggered until popup is closed.
-                    // To re-animate on each scroll-in, remove class here:
-                    // entry.target.classList.remove('scroll-animate--in-view');
-                }
-            });
-        }, observerOptions);
-
-        // Add base 'scroll-animate' class to all animatable elements so styles can target them.
-        this.animatablePopupElements.forEach(el => {
-            if (el) {
-                el.classList.add('scroll-animate');
-            }
-        });
+    /**
+     * Stops waiting for the first interaction, e.g. because a user gesture arrived some other way.
+     * @private
+     */
+    _clearPlaybackBlock() {
+        if (!this.playbackBlocked) return;
+        ['pointerdown', 'keydown'].forEach(type => window.removeEventListener(type, this.interactionListener, true));
+        this.interactionListener = null;
+        this.playbackBlocked = false;
     }
 
+    /**
+     * Sets a deck's fade level, scaled by the music volume.
+     * @param {HTMLAudioElement} deck - One of the decks.
+     * @param {number} level - Fade level (0-1).
+     * @private
+     */
+    _setDeckLevel(deck, level) {
+        this.deckLevels.set(deck, level);
+        deck.volume = level * this.volumes.music;
+    }
 
     /**
-     * Initializes the theme (light/dark) based on localStorage or defaults to dark.
-     * Updates body class and theme toggle button icons.
+     * Fades a deck's level linearly, replacing any fade already running on it.
+     * @param {HTMLAudioElement} deck - One of the decks.
+     * @param {number} target - Fade level to reach (0-1).
+     * @param {number} durationMs - Fade time; 0 jumps to the target.
+     * @param {function(): void} [onDone] - Called when the target is reached (not if the fade is replaced).
      * @private
      */
-    _initializeTheme() {
-        const savedTheme = localStorage.getItem('theme') || 'dark'; // Default to dark if no preference saved
-        document.body.classList.remove('theme--light', 'theme--dark'); // Clear existing theme classes
-        if (savedTheme === 'light') {
-            document.body.classList.add('theme--light');
-            if (this.dom.iconSun) this.dom.iconSun.style.display = 'none';
-            if (this.dom.iconMoon) this.dom.iconMoon.style.display = 'inline-block';
-        } else {
-            document.body.classList.add('theme--dark');
-            if (this.dom.iconSun) this.dom.iconSun.style.display = 'inline-block';
-            if (this.dom.iconMoon) this.dom.iconMoon.style.display = 'none';
+    _fadeDeck(deck, target, durationMs, onDone) {
+        clearInterval(this.deckFades.get(deck));
+        this.deckFades.delete(deck);
+        const from = this.deckLevels.get(deck) || 0;
+        if (durationMs <= 0 || from === target) {
+            this._setDeckLevel(deck, target);
+            if (onDone) onDone();
+            return;
         }
+        const start = performance.now();
+        this.deckFades.set(deck, setInterval(() => {
+            const t = Math.min(1, (performance.now() - start) / durationMs);
+            this._setDeckLevel(deck, from + (target - from) * t);
+            if (t < 1) return;
+            clearInterval(this.deckFades.get(deck));
+            this.deckFades.delete(deck);
+            if (onDone) onDone();
+        }, AppConfig.AUDIO_SETTINGS.FADE_STEP_MS));
     }
 
     /**
-     * Toggles the application theme between light and dark.
-     * Saves the preference to localStorage and updates UI elements.
-     * Triggers a redraw to update canvas background.
+     * Moves the playlist on when the current deck nears the end of its track, so the crossfade ends with it.
+     * @param {HTMLAudioElement} deck - The deck reporting progress.
+     * @param {boolean} [ended=false] - Whether the track has ended (for tracks shorter than the crossfade).
+     * @private
      */
-    toggleTheme() {
-        document.body.classList.toggle('theme--light');
-        document.body.classList.toggle('theme--dark');
-        const isLight = document.body.classList.contains('theme--light');
-        localStorage.setItem('theme', isLight ? 'light' : 'dark');
-        // Update icon visibility based on the new theme
-        if (this.dom.iconSun) this.dom.iconSun.style.display = isLight ? 'none' : 'inline-block';
-        if (this.dom.iconMoon) this.dom.iconMoon.style.display = isLight ? 'inline-block' : 'none';
-        draw(); // Redraw canvas with new background color.
+    _checkTrackEnd(deck, ended = false) {
+        if (deck !== this.music || this.playlist.length < 2 || (deck.paused && !ended)) return;
+        // Tracks too short to crossfade just play to their end.
+        const crossfade = AppConfig.AUDIO_SETTINGS.CROSSFADE_MS / 1000;
+        if (!ended && !(deck.duration > 2 * crossfade && deck.duration - deck.currentTime <= crossfade)) return;
+        this.nextTrack(true); // An ended deck is already paused, so it can't tell whether to keep playing.
+        if (this.onTrackChange) this.onTrackChange();
     }
 
     /**
-     * Toggles the visibility of the flower controls panel.
-     * Updates ARIA attributes for accessibility and changes trigger button text.
+     * Loops a lone track; with several, the decks stop at the end of each and the playlist moves on.
+     * @private
      */
-    toggleControlsPanel() {
-        if (!this.dom.controlsPanel || !this.dom.controlsTrigger) return;
-        const isVisible = this.dom.controlsPanel.getAttribute('aria-hidden') === 'false';
-        if (isVisible) {
-            this.dom.controlsPanel.setAttribute('aria-hidden', 'true');
-            this.dom.controlsTrigger.innerHTML = '*Flower Controls'; // Text for "show"
-            this.dom.controlsTrigger.setAttribute('aria-expanded', 'false');
-        } else {
-            this.dom.controlsPanel.setAttribute('aria-hidden', 'false');
-            this.dom.controlsTrigger.innerHTML = '*Hide Controls'; // Text for "hide"
-            this.dom.controlsTrigger.setAttribute('aria-expanded', 'true');
-            this._positionControlsPanel(); // Ensure correct positioning when shown.
-        }
+    _updateLooping() {
+        if (!this.music) return;
+        this.music.loop = this.standbyMusic.loop = this.playlist.length < 2;
     }
 
     /**
-     * Positions the controls panel relative to its trigger button.
-     * This is useful if the trigger button's position might change (e.g., due to layout shifts).
-     * @private
+     * Switches between the background music and the generative soundtrack. Switching on pauses the music and unmutes
+     * (saving the choice like the mute button), so call it from a user gesture.
+     * @param {boolean} enabled - Whether the generative soundtrack should play.
+     * @param {object} [params=AppConfig.INITIAL_PARAMS] - Flower params the soundtrack starts from.
+     * @returns {boolean} Whether the generative soundtrack plays; false if the browser has no Web Audio support.
      */
-    _positionControlsPanel() {
-         if (this.dom.controlsTrigger && this.dom.controlsPanel) {
-            const triggerWrapper = this.dom.controlsTrigger.parentElement; // Assuming trigger is wrapped for better positioning ref
-            if (triggerWrapper) {
-                const triggerRect = triggerWrapper.getBoundingClientRect();
-                // Position panel below the trigger.
-                this.dom.controlsPanel.style.top = `${triggerRect.bottom}px`;
-                this.dom.controlsPanel.style.left = `${triggerRect.left}px`;
+    setGenerative(enabled, params = AppConfig.INITIAL_PARAMS) {
+        if (!enabled) {
+            if (this.generativeEnabled) {
+                this.generativeEnabled = false;
+                this.generativeSoundtrack.stop();
+                if (!this.music.muted) this._playMusic();
             }
+            return false;
         }
+        if (!this._ensureGenerativeSoundtrack()) return false;
+        this.generativeEnabled = true;
+        [this.music, this.standbyMusic].forEach(deck => this._fadeDeck(deck, 0, AppConfig.GENERATIVE_AUDIO.FADE_S * 1000, () => deck.pause()));
+        this._clearPlaybackBlock();
+        if (this.music.muted) this.toggleMute();
+        this.updateMuteButtonVisuals();
+        this.generativeSoundtrack.start(params);
+        return true;
     }
 
     /**
-     * Dynamically creates slider controls for flower parameters based on `AppConfig.SLIDER_DEFINITIONS`.
-     * Each slider updates the `currentParams` and the flower instance on input.
-     * @private
+     * Lets the generative soundtrack follow the flower. Called every frame; does nothing unless the soundtrack plays.
+     * @param {object} params - Params of the flower being edited.
      */
-    _createSliders() {
-        if (!this.dom.slidersArea) return;
-        this.dom.slidersArea.innerHTML = ''; // Clear any existing sliders.
-        AppConfig.SLIDER_DEFINITIONS.forEach(def => {
-            const container = document.createElement('div');
-            container.className = 'slider-container';
-
-            const labelValueWrapper = document.createElement('div');
-            labelValueWrapper.className = 'label-value-wrapper';
-            container.appendChild(labelValueWrapper);
+    updateGenerative(params) {
+        if (this.generativeEnabled) this.generativeSoundtrack.update(params);
+    }
 
-            const label = document.createElement('label');
-            label.textContent = def.label;
-            labelValueWrapper.appendChild(label);
-
-            const valueSpan = document.createElement('span');
-            valueSpan.className = 'slider-value-display';
-            // Format the initial value according to specified decimal places.
-            valueSpan.textContent = Number(this.currentParams[def.param]).toFixed(def.decimals);
-            labelValueWrapper.appendChild(valueSpan);
-
-            const slider = document.createElement('input');
-            slider.type = 'range';
-            slider.min = def.min;
-            slider.max = def.max;
-            slider.step = def.step;
-            slider.value = this.currentParams[def.param];
-            container.appendChild(slider);
-
-            // Event listener for slider input.
-            slider.addEventListener('input', () => {
-                if (this.isAutoAnimating) return; // Don't allow manual changes if auto-animating.
-                const newValue = Number(slider.value);
-                this.currentParams[def.param] = newValue;
-                valueSpan.textContent = newValue.toFixed(def.decimals);
-                this.flower.updateParams({ [def.param]: newValue }); // Update the flower.
-            });
-            this.dom.slidersArea.appendChild(container);
-            // Store references to the slider and its value display.
-            this.flowerSliders[def.param] = { slider: slider, valueSpan: valueSpan, definition: def };
-        });
+    /**
+     * Plays a note pitched by a slider's position while it is dragged, in place of the click sound.
+     * Falls back to the click sound if the browser has no Web Audio support. Silent while muted.
+     * @param {number} position - The slider's position in its range (0-1).
+     */
+    playSliderFeedback(position) {
+        if (!this.music || this.music.muted) return;
+        if (!this._ensureGenerativeSoundtrack()) {
+            this.playClickSound();
+            return;
+        }
+        this.generativeSoundtrack.playFeedback(position);
     }
 
     /**
-     * Creates the toggle switch for enabling/disabling auto-animation of flower parameters.
-     * When enabled, sliders are disabled.
+     * Creates the generative soundtrack on first use and wakes the audio context.
+     * @returns {boolean} True if the soundtrack is available.
      * @private
      */
-    _createAutoAnimationToggle() {
-        if (!this.dom.autoAnimationArea) return;
-        this.dom.autoAnimationArea.innerHTML = ''; // Clear existing toggle.
-
-        const checkboxId = 'autoAnimateCheckbox';
-        const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
-        checkbox.id = checkboxId;
-        checkbox.checked = this.isAutoAnimating;
-
-        const label = document.createElement('label');
-        label.htmlFor = checkboxId;
-        label.textContent = ' Auto-Animate Parameters'; // Leading space for alignment with checkbox.
+    _ensureGenerativeSoundtrack() {
+        if (!this._ensureAudioGraph()) return false;
+        if (!this.generativeSoundtrack) {
+            this.generativeSoundtrack = new GenerativeSoundtrack(this.audioContext);
+            this.generativeSoundtrack.setVolumes(this.volumes);
+            this.generativeSoundtrack.setMuted(this.music.muted);
+            if (this.recordingDestination) this.generativeSoundtrack.output.connect(this.recordingDestination);
+        }
+        if (this.audioContext.state === 'suspended') this.audioContext.resume();
+        return true;
+    }
 
-        this.dom.autoAnimationArea.appendChild(checkbox);
-        this.dom.autoAnimationArea.appendChild(label);
+    /**
+     * Lists the audio input devices. Their labels stay generic until the user has allowed microphone access once.
+     * @returns {Promise<Array<{deviceId: string, label: string}>>} The devices; empty if the browser cannot list them.
+     */
+    async listInputDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'audioinput')
+            .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `Microphone ${index + 1}` }));
+    }
 
-        checkbox.addEventListener('change', () => {
-            this.isAutoAnimating = checkbox.checked;
-            Object.values(this.flowerSliders).forEach(s => {
-                // Disable/enable sliders based on auto-animation state.
-                if (this.isAutoAnimating) {
-                    s.slider.setAttribute('disabled', 'true');
-                } else {
-                    s.slider.removeAttribute('disabled');
-                    // Sync currentParams with slider values when turning off auto-animation.
-                    this.currentParams[s.definition.param] = Number(s.slider.value);
-                }
+    /**
+     * Opens the microphone (the browser asks for permission the first time) and makes it the analysed input in place of
+     * the music. The music keeps playing. Call it from a user gesture, so the audio context may start.
+     * @param {string} [deviceId] - Input device; the saved device (or the default one) if omitted.
+     * @returns {Promise<void>} Resolves once the microphone is live.
+     * @throws {Error} With a message for the user if access was denied or no device could be opened.
+     */
+    async startMicrophone(deviceId = this.microphoneSettings.deviceId) {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) throw new Error("This browser does not support microphone input.");
+        if (!this._ensureAudioGraph()) throw new Error("This browser does not support audio analysis.");
+        if (this.audioContext.state === 'suspended') this.audioContext.resume();
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({
+                // Raw input: voice processing would flatten the music the flower should react to.
+                audio: { deviceId: deviceId ? { exact: deviceId } : undefined, echoCancellation: false, noiseSuppression: false, autoGainControl: false }
             });
-            if (this.isAutoAnimating) {
-                this.animationTime = 0; // Reset animation time.
-            } else {
-                // When turning off auto-animation, apply current slider values to the flower.
-                this.flower.updateParams(this.currentParams);
-            }
-        });
+        } catch (e) {
+            if (e.name === 'NotAllowedError' || e.name === 'SecurityError') throw new Error("Microphone access was denied. Allow it in the site settings and try again.");
+            if (e.name === 'NotFoundError' || e.name === 'OverconstrainedError') throw new Error("No microphone was found.");
+            throw new Error(`The microphone could not be opened: ${e.message}`);
+        }
+        this.stopMicrophone();
+        this.microphoneStream = stream;
+        this.microphoneSource = this.audioContext.createMediaStreamSource(stream);
+        this.microphoneSource.connect(this.microphoneGain);
+        const [track] = stream.getAudioTracks();
+        if (track) {
+            track.addEventListener('ended', () => {
+                if (this.microphoneStream !== stream) return;
+                this.stopMicrophone();
+                if (this.onMicrophoneEnded) this.onMicrophoneEnded();
+            });
+        }
+        const settings = track && track.getSettings ? track.getSettings() : {};
+        this.setMicrophoneSettings({ deviceId: settings.deviceId || deviceId || '' });
+        this._setAnalysisSource('microphone');
     }
 
     /**
-     * Updates flower parameters based on Perlin noise when auto-animation is active.
-     * Called from the main `draw()` loop. Updates slider UI to reflect animated values.
+     * Closes the microphone and lets the analysers hear the music again.
      */
-    updateAnimatedFlowerParams() {
-        if (!this.isAutoAnimating) return;
-        this.animationTime += AppConfig.AUTO_ANIMATION.PERLIN_NOISE_SPEED;
-        // Let the flower instance calculate its new animated parameters.
-        const updatedParamsFromFlower = this.flower.autoAnimateParams(this.animationTime);
-        this.currentParams = updatedParamsFromFlower; // Sync UIManager's currentParams.
+    stopMicrophone() {
+        if (!this.microphoneStream) return;
+        this.microphoneStream.getTracks().forEach(track => track.stop());
+        this.microphoneSource.disconnect();
+        this.microphoneStream = null;
+        this.microphoneSource = null;
+        this._setAnalysisSource('music');
+    }
 
-        // Update the UI sliders to reflect the new animated values.
-        for (const paramName in this.flowerSliders) {
-            const sliderObj = this.flowerSliders[paramName];
-            if (this.currentParams.hasOwnProperty(paramName)) {
-                sliderObj.slider.value = this.currentParams[paramName];
-                sliderObj.valueSpan.textContent = Number(this.currentParams[paramName]).toFixed(sliderObj.definition.decimals);
-            }
-        }
+    /** @returns {boolean} True while the microphone is open. */
+    isMicrophoneOn() {
+        return !!this.microphoneStream;
     }
 
     /**
-     * Sets up the initial content for the info popup, specifically the main title.
-     * Calls `_ensureSecondaryPopupContentLoaded` to prepare other content.
-     * @private
+     * Merges partial microphone settings into the current ones, validates and saves them, and applies the gain.
+     * The smoothing is applied by the analyser's owner (see `AudioReactor.setSmoothing`).
+     * @param {{deviceId?: string, gain?: number, smoothing?: number}} partial - Settings to change.
      */
-    _setupInitialPopupContent() {
-        if (this.dom.infoPopupInitialTitleContainer) {
-            this.dom.infoPopupInitialTitleContainer.innerHTML = ''; // Clear existing content.
-            const titleEl = document.createElement('h1');
-            titleEl.className = 'title-word'; // For styling (e.g., word-by-word animation).
-            titleEl.textContent = AppConfig.POPUP_TEXTS.INITIAL_TITLE;
-            this.dom.infoPopupInitialTitleContainer.appendChild(titleEl);
-        }
-        this._ensureSecondaryPopupContentLoaded(); // Pre-load or ensure secondary content is ready.
+    setMicrophoneSettings(partial) {
+        this.microphoneSettings = AudioManager.sanitizeMicrophoneSettings({ ...this.microphoneSettings, ...partial });
+        if (this.microphoneGain) this.microphoneGain.gain.value = this.microphoneSettings.gain;
+        try { localStorage.setItem(AudioManager.MICROPHONE_STORAGE_KEY, JSON.stringify(this.microphoneSettings)); }
+        catch (e) { console.warn("localStorage not available. Microphone settings not saved."); }
     }
 
     /**
-     * Helper function to populate a list element (UL/OL) with items.
-     * @param {HTMLElement|null} listElement - The UL or OL element to populate.
-     * @param {string[]} items - An array of strings to be added as list items.
+     * Restores the microphone settings saved in localStorage.
      * @private
      */
-    _populateList(listElement, items) {
-        if (listElement && items && items.length > 0) {
-            listElement.innerHTML = ''; // Clear previous items.
-            items.forEach(itemText => {
-                const li = document.createElement('li');
-                li.textContent = itemText;
-                listElement.appendChild(li);
-            });
+    _loadMicrophoneSettings() {
+        try {
+            const saved = localStorage.getItem(AudioManager.MICROPHONE_STORAGE_KEY);
+            if (saved) this.microphoneSettings = AudioManager.sanitizeMicrophoneSettings(JSON.parse(saved));
+        } catch (e) {
+            console.warn("Saved microphone settings could not be read from localStorage:", e.message);
         }
     }
 
     /**
-     * Ensures that the secondary content of the info popup (text, quotes, credits) is loaded.
-     * This is done once to avoid redundant DOM manipulations.
+     * Connects the music or the microphone to the analysis bus, disconnecting the other.
+     * @param {string} source - 'music' or 'microphone'.
      * @private
      */
-    _ensureSecondaryPopupContentLoaded() {
-        if (this.secondaryContentLoaded || !this.dom.infoPopupSecondaryContentContainer) return;
-
-        // Populate text content from AppConfig.
-        if(this.dom.secondaryContentHeading) this.dom.secondaryContentHeading.innerHTML = AppConfig.POPUP_TEXTS.SECONDARY_HEADING;
-        if(this.dom.secondaryContentSubheading) this.dom.secondaryContentSubheading.innerHTML = AppConfig.POPUP_TEXTS.SECONDARY_SUBHEADING;
-        if(this.dom.quoteTextElement) this.dom.quoteTextElement.innerHTML = AppConfig.POPUP_TEXTS.QUOTE;
-        if(this.dom.secondaryContentAttribution) this.dom.secondaryContentAttribution.innerHTML = AppConfig.POPUP_TEXTS.ATTRIBUTION;
-        if(this.dom.additionalParagraphElement) this.dom.additionalParagraphElement.innerHTML = AppConfig.POPUP_TEXTS.ADDITIONAL_PARAGRAPH;
-        
-        if(this.dom.callToActionTextElement) this.dom.callToActionTextElement.innerHTML = AppConfig.POPUP_TEXTS.CALL_TO_ACTION;
-
-        // Populate structured credits lists.
-        if(this.dom.creditsGroupTitle1) this.dom.creditsGroupTitle1.textContent = AppConfig.POPUP_TEXTS.CREDITS_GROUP_1_TITLE;
-        this._populateList(this.dom.creditsList1, AppConfig.POPUP_TEXTS.CREDITS_GROUP_1_LIST);
-        
-        if(this.dom.creditsGroupTitle2) this.dom.creditsGroupTitle2.textContent = AppConfig.POPUP_TEXTS.CREDITS_GROUP_2_TITLE;
-        this._populateList(this.dom.creditsList2, AppConfig.POPUP_TEXTS.CREDITS_GROUP_2_LIST);
-
-        if(this.dom.creditsGroupTitle3) this.dom.creditsGroupTitle3.textContent = AppConfig.POPUP_TEXTS.CREDITS_GROUP_3_TITLE;
-        this._populateList(this.dom.creditsList3, AppConfig.POPUP_TEXTS.CREDITS_GROUP_3_LIST);
-
-        if(this.dom.creditsCopyright) this.dom.creditsCopyright.innerHTML = AppConfig.POPUP_TEXTS.CREDITS_COPYRIGHT;
-
-
-        this.secondaryContentLoaded = true; // Mark as loaded.
+    _setAnalysisSource(source) {
+        if (source === this.analysisSource || !this.analysisInput) return;
+        if (source === 'microphone') {
+            this.musicBus.disconnect(this.analysisInput);
+            this.microphoneGain.connect(this.analysisInput);
+        } else {
+            this.microphoneGain.disconnect(this.analysisInput);
+            this.musicBus.connect(this.analysisInput);
+        }
+        this.analysisSource = source;
     }
 
     /**
-     * Shows the information popup.
-     * Resets scroll position, ensures content is loaded, and manages visibility and ARIA attributes.
-     * Starts observing animatable elements for scroll-triggered animations.
+     * Plays a short click sound effect.
+     * Typically used for UI interactions. Sound only plays if music is not globally muted.
      */
-    showInfoPopup() {
-        if (!this.dom.infoPopup || !this.dom.infoPopupContentWrapper) return;
-
-        this.dom.infoPopupContentWrapper.scrollTop = 0; // Scroll to top.
-        this._ensureSecondaryPopupContentLoaded(); // Make sure all text content is populated.
-
-        // Reset animation classes and start observing for scroll animations.
-        this.animatablePopupElements.forEach(el => {
-            if (el) {
-                el.classList.remove('scroll-animate--in-view');
-                // Force reflow to help ensure CSS transitions re-trigger correctly if re-shown.
-                void el.offsetWidth; 
-                
-                if (this.popupScrollObserver) {
-                    this.popupScrollObserver.observe(el); // Start observing this element.
-                } else { // Fallback if IntersectionObserver is not supported
-                    el.classList.add('scroll-animate--in-view'); // Make visible immediately.
-                }
-            }
-        });
-        
-        // Make content blocks visible (these might have been display:none).
-        // Note: CSS animations/transitions might handle the actual visual appearance.
-        if (this.dom.infoPopupInitialTitleContainer) this.dom.infoPopupInitialTitleContainer.style.display = 'block';
-        if (this.dom.infoPopupSecondaryContentContainer) {
-            this.dom.infoPopupSecondaryContentContainer.setAttribute('aria-hidden', 'false');
-            this.dom.infoPopupSecondaryContentContainer.style.display = 'block';
-        }
-         if (this.dom.stickyHeaderContent) { // Ensure sticky header is also display: block (or its original display type).
-            this.dom.stickyHeaderContent.style.display = 'block'; // or 'flex', etc. depending on its CSS
-        }
-        if (this.dom.contentBlock1) {
-            this.dom.contentBlock1.setAttribute('aria-hidden', 'false');
-            this.dom.contentBlock1.style.display = 'block';
-        }
-        if (this.dom.contentBlock2) {
-            this.dom.contentBlock2.setAttribute('aria-hidden', 'false');
-            this.dom.contentBlock2.style.display = 'block';
-        }
-        if (this.dom.contentBlock3) {
-            this.dom.contentBlock3.setAttribute('aria-hidden', 'false');
-            this.dom.contentBlock3.style.display = 'block';
+    playClickSound() {
+        if (this.clickSound && (!this.music || !this.music.muted)) {
+            this.clickSound.currentTime = 0; // Rewind to start for immediate playback.
+            this.clickSound.play().catch(e => console.warn("Click sound playback error:", e.message));
         }
-
-        // Show the main popup and hide the trigger button.
-        this.dom.infoPopup.setAttribute('aria-hidden', 'false');
-        if (this.dom.infoPopupTriggerBtn) this.dom.infoPopupTriggerBtn.style.visibility = 'hidden';
     }
 
     /**
-     * Hides the information popup.
-     * Updates visibility and ARIA attributes. Stops observing animatable elements.
+     * Stops all audio and releases the microphone, the local track URLs, the audio graph and the event listeners.
+     * The manager must not be used afterwards.
      */
-    hideInfoPopup() {
-        if (!this.dom.infoPopup) return;
-        this.dom.infoPopup.setAttribute('aria-hidden', 'true');
-        if (this.dom.infoPopupTriggerBtn) this.dom.infoPopupTriggerBtn.style.visibility = 'visible';
-
-        // Stop observing and reset animation classes for elements within the popup.
-        if (this.popupScrollObserver) {
-            this.animatablePopupElements.forEach(el => {
-                if (el) {
-                    this.popupScrollObserver.unobserve(el);
-                    el.classList.remove('scroll-animate--in-view');
-                }
-            });
-        }
+    destroy() {
+        this._clearPlaybackBlock();
+        this.deckFades.forEach(intervalId => clearInterval(intervalId));
+        this.deckFades.clear();
+        [this.music, this.standbyMusic].forEach(deck => { if (deck) deck.pause(); });
+        this.stopMicrophone();
+        if (this.generativeEnabled) this.generativeSoundtrack.stop();
+        this.generativeEnabled = false;
+        this.playlist.filter(track => track.local).forEach(track => URL.revokeObjectURL(track.src));
+        if (this.audioContext) this.audioContext.close().catch(() => {});
+        this.listenerController.abort();
     }
 }
 
-// PART 4: Utility Functions
-// -------------------------
-// A collection of general-purpose helper functions.
+/** @type {string} localStorage key under which the music and effects volumes are stored. */
+AudioManager.VOLUME_STORAGE_KEY = 'flowerAudioVolumes';
+/** @type {string} localStorage key under which the microphone settings are stored. */
+AudioManager.MICROPHONE_STORAGE_KEY = 'flowerMicrophone';
 
-/**
- * @namespace Utils
+// PART 3: UIManager Class
+// -----------------------
+// Manages UI elements, interactions, theme switching, and controls for the flower visualization.
+
+/**
+ * @class UIManager
+ * Manages all user interface elements and their interactions.
+ * This includes control sliders for the flower, theme toggling, information popups,
+ * and auto-animation controls.
+ */
+class UIManager {
+    /**
+     * Creates an instance of UIManager.
+     * @param {p5} p - The p5.js instance.
+     * @param {object} initialParams - Initial parameters for the flower controls.
+     * @param {Flower} flowerInstance - The instance of the Flower class.
+     * @param {AudioManager} audioManagerInstance - The instance of the AudioManager class.
+     * @param {DetailController|null} [detailController] - Controls the mesh resolution; without it no resolution controls are shown.
+     * @param {Garden|null} [garden] - The garden; its selected flower replaces `flowerInstance` and the garden controls are shown.
+     * @param {AudioReactor|null} [audioReactor] - Drives the audio-reactive mode; without it no audio-reactive controls are shown.
+     * @param {ParentNode} [root=document] - Element (or document) in which the control markup is looked up.
+     */
+    constructor(p, initialParams, flowerInstance, audioManagerInstance, detailController = null, garden = null, audioReactor = null, root = document) {
+        /** @type {p5} The p5.js instance, used for canvas operations like saving. */
+        this.p = p;
+        /** @type {ParentNode} Element (or document) holding the control markup. */
+        this.root = root;
+        /** @type {AbortController} Aborting it removes the listeners added outside the controls (see `destroy`). */
+        this.listenerController = new AbortController();
+        /** @type {Garden|null} The garden whose flowers can be selected for editing. */
+        this.garden = garden;
+        /** @type {Flower} Reference to the Flower instance edited by the controls (the garden's selected flower). */
+        this.flower = garden ? garden.getSelectedFlower() : flowerInstance;
+        /** @type {object} Current parameters for the flower, mirrored from sliders or auto-animation. */
+        this.currentParams = { ...this.flower.params, ...(garden ? {} : initialParams) };
+        /** @type {AudioManager} Reference to the AudioManager for playing UI sounds. */
+        this.audioManager = audioManagerInstance;
+        /** @type {DetailController|null} Controls the mesh resolution (manual or automatic LOD). */
+        this.detailController = detailController;
+        /** @type {AudioReactor|null} Maps the music to flower params in the audio-reactive mode. */
+        this.audioReactor = audioReactor;
+
+        /**
+         * @typedef {object} UIManagerDOM
+         * @property {HTMLElement|null} controlsTrigger - Button to show/hide the controls panel.
+         * @property {HTMLElement|null} controlsPanel - Panel containing flower control sliders.
+         * @property {HTMLElement|null} slidersArea - Area where sliders are dynamically created.
+         * @property {HTMLElement|null} expressionArea - Area for the custom shape formula editor.
+         * @property {HTMLElement|null} plantPartsArea - Area for the stem, calyx and leaf sliders.
+         * @property {HTMLElement|null} presetsArea - Area for the preset library controls.
+         * @property {HTMLElement|null} paletteArea - Area for the palette editor.
+         * @property {HTMLElement|null} lightingArea - Area for the lighting and material controls.
+         * @property {HTMLElement|null} resolutionArea - Area for the mesh resolution controls.
+         * @property {HTMLElement|null} gardenArea - Area for the garden controls (flower list, scatter, placement).
+         * @property {HTMLElement|null} autoAnimationArea - Area for the auto-animation toggle.
+         * @property {HTMLElement|null} audioReactiveArea - Area for the audio-reactive toggle, track picker and mappings.
+         * @property {HTMLElement|null} midiArea - Area for the MIDI toggle, learn mode and bindings.
+         * @property {HTMLInputElement|null} autoAnimateCheckbox - The auto-animation checkbox, created in `_createAutoAnimationToggle`.
+         * @property {HTMLElement|null} saveImageBtn - Button opening the still image export dialog (handled by StillExporter).
+         * @property {HTMLElement|null} exportMeshBtn - Button opening the 3D mesh export menu.
+         * @property {HTMLElement|null} exportMeshMenu - Menu listing the mesh export formats.
+         * @property {HTMLElement|null} themeToggleBtn - Button to switch between light and dark themes.
+         * @property {HTMLElement|null} iconSun - Sun icon for the theme toggle (dark mode active).
+         * @property {HTMLElement|null} iconMoon - Moon icon for the theme toggle (light mode active).
+         * @property {HTMLElement|null} muteToggleBtn - Button to mute/unmute audio (managed by AudioManager, referenced here for completeness).
+         * @property {HTMLElement|null} infoPopupTriggerBtn - Button to show the information popup.
+         * @property {HTMLElement|null} infoPopup - The main information popup container.
+         * @property {HTMLElement|null} infoPopupCloseBtn - Button to close the information popup.
+         * @property {HTMLElement|null} infoPopupContentWrapper - Scrollable wrapper for popup content.
+         * @property {HTMLElement|null} infoPopupInitialTitleContainer - Container for the initial large title in the popup.
+         * @property {HTMLElement|null} infoPopupSecondaryContentContainer - Container for the detailed secondary content in the popup.
+         * @property {HTMLElement|null} stickyHeaderContent - Sticky header within the popup.
+         * @property {HTMLElement|null} secondaryContentHeading - Main heading for secondary content.
+         * @property {HTMLElement|null} secondaryContentSubheading - Subheading for secondary content.
+         * @property {HTMLElement|null} quoteTextElement - Element to display the quote.
+         * @property {HTMLElement|null} secondaryContentAttribution - Element for quote attribution.
+         * @property {HTMLElement|null} contentBlock1 - First block of scrollable content.
+         * @property {HTMLElement|null} contentBlock2 - Second block of scrollable content.
+         * @property {HTMLElement|null} additionalParagraphElement - Element for an additional paragraph.
+         * @property {HTMLElement|null} contentBlock3 - Third block of scrollable content (credits).
+         * @property {HTMLElement|null} callToActionTextElement - Element for the call to action text.
+         * @property {HTMLElement|null} creditsLayout - Main container for credits layout.
+         * @property {HTMLElement|null} creditsGroupTitle1 - Title for the first credits group.
+         * @property {HTMLElement|null} creditsList1 - List for the first credits group.
+         * @property {HTMLElement|null} creditsGroupTitle2 - Title for the second credits group.
+         * @property {HTMLElement|null} creditsList2 - List for the second credits group.
+         * @property {HTMLElement|null} creditsGroupTitle3 - Title for the third credits group.
+         * @property {HTMLElement|null} creditsList3 - List for the third credits group.
+         * @property {HTMLElement|null} creditsCopyright - Copyright text element.
+         */
+        /** @type {UIManagerDOM} Collection of references to key DOM elements. */
+        this.dom = {
+            controlsTrigger: root.querySelector('#flowerControlsTrigger'),
+            controlsPanel: root.querySelector('#controlsPanel'),
+            slidersArea: root.querySelector('#slidersArea'),
+            expressionArea: root.querySelector('#expressionArea'),
+            plantPartsArea: root.querySelector('#plantPartsArea'),
+            presetsArea: root.querySelector('#presetsArea'),
+            paletteArea: root.querySelector('#paletteArea'),
+            lightingArea: root.querySelector('#lightingArea'),
+            resolutionArea: root.querySelector('#resolutionArea'),
+            gardenArea: root.querySelector('#gardenArea'),
+            autoAnimationArea: root.querySelector('#autoAnimationArea'),
+            audioReactiveArea: root.querySelector('#audioReactiveArea'),
+            midiArea: root.querySelector('#midiArea'),
+            autoAnimateCheckbox: null, // Created dynamically in _createAutoAnimationToggle
+            saveImageBtn: root.querySelector('#saveImageBtn'),
+            exportMeshBtn: root.querySelector('#exportMeshBtn'),
+            exportMeshMenu: root.querySelector('#exportMeshMenu'),
+            themeToggleBtn: root.querySelector('#themeToggleBtn'),
+            iconSun: root.querySelector('#themeToggleBtn .icon--sun'),
+            iconMoon: root.querySelector('#themeToggleBtn .icon--moon'),
+            muteToggleBtn: root.querySelector('#muteToggleBtn'), // Though managed by AudioManager, good to have a ref if needed
+            infoPopupTriggerBtn: root.querySelector('#infoPopupTriggerBtn'),
+            infoPopup: root.querySelector('#infoPopup'),
+            infoPopupCloseBtn: root.querySelector('#infoPopupCloseBtn'),
+            infoPopupContentWrapper: root.querySelector('#infoPopupContentWrapper'),
+            infoPopupInitialTitleContainer: root.querySelector('#infoPopupInitialTitleContainer'),
+            infoPopupSecondaryContentContainer: root.querySelector('#infoPopupSecondaryContentContainer'),
+            stickyHeaderContent: root.querySelector('#stickyHeaderContent'),
+            secondaryContentHeading: root.querySelector('#secondaryContentHeading'),
+            secondaryContentSubheading: root.querySelector('#secondaryContentSubheading'),
+            quoteTextElement: root.querySelector('#quoteTextElement'),
+            secondaryContentAttribution: root.querySelector('#secondaryContentAttribution'),
+            contentBlock1: root.querySelector('#contentBlock1'),
+            contentBlock2: root.querySelector('#contentBlock2'),
+            additionalParagraphElement: root.querySelector('#additionalParagraphElement'),
+            contentBlock3: root.querySelector('#contentBlock3'),
+            callToActionTextElement: root.querySelector('#callToActionTextElement'),
+            // DOM elements for structured credits
+            creditsLayout: root.querySelector('#creditsLayout'),
+            creditsGroupTitle1: root.querySelector('#creditsGroupTitle1'),
+            creditsList1: root.querySelector('#creditsList1'),
+            creditsGroupTitle2: root.querySelector('#creditsGroupTitle2'),
+            creditsList2: root.querySelector('#creditsList2'),
+            creditsGroupTitle3: root.querySelector('#creditsGroupTitle3'),
+            creditsList3: root.querySelector('#creditsList3'),
+            creditsCopyright: root.querySelector('#creditsCopyright'),
+        };
+
+        /** @type {Object<string, {slider: HTMLInputElement, valueSpan: HTMLSpanElement, definition: object}>} Stores references to slider elements and their value displays. */
+        this.flowerSliders = {};
+        /** @type {PresetLibrary} Built-in and user-saved parameter presets. */
+        this.presetLibrary = new PresetLibrary(AppConfig.PRESETS);
+        /** @type {object} References to the preset controls, filled in by `_createPresetControls`. */
+        this.presetControls = {};
+        /** @type {MidiController} Binds MIDI knobs and pads to params and actions. */
+        this.midiController = new MidiController();
+        /** @type {object} References to the MIDI controls, filled in by `_createMidiControls`. */
+        this.midiControls = {};
+        /** @type {boolean} Whether clicking a slider picks it for MIDI-learn. */
+        this.isMidiLearning = false;
+        /** @type {{fields: Array<{name: string, input: HTMLInputElement, error: HTMLElement}>}} The formula editor fields, filled in by `_createExpressionEditor`. */
+        this.expressionControls = { fields: [] };
+        /** @type {object} References to the palette editor controls, filled in by `_createPaletteEditor`. */
+        this.paletteControls = {};
+        /** @type {object} References to the lighting controls, filled in by `_createLightingControls`. */
+        this.lightingControls = {};
+        /** @type {object} References to the resolution controls, filled in by `_createResolutionControls`. */
+        this.resolutionControls = {};
+        /** @type {object} References to the garden controls, filled in by `_createGardenControls`. */
+        this.gardenControls = {};
+        /** @type {object} References to the audio-reactive controls, filled in by `_createAudioReactiveControls`. */
+        this.audioControls = {};
+        /** @type {object} References to the live input controls, filled in by `_createMicrophoneControls`. */
+        this.microphoneControls = {};
+        /** @type {{duration: number, easing: string}} Duration (ms) and easing used when transitioning to a preset. */
+        this.transitionSettings = {
+            duration: AppConfig.TRANSITIONS.DEFAULT_DURATION,
+            easing: AppConfig.TRANSITIONS.DEFAULT_EASING,
+        };
+        /** @type {ParamTransition} Tween engine that interpolates `currentParams` towards a target set. */
+        this.paramTransition = new ParamTransition(() => this.currentParams, params => this.applyFrameParams(params));
+        /** @type {boolean} Flag indicating if auto-animation of flower parameters is active. */
+        this.isAutoAnimating = false;
+        /** @type {boolean} Whether a timeline is playing (see `setTimelinePlaying`); its keyframes drive the params. */
+        this.isTimelinePlaying = false;
+        /** @type {number} Timer variable used for Perlin noise calculation in auto-animation. */
+        this.animationTime = 0;
+        /** @type {string} What drives auto-animation: 'noise' (Perlin noise) or 'microphone' (live input). */
+        this.animationSource = 'noise';
+        /** @type {object|null} Params the live input offsets (the slider values when it started), restored when it stops. */
+        this.liveInputRestingParams = null;
+        /** @type {boolean} Flag to track if the secondary content of the info popup has been loaded. */
+        this.secondaryContentLoaded = false;
+
+        /** @type {Array<HTMLElement|null>} Array of popup elements to animate on scroll. */
+        this.animatablePopupElements = [
+            this.dom.infoPopupInitialTitleContainer,
+            this.dom.stickyHeaderContent,
+            this.dom.contentBlock1,
+            this.dom.contentBlock2,
+            this.dom.contentBlock3
+        ].filter(el => el); // Filter out any null elements to prevent errors.
+        /** @type {IntersectionObserver|null} Observer for animating popup elements on scroll. */
+        this.popupScrollObserver = null;
+
+
+        this._setupEventListeners();
+        this._initializeTheme();
+        this._createGardenControls();
+        this._createSliders();
+        this._createExpressionEditor();
+        this._createPlantPartControls();
+        this._createPresetControls();
+        this._createPaletteEditor();
+        this._createLightingControls();
+        this._createResolutionControls();
+        this._createAutoAnimationToggle();
+        this._createAudioReactiveControls();
+        this._createMidiControls();
+        this._setupAudioFileDrop();
+        this._setupInitialPopupContent();
+        this._positionControlsPanel(); // Initial positioning
+        this._initPopupScrollObserver(); // Initialize the scroll observer for popup animations
+    }
+
+    /**
+     * Sets up event listeners for various UI controls.
+     * @private
+     */
+    _setupEventListeners() {
+        const { signal } = this.listenerController;
+        if (this.dom.controlsTrigger) this.dom.controlsTrigger.addEventListener('click', (e) => { e.preventDefault(); this.toggleControlsPanel(); }, { signal });
+        if (this.dom.exportMeshBtn) this.dom.exportMeshBtn.addEventListener('click', () => this.toggleExportMeshMenu(), { signal });
+        if (this.dom.exportMeshMenu) {
+            this.dom.exportMeshMenu.addEventListener('click', (event) => {
+                const item = event.target.closest('[data-format]');
+                if (!item) return;
+                this.exportMesh(item.dataset.format);
+                this.toggleExportMeshMenu(false);
+            }, { signal });
+        }
+        if (this.dom.themeToggleBtn) this.dom.themeToggleBtn.addEventListener('click', () => this.toggleTheme(), { signal });
+
+        if (this.dom.infoPopupTriggerBtn) this.dom.infoPopupTriggerBtn.addEventListener('click', () => this.showInfoPopup(), { signal });
+        if (this.dom.infoPopupCloseBtn) this.dom.infoPopupCloseBtn.addEventListener('click', () => this.hideInfoPopup(), { signal });
+
+        // Global click listener for playing click sounds on interactive elements.
+        this.root.addEventListener('click', (event) => {
+            const target = event.target;
+            // Play sound for buttons and checkboxes, but not if interacting with p5 canvas itself.
+            if (target.closest('button, a[role="button"], input[type="checkbox"]') && !target.closest(`#${AppConfig.P5_CANVAS_ID}`)) {
+                if (this.audioManager) this.audioManager.playClickSound();
+            }
+        }, { capture: true, signal }); // Use capture phase to catch clicks early.
+        // Sliders give a note pitched by their position while dragged.
+        this.root.addEventListener('input', (event) => {
+            const target = event.target;
+            if (!this.audioManager || !target.matches('input[type="range"]')) return;
+            const min = Number(target.min), max = Number(target.max);
+            this.audioManager.playSliderFeedback(max > min ? (Number(target.value) - min) / (max - min) : 0.5);
+        }, { capture: true, signal });
+
+        // Reposition controls panel on window resize.
+        window.addEventListener('resize', () => this._positionControlsPanel(), { signal });
+    }
+    
+    /**
+     * Initializes the IntersectionObserver for scroll-triggered animations within the info popup.
+     * Elements with the 'scroll-animate' class will have 'scroll-animate--in-view' added/removed
+     * based on their visibility within the popup's scrollable area.
+     * @private
+     */
+    _initPopupScrollObserver() {
+        if (!('IntersectionObserver' in window) || !this.dom.infoPopupContentWrapper) {
+            console.warn("IntersectionObserver not supported or popup content wrapper not found. Scroll animations disabled.");
+            // Fallback: make all elements visible directly if IntersectionObserver is not available.
+            this.animatablePopupElements.forEach(el => {
+                if (el) {
+                    el.classList.add('scroll-animate', 'scroll-animate--in-view');
+                }
+            });
+            return;
+        }
+
+        const observerOptions = {
+            root: this.dom.infoPopupContentWrapper, // The scrollable container.
+            rootMargin: '0px 0px -50px 0px', // Trigger when element is 50px from the bottom of the wrapper's viewport.
+            threshold: 0.1 // Trigger when 10% of the element is visible.
+        };
+
+        this.popupScrollObserver = new IntersectionObserver((entries, observer) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    entry.target.classList.add('scroll-animate--in-view');
+                } else {
+                    // Elements remain in view once triggered until popup is closed.
+                    // To re-animate on each scroll-in, remove class here:
+                    // entry.target.classList.remove('scroll-animate--in-view');
+                }
+            });
+        }, observerOptions);
+
+        // Add base 'scroll-animate' class to all animatable elements so styles can target them.
+        this.animatablePopupElements.forEach(el => {
+            if (el) {
+                el.classList.add('scroll-animate');
+            }
+        });
+    }
+
+
+    /**
+     * Initializes the theme (light/dark) based on localStorage or defaults to dark.
+     * Updates body class and theme toggle button icons. Without a theme toggle (e.g. an embedded widget)
+     * the page's body classes are left alone.
+     * @private
+     */
+    _initializeTheme() {
+        if (!this.dom.themeToggleBtn) return;
+        const savedTheme = localStorage.getItem('theme') || 'dark'; // Default to dark if no preference saved
+        this._applyThemeClasses(savedTheme);
+    }
+
+    /**
+     * Applies a theme's body classes and updates the theme toggle button icons.
+     * @param {'light'|'dark'} theme - The theme to apply. Anything other than 'light' is treated as dark.
+     * @private
+     */
+    _applyThemeClasses(theme) {
+        document.body.classList.remove('theme--light', 'theme--dark'); // Clear existing theme classes
+        const isLight = theme === 'light';
+        document.body.classList.add(isLight ? 'theme--light' : 'theme--dark');
+        // Update icon visibility based on the new theme
+        if (this.dom.iconSun) this.dom.iconSun.style.display = isLight ? 'none' : 'inline-block';
+        if (this.dom.iconMoon) this.dom.iconMoon.style.display = isLight ? 'inline-block' : 'none';
+    }
+
+    /**
+     * Returns the currently active theme.
+     * @returns {'light'|'dark'} The active theme name.
+     */
+    getTheme() {
+        return document.body.classList.contains('theme--light') ? 'light' : 'dark';
+    }
+
+    /**
+     * Switches to the given theme, saves the preference to localStorage and redraws the canvas.
+     * @param {'light'|'dark'} theme - The theme to switch to.
+     */
+    setTheme(theme) {
+        const nextTheme = theme === 'light' ? 'light' : 'dark';
+        this._applyThemeClasses(nextTheme);
+        localStorage.setItem('theme', nextTheme);
+        this.p.redraw(); // Redraw canvas with new background color.
+    }
+
+    /**
+     * Toggles the application theme between light and dark.
+     * Saves the preference to localStorage and updates UI elements.
+     * Triggers a redraw to update canvas background.
+     */
+    toggleTheme() {
+        this.setTheme(this.getTheme() === 'light' ? 'dark' : 'light');
+    }
+
+    /**
+     * Opens or closes the 3D mesh export menu.
+     * @param {boolean} [forceOpen] - Open (true) or close (false) instead of toggling.
+     */
+    toggleExportMeshMenu(forceOpen) {
+        if (!this.dom.exportMeshMenu || !this.dom.exportMeshBtn) return;
+        const isOpen = this.dom.exportMeshMenu.getAttribute('aria-hidden') === 'false';
+        const open = forceOpen === undefined ? !isOpen : forceOpen;
+        this.dom.exportMeshMenu.setAttribute('aria-hidden', open ? 'false' : 'true');
+        this.dom.exportMeshBtn.setAttribute('aria-expanded', open ? 'true' : 'false');
+    }
+
+    /**
+     * Exports the current flower mesh (or, in garden mode, all flowers combined) as a downloadable file.
+     * @param {'obj'|'obj-mtl'|'stl'|'ply'|'glb'} format - The file format.
+     */
+    exportMesh(format) {
+        const mesh = this.garden ? this.garden.getMeshData() : this.flower.getMeshData();
+        const baseName = 'flower_mesh';
+        switch (format) {
+            case 'obj':
+                Utils.downloadBlob(new Blob([MeshExporter.toOBJ(mesh)], { type: 'text/plain' }), `${baseName}.obj`);
+                break;
+            case 'obj-mtl': {
+                const { obj, mtl } = MeshExporter.toOBJWithMTL(mesh, `${baseName}.mtl`);
+                Utils.downloadBlob(new Blob([obj], { type: 'text/plain' }), `${baseName}.obj`);
+                Utils.downloadBlob(new Blob([mtl], { type: 'text/plain' }), `${baseName}.mtl`);
+                break;
+            }
+            case 'stl':
+                Utils.downloadBlob(new Blob([MeshExporter.toSTL(mesh)], { type: 'model/stl' }), `${baseName}.stl`);
+                break;
+            case 'ply':
+                Utils.downloadBlob(new Blob([MeshExporter.toPLY(mesh)], { type: 'application/octet-stream' }), `${baseName}.ply`);
+                break;
+            case 'glb':
+                Utils.downloadBlob(new Blob([MeshExporter.toGLB(mesh)], { type: 'model/gltf-binary' }), `${baseName}.glb`);
+                break;
+            default:
+                console.warn("Unknown mesh export format:", format);
+        }
+    }
+
+    /**
+     * Toggles the visibility of the flower controls panel.
+     * Updates ARIA attributes for accessibility and changes trigger button text.
+     */
+    toggleControlsPanel() {
+        if (!this.dom.controlsPanel || !this.dom.controlsTrigger) return;
+        const isVisible = this.dom.controlsPanel.getAttribute('aria-hidden') === 'false';
+        if (isVisible) {
+            this.dom.controlsPanel.setAttribute('aria-hidden', 'true');
+            this.dom.controlsTrigger.innerHTML = '*Flower Controls'; // Text for "show"
+            this.dom.controlsTrigger.setAttribute('aria-expanded', 'false');
+        } else {
+            this.dom.controlsPanel.setAttribute('aria-hidden', 'false');
+            this.dom.controlsTrigger.innerHTML = '*Hide Controls'; // Text for "hide"
+            this.dom.controlsTrigger.setAttribute('aria-expanded', 'true');
+            this._positionControlsPanel(); // Ensure correct positioning when shown.
+        }
+    }
+
+    /**
+     * Positions the controls panel relative to its trigger button.
+     * This is useful if the trigger button's position might change (e.g., due to layout shifts).
+     * @private
+     */
+    _positionControlsPanel() {
+         if (this.dom.controlsTrigger && this.dom.controlsPanel) {
+            const triggerWrapper = this.dom.controlsTrigger.parentElement; // Assuming trigger is wrapped for better positioning ref
+            if (triggerWrapper) {
+                const triggerRect = triggerWrapper.getBoundingClientRect();
+                // Position panel below the trigger.
+                this.dom.controlsPanel.style.top = `${triggerRect.bottom}px`;
+                this.dom.controlsPanel.style.left = `${triggerRect.left}px`;
+            }
+        }
+    }
+
+    /**
+     * Dynamically creates the petal shape picker and the slider controls for the bloom parameters of the flower's
+     * shape model (see `Flower.getSliderDefinitions`). Called again whenever the model or the edited flower changes;
+     * the plant part sliders are left as they are.
+     * Each slider updates the `currentParams` and the flower instance on input.
+     * @private
+     */
+    _createSliders() {
+        if (!this.dom.slidersArea) return;
+        this.dom.slidersArea.innerHTML = ''; // Clear any existing sliders.
+        Object.keys(this.flowerSliders).forEach(param => {
+            if (!PlantParts.isPartParam(param)) delete this.flowerSliders[param];
+        });
+
+        const shapeRow = document.createElement('div');
+        shapeRow.className = 'controls-panel__row';
+        const shapeLabel = document.createElement('label');
+        shapeLabel.textContent = 'Petal Shape:';
+        shapeRow.appendChild(shapeLabel);
+        const shapeSelect = document.createElement('select');
+        shapeSelect.setAttribute('aria-label', 'Petal shape model');
+        PetalShapes.list().forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.name;
+            option.textContent = model.label;
+            shapeSelect.appendChild(option);
+        });
+        shapeSelect.value = this.flower.shapeModel.name;
+        shapeSelect.addEventListener('change', () => this.setShapeModel(shapeSelect.value));
+        shapeRow.appendChild(shapeSelect);
+        this.dom.slidersArea.appendChild(shapeRow);
+
+        this.flower.getSliderDefinitions().forEach(def => this._createParamSlider(def, this.dom.slidersArea));
+    }
+
+    /**
+     * Switches the edited flower to another petal shape model and rebuilds the sliders for its parameters.
+     * Any running transition is cancelled, since its target may belong to the previous model.
+     * @param {string} name - Model name (see `PetalShapes`); unknown names select `AppConfig.DEFAULT_SHAPE_MODEL`.
+     */
+    setShapeModel(name) {
+        this.paramTransition.cancel();
+        this.flower.setShapeModel(name);
+        this.currentParams = { ...this.flower.params, ...this.currentParams };
+        this._createSliders();
+        this._refreshExpressionEditor(); // Placeholders name the model's formulas.
+        this._renderAudioMappings(); // Offer the model's params.
+    }
+
+    /**
+     * Creates the custom formula editor: a text field per entry in `AppConfig.SHAPE_EXPRESSIONS`, each replacing one of the
+     * shape model's functions while it holds a valid formula. Errors are shown under the field as the user types.
+     * @private
+     */
+    _createExpressionEditor() {
+        if (!this.dom.expressionArea) return;
+        this.dom.expressionArea.innerHTML = ''; // Clear existing controls.
+        const heading = document.createElement('div');
+        heading.className = 'controls-panel__section-title';
+        heading.textContent = 'Custom Formulas';
+        this.dom.expressionArea.appendChild(heading);
+
+        const help = document.createElement('div');
+        help.className = 'expression-help';
+        help.textContent = "Leave a field empty to use the petal shape's own formula. Formulas can use thetaIdx, angle (degrees), " +
+            "normalizedRadius and phi (degrees, curvature only), any slider param, PI, E, + - * / % ^ and functions such as " +
+            "sin, cos, exp, pow, min, max, frac and clamp (angles in radians).";
+        this.dom.expressionArea.appendChild(help);
+
+        this.expressionControls.fields = AppConfig.SHAPE_EXPRESSIONS.map(def => {
+            const field = document.createElement('div');
+            field.className = 'expression-field';
+            const inputId = `expression-${def.name}`;
+            const label = document.createElement('label');
+            label.textContent = def.label;
+            label.htmlFor = inputId;
+            field.appendChild(label);
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.id = inputId;
+            input.spellcheck = false;
+            input.autocomplete = 'off';
+            input.maxLength = MathExpression.MAX_LENGTH;
+            field.appendChild(input);
+            const error = document.createElement('div');
+            error.className = 'expression-error';
+            error.id = `${inputId}-error`;
+            error.setAttribute('aria-live', 'polite');
+            input.setAttribute('aria-describedby', error.id);
+            field.appendChild(error);
+            input.addEventListener('input', () => {
+                this._showExpressionError(def.name, this.flower.setShapeExpression(def.name, input.value));
+            });
+            this.dom.expressionArea.appendChild(field);
+            return { name: def.name, input, error };
+        });
+        this._refreshExpressionEditor();
+    }
+
+    /**
+     * Shows (or clears) the error line of a formula field.
+     * @param {string} name - Shape function name.
+     * @param {string|null} message - The error, or null to clear it.
+     * @private
+     */
+    _showExpressionError(name, message) {
+        const field = this.expressionControls.fields.find(f => f.name === name);
+        if (!field) return;
+        const text = message || '';
+        if (field.error.textContent === text) return;
+        field.error.textContent = text;
+        field.input.setAttribute('aria-invalid', text ? 'true' : 'false');
+    }
+
+    /**
+     * Fills the formula fields from the edited flower (dropping any rejected text) and shows their errors.
+     * @private
+     */
+    _refreshExpressionEditor() {
+        const sources = this.flower.getShapeExpressions();
+        this.expressionControls.fields.forEach(field => {
+            field.input.value = sources[field.name] || '';
+            field.input.placeholder = `${this.flower.shapeModel.label} formula`;
+        });
+        this.refreshExpressionErrors();
+    }
+
+    /**
+     * Shows the errors of formulas that stopped (or started) giving NaN or Infinity after a param change, without
+     * touching what the user is typing. Called every frame.
+     */
+    refreshExpressionErrors() {
+        const sources = this.flower.getShapeExpressions();
+        this.expressionControls.fields.forEach(field => {
+            // A field holding a rejected formula keeps its error until edited.
+            if (field.input.value.trim() !== (sources[field.name] || '')) return;
+            const error = this.flower.shapeExpressionErrors[field.name];
+            this._showExpressionError(field.name, error ? `${error} Using the ${this.flower.shapeModel.label} formula for now.` : null);
+        });
+    }
+
+    /**
+     * Applies formulas to the edited flower (see `Flower.setShapeExpressions`) and updates the formula editor.
+     * @param {object} sources - Formula source by shape function name; missing functions use the shape model's own.
+     */
+    setShapeExpressions(sources) {
+        this.flower.setShapeExpressions(sources);
+        this._refreshExpressionEditor();
+    }
+
+    /**
+     * Creates the stem, calyx and leaf sliders: a heading and a group of sliders per entry in `AppConfig.PLANT_PARTS`.
+     * They behave like the bloom's sliders (see `_createParamSlider`).
+     * @private
+     */
+    _createPlantPartControls() {
+        if (!this.dom.plantPartsArea) return;
+        this.dom.plantPartsArea.innerHTML = ''; // Clear existing controls.
+        AppConfig.PLANT_PARTS.forEach(part => {
+            const heading = document.createElement('div');
+            heading.className = 'controls-panel__section-title';
+            heading.textContent = part.label;
+            this.dom.plantPartsArea.appendChild(heading);
+
+            const slidersArea = document.createElement('div');
+            slidersArea.className = 'controls-panel__sliders-area';
+            part.sliders.forEach(def => this._createParamSlider(def, slidersArea));
+            this.dom.plantPartsArea.appendChild(slidersArea);
+        });
+    }
+
+    /**
+     * Creates one flower parameter slider with its label and value display, and registers it in `flowerSliders`.
+     * The slider updates `currentParams` and the flower instance on input.
+     * @param {object} def - Slider definition (see `AppConfig.SLIDER_DEFINITIONS`).
+     * @param {HTMLElement} parent - Element the slider is appended to.
+     * @private
+     */
+    _createParamSlider(def, parent) {
+        const container = document.createElement('div');
+        container.className = 'slider-container';
+
+        const labelValueWrapper = document.createElement('div');
+        labelValueWrapper.className = 'label-value-wrapper';
+        container.appendChild(labelValueWrapper);
+
+        const label = document.createElement('label');
+        label.textContent = def.label;
+        labelValueWrapper.appendChild(label);
+
+        const valueSpan = document.createElement('span');
+        valueSpan.className = 'slider-value-display';
+        // Format the initial value according to specified decimal places.
+        valueSpan.textContent = Number(this.currentParams[def.param]).toFixed(def.decimals);
+        labelValueWrapper.appendChild(valueSpan);
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = def.min;
+        slider.max = def.max;
+        slider.step = def.step;
+        slider.value = this.currentParams[def.param];
+        if (this.isAutoAnimating || this.isTimelinePlaying) slider.setAttribute('disabled', 'true');
+        container.appendChild(slider);
+        // In MIDI-learn mode, clicking a slider makes the next knob moved control its param.
+        container.addEventListener('pointerdown', () => {
+            if (this.isMidiLearning) this.midiController.startLearn({ kind: 'control', param: def.param });
+        });
+        if (this.midiController.learnTarget && this.midiController.learnTarget.param === def.param) container.classList.add('slider-container--midi-learn');
+
+        // Event listener for slider input.
+        slider.addEventListener('input', () => {
+            if (this.isAutoAnimating || this.isTimelinePlaying) return; // Don't allow manual changes while the params are animated.
+            this.paramTransition.cancel(); // Manual input takes over from any running transition.
+            const newValue = Number(slider.value);
+            this.currentParams[def.param] = newValue;
+            valueSpan.textContent = newValue.toFixed(def.decimals);
+            this.flower.updateParams({ [def.param]: newValue }); // Update the flower.
+        });
+        parent.appendChild(container);
+        // Store references to the slider and its value display.
+        this.flowerSliders[def.param] = { slider: slider, valueSpan: valueSpan, definition: def };
+    }
+
+    /**
+     * Creates the preset library controls: a preset picker, a name field and
+     * buttons to load, save, rename, delete, import and export presets.
+     * @private
+     */
+    _createPresetControls() {
+        if (!this.dom.presetsArea) return;
+        this.dom.presetsArea.innerHTML = ''; // Clear existing controls.
+
+        const select = document.createElement('select');
+        select.className = 'preset-select';
+        select.setAttribute('aria-label', 'Presets');
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'preset-name-input';
+        nameInput.placeholder = 'Preset name';
+        nameInput.maxLength = 40;
+
+        const buttonRow = document.createElement('div');
+        buttonRow.className = 'preset-buttons';
+        const makeButton = (text, onClick) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'button button--small';
+            button.textContent = text;
+            button.addEventListener('click', onClick);
+            buttonRow.appendChild(button);
+            return button;
+        };
+
+        // Hidden file input used by the "Import" button.
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'application/json,.json';
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files && fileInput.files[0]) this._importPresets(fileInput.files[0]);
+            fileInput.value = ''; // Allow re-importing the same file.
+        });
+
+        this.presetControls = {
+            select,
+            nameInput,
+            fileInput,
+            loadBtn: makeButton('Load', event => this.loadPreset(select.value, event.shiftKey)),
+            saveBtn: makeButton('Save', () => this._savePresetFromInput()),
+            renameBtn: makeButton('Rename', () => this._renameSelectedPreset()),
+            deleteBtn: makeButton('Delete', () => this._deleteSelectedPreset()),
+            importBtn: makeButton('Import', () => fileInput.click()),
+            exportBtn: makeButton('Export', () => this.p.saveJSON(this.presetLibrary.toJSON(), 'flower_presets.json')),
+        };
+
+        this.presetControls.loadBtn.title = 'Shift-click to queue after the running transition';
+
+        select.addEventListener('change', () => this._updatePresetButtons());
+        select.addEventListener('dblclick', () => this.loadPreset(select.value));
+
+        this.dom.presetsArea.appendChild(select);
+        this.dom.presetsArea.appendChild(nameInput);
+        this.dom.presetsArea.appendChild(buttonRow);
+        this.dom.presetsArea.appendChild(fileInput);
+        this._refreshPresetList();
+        this._createTransitionControls();
+    }
+
+    /**
+     * Creates the easing picker and duration field controlling how presets are transitioned to.
+     * Appended to the presets area, below the preset buttons.
+     * @private
+     */
+    _createTransitionControls() {
+        const row = document.createElement('div');
+        row.className = 'transition-controls';
+
+        const label = document.createElement('label');
+        label.textContent = 'Transition:';
+        row.appendChild(label);
+
+        const easingSelect = document.createElement('select');
+        easingSelect.setAttribute('aria-label', 'Transition easing');
+        AppConfig.EASINGS.forEach(easing => {
+            const option = document.createElement('option');
+            option.value = easing.name;
+            option.textContent = easing.label;
+            easingSelect.appendChild(option);
+        });
+        easingSelect.value = this.transitionSettings.easing;
+        easingSelect.addEventListener('change', () => { this.transitionSettings.easing = easingSelect.value; });
+        row.appendChild(easingSelect);
+
+        const durationInput = document.createElement('input');
+        durationInput.type = 'number';
+        durationInput.min = 0;
+        durationInput.max = AppConfig.TRANSITIONS.MAX_DURATION;
+        durationInput.step = 100;
+        durationInput.value = this.transitionSettings.duration;
+        durationInput.setAttribute('aria-label', 'Transition duration in milliseconds');
+        durationInput.addEventListener('change', () => {
+            const value = Number(durationInput.value);
+            this.transitionSettings.duration = Number.isFinite(value) ? Math.min(AppConfig.TRANSITIONS.MAX_DURATION, Math.max(0, value)) : AppConfig.TRANSITIONS.DEFAULT_DURATION;
+            durationInput.value = this.transitionSettings.duration;
+        });
+        row.appendChild(durationInput);
+
+        const unit = document.createElement('span');
+        unit.textContent = 'ms';
+        row.appendChild(unit);
+
+        this.dom.presetsArea.appendChild(row);
+        this.presetControls.easingSelect = easingSelect;
+        this.presetControls.durationInput = durationInput;
+    }
+
+    /**
+     * Rebuilds the preset picker options from the library, keeping the selection if possible.
+     * @param {string} [selectName] - Name of the preset to select after refreshing.
+     * @private
+     */
+    _refreshPresetList(selectName) {
+        const { select } = this.presetControls;
+        if (!select) return;
+        const previous = selectName || select.value;
+        select.innerHTML = '';
+
+        const addGroup = (label, presets) => {
+            if (presets.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            presets.forEach(preset => {
+                const option = document.createElement('option');
+                option.value = preset.name;
+                option.textContent = preset.name;
+                group.appendChild(option);
+            });
+            select.appendChild(group);
+        };
+        addGroup('Built-in', this.presetLibrary.getBuiltIns());
+        addGroup('Saved', this.presetLibrary.getUserPresets());
+
+        if (previous && this.presetLibrary.get(previous)) select.value = previous;
+        this._updatePresetButtons();
+        this._refreshMidiPresetOptions(); // The MIDI note actions can recall any preset.
+    }
+
+    /**
+     * Enables rename/delete only for user presets; built-ins are read-only.
+     * @private
+     */
+    _updatePresetButtons() {
+        const { select, renameBtn, deleteBtn, loadBtn } = this.presetControls;
+        if (!select) return;
+        const preset = this.presetLibrary.get(select.value);
+        const isUserPreset = !!preset && !preset.builtIn;
+        loadBtn.disabled = !preset;
+        renameBtn.disabled = !isUserPreset;
+        deleteBtn.disabled = !isUserPreset;
+    }
+
+    /**
+     * Loads a preset by name, transitioning the flower and sliders to its parameters
+     * using `transitionSettings`. Ignored while auto-animating, like manual slider input.
+     * The preset's petal shape model (the default one if it names none) is applied immediately, any saved palette as its transition starts.
+     * @param {string} name - The preset name.
+     * @param {boolean} [queue=false] - Queue the transition after the running one (see `chainTo`) instead of replacing it.
+     *   Only possible when the preset uses the current shape model, since switching models cancels transitions; otherwise it loads now.
+     */
+    loadPreset(name, queue = false) {
+        const preset = this.presetLibrary.get(name);
+        if (!preset || this.isAutoAnimating) return;
+        const onStart = () => { if (preset.palette) this.setPalette(preset.palette); };
+        if (this.flower.shapeModel.name !== (preset.shape || AppConfig.DEFAULT_SHAPE_MODEL)) this.setShapeModel(preset.shape);
+        else if (queue) {
+            this.chainTo(preset.params, { onStart });
+            return;
+        }
+        this.transitionTo(preset.params, { onStart });
+    }
+
+    /**
+     * Saves `currentParams` under the name typed into the preset name field.
+     * Built-in names cannot be overwritten.
+     * @private
+     */
+    _savePresetFromInput() {
+        const name = this.presetControls.nameInput.value.trim();
+        if (!name) {
+            this.presetControls.nameInput.focus();
+            return;
+        }
+        const existing = this.presetLibrary.get(name);
+        if (existing && existing.builtIn) {
+            alert(`"${name}" is a built-in preset. Please choose another name.`);
+            return;
+        }
+        if (existing && !confirm(`Overwrite the preset "${name}"?`)) return;
+        this.presetLibrary.save(name, this.currentParams, this.getPalette(), this.flower.shapeModel.name);
+        this.presetControls.nameInput.value = '';
+        this._refreshPresetList(name);
+    }
+
+    /**
+     * Renames the selected user preset to the name typed into the preset name field.
+     * @private
+     */
+    _renameSelectedPreset() {
+        const { select, nameInput } = this.presetControls;
+        const newName = nameInput.value.trim();
+        if (!newName) {
+            nameInput.focus();
+            return;
+        }
+        if (this.presetLibrary.get(newName)) {
+            alert(`A preset named "${newName}" already exists.`);
+            return;
+        }
+        if (this.presetLibrary.rename(select.value, newName)) {
+            nameInput.value = '';
+            this._refreshPresetList(newName);
+        }
+    }
+
+    /**
+     * Deletes the selected user preset after confirmation.
+     * @private
+     */
+    _deleteSelectedPreset() {
+        const name = this.presetControls.select.value;
+        if (!confirm(`Delete the preset "${name}"?`)) return;
+        this.presetLibrary.remove(name);
+        this._refreshPresetList();
+    }
+
+    /**
+     * Reads a JSON file exported by the preset library and merges its presets into the library.
+     * @param {File} file - The file chosen by the user.
+     * @private
+     */
+    _importPresets(file) {
+        file.text()
+            .then(text => {
+                const importedCount = this.presetLibrary.importJSON(JSON.parse(text));
+                this._refreshPresetList();
+                console.log(`Imported ${importedCount} preset(s) from ${file.name}.`);
+            })
+            .catch(error => alert(`Could not import presets: ${error.message}`));
+    }
+
+    /**
+     * Returns the flower's current palette stops and gradient settings.
+     * @returns {{stops: string[], mode: string, radiusWeight: number, depthWeight: number}} The palette settings.
+     */
+    getPalette() {
+        return this.flower.getPaletteSettings();
+    }
+
+    /**
+     * Applies palette settings to the flower (recoloring it in place) and updates the palette editor.
+     * @param {object} settings - Partial or complete `{stops, mode, radiusWeight, depthWeight}`.
+     */
+    setPalette(settings) {
+        this.flower.setPalette(settings);
+        this._refreshPaletteEditor();
+    }
+
+    /**
+     * Creates the palette editor: a list of color stops that can be edited, reordered, added and removed,
+     * a gradient mode picker and the radius/depth weight sliders.
+     * @private
+     */
+    _createPaletteEditor() {
+        if (!this.dom.paletteArea) return;
+        this.dom.paletteArea.innerHTML = ''; // Clear existing controls.
+
+        const heading = document.createElement('div');
+        heading.className = 'palette-heading';
+        heading.textContent = 'Palette';
+
+        const stopsList = document.createElement('div');
+        stopsList.className = 'palette-stops';
+
+        const buttonRow = document.createElement('div');
+        buttonRow.className = 'palette-buttons';
+        const makeButton = (text, onClick) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'button button--small';
+            button.textContent = text;
+            button.addEventListener('click', onClick);
+            buttonRow.appendChild(button);
+            return button;
+        };
+        const addStopBtn = makeButton('Add color', () => {
+            const { stops } = this.getPalette();
+            this.setPalette({ stops: [...stops, stops[stops.length - 1]] });
+        });
+        makeButton('Reset', () => this.setPalette(Utils.sanitizePalette(null)));
+
+        const modeRow = document.createElement('div');
+        modeRow.className = 'palette-mode';
+        const modeLabel = document.createElement('label');
+        modeLabel.textContent = 'Gradient:';
+        modeRow.appendChild(modeLabel);
+        const modeSelect = document.createElement('select');
+        modeSelect.setAttribute('aria-label', 'Gradient mode');
+        AppConfig.GRADIENT_MODES.forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode.name;
+            option.textContent = mode.label;
+            modeSelect.appendChild(option);
+        });
+        modeSelect.addEventListener('change', () => this.setPalette({ mode: modeSelect.value }));
+        modeRow.appendChild(modeSelect);
+
+        // Weight sliders reuse the look of the parameter sliders.
+        const radiusWeight = this._createSettingSlider('Radius Weight', 0, 1, 0.05, 2, value => this.setPalette({ radiusWeight: value }));
+        const depthWeight = this._createSettingSlider('Depth Weight', 0, 1, 0.05, 2, value => this.setPalette({ depthWeight: value }));
+        const weightsArea = document.createElement('div');
+        weightsArea.className = 'controls-panel__sliders-area palette-weights';
+        weightsArea.appendChild(radiusWeight.container);
+        weightsArea.appendChild(depthWeight.container);
+
+        this.dom.paletteArea.appendChild(heading);
+        this.dom.paletteArea.appendChild(stopsList);
+        this.dom.paletteArea.appendChild(buttonRow);
+        this.dom.paletteArea.appendChild(modeRow);
+        this.dom.paletteArea.appendChild(weightsArea);
+
+        this.paletteControls = { stopsList, addStopBtn, modeSelect, radiusWeight, depthWeight, stopRows: [] };
+        this._refreshPaletteEditor();
+    }
+
+    /**
+     * Syncs the palette editor with the flower's palette, rebuilding the stop rows only when their count changed
+     * so an open color picker is not interrupted while dragging.
+     * @private
+     */
+    _refreshPaletteEditor() {
+        const { stopsList, addStopBtn, modeSelect, radiusWeight, depthWeight } = this.paletteControls;
+        if (!stopsList) return;
+        const palette = this.getPalette();
+
+        if (this.paletteControls.stopRows.length !== palette.stops.length) {
+            stopsList.innerHTML = '';
+            this.paletteControls.stopRows = palette.stops.map((hex, index) => this._createPaletteStopRow(index, stopsList));
+        }
+        const canRemove = palette.stops.length > AppConfig.PALETTE.MIN_STOPS;
+        this.paletteControls.stopRows.forEach((row, index) => {
+            row.colorInput.value = palette.stops[index].toLowerCase();
+            row.upBtn.disabled = index === 0;
+            row.downBtn.disabled = index === palette.stops.length - 1;
+            row.removeBtn.disabled = !canRemove;
+        });
+        addStopBtn.disabled = palette.stops.length >= AppConfig.PALETTE.MAX_STOPS;
+
+        modeSelect.value = palette.mode;
+        const weightsActive = palette.mode === 'radiusDepth';
+        this._setSettingSlider(radiusWeight, palette.radiusWeight, !weightsActive);
+        this._setSettingSlider(depthWeight, palette.depthWeight, !weightsActive);
+    }
+
+    /**
+     * Creates a labelled slider for a setting that is not a flower parameter (palette weights, lights, ...),
+     * styled like the parameter sliders. The caller appends `container` inside a `.controls-panel__sliders-area`.
+     * @param {string} labelText - The label.
+     * @param {number} min - Minimum value.
+     * @param {number} max - Maximum value.
+     * @param {number} step - Step size.
+     * @param {number} decimals - Decimal places shown in the value display.
+     * @param {function(number): void} onInput - Called with the new value while the slider moves.
+     * @returns {{container: HTMLElement, slider: HTMLInputElement, valueSpan: HTMLSpanElement, decimals: number}} The slider's elements.
+     * @private
+     */
+    _createSettingSlider(labelText, min, max, step, decimals, onInput) {
+        const container = document.createElement('div');
+        container.className = 'slider-container';
+        const labelValueWrapper = document.createElement('div');
+        labelValueWrapper.className = 'label-value-wrapper';
+        const label = document.createElement('label');
+        label.textContent = labelText;
+        const valueSpan = document.createElement('span');
+        valueSpan.className = 'slider-value-display';
+        labelValueWrapper.appendChild(label);
+        labelValueWrapper.appendChild(valueSpan);
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = min;
+        slider.max = max;
+        slider.step = step;
+        slider.addEventListener('input', () => {
+            valueSpan.textContent = Number(slider.value).toFixed(decimals);
+            onInput(Number(slider.value));
+        });
+        container.appendChild(labelValueWrapper);
+        container.appendChild(slider);
+        return { container, slider, valueSpan, decimals };
+    }
+
+    /**
+     * Updates a slider made by `_createSettingSlider` without firing its input handler.
+     * @param {{slider: HTMLInputElement, valueSpan: HTMLSpanElement, decimals: number}} control - The slider.
+     * @param {number} value - The value to show.
+     * @param {boolean} [disabled=false] - Whether the slider is disabled.
+     * @private
+     */
+    _setSettingSlider(control, value, disabled = false) {
+        control.slider.value = value;
+        control.slider.disabled = disabled;
+        control.valueSpan.textContent = Number(value).toFixed(control.decimals);
+    }
+
+    /**
+     * Creates the lighting controls: material picker, "follow camera" toggle, one group per light
+     * (enable, color, intensity and direction) and the material's shininess and toon steps.
+     * @private
+     */
+    _createLightingControls() {
+        const rig = this.flower.lighting;
+        if (!this.dom.lightingArea || !rig) return;
+        this.dom.lightingArea.innerHTML = ''; // Clear existing controls.
+
+        const heading = document.createElement('div');
+        heading.className = 'controls-panel__section-title';
+        heading.textContent = 'Lighting';
+        this.dom.lightingArea.appendChild(heading);
+
+        const materialRow = document.createElement('div');
+        materialRow.className = 'controls-panel__row';
+        const materialLabel = document.createElement('label');
+        materialLabel.textContent = 'Material:';
+        materialRow.appendChild(materialLabel);
+        const materialSelect = document.createElement('select');
+        materialSelect.setAttribute('aria-label', 'Material');
+        AppConfig.MATERIALS.forEach(material => {
+            const option = document.createElement('option');
+            option.value = material.name;
+            option.textContent = material.label;
+            materialSelect.appendChild(option);
+        });
+        materialSelect.addEventListener('change', () => this.setLightingSettings({ material: materialSelect.value }));
+        materialRow.appendChild(materialSelect);
+        this.dom.lightingArea.appendChild(materialRow);
+
+        const makeCheckbox = (labelText, onChange) => {
+            const label = document.createElement('label');
+            label.className = 'lighting-checkbox';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.addEventListener('change', () => onChange(checkbox.checked));
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${labelText}`));
+            return { label, checkbox };
+        };
+        const followCamera = makeCheckbox('Lights follow camera', checked => this.setLightingSettings({ followCamera: checked }));
+        this.dom.lightingArea.appendChild(followCamera.label);
+
+        const lights = {};
+        [
+            { key: 'ambient', label: 'Ambient', sliders: [] },
+            { key: 'directional', label: 'Directional', sliders: ['azimuth', 'elevation'] },
+            { key: 'point', label: 'Point', sliders: ['azimuth', 'elevation', 'distance'] },
+        ].forEach(({ key, label, sliders }) => {
+            const group = document.createElement('div');
+            group.className = 'lighting-light';
+            const header = document.createElement('div');
+            header.className = 'controls-panel__row';
+            const enabled = makeCheckbox(label, checked => this.setLightingSettings({ [key]: { enabled: checked } }));
+            header.appendChild(enabled.label);
+            const colorInput = document.createElement('input');
+            colorInput.type = 'color';
+            colorInput.setAttribute('aria-label', `${label} light color`);
+            colorInput.addEventListener('input', () => this.setLightingSettings({ [key]: { color: colorInput.value } }));
+            header.appendChild(colorInput);
+            group.appendChild(header);
+
+            const slidersArea = document.createElement('div');
+            slidersArea.className = 'controls-panel__sliders-area';
+            const controls = {
+                intensity: this._createSettingSlider('Intensity', 0, 1.5, 0.05, 2, value => this.setLightingSettings({ [key]: { intensity: value } })),
+            };
+            if (sliders.includes('azimuth')) controls.azimuth = this._createSettingSlider('Azimuth', -180, 180, 1, 0, value => this.setLightingSettings({ [key]: { azimuth: value } }));
+            if (sliders.includes('elevation')) controls.elevation = this._createSettingSlider('Elevation', -90, 90, 1, 0, value => this.setLightingSettings({ [key]: { elevation: value } }));
+            if (sliders.includes('distance')) controls.distance = this._createSettingSlider('Distance', 50, AppConfig.LIGHTING.MAX_POINT_DISTANCE, 10, 0, value => this.setLightingSettings({ [key]: { distance: value } }));
+            Object.values(controls).forEach(control => slidersArea.appendChild(control.container));
+            group.appendChild(slidersArea);
+            this.dom.lightingArea.appendChild(group);
+            lights[key] = { enabled: enabled.checkbox, colorInput, sliders: controls };
+        });
+
+        const materialSliders = document.createElement('div');
+        materialSliders.className = 'controls-panel__sliders-area';
+        const shininess = this._createSettingSlider('Shininess', 1, 100, 1, 0, value => this.setLightingSettings({ shininess: value }));
+        const toonBands = this._createSettingSlider('Toon Steps', 2, AppConfig.LIGHTING.MAX_TOON_BANDS, 1, 0, value => this.setLightingSettings({ toonBands: value }));
+        materialSliders.appendChild(shininess.container);
+        materialSliders.appendChild(toonBands.container);
+        this.dom.lightingArea.appendChild(materialSliders);
+
+        this.lightingControls = { materialSelect, followCamera: followCamera.checkbox, lights, shininess, toonBands };
+        this._refreshLightingControls();
+    }
+
+    /**
+     * Syncs the lighting controls with the light rig's settings.
+     * Light controls are disabled for the unlit material, where they have no effect.
+     * @private
+     */
+    _refreshLightingControls() {
+        const rig = this.flower.lighting;
+        const controls = this.lightingControls;
+        if (!rig || !controls.materialSelect) return;
+        const settings = rig.getSettings();
+        const isLit = settings.material !== 'unlit';
+
+        controls.materialSelect.value = settings.material;
+        controls.followCamera.checked = settings.followCamera;
+        controls.followCamera.disabled = !isLit;
+        Object.entries(controls.lights).forEach(([key, light]) => {
+            const lightSettings = settings[key];
+            light.enabled.checked = lightSettings.enabled;
+            light.enabled.disabled = !isLit;
+            light.colorInput.value = lightSettings.color.toLowerCase();
+            light.colorInput.disabled = !isLit || !lightSettings.enabled;
+            Object.entries(light.sliders).forEach(([name, slider]) => {
+                this._setSettingSlider(slider, lightSettings[name], !isLit || !lightSettings.enabled);
+            });
+        });
+        this._setSettingSlider(controls.shininess, settings.shininess, settings.material !== 'phong');
+        this._setSettingSlider(controls.toonBands, settings.toonBands, settings.material !== 'toon');
+    }
+
+    /**
+     * Returns the current light rig settings.
+     * @returns {object|null} A copy of the settings, or null if no rig is attached.
+     */
+    getLightingSettings() {
+        return this.flower.lighting ? this.flower.lighting.getSettings() : null;
+    }
+
+    /**
+     * Updates the light rig (see `LightingRig.setSettings`) and the lighting controls.
+     * @param {object} settings - Partial settings; nested light objects may be partial as well.
+     */
+    setLightingSettings(settings) {
+        if (!this.flower.lighting) return;
+        this.flower.lighting.setSettings(settings);
+        this._refreshLightingControls();
+    }
+
+    /**
+     * Creates the garden controls: a garden mode toggle, the list of flowers (selecting one points the sliders and
+     * the palette editor at it), add/remove buttons, the scatter generator and the selected flower's placement sliders.
+     * @private
+     */
+    _createGardenControls() {
+        if (!this.dom.gardenArea || !this.garden) return;
+        this.dom.gardenArea.innerHTML = ''; // Clear existing controls.
+        const limits = AppConfig.GARDEN;
+
+        const heading = document.createElement('div');
+        heading.className = 'controls-panel__section-title';
+        heading.textContent = 'Garden';
+        this.dom.gardenArea.appendChild(heading);
+
+        const enabledLabel = document.createElement('label');
+        enabledLabel.className = 'garden-checkbox';
+        const enabledCheckbox = document.createElement('input');
+        enabledCheckbox.type = 'checkbox';
+        enabledCheckbox.addEventListener('change', () => {
+            this.garden.setEnabled(enabledCheckbox.checked);
+            // Only the main flower is visible outside garden mode, so it becomes the one being edited.
+            if (!enabledCheckbox.checked) this.selectGardenFlower(0);
+            else this._refreshGardenControls();
+        });
+        enabledLabel.appendChild(enabledCheckbox);
+        enabledLabel.appendChild(document.createTextNode(' Show garden'));
+        this.dom.gardenArea.appendChild(enabledLabel);
+
+        const flowerList = document.createElement('div');
+        flowerList.className = 'garden-list';
+        flowerList.setAttribute('role', 'listbox');
+        flowerList.setAttribute('aria-label', 'Flowers');
+        this.dom.gardenArea.appendChild(flowerList);
+
+        const buttonRow = document.createElement('div');
+        buttonRow.className = 'controls-panel__buttons';
+        const makeButton = (text, onClick) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'button button--small';
+            button.textContent = text;
+            button.addEventListener('click', onClick);
+            buttonRow.appendChild(button);
+            return button;
+        };
+        const addBtn = makeButton('Add', () => {
+            const index = this.garden.addFlower();
+            if (index >= 0) {
+                this.garden.setEnabled(true);
+                this.selectGardenFlower(index);
+            }
+        });
+        const removeBtn = makeButton('Remove', () => {
+            if (this.garden.removeFlower(this.garden.selectedIndex)) this.selectGardenFlower(this.garden.selectedIndex);
+        });
+        this.dom.gardenArea.appendChild(buttonRow);
+
+        const scatterRow = document.createElement('div');
+        scatterRow.className = 'controls-panel__row';
+        const countInput = document.createElement('input');
+        countInput.type = 'number';
+        countInput.min = 1;
+        countInput.max = limits.MAX_FLOWERS - 1;
+        countInput.value = limits.DEFAULT_SCATTER_COUNT;
+        countInput.setAttribute('aria-label', 'Number of flowers to scatter');
+        const scatterBtn = document.createElement('button');
+        scatterBtn.type = 'button';
+        scatterBtn.className = 'button button--small';
+        scatterBtn.textContent = 'Scatter';
+        scatterBtn.addEventListener('click', () => {
+            this.garden.scatter(Number(countInput.value));
+            this.selectGardenFlower(0);
+        });
+        scatterRow.appendChild(scatterBtn);
+        scatterRow.appendChild(countInput);
+        this.dom.gardenArea.appendChild(scatterRow);
+
+        const placementArea = document.createElement('div');
+        placementArea.className = 'controls-panel__sliders-area';
+        const place = (key) => value => this.garden.setPlacement(this.garden.selectedIndex, { [key]: value });
+        const x = this._createSettingSlider('Position X', -limits.POSITION_LIMIT, limits.POSITION_LIMIT, 10, 0, place('x'));
+        const z = this._createSettingSlider('Position Z', -limits.POSITION_LIMIT, limits.POSITION_LIMIT, 10, 0, place('z'));
+        const scale = this._createSettingSlider('Scale', limits.MIN_SCALE, limits.MAX_SCALE, 0.05, 2, place('scale'));
+        [x, z, scale].forEach(control => placementArea.appendChild(control.container));
+        this.dom.gardenArea.appendChild(placementArea);
+
+        this.gardenControls = { enabledCheckbox, flowerList, addBtn, removeBtn, x, z, scale, items: [] };
+        this._refreshGardenControls();
+    }
+
+    /**
+     * Syncs the garden controls with the garden: rebuilds the flower list and updates the buttons and placement sliders.
+     * Placement only applies in garden mode, where the flowers are drawn at their positions.
+     * @private
+     */
+    _refreshGardenControls() {
+        const controls = this.gardenControls;
+        if (!this.garden || !controls.flowerList) return;
+        const { entries, selectedIndex, enabled } = this.garden;
+
+        controls.enabledCheckbox.checked = enabled;
+        controls.flowerList.innerHTML = '';
+        controls.items = entries.map((entry, index) => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'garden-list__item';
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', index === selectedIndex ? 'true' : 'false');
+            item.textContent = index === 0 ? 'Main flower' : `Flower ${index + 1}`;
+            item.addEventListener('click', () => this.selectGardenFlower(index));
+            controls.flowerList.appendChild(item);
+            return item;
+        });
+        controls.addBtn.disabled = entries.length >= AppConfig.GARDEN.MAX_FLOWERS;
+        controls.removeBtn.disabled = selectedIndex === 0;
+
+        const entry = entries[selectedIndex];
+        this._setSettingSlider(controls.x, entry.x, !enabled);
+        this._setSettingSlider(controls.z, entry.z, !enabled);
+        this._setSettingSlider(controls.scale, entry.scale, !enabled);
+    }
+
+    /**
+     * Selects which garden flower the parameter sliders, presets and palette editor edit.
+     * Any running transition is cancelled; a running timeline or auto-animation carries on with the new flower.
+     * @param {number} index - Index into the garden's entries.
+     */
+    selectGardenFlower(index) {
+        if (!this.garden) return;
+        this.paramTransition.cancel();
+        if (this.audioReactor && this.audioReactor.enabled) this.flower.updateParams(this.currentParams); // Leave it at its slider values.
+        if (this.liveInputRestingParams) this.flower.updateParams(this.liveInputRestingParams); // Likewise for the live input.
+        this.garden.select(index);
+        this.flower = this.garden.getSelectedFlower();
+        this.currentParams = { ...this.flower.params };
+        if (this.liveInputRestingParams) this.liveInputRestingParams = { ...this.currentParams };
+        this._createSliders(); // The selected flower may use another shape model.
+        this._syncSlidersToParams();
+        this._refreshExpressionEditor();
+        this._renderAudioMappings(); // Offer the params of the flower's shape model.
+        this._refreshPaletteEditor();
+        this._refreshGardenControls();
+    }
+
+    /**
+     * Creates the mesh resolution controls: a mode picker (manual or automatic LOD) and row/column sliders.
+     * In automatic mode the sliders are disabled and follow the level picked by the `DetailController`.
+     * @private
+     */
+    _createResolutionControls() {
+        const controller = this.detailController;
+        if (!this.dom.resolutionArea || !controller) return;
+        this.dom.resolutionArea.innerHTML = ''; // Clear existing controls.
+        const limits = AppConfig.RESOLUTION;
+
+        const heading = document.createElement('div');
+        heading.className = 'controls-panel__section-title';
+        heading.textContent = 'Resolution';
+        this.dom.resolutionArea.appendChild(heading);
+
+        const modeRow = document.createElement('div');
+        modeRow.className = 'controls-panel__row';
+        const modeLabel = document.createElement('label');
+        modeLabel.textContent = 'Detail:';
+        modeRow.appendChild(modeLabel);
+        const modeSelect = document.createElement('select');
+        modeSelect.setAttribute('aria-label', 'Mesh detail mode');
+        AppConfig.RESOLUTION_MODES.forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode.name;
+            option.textContent = mode.label;
+            modeSelect.appendChild(option);
+        });
+        modeSelect.addEventListener('change', () => this.setResolutionSettings({ mode: modeSelect.value }));
+        modeRow.appendChild(modeSelect);
+        this.dom.resolutionArea.appendChild(modeRow);
+
+        const slidersArea = document.createElement('div');
+        slidersArea.className = 'controls-panel__sliders-area';
+        const rows = this._createSettingSlider('Rows', limits.MIN_ROWS, limits.MAX_ROWS, 1, 0, value => this.setResolutionSettings({ rows: value }));
+        const cols = this._createSettingSlider('Columns', limits.MIN_COLS, limits.MAX_COLS, limits.COLS_STEP, 0, value => this.setResolutionSettings({ cols: value }));
+        slidersArea.appendChild(rows.container);
+        slidersArea.appendChild(cols.container);
+        this.dom.resolutionArea.appendChild(slidersArea);
+
+        this.resolutionControls = { modeSelect, rows, cols };
+        controller.onResolutionChange = () => this._refreshResolutionControls();
+        this._refreshResolutionControls();
+    }
+
+    /**
+     * Syncs the resolution controls with the controller's mode and the flower's current rows and columns.
+     * @private
+     */
+    _refreshResolutionControls() {
+        const controls = this.resolutionControls;
+        if (!this.detailController || !controls.modeSelect) return;
+        const isAuto = this.detailController.getSettings().mode === 'auto';
+        controls.modeSelect.value = isAuto ? 'auto' : 'manual';
+        this._setSettingSlider(controls.rows, this.flower.config.rows, isAuto);
+        this._setSettingSlider(controls.cols, this.flower.config.cols, isAuto);
+    }
+
+    /**
+     * Returns the current resolution settings.
+     * @returns {{mode: string, rows: number, cols: number}|null} A copy of the settings, or null without a controller.
+     */
+    getResolutionSettings() {
+        return this.detailController ? this.detailController.getSettings() : null;
+    }
+
+    /**
+     * Updates the resolution settings (see `DetailController.setSettings`) and the resolution controls.
+     * @param {{mode?: string, rows?: number, cols?: number}} settings - Settings to change.
+     */
+    setResolutionSettings(settings) {
+        if (!this.detailController) return;
+        this.detailController.setSettings(settings);
+        this._refreshResolutionControls();
+    }
+
+    /**
+     * Creates one row of the palette editor: a color picker with move up/down and remove buttons.
+     * @param {number} index - Position of the stop in the palette.
+     * @param {HTMLElement} container - The element the row is appended to.
+     * @returns {{colorInput: HTMLInputElement, upBtn: HTMLButtonElement, downBtn: HTMLButtonElement, removeBtn: HTMLButtonElement}} The row's controls.
+     * @private
+     */
+    _createPaletteStopRow(index, container) {
+        const row = document.createElement('div');
+        row.className = 'palette-stop';
+
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.setAttribute('aria-label', `Color ${index + 1}`);
+        colorInput.addEventListener('input', () => {
+            const stops = this.getPalette().stops;
+            stops[index] = colorInput.value;
+            this.setPalette({ stops });
+        });
+        row.appendChild(colorInput);
+
+        const makeButton = (text, ariaLabel, onClick) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'button button--small';
+            button.textContent = text;
+            button.setAttribute('aria-label', ariaLabel);
+            button.addEventListener('click', onClick);
+            row.appendChild(button);
+            return button;
+        };
+        const moveStop = (offset) => {
+            const stops = this.getPalette().stops;
+            [stops[index], stops[index + offset]] = [stops[index + offset], stops[index]];
+            this.setPalette({ stops });
+        };
+        const upBtn = makeButton('↑', `Move color ${index + 1} up`, () => moveStop(-1));
+        const downBtn = makeButton('↓', `Move color ${index + 1} down`, () => moveStop(1));
+        const removeBtn = makeButton('×', `Remove color ${index + 1}`, () => {
+            const stops = this.getPalette().stops;
+            stops.splice(index, 1);
+            this.setPalette({ stops });
+        });
+
+        container.appendChild(row);
+        return { colorInput, upBtn, downBtn, removeBtn };
+    }
+
+    /**
+     * Creates the toggle switch for enabling/disabling auto-animation of flower parameters.
+     * When enabled, sliders are disabled.
+     * @private
+     */
+    _createAutoAnimationToggle() {
+        if (!this.dom.autoAnimationArea) return;
+        this.dom.autoAnimationArea.innerHTML = ''; // Clear existing toggle.
+
+        const checkboxId = 'autoAnimateCheckbox';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = checkboxId;
+        checkbox.checked = this.isAutoAnimating;
+
+        const label = document.createElement('label');
+        label.htmlFor = checkboxId;
+        label.textContent = ' Auto-Animate Parameters'; // Leading space for alignment with checkbox.
+
+        this.dom.autoAnimationArea.appendChild(checkbox);
+        this.dom.autoAnimationArea.appendChild(label);
+        this.dom.autoAnimateCheckbox = checkbox;
+
+        checkbox.addEventListener('change', () => this.setAutoAnimating(checkbox.checked));
+    }
+
+    /**
+     * Enables or disables auto-animation of the flower parameters.
+     * When enabled, sliders are disabled; when disabled, the slider values are re-applied to the flower.
+     * Stopping (or replacing) the live input closes the microphone and puts the sliders back where they were before it.
+     * @param {boolean} enabled - Whether auto-animation should be active.
+     * @param {string} [source='noise'] - What drives it: 'noise', or 'microphone' (see `setMicrophoneInput`).
+     */
+    setAutoAnimating(enabled, source = 'noise') {
+        if (enabled) this.setAudioReactive(false); // Auto-animation and the audio-reactive mode both drive the params.
+        if (this.animationSource === 'microphone' && (!enabled || source !== 'microphone')) this._stopLiveInput();
+        this.isAutoAnimating = !!enabled;
+        this.animationSource = this.isAutoAnimating ? source : 'noise';
+        if (this.dom.autoAnimateCheckbox) this.dom.autoAnimateCheckbox.checked = this.isAutoAnimating;
+        Object.values(this.flowerSliders).forEach(s => {
+            // Disable/enable sliders based on auto-animation state (a playing timeline keeps them disabled).
+            if (this.isAutoAnimating || this.isTimelinePlaying) {
+                s.slider.setAttribute('disabled', 'true');
+            } else {
+                s.slider.removeAttribute('disabled');
+                // Sync currentParams with slider values when turning off auto-animation.
+                this.currentParams[s.definition.param] = Number(s.slider.value);
+            }
+        });
+        if (this.isAutoAnimating) {
+            this.paramTransition.cancel(); // Noise-driven animation replaces any running transition.
+            this.animationTime = 0; // Reset animation time.
+        } else {
+            // When turning off auto-animation, apply current slider values to the flower.
+            this.flower.updateParams(this.currentParams);
+        }
+    }
+
+    /**
+     * Disables the flower sliders while a timeline plays, as `setAutoAnimating` does for auto-animation,
+     * so manual input isn't silently overwritten by the next frame. Called by `TimelineEditor`.
+     * @param {boolean} playing - Whether a timeline is playing.
+     */
+    setTimelinePlaying(playing) {
+        this.isTimelinePlaying = !!playing;
+        const disabled = this.isTimelinePlaying || this.isAutoAnimating;
+        Object.values(this.flowerSliders).forEach(s => {
+            if (disabled) s.slider.setAttribute('disabled', 'true');
+            else s.slider.removeAttribute('disabled');
+        });
+    }
+
+    /**
+     * Updates flower parameters based on Perlin noise (or the live input) when auto-animation is active.
+     * Called from the main `draw()` loop. Updates slider UI to reflect animated values.
+     * Noise speed and lerp factor are defined per frame at `FLOWER_CONFIG.frameRate` and scaled by the elapsed time.
+     * @param {number} [deltaMs] - Time elapsed since the previous frame; defaults to one frame at the configured frame rate.
+     */
+    updateAnimatedFlowerParams(deltaMs = 1000 / AppConfig.FLOWER_CONFIG.frameRate) {
+        if (!this.isAutoAnimating) return;
+        const frameScale = deltaMs * AppConfig.FLOWER_CONFIG.frameRate / 1000;
+        if (this.animationSource === 'microphone') {
+            // The live input moves the params towards the mapped offsets of the resting params.
+            this.audioReactor.update(performance.now());
+            const response = 1 - Math.pow(1 - AppConfig.MICROPHONE.RESPONSE, frameScale);
+            const targets = this.audioReactor.applyTo(this.liveInputRestingParams);
+            this.currentParams = { ...this.flower.animateParamsTowards(targets, response) };
+            this._syncSlidersToParams();
+            this._updateLevelMeter();
+            return;
+        }
+        this.animationTime += AppConfig.AUTO_ANIMATION.PERLIN_NOISE_SPEED * frameScale;
+        const lerpFactor = 1 - Math.pow(1 - AppConfig.AUTO_ANIMATION.LERP_FACTOR, frameScale);
+        // Let the flower instance calculate its new animated parameters.
+        const updatedParamsFromFlower = this.flower.autoAnimateParams(this.animationTime, lerpFactor);
+        this.currentParams = updatedParamsFromFlower; // Sync UIManager's currentParams.
+        this._syncSlidersToParams(); // Update the UI sliders to reflect the new animated values.
+    }
+
+    /**
+     * Creates the audio controls: music and effects volumes, the playlist, the generative soundtrack toggle,
+     * the audio-reactive on/off toggle and an editable list of mappings from music features to flower params.
+     * @private
+     */
+    _createAudioReactiveControls() {
+        if (!this.dom.audioReactiveArea || !this.audioReactor) return;
+        this.dom.audioReactiveArea.innerHTML = ''; // Clear existing controls.
+        const makeButton = (text, onClick, parent) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'button button--small';
+            button.textContent = text;
+            button.addEventListener('click', onClick);
+            parent.appendChild(button);
+            return button;
+        };
+
+        const musicHeading = document.createElement('div');
+        musicHeading.className = 'controls-panel__section-title';
+        musicHeading.textContent = 'Music';
+        this.dom.audioReactiveArea.appendChild(musicHeading);
+
+        const volumesArea = document.createElement('div');
+        volumesArea.className = 'controls-panel__sliders-area';
+        const musicVolume = this._createSettingSlider('Music Volume', 0, 1, 0.01, 2, value => this.audioManager.setVolumes({ music: value }));
+        const effectsVolume = this._createSettingSlider('Effects Volume', 0, 1, 0.01, 2, value => this.audioManager.setVolumes({ effects: value }));
+        this._setSettingSlider(musicVolume, this.audioManager.volumes.music);
+        this._setSettingSlider(effectsVolume, this.audioManager.volumes.effects);
+        volumesArea.appendChild(musicVolume.container);
+        volumesArea.appendChild(effectsVolume.container);
+        this.dom.audioReactiveArea.appendChild(volumesArea);
+
+        const playlist = document.createElement('ul');
+        playlist.className = 'audio-playlist';
+        playlist.setAttribute('aria-label', 'Playlist');
+        this.dom.audioReactiveArea.appendChild(playlist);
+
+        const trackRow = document.createElement('div');
+        trackRow.className = 'controls-panel__buttons';
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'audio/*';
+        fileInput.multiple = true;
+        fileInput.hidden = true;
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files && fileInput.files.length) this.addAudioFiles(Array.from(fileInput.files));
+            fileInput.value = ''; // Allow picking the same file again.
+        });
+        trackRow.appendChild(fileInput);
+        const previousBtn = makeButton('Previous', () => {
+            this.audioManager.previousTrack();
+            this._refreshAudioReactiveControls();
+        }, trackRow);
+        const nextBtn = makeButton('Next', () => {
+            this.audioManager.nextTrack();
+            this._refreshAudioReactiveControls();
+        }, trackRow);
+        makeButton('Add files', () => fileInput.click(), trackRow);
+        this.dom.audioReactiveArea.appendChild(trackRow);
+        this.audioManager.onTrackChange = () => this._refreshAudioReactiveControls();
+
+        const generativeLabel = document.createElement('label');
+        generativeLabel.className = 'audio-checkbox';
+        const generativeCheckbox = document.createElement('input');
+        generativeCheckbox.type = 'checkbox';
+        generativeCheckbox.addEventListener('change', () => this.setGenerativeSoundtrack(generativeCheckbox.checked));
+        generativeLabel.appendChild(generativeCheckbox);
+        generativeLabel.appendChild(document.createTextNode(' Generative soundtrack'));
+        this.dom.audioReactiveArea.appendChild(generativeLabel);
+
+        const playlistHint = document.createElement('div');
+        playlistHint.className = 'audio-hint';
+        playlistHint.textContent = 'Drop audio files anywhere on the page to add them to the playlist. Tracks crossfade into each other.';
+        this.dom.audioReactiveArea.appendChild(playlistHint);
+
+        const heading = document.createElement('div');
+        heading.className = 'controls-panel__section-title';
+        heading.textContent = 'Audio Reactive';
+        this.dom.audioReactiveArea.appendChild(heading);
+
+        const enabledLabel = document.createElement('label');
+        enabledLabel.className = 'audio-checkbox';
+        const enabledCheckbox = document.createElement('input');
+        enabledCheckbox.type = 'checkbox';
+        enabledCheckbox.addEventListener('change', () => this.setAudioReactive(enabledCheckbox.checked));
+        enabledLabel.appendChild(enabledCheckbox);
+        enabledLabel.appendChild(document.createTextNode(' React to music'));
+        this.dom.audioReactiveArea.appendChild(enabledLabel);
+
+        const hint = document.createElement('div');
+        hint.className = 'audio-hint';
+        hint.textContent = 'Each mapping adds the feature (0-1) times the amount to the slider value.';
+        this.dom.audioReactiveArea.appendChild(hint);
+
+        this._createMicrophoneControls(this.dom.audioReactiveArea, makeButton);
+
+        const mappingList = document.createElement('div');
+        mappingList.className = 'audio-mappings';
+        this.dom.audioReactiveArea.appendChild(mappingList);
+
+        const buttonRow = document.createElement('div');
+        buttonRow.className = 'controls-panel__buttons';
+        const addBtn = makeButton('Add mapping', () => {
+            const mappings = this.audioReactor.mappings;
+            const last = mappings[mappings.length - 1];
+            this.audioReactor.setMappings([...mappings, { feature: last ? last.feature : 'bass', param: this.flower.getSliderDefinitions()[0].param, amount: 0.2 }]);
+            this._renderAudioMappings();
+        }, buttonRow);
+        makeButton('Reset', () => {
+            this.audioReactor.setMappings(AppConfig.AUDIO_REACTIVE.DEFAULT_MAPPINGS);
+            this._renderAudioMappings();
+        }, buttonRow);
+        this.dom.audioReactiveArea.appendChild(buttonRow);
+
+        this.audioControls = { enabledCheckbox, playlist, previousBtn, nextBtn, generativeCheckbox, mappingList, addBtn };
+        this._renderAudioMappings();
+    }
+
+    /**
+     * Creates the live input controls: a microphone toggle, the input device picker, gain and smoothing sliders,
+     * a status line for the permission flow and a level meter. The live input uses the same mappings as the music.
+     * @param {HTMLElement} parent - Element to append the controls to.
+     * @param {function(string, function(): void, HTMLElement): HTMLButtonElement} makeButton - Button factory of the audio area.
+     * @private
+     */
+    _createMicrophoneControls(parent, makeButton) {
+        const heading = document.createElement('div');
+        heading.className = 'controls-panel__section-title';
+        heading.textContent = 'Live Input';
+        parent.appendChild(heading);
+
+        const enabledLabel = document.createElement('label');
+        enabledLabel.className = 'audio-checkbox';
+        const enabledCheckbox = document.createElement('input');
+        enabledCheckbox.type = 'checkbox';
+        enabledCheckbox.addEventListener('change', () => this.setMicrophoneInput(enabledCheckbox.checked));
+        enabledLabel.appendChild(enabledCheckbox);
+        enabledLabel.appendChild(document.createTextNode(' Animate from microphone'));
+        parent.appendChild(enabledLabel);
+
+        const deviceRow = document.createElement('div');
+        deviceRow.className = 'controls-panel__row';
+        const deviceSelect = document.createElement('select');
+        deviceSelect.setAttribute('aria-label', 'Input device');
+        deviceSelect.addEventListener('change', () => {
+            this.audioManager.setMicrophoneSettings({ deviceId: deviceSelect.value });
+            if (this.animationSource === 'microphone') this.setMicrophoneInput(true); // Switch devices live.
+        });
+        deviceRow.appendChild(deviceSelect);
+        makeButton('Refresh', () => this._refreshInputDevices(), deviceRow);
+        parent.appendChild(deviceRow);
+
+        const status = document.createElement('div');
+        status.className = 'audio-hint';
+        status.setAttribute('role', 'status');
+        status.textContent = 'The browser asks for permission the first time.';
+        parent.appendChild(status);
+
+        const meter = document.createElement('div');
+        meter.className = 'audio-meter';
+        meter.setAttribute('role', 'meter');
+        meter.setAttribute('aria-label', 'Input level');
+        meter.setAttribute('aria-valuemin', '0');
+        meter.setAttribute('aria-valuemax', '1');
+        meter.setAttribute('aria-valuenow', '0');
+        const meterFill = document.createElement('div');
+        meterFill.className = 'audio-meter__fill';
+        meter.appendChild(meterFill);
+        parent.appendChild(meter);
+
+        const config = AppConfig.MICROPHONE;
+        const gain = this._createSettingSlider('Gain', 0, config.MAX_GAIN, 0.1, 1, value => {
+            this.audioManager.setMicrophoneSettings({ gain: value });
+        });
+        const smoothing = this._createSettingSlider('Smoothing', 0, config.MAX_SMOOTHING, 0.05, 2, value => {
+            this.audioManager.setMicrophoneSettings({ smoothing: value });
+            if (this.animationSource === 'microphone') this.audioReactor.setSmoothing(value);
+        });
+        const settings = this.audioManager.microphoneSettings;
+        this._setSettingSlider(gain, settings.gain);
+        this._setSettingSlider(smoothing, settings.smoothing);
+        const slidersArea = document.createElement('div');
+        slidersArea.className = 'controls-panel__sliders-area';
+        slidersArea.appendChild(gain.container);
+        slidersArea.appendChild(smoothing.container);
+        parent.appendChild(slidersArea);
+
+        this.microphoneControls = { enabledCheckbox, deviceSelect, status, meter, meterFill };
+        this.audioManager.onMicrophoneEnded = () => {
+            if (this.animationSource === 'microphone') this.setAutoAnimating(false);
+            status.textContent = 'The microphone was disconnected.';
+        };
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this._refreshInputDevices(), { signal: this.listenerController.signal });
+        }
+        this._refreshInputDevices();
+    }
+
+    /**
+     * Refills the input device picker. Device names only show once microphone access has been allowed.
+     * @returns {Promise<void>} Resolves once the picker is filled.
+     * @private
+     */
+    async _refreshInputDevices() {
+        const { deviceSelect } = this.microphoneControls;
+        if (!deviceSelect) return;
+        let devices = [];
+        try {
+            devices = await this.audioManager.listInputDevices();
+        } catch (e) {
+            console.warn("Audio input devices could not be listed:", e.message);
+        }
+        deviceSelect.innerHTML = '';
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = 'Default input';
+        deviceSelect.appendChild(defaultOption);
+        devices.filter(device => device.deviceId && device.deviceId !== 'default').forEach(device => {
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            option.textContent = device.label;
+            deviceSelect.appendChild(option);
+        });
+        const { deviceId } = this.audioManager.microphoneSettings;
+        deviceSelect.value = devices.some(device => device.deviceId === deviceId) ? deviceId : '';
+    }
+
+    /**
+     * Starts or stops animating the flower from the microphone. Starting asks for permission if needed, then drives
+     * the params through `updateAnimatedFlowerParams` (in place of the noise), so the sliders track the live input.
+     * Calling it while the live input runs reopens the microphone, e.g. after picking another device.
+     * @param {boolean} enabled - Whether the microphone should drive the flower.
+     * @returns {Promise<boolean>} Whether the live input is running.
+     */
+    async setMicrophoneInput(enabled) {
+        const { enabledCheckbox, status } = this.microphoneControls;
+        if (!this.audioReactor || !enabled) {
+            if (this.animationSource === 'microphone') this.setAutoAnimating(false);
+            if (enabledCheckbox) enabledCheckbox.checked = false;
+            return false;
+        }
+        if (enabledCheckbox) enabledCheckbox.checked = true;
+        if (status) status.textContent = 'Waiting for microphone access…';
+        try {
+            await this.audioManager.startMicrophone();
+            if (!this.audioReactor.ensureAnalyser()) throw new Error("This browser does not support audio analysis.");
+            if (enabledCheckbox && !enabledCheckbox.checked) throw new Error('Microphone off.'); // Unticked while the browser asked.
+        } catch (e) {
+            this.audioManager.stopMicrophone();
+            if (this.animationSource === 'microphone') this.setAutoAnimating(false);
+            if (enabledCheckbox) enabledCheckbox.checked = false;
+            if (status) status.textContent = e.message;
+            return false;
+        }
+        this.audioReactor.setSmoothing(this.audioManager.microphoneSettings.smoothing);
+        if (this.animationSource !== 'microphone') {
+            this.setAutoAnimating(true, 'microphone');
+            this.liveInputRestingParams = { ...this.currentParams };
+        }
+        if (status) status.textContent = 'Listening.';
+        this._refreshInputDevices(); // Device names are available now.
+        return true;
+    }
+
+    /**
+     * Closes the microphone and puts the params back at their resting values. Called by `setAutoAnimating`.
+     * @private
+     */
+    _stopLiveInput() {
+        this.audioManager.stopMicrophone();
+        this.audioReactor.setSmoothing();
+        if (this.liveInputRestingParams) {
+            this.currentParams = { ...this.currentParams, ...this.liveInputRestingParams };
+            this.flower.updateParams(this.currentParams);
+            this._syncSlidersToParams();
+        }
+        this.liveInputRestingParams = null;
+        const { enabledCheckbox, status } = this.microphoneControls;
+        if (enabledCheckbox) enabledCheckbox.checked = false;
+        if (status) status.textContent = 'Microphone off.';
+        this._updateLevelMeter();
+    }
+
+    /**
+     * Shows the live input level (0 while the microphone is off).
+     * @private
+     */
+    _updateLevelMeter() {
+        const { meter, meterFill } = this.microphoneControls;
+        if (!meter) return;
+        const level = this.animationSource === 'microphone' ? this.audioReactor.features.level : 0;
+        meterFill.style.width = `${(level * 100).toFixed(1)}%`;
+        meter.setAttribute('aria-valuenow', level.toFixed(2));
+    }
+
+    /**
+     * Rebuilds the mapping rows: feature and param pickers, a remove button and an amount slider per mapping.
+     * The param picker offers the sliders of the edited flower's shape model and the plant parts.
+     * @private
+     */
+    _renderAudioMappings() {
+        const { mappingList, addBtn } = this.audioControls;
+        if (!mappingList) return;
+        mappingList.innerHTML = '';
+        const definitions = [...this.flower.getSliderDefinitions(), ...AppConfig.PLANT_PARTS.flatMap(part => part.sliders)];
+        const allDefinitions = Utils.getParamDefinitions();
+        const update = (index, change) => {
+            const mappings = this.audioReactor.mappings.map(m => ({ ...m }));
+            Object.assign(mappings[index], change);
+            this.audioReactor.setMappings(mappings);
+        };
+
+        this.audioReactor.mappings.forEach((mapping, index) => {
+            const group = document.createElement('div');
+            group.className = 'audio-mapping';
+            const row = document.createElement('div');
+            row.className = 'controls-panel__row';
+
+            const featureSelect = document.createElement('select');
+            featureSelect.setAttribute('aria-label', 'Music feature');
+            AppConfig.AUDIO_FEATURES.forEach(feature => {
+                const option = document.createElement('option');
+                option.value = feature.name;
+                option.textContent = feature.label;
+                featureSelect.appendChild(option);
+            });
+            featureSelect.value = mapping.feature;
+            featureSelect.addEventListener('change', () => update(index, { feature: featureSelect.value }));
+            row.appendChild(featureSelect);
+
+            const arrow = document.createElement('span');
+            arrow.textContent = '→';
+            arrow.setAttribute('aria-hidden', 'true');
+            row.appendChild(arrow);
+
+            const paramSelect = document.createElement('select');
+            paramSelect.setAttribute('aria-label', 'Flower parameter');
+            // Keep a mapped param of another shape model selectable, so the mapping isn't silently changed.
+            const options = definitions.some(def => def.param === mapping.param)
+                ? definitions : [...definitions, allDefinitions.find(def => def.param === mapping.param)];
+            options.forEach(def => {
+                const option = document.createElement('option');
+                option.value = def.param;
+                option.textContent = def.label.replace(/:$/, '');
+                paramSelect.appendChild(option);
+            });
+            paramSelect.value = mapping.param;
+            paramSelect.addEventListener('change', () => update(index, { param: paramSelect.value }));
+            row.appendChild(paramSelect);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'button button--small';
+            removeBtn.textContent = '×';
+            removeBtn.setAttribute('aria-label', 'Remove mapping');
+            removeBtn.addEventListener('click', () => {
+                this.audioReactor.setMappings(this.audioReactor.mappings.filter((m, i) => i !== index));
+                this._renderAudioMappings();
+            });
+            row.appendChild(removeBtn);
+            group.appendChild(row);
+
+            const amount = this._createSettingSlider('Amount', -1, 1, 0.05, 2, value => update(index, { amount: value }));
+            this._setSettingSlider(amount, mapping.amount);
+            const slidersArea = document.createElement('div');
+            slidersArea.className = 'controls-panel__sliders-area';
+            slidersArea.appendChild(amount.container);
+            group.appendChild(slidersArea);
+            mappingList.appendChild(group);
+        });
+        addBtn.disabled = this.audioReactor.mappings.length >= AppConfig.AUDIO_REACTIVE.MAX_MAPPINGS;
+        this._refreshAudioReactiveControls();
+    }
+
+    /**
+     * Syncs the toggles and the playlist with the audio reactor and music.
+     * @private
+     */
+    _refreshAudioReactiveControls() {
+        const { enabledCheckbox, playlist, previousBtn, nextBtn, generativeCheckbox } = this.audioControls;
+        if (!enabledCheckbox) return;
+        const audio = this.audioManager;
+        enabledCheckbox.checked = this.audioReactor.enabled;
+        generativeCheckbox.checked = audio.generativeEnabled;
+        previousBtn.disabled = nextBtn.disabled = audio.playlist.length < 2;
+
+        playlist.innerHTML = '';
+        audio.playlist.forEach((track, index) => {
+            const item = document.createElement('li');
+            item.className = 'audio-playlist__item';
+            const current = index === audio.trackIndex && !audio.generativeEnabled;
+            if (current) item.setAttribute('aria-current', 'true');
+            const name = document.createElement('button');
+            name.type = 'button';
+            name.className = 'audio-track';
+            name.textContent = track.name;
+            name.title = track.name;
+            name.addEventListener('click', () => {
+                audio.playTrack(index);
+                audio.ensurePlaying();
+                this._refreshAudioReactiveControls();
+            });
+            item.appendChild(name);
+            if (track.local) {
+                const removeBtn = document.createElement('button');
+                removeBtn.type = 'button';
+                removeBtn.className = 'button button--small';
+                removeBtn.textContent = '×';
+                removeBtn.setAttribute('aria-label', `Remove ${track.name} from the playlist`);
+                removeBtn.addEventListener('click', () => {
+                    audio.removeTrack(index);
+                    this._refreshAudioReactiveControls();
+                });
+                item.appendChild(removeBtn);
+            }
+            playlist.appendChild(item);
+        });
+        if (audio.generativeEnabled) {
+            const item = document.createElement('li');
+            item.className = 'audio-playlist__item';
+            item.setAttribute('aria-current', 'true');
+            const name = document.createElement('span');
+            name.className = 'audio-track';
+            name.textContent = AppConfig.GENERATIVE_AUDIO.TRACK_NAME;
+            item.appendChild(name);
+            playlist.appendChild(item);
+        }
+    }
+
+    /**
+     * Turns the audio-reactive mode on or off. It replaces auto-animation, which would otherwise fold the music's
+     * offsets into the slider values; turning it off puts the flower back at the slider values.
+     * @param {boolean} enabled - Whether the flower should react to the music.
+     */
+    setAudioReactive(enabled) {
+        if (!this.audioReactor) return;
+        if (enabled && this.isAutoAnimating) this.setAutoAnimating(false);
+        const wasEnabled = this.audioReactor.enabled;
+        if (!this.audioReactor.setEnabled(enabled) && enabled) {
+            alert("Your browser does not support audio analysis.");
+        }
+        if (wasEnabled && !this.audioReactor.enabled) this.flower.updateParams(this.currentParams);
+        this._refreshAudioReactiveControls();
+    }
+
+    /**
+     * Switches between the background music and the generative soundtrack, which follows the edited flower.
+     * The soundtrack replaces the audio-reactive mode, which would otherwise react to the flower's own sound.
+     * @param {boolean} enabled - Whether the generative soundtrack should play.
+     */
+    setGenerativeSoundtrack(enabled) {
+        if (enabled) this.setAudioReactive(false);
+        if (!this.audioManager.setGenerative(enabled, this.flower.params) && enabled) {
+            alert("Your browser does not support Web Audio.");
+        }
+        this._refreshAudioReactiveControls();
+    }
+
+    /**
+     * Adds local audio files to the playlist and plays the first of them. Files the browser can't play are reported.
+     * @param {File[]} files - The audio files.
+     */
+    addAudioFiles(files) {
+        const firstIndex = this.audioManager.playlist.length;
+        const rejected = files.filter(file => !this.audioManager.addFile(file)).map(file => `"${file.name}"`);
+        if (this.audioManager.playlist.length > firstIndex) {
+            this.audioManager.playTrack(firstIndex);
+            this.audioManager.ensurePlaying();
+        }
+        if (rejected.length) alert(`${rejected.join(', ')} ${rejected.length === 1 ? 'is not an audio file' : 'are not audio files'} this browser can play.`);
+        this._refreshAudioReactiveControls();
+    }
+
+    /**
+     * Creates the MIDI controls: an on/off toggle, the MIDI-learn toggle for sliders, a note action picker with its
+     * own learn button, the list of bindings and a status line. Bound knobs move their sliders; bound notes run their action.
+     * @private
+     */
+    _createMidiControls() {
+        if (!this.dom.midiArea) return;
+        this.dom.midiArea.innerHTML = ''; // Clear existing controls.
+        const makeButton = (text, onClick, parent) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'button button--small';
+            button.textContent = text;
+            button.addEventListener('click', onClick);
+            parent.appendChild(button);
+            return button;
+        };
+
+        const heading = document.createElement('div');
+        heading.className = 'controls-panel__section-title';
+        heading.textContent = 'MIDI';
+        this.dom.midiArea.appendChild(heading);
+
+        const enabledLabel = document.createElement('label');
+        enabledLabel.className = 'midi-checkbox';
+        const enabledCheckbox = document.createElement('input');
+        enabledCheckbox.type = 'checkbox';
+        enabledCheckbox.addEventListener('change', () => this.setMidiInput(enabledCheckbox.checked));
+        enabledLabel.appendChild(enabledCheckbox);
+        enabledLabel.appendChild(document.createTextNode(' Enable MIDI input'));
+        this.dom.midiArea.appendChild(enabledLabel);
+
+        const learnRow = document.createElement('div');
+        learnRow.className = 'controls-panel__buttons';
+        const learnBtn = makeButton('Learn sliders', () => this.setMidiLearning(!this.isMidiLearning), learnRow);
+        learnBtn.setAttribute('aria-pressed', 'false');
+        this.dom.midiArea.appendChild(learnRow);
+
+        const noteRow = document.createElement('div');
+        noteRow.className = 'controls-panel__row';
+        const actionSelect = document.createElement('select');
+        actionSelect.setAttribute('aria-label', 'Note action');
+        AppConfig.MIDI.NOTE_ACTIONS.forEach(action => {
+            const option = document.createElement('option');
+            option.value = action.id;
+            option.textContent = action.label;
+            actionSelect.appendChild(option);
+        });
+        noteRow.appendChild(actionSelect);
+        const presetSelect = document.createElement('select');
+        presetSelect.setAttribute('aria-label', 'Preset to recall');
+        noteRow.appendChild(presetSelect);
+        actionSelect.addEventListener('change', () => { presetSelect.hidden = actionSelect.value !== 'preset'; });
+        const learnNoteBtn = makeButton('Learn note', () => {
+            const note = actionSelect.value === 'preset' ? { action: 'preset', preset: presetSelect.value } : { action: actionSelect.value };
+            if (note.action === 'preset' && !note.preset) return;
+            this.midiController.startLearn({ kind: 'note', note });
+        }, noteRow);
+        this.dom.midiArea.appendChild(noteRow);
+
+        const mappingList = document.createElement('ul');
+        mappingList.className = 'midi-mappings';
+        mappingList.setAttribute('aria-label', 'MIDI bindings');
+        this.dom.midiArea.appendChild(mappingList);
+
+        const status = document.createElement('div');
+        status.className = 'midi-hint';
+        status.setAttribute('role', 'status');
+        this.dom.midiArea.appendChild(status);
+
+        this.midiControls = { enabledCheckbox, learnBtn, learnNoteBtn, presetSelect, mappingList, status };
+        this.midiController.onControl = (param, value) => {
+            if (this.isAutoAnimating || this.isTimelinePlaying) return; // Like the sliders, knobs rest while the params animate.
+            this.applyParams({ [param]: value });
+        };
+        this.midiController.onNote = (note) => this._runMidiNoteAction(note);
+        this.midiController.onChange = () => this._renderMidiControls();
+        this._refreshMidiPresetOptions();
+        this._renderMidiControls();
+    }
+
+    /**
+     * Turns MIDI input on (asking for access) or off, reporting problems in the status line.
+     * @param {boolean} enabled - Whether MIDI input should be on.
+     * @returns {Promise<boolean>} Whether MIDI input is on afterwards.
+     */
+    async setMidiInput(enabled) {
+        const { enabledCheckbox } = this.midiControls;
+        if (enabledCheckbox) enabledCheckbox.checked = enabled;
+        this.midiControls.error = null;
+        if (!enabled) {
+            this.setMidiLearning(false);
+            this.midiController.disable();
+            return false;
+        }
+        try {
+            await this.midiController.enable();
+            return true;
+        } catch (e) {
+            this.midiControls.error = e.message;
+            this._renderMidiControls();
+            return false;
+        }
+    }
+
+    /**
+     * Turns MIDI-learn for sliders on or off. While on, clicking a slider and then moving a knob binds the knob to it.
+     * @param {boolean} learning - Whether learn mode should be on.
+     */
+    setMidiLearning(learning) {
+        this.isMidiLearning = !!learning;
+        if (!this.isMidiLearning && this.midiController.learnTarget && this.midiController.learnTarget.kind === 'control') {
+            this.midiController.startLearn(null);
+        }
+        if (this.dom.controlsPanel) this.dom.controlsPanel.classList.toggle('controls-panel--midi-learn', this.isMidiLearning);
+        this._renderMidiControls();
+    }
+
+    /**
+     * Runs the action a note is bound to.
+     * @param {MidiNoteMapping} note - The binding.
+     * @private
+     */
+    _runMidiNoteAction(note) {
+        if (note.action === 'preset') {
+            if (this.presetLibrary.get(note.preset)) this.loadPreset(note.preset);
+            else console.warn(`MIDI note bound to the missing preset "${note.preset}".`);
+        } else if (note.action === 'theme') {
+            this.toggleTheme();
+        } else if (note.action === 'autoAnimate') {
+            this.setAutoAnimating(!this.isAutoAnimating);
+        }
+    }
+
+    /**
+     * Refills the preset picker of the note actions.
+     * @private
+     */
+    _refreshMidiPresetOptions() {
+        const { presetSelect } = this.midiControls;
+        if (!presetSelect) return;
+        const previous = presetSelect.value;
+        presetSelect.innerHTML = '';
+        [...this.presetLibrary.getBuiltIns(), ...this.presetLibrary.getUserPresets()].forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.name;
+            option.textContent = preset.name;
+            presetSelect.appendChild(option);
+        });
+        if (previous && this.presetLibrary.get(previous)) presetSelect.value = previous;
+    }
+
+    /**
+     * Shows the MIDI state: the toggles, the slider being learned, the bindings and the status line.
+     * @private
+     */
+    _renderMidiControls() {
+        const { enabledCheckbox, learnBtn, learnNoteBtn, mappingList, status } = this.midiControls;
+        if (!mappingList) return;
+        const midi = this.midiController;
+        const enabled = midi.isEnabled();
+        const target = midi.learnTarget;
+        const definitions = Utils.getParamDefinitions();
+        const paramLabel = (param) => {
+            const definition = definitions.find(def => def.param === param);
+            return definition ? definition.label.replace(/:$/, '') : param;
+        };
+        const noteLabel = (note) => {
+            const action = AppConfig.MIDI.NOTE_ACTIONS.find(a => a.id === note.action);
+            return note.action === 'preset' ? `${action.label}: ${note.preset}` : action.label;
+        };
+        const keyLabel = (prefix, key) => {
+            const [channel, number] = key.split(':');
+            return `${prefix} ${number} · ch ${Number(channel) + 1}`;
+        };
+
+        enabledCheckbox.checked = enabled;
+        learnBtn.disabled = learnNoteBtn.disabled = !enabled;
+        learnBtn.setAttribute('aria-pressed', String(this.isMidiLearning));
+        Object.entries(this.flowerSliders).forEach(([param, { slider }]) => {
+            const learning = !!target && target.kind === 'control' && target.param === param;
+            slider.parentElement.classList.toggle('slider-container--midi-learn', learning);
+        });
+
+        mappingList.innerHTML = '';
+        const addItem = (text, kind, key) => {
+            const item = document.createElement('li');
+            item.className = 'midi-mappings__item';
+            const label = document.createElement('span');
+            label.textContent = text;
+            item.appendChild(label);
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'button button--small';
+            removeBtn.textContent = '×';
+            removeBtn.setAttribute('aria-label', `Remove binding: ${text}`);
+            removeBtn.addEventListener('click', () => midi.removeMapping(kind, key));
+            item.appendChild(removeBtn);
+            mappingList.appendChild(item);
+        };
+        Object.entries(midi.mappings.controls).forEach(([key, param]) => addItem(`${keyLabel('CC', key)} → ${paramLabel(param)}`, 'controls', key));
+        Object.entries(midi.mappings.notes).forEach(([key, note]) => addItem(`${keyLabel('Note', key)} → ${noteLabel(note)}`, 'notes', key));
+
+        if (!enabled) {
+            status.textContent = this.midiControls.error || 'Enable MIDI to bind knobs and pads. Bindings are saved.';
+        } else if (target && target.kind === 'control') {
+            status.textContent = `Move a knob to bind it to ${paramLabel(target.param)}.`;
+        } else if (target && target.kind === 'note') {
+            status.textContent = `Play a note to bind it to "${noteLabel(target.note)}".`;
+        } else if (this.isMidiLearning) {
+            status.textContent = 'Click a slider, then move a knob.';
+        } else {
+            const inputs = midi.getInputNames();
+            status.textContent = inputs.length ? `Inputs: ${inputs.join(', ')}` : 'No MIDI inputs connected.';
+        }
+    }
+
+    /**
+     * Lets the user drop an audio file anywhere on the page to play it.
+     * @private
+     */
+    _setupAudioFileDrop() {
+        if (!this.audioManager || !this.audioManager.music) return;
+        const hasFiles = (event) => event.dataTransfer && Array.from(event.dataTransfer.types || []).includes('Files');
+        const { signal } = this.listenerController;
+        window.addEventListener('dragover', (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault(); // Allow dropping.
+            event.dataTransfer.dropEffect = 'copy';
+        }, { signal });
+        window.addEventListener('drop', (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault(); // Keep the browser from opening the file.
+            const files = Array.from(event.dataTransfer.files);
+            if (files.length) this.addAudioFiles(files);
+        }, { signal });
+    }
+
+    /**
+     * Offsets the edited flower's params by the music, leaving `currentParams` (the slider values) untouched.
+     * Called from the main `draw()` loop; does nothing unless the audio-reactive mode is on.
+     * @param {number} now - Current time in milliseconds (performance.now() based).
+     */
+    updateAudioReactiveParams(now) {
+        if (!this.audioReactor || !this.audioReactor.enabled) return;
+        this.audioReactor.update(now);
+        this.flower.updateParams(this.audioReactor.applyTo(this.currentParams));
+    }
+
+    /**
+     * Clamps a set of raw parameter values against the slider definitions.
+     * Values that are missing or not numeric fall back to the current parameter value,
+     * so the result is always safe to hand to `Flower.updateParams`.
+     * @param {object} rawParams - Parameter values to sanitize (numbers or numeric strings).
+     * @returns {object} A complete, clamped parameter object.
+     */
+    sanitizeParams(rawParams) {
+        return Utils.sanitizeParams(rawParams, this.currentParams);
+    }
+
+    /**
+     * Applies a (partial) set of parameters to the flower and the slider UI.
+     * Input is clamped via `sanitizeParams` first.
+     * @param {object} params - Parameter values to apply.
+     */
+    applyParams(params) {
+        this.paramTransition.cancel();
+        this.currentParams = this.sanitizeParams(params);
+        this.flower.updateParams(this.currentParams);
+        this._syncSlidersToParams();
+    }
+
+    /**
+     * Smoothly transitions from the current parameters to a (partial) target set.
+     * The target is clamped via `sanitizeParams`. Any running or queued transition is cancelled.
+     * @param {object} params - Target parameter values.
+     * @param {{duration?: number, easing?: string, onStart?: function(): void, onComplete?: function(boolean): void}} [options] - Overrides for `transitionSettings`.
+     * @returns {Promise<boolean>} Resolves true when the transition completes, false if it was cancelled or could not start.
+     */
+    transitionTo(params, options = {}) {
+        if (this.isAutoAnimating) return Promise.resolve(false);
+        return this.paramTransition.transitionTo(this.sanitizeParams(params), { ...this.transitionSettings, ...options });
+    }
+
+    /**
+     * Like `transitionTo`, but queues the transition after the running one (and any queued before it)
+     * instead of cancelling them, e.g. to play several presets in sequence. Only the given params are clamped and animated;
+     * the others keep whatever values the earlier transitions leave them at.
+     * @param {object} params - Target parameter values.
+     * @param {{duration?: number, easing?: string, onStart?: function(): void, onComplete?: function(boolean): void}} [options] - Overrides for `transitionSettings`.
+     * @returns {Promise<boolean>} Resolves true when the transition completes, false if it was cancelled or could not start.
+     */
+    chainTo(params, options = {}) {
+        if (this.isAutoAnimating) return Promise.resolve(false);
+        return this.paramTransition.chain(Utils.sanitizeParams(params, {}), { ...this.transitionSettings, ...options });
+    }
+
+    /**
+     * Applies one frame of animated parameters (from a transition or timeline) to the flower and sliders.
+     * Unlike `applyParams`, this neither clamps nor cancels the running transition.
+     * @param {object} params - The interpolated parameter values.
+     */
+    applyFrameParams(params) {
+        this.currentParams = { ...this.currentParams, ...params };
+        this.flower.updateParams(params);
+        this._syncSlidersToParams();
+    }
+
+    /**
+     * Updates every slider and its value display to match `currentParams`.
+     * @private
+     */
+    _syncSlidersToParams() {
+        for (const paramName in this.flowerSliders) {
+            const sliderObj = this.flowerSliders[paramName];
+            if (this.currentParams.hasOwnProperty(paramName)) {
+                sliderObj.slider.value = this.currentParams[paramName];
+                sliderObj.valueSpan.textContent = Number(this.currentParams[paramName]).toFixed(sliderObj.definition.decimals);
+            }
+        }
+    }
+
+    /**
+     * Sets up the initial content for the info popup, specifically the main title.
+     * Calls `_ensureSecondaryPopupContentLoaded` to prepare other content.
+     * @private
+     */
+    _setupInitialPopupContent() {
+        if (this.dom.infoPopupInitialTitleContainer) {
+            this.dom.infoPopupInitialTitleContainer.innerHTML = ''; // Clear existing content.
+            const titleEl = document.createElement('h1');
+            titleEl.className = 'title-word'; // For styling (e.g., word-by-word animation).
+            titleEl.textContent = AppConfig.POPUP_TEXTS.INITIAL_TITLE;
+            this.dom.infoPopupInitialTitleContainer.appendChild(titleEl);
+        }
+        this._ensureSecondaryPopupContentLoaded(); // Pre-load or ensure secondary content is ready.
+    }
+
+    /**
+     * Helper function to populate a list element (UL/OL) with items.
+     * @param {HTMLElement|null} listElement - The UL or OL element to populate.
+     * @param {string[]} items - An array of strings to be added as list items.
+     * @private
+     */
+    _populateList(listElement, items) {
+        if (listElement && items && items.length > 0) {
+            listElement.innerHTML = ''; // Clear previous items.
+            items.forEach(itemText => {
+                const li = document.createElement('li');
+                li.textContent = itemText;
+                listElement.appendChild(li);
+            });
+        }
+    }
+
+    /**
+     * Ensures that the secondary content of the info popup (text, quotes, credits) is loaded.
+     * This is done once to avoid redundant DOM manipulations.
+     * @private
+     */
+    _ensureSecondaryPopupContentLoaded() {
+        if (this.secondaryContentLoaded || !this.dom.infoPopupSecondaryContentContainer) return;
+
+        // Populate text content from AppConfig.
+        if(this.dom.secondaryContentHeading) this.dom.secondaryContentHeading.innerHTML = AppConfig.POPUP_TEXTS.SECONDARY_HEADING;
+        if(this.dom.secondaryContentSubheading) this.dom.secondaryContentSubheading.innerHTML = AppConfig.POPUP_TEXTS.SECONDARY_SUBHEADING;
+        if(this.dom.quoteTextElement) this.dom.quoteTextElement.innerHTML = AppConfig.POPUP_TEXTS.QUOTE;
+        if(this.dom.secondaryContentAttribution) this.dom.secondaryContentAttribution.innerHTML = AppConfig.POPUP_TEXTS.ATTRIBUTION;
+        if(this.dom.additionalParagraphElement) this.dom.additionalParagraphElement.innerHTML = AppConfig.POPUP_TEXTS.ADDITIONAL_PARAGRAPH;
+        
+        if(this.dom.callToActionTextElement) this.dom.callToActionTextElement.innerHTML = AppConfig.POPUP_TEXTS.CALL_TO_ACTION;
+
+        // Populate structured credits lists.
+        if(this.dom.creditsGroupTitle1) this.dom.creditsGroupTitle1.textContent = AppConfig.POPUP_TEXTS.CREDITS_GROUP_1_TITLE;
+        this._populateList(this.dom.creditsList1, AppConfig.POPUP_TEXTS.CREDITS_GROUP_1_LIST);
+        
+        if(this.dom.creditsGroupTitle2) this.dom.creditsGroupTitle2.textContent = AppConfig.POPUP_TEXTS.CREDITS_GROUP_2_TITLE;
+        this._populateList(this.dom.creditsList2, AppConfig.POPUP_TEXTS.CREDITS_GROUP_2_LIST);
+
+        if(this.dom.creditsGroupTitle3) this.dom.creditsGroupTitle3.textContent = AppConfig.POPUP_TEXTS.CREDITS_GROUP_3_TITLE;
+        this._populateList(this.dom.creditsList3, AppConfig.POPUP_TEXTS.CREDITS_GROUP_3_LIST);
+
+        if(this.dom.creditsCopyright) this.dom.creditsCopyright.innerHTML = AppConfig.POPUP_TEXTS.CREDITS_COPYRIGHT;
+
+
+        this.secondaryContentLoaded = true; // Mark as loaded.
+    }
+
+    /**
+     * Shows the information popup.
+     * Resets scroll position, ensures content is loaded, and manages visibility and ARIA attributes.
+     * Starts observing animatable elements for scroll-triggered animations.
+     */
+    showInfoPopup() {
+        if (!this.dom.infoPopup || !this.dom.infoPopupContentWrapper) return;
+
+        this.dom.infoPopupContentWrapper.scrollTop = 0; // Scroll to top.
+        this._ensureSecondaryPopupContentLoaded(); // Make sure all text content is populated.
+
+        // Reset animation classes and start observing for scroll animations.
+        this.animatablePopupElements.forEach(el => {
+            if (el) {
+                el.classList.remove('scroll-animate--in-view');
+                // Force reflow to help ensure CSS transitions re-trigger correctly if re-shown.
+                void el.offsetWidth; 
+                
+                if (this.popupScrollObserver) {
+                    this.popupScrollObserver.observe(el); // Start observing this element.
+                } else { // Fallback if IntersectionObserver is not supported
+                    el.classList.add('scroll-animate--in-view'); // Make visible immediately.
+                }
+            }
+        });
+        
+        // Make content blocks visible (these might have been display:none).
+        // Note: CSS animations/transitions might handle the actual visual appearance.
+        if (this.dom.infoPopupInitialTitleContainer) this.dom.infoPopupInitialTitleContainer.style.display = 'block';
+        if (this.dom.infoPopupSecondaryContentContainer) {
+            this.dom.infoPopupSecondaryContentContainer.setAttribute('aria-hidden', 'false');
+            this.dom.infoPopupSecondaryContentContainer.style.display = 'block';
+        }
+         if (this.dom.stickyHeaderContent) { // Ensure sticky header is also display: block (or its original display type).
+            this.dom.stickyHeaderContent.style.display = 'block'; // or 'flex', etc. depending on its CSS
+        }
+        if (this.dom.contentBlock1) {
+            this.dom.contentBlock1.setAttribute('aria-hidden', 'false');
+            this.dom.contentBlock1.style.display = 'block';
+        }
+        if (this.dom.contentBlock2) {
+            this.dom.contentBlock2.setAttribute('aria-hidden', 'false');
+            this.dom.contentBlock2.style.display = 'block';
+        }
+        if (this.dom.contentBlock3) {
+            this.dom.contentBlock3.setAttribute('aria-hidden', 'false');
+            this.dom.contentBlock3.style.display = 'block';
+        }
+
+        // Show the main popup and hide the trigger button.
+        this.dom.infoPopup.setAttribute('aria-hidden', 'false');
+        if (this.dom.infoPopupTriggerBtn) this.dom.infoPopupTriggerBtn.style.visibility = 'hidden';
+    }
+
+    /**
+     * Hides the information popup.
+     * Updates visibility and ARIA attributes. Stops observing animatable elements.
+     */
+    hideInfoPopup() {
+        if (!this.dom.infoPopup) return;
+        this.dom.infoPopup.setAttribute('aria-hidden', 'true');
+        if (this.dom.infoPopupTriggerBtn) this.dom.infoPopupTriggerBtn.style.visibility = 'visible';
+
+        // Stop observing and reset animation classes for elements within the popup.
+        if (this.popupScrollObserver) {
+            this.animatablePopupElements.forEach(el => {
+                if (el) {
+                    this.popupScrollObserver.unobserve(el);
+                    el.classList.remove('scroll-animate--in-view');
+                }
+            });
+        }
+    }
+
+    /**
+     * Stops any transition and MIDI input and removes the listeners added by `_setupEventListeners` and the page-wide ones
+     * (resize, file drop, device changes). The generated controls stay until rebuilt.
+     */
+    destroy() {
+        this.paramTransition.cancel();
+        this.midiController.destroy();
+        if (this.popupScrollObserver) this.popupScrollObserver.disconnect();
+        this.listenerController.abort();
+    }
+}
+
+// PART 4: Utility Functions
+// -------------------------
+// A collection of general-purpose helper functions.
+
+/**
+ * @namespace Utils
  * A collection of static utility functions.
  */
-const Utils = {
+const Utils = {
+    /**
+     * Converts a HEX color string to an RGB object.
+     * @param {string} hex - The HEX color string (e.g., "#FF0000" or "FF0000").
+     * @returns {{r: number, g: number, b: number}} An object with r, g, b properties (0-255).
+     */
+    hexToRgb: (hex) => {
+        hex = hex.replace('#', '');
+        const r = parseInt(hex.substring(0, 2), 16);
+        const g = parseInt(hex.substring(2, 4), 16);
+        const b = parseInt(hex.substring(4, 6), 16);
+        return { r, g, b };
+    },
+    /**
+     * Returns the canvas background color for the current theme (light or dark).
+     * @returns {{r: number, g: number, b: number}} The background color (0-255).
+     */
+    getThemeBackgroundRgb: () => {
+        const currentThemeIsLight = document.body.classList.contains('theme--light');
+        const bgColorHex = currentThemeIsLight ? (AppConfig.COLOR_SCHEME_LIGHT_BG || '#F5F5F5') : (AppConfig.COLOR_SCHEME_DARK_BG || '#0F0F0F');
+        return Utils.hexToRgb(bgColorHex);
+    },
+    /**
+     * Easing function for smooth animations (cubic ease-in-out).
+     * @param {number} t - The input time/progress, typically from 0 to 1.
+     * @returns {number} The eased value, also from 0 to 1.
+     */
+    easeInOutCubic: (t) => {
+        return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+    },
+    /**
+     * Linear easing (no acceleration).
+     * @param {number} t - Progress from 0 to 1.
+     * @returns {number} The same value.
+     */
+    linear: (t) => t,
+    /**
+     * Quadratic ease-in (accelerating from zero velocity).
+     * @param {number} t - Progress from 0 to 1.
+     * @returns {number} The eased value.
+     */
+    easeInQuad: (t) => t * t,
+    /**
+     * Quadratic ease-out (decelerating to zero velocity).
+     * @param {number} t - Progress from 0 to 1.
+     * @returns {number} The eased value.
+     */
+    easeOutQuad: (t) => 1 - (1 - t) * (1 - t),
+    /**
+     * Quadratic ease-in-out.
+     * @param {number} t - Progress from 0 to 1.
+     * @returns {number} The eased value.
+     */
+    easeInOutQuad: (t) => {
+        return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+    },
+    /**
+     * Cubic ease-in.
+     * @param {number} t - Progress from 0 to 1.
+     * @returns {number} The eased value.
+     */
+    easeInCubic: (t) => t * t * t,
+    /**
+     * Cubic ease-out.
+     * @param {number} t - Progress from 0 to 1.
+     * @returns {number} The eased value.
+     */
+    easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+    /**
+     * Sinusoidal ease-in-out, gentler than cubic.
+     * @param {number} t - Progress from 0 to 1.
+     * @returns {number} The eased value.
+     */
+    easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+    /**
+     * Ease-out with a slight overshoot before settling.
+     * @param {number} t - Progress from 0 to 1.
+     * @returns {number} The eased value (briefly exceeds 1).
+     */
+    easeOutBack: (t) => {
+        const c1 = 1.70158;
+        const c3 = c1 + 1;
+        return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
+    },
+    /**
+     * Looks up an easing function by name. Only names listed in `AppConfig.EASINGS` are accepted.
+     * @param {string} name - The easing name (e.g. 'easeInOutCubic').
+     * @returns {function(number): number} The easing function, or `easeInOutCubic` for unknown names.
+     */
+    getEasing: (name) => {
+        const isKnown = AppConfig.EASINGS.some(easing => easing.name === name);
+        return isKnown ? Utils[name] : Utils.easeInOutCubic;
+    },
+    /**
+     * Validates palette settings, filling anything missing or malformed from `fallback`.
+     * Stops must be `#RRGGBB` colors; their count is limited to `AppConfig.PALETTE.MIN_STOPS`-`MAX_STOPS`.
+     * @param {*} raw - Candidate settings, expected to look like `{stops, mode, radiusWeight, depthWeight}`.
+     * @param {{stops: string[], mode: string, radiusWeight: number, depthWeight: number}} [fallback] - Settings to fall back to (defaults to the app's default palette).
+     * @returns {{stops: string[], mode: string, radiusWeight: number, depthWeight: number}} Valid palette settings.
+     */
+    sanitizePalette: (raw, fallback) => {
+        const base = fallback || {
+            stops: [...AppConfig.COLOR_SCHEME],
+            mode: AppConfig.PALETTE.DEFAULT_GRADIENT_MODE,
+            radiusWeight: AppConfig.PALETTE.DEFAULT_RADIUS_WEIGHT,
+            depthWeight: AppConfig.PALETTE.DEFAULT_DEPTH_WEIGHT,
+        };
+        const source = raw && typeof raw === 'object' ? raw : {};
+        const stops = Array.isArray(source.stops)
+            ? source.stops.filter(hex => typeof hex === 'string' && /^#[0-9a-f]{6}$/i.test(hex)).slice(0, AppConfig.PALETTE.MAX_STOPS)
+            : [];
+        const weight = (value, fallbackValue) => {
+            const number = Number(value);
+            return value !== undefined && value !== null && value !== '' && Number.isFinite(number) ? Math.min(1, Math.max(0, number)) : fallbackValue;
+        };
+        return {
+            stops: stops.length >= AppConfig.PALETTE.MIN_STOPS ? stops.map(hex => hex.toUpperCase()) : [...base.stops],
+            mode: AppConfig.GRADIENT_MODES.some(mode => mode.name === source.mode) ? source.mode : base.mode,
+            radiusWeight: weight(source.radiusWeight, base.radiusWeight),
+            depthWeight: weight(source.depthWeight, base.depthWeight),
+        };
+    },
+    /**
+     * Returns the slider definitions of every flower parameter: those of all petal shape models (each param once, see `PetalShapes`)
+     * followed by those of the plant parts.
+     * @returns {Array<object>} The definitions.
+     */
+    getParamDefinitions: () => {
+        const bloomDefinitions = new Map();
+        PetalShapes.list().forEach(model => model.sliders.forEach(def => {
+            if (!bloomDefinitions.has(def.param)) bloomDefinitions.set(def.param, def);
+        }));
+        return [...bloomDefinitions.values(), ...AppConfig.PLANT_PARTS.flatMap(part => part.sliders)];
+    },
+    /**
+     * Clamps raw flower parameter values against the slider definitions (see `getParamDefinitions`).
+     * Values that are missing or not numeric fall back to the value in `fallback`.
+     * @param {*} raw - Parameter values to sanitize (numbers or numeric strings).
+     * @param {object} fallback - A complete parameter object supplying missing values.
+     * @returns {object} A complete, clamped parameter object.
+     */
+    sanitizeParams: (raw, fallback) => {
+        const sanitized = { ...fallback };
+        Utils.getParamDefinitions().forEach(def => {
+            if (!raw || typeof raw !== 'object' || raw[def.param] === undefined || raw[def.param] === null || raw[def.param] === '') return;
+            const value = Number(raw[def.param]);
+            if (!Number.isFinite(value)) return; // Keep the fallback value for malformed input.
+            sanitized[def.param] = Math.min(def.max, Math.max(def.min, value));
+        });
+        return sanitized;
+    },
+    /**
+     * Creates a small seeded pseudo-random generator (mulberry32), so generated layouts can be reproduced from their seed.
+     * @param {number} seed - Any integer.
+     * @returns {function(): number} Returns a new number in [0, 1) on each call.
+     */
+    createRandom: (seed) => {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+    /**
+     * Triggers a browser download of a Blob.
+     * @param {Blob} blob - The file content.
+     * @param {string} filename - The suggested file name.
+     */
+    downloadBlob: (blob, filename) => {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000); // Give the browser time to start the download.
+    },
+    /**
+     * Reads the pose of a p5 camera as a flat array.
+     * @param {p5.Camera} cam - The camera to read.
+     * @returns {number[]} `[eyeX, eyeY, eyeZ, centerX, centerY, centerZ, upX, upY, upZ]`.
+     */
+    getCameraPose: (cam) => {
+        return [cam.eyeX, cam.eyeY, cam.eyeZ, cam.centerX, cam.centerY, cam.centerZ, cam.upX, cam.upY, cam.upZ];
+    },
+    /**
+     * Builds the camera's orthonormal basis from a pose, the same way `p5.Camera.camera()` does.
+     * `xAxis` points right, `yAxis` down and `zAxis` from the center towards the eye.
+     * @param {number[]} pose - A pose produced by `getCameraPose`.
+     * @returns {{eye: number[], xAxis: number[], yAxis: number[], zAxis: number[]}} The eye position and unit axes.
+     */
+    getCameraBasis: (pose) => {
+        const [eyeX, eyeY, eyeZ, centerX, centerY, centerZ, upX, upY, upZ] = pose;
+        const normalize = (v) => {
+            const length = Math.hypot(v[0], v[1], v[2]) || 1;
+            return [v[0] / length, v[1] / length, v[2] / length];
+        };
+        const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+        const zAxis = normalize([eyeX - centerX, eyeY - centerY, eyeZ - centerZ]);
+        const xAxis = normalize(cross([upX, upY, upZ], zAxis));
+        const yAxis = normalize(cross(zAxis, xAxis));
+        return { eye: [eyeX, eyeY, eyeZ], xAxis, yAxis, zAxis };
+    },
+    /**
+     * Applies a pose produced by `getCameraPose` to a p5 camera.
+     * Poses with missing or non-finite values, a zero up vector or an eye on top of the center are ignored.
+     * @param {p5.Camera} cam - The camera to update.
+     * @param {number[]} pose - The pose to apply.
+     * @returns {boolean} True if the pose was valid and applied.
+     */
+    applyCameraPose: (cam, pose) => {
+        if (!cam || !Array.isArray(pose) || pose.length !== 9 || !pose.every(Number.isFinite)) return false;
+        const [ex, ey, ez, cx, cy, cz, ux, uy, uz] = pose;
+        if (ux === 0 && uy === 0 && uz === 0) return false;
+        if (ex === cx && ey === cy && ez === cz) return false;
+        cam.camera(ex, ey, ez, cx, cy, cz, ux, uy, uz);
+        return true;
+    }
+};
+Object.freeze(Utils); // Make the Utils object immutable.
+
+// PART 5: Application Configuration
+// ---------------------------------
+// Centralized configuration settings for the application.
+
+/**
+ * @namespace AppConfig
+ * Static configuration object for the application.
+ * Contains settings for p5.js canvas, flower geometry, colors,
+ * initial parameters, auto-animation, popup text, audio files, and slider definitions.
+ * All properties are frozen to prevent accidental modification.
+ */
+const AppConfig = {
+    /** @type {string} ID of the HTML element that will contain the p5.js canvas. */
+    P5_CANVAS_ID: 'canvas-container',
+    /**
+     * @type {object} Configuration for the Flower's geometry and rendering.
+     * @property {number} cols - Number of columns (segments around the flower's circumference).
+     * @property {number} rows - Number of rows (segments from center to edge of petals).
+     * @property {number} flowerSize - Base size of the flower.
+     * @property {number} alphaValue - Alpha transparency for the flower's fill color (0-255).
+     * @property {number} frameRate - Target frame rate for the p5.js sketch.
+     */
+    FLOWER_CONFIG: {
+        cols: 80,
+        rows: 6,
+        flowerSize: 200,
+        alphaValue: 247,
+        frameRate: 30,
+    },
+    /**
+     * @type {object} Limits and level-of-detail settings for the mesh resolution (`FLOWER_CONFIG.rows` and `cols`).
+     * The flower's shape doesn't depend on the resolution: the grid steps are recomputed so the same surface is sampled more or less densely.
+     * @property {string} DEFAULT_MODE - 'manual' (rows and cols from the sliders) or 'auto' (picked by `DetailController`).
+     * @property {number} MIN_ROWS - Fewest radial rows.
+     * @property {number} MAX_ROWS - Most radial rows.
+     * @property {number} MIN_COLS - Fewest angular columns.
+     * @property {number} MAX_COLS - Most angular columns.
+     * @property {number} COLS_STEP - Slider step for the columns.
+     * @property {Array<{rows: number, cols: number}>} LOD_LEVELS - Resolutions used by the automatic mode, coarsest first.
+     * @property {number} LOD_REFERENCE_LEVEL - Level used at the camera's default distance.
+     * @property {number} LOD_LEVELS_PER_ZOOM - Levels added each time the camera distance halves.
+     * @property {number} LOD_HYSTERESIS - Extra level fraction the target must move past before switching, to avoid flicker.
+     * @property {number} LOD_SLOW_FRAME_FACTOR - Frames slower than the target frame time by this factor count as too slow.
+     * @property {number} LOD_GOOD_FRAME_FACTOR - Frames within this factor of the target frame time count as on target.
+     * @property {number} LOD_SLOW_DURATION - How long (ms) frames must stay too slow before the detail is capped one level lower.
+     * @property {number} LOD_RECOVERY_DELAY - How long (ms) frames must stay on target before the cap is raised again.
+     * @property {number} LOD_SETTLE_TIME - Time (ms) after a switch during which frame times are not judged.
+     */
+    RESOLUTION: {
+        DEFAULT_MODE: 'manual',
+        MIN_ROWS: 2,
+        MAX_ROWS: 48,
+        MIN_COLS: 24,
+        MAX_COLS: 720,
+        COLS_STEP: 4,
+        LOD_LEVELS: [
+            { rows: 4, cols: 48 },
+            { rows: 6, cols: 80 },
+            { rows: 10, cols: 128 },
+            { rows: 16, cols: 200 },
+            { rows: 24, cols: 320 },
+            { rows: 36, cols: 480 }
+        ],
+        LOD_REFERENCE_LEVEL: 1,
+        LOD_LEVELS_PER_ZOOM: 1.5,
+        LOD_HYSTERESIS: 0.25,
+        LOD_SLOW_FRAME_FACTOR: 1.3,
+        LOD_GOOD_FRAME_FACTOR: 1.1,
+        LOD_SLOW_DURATION: 1000,
+        LOD_RECOVERY_DELAY: 5000,
+        LOD_SETTLE_TIME: 750
+    },
+    /** @type {Array<{name: string, label: string}>} Resolution modes offered in the controls panel. */
+    RESOLUTION_MODES: [
+        { name: 'manual', label: 'Manual' },
+        { name: 'auto', label: 'Automatic (LOD)' }
+    ],
+    /**
+     * @type {object} Settings for the multi-flower garden (see `Garden`). Positions are on the ground plane (x, z) in scene units.
+     * @property {number} MAX_FLOWERS - Most flowers a garden may hold, including the main flower.
+     * @property {number} DEFAULT_SCATTER_COUNT - Number of flowers the scatter generator adds by default.
+     * @property {number} SCATTER_RADIUS - Radius of the disc the scatter generator places flowers in.
+     * @property {number} MIN_SPACING - Smallest distance the scatter generator keeps between flowers (scaled by their size).
+     * @property {number} POSITION_LIMIT - Largest distance from the center a flower may be placed at.
+     * @property {number} MIN_SCALE - Smallest flower scale.
+     * @property {number} MAX_SCALE - Largest flower scale.
+     * @property {number} SCATTER_MIN_SCALE - Smallest scale picked by the scatter generator.
+     * @property {number} SCATTER_MAX_SCALE - Largest scale picked by the scatter generator.
+     * @property {number} PARAM_JITTER - How far scattered flowers stray from their preset, as a fraction of each slider's range.
+     * @property {Array<string[]>} SCATTER_PALETTES - Palettes the scatter generator picks from.
+     */
+    GARDEN: {
+        MAX_FLOWERS: 24,
+        DEFAULT_SCATTER_COUNT: 8,
+        SCATTER_RADIUS: 700,
+        MIN_SPACING: 230,
+        POSITION_LIMIT: 2000,
+        MIN_SCALE: 0.2,
+        MAX_SCALE: 2.5,
+        SCATTER_MIN_SCALE: 0.45,
+        SCATTER_MAX_SCALE: 1.0,
+        PARAM_JITTER: 0.12,
+        SCATTER_PALETTES: [
+            ["#FFD200", "#FF7192", "#FF0066"],
+            ["#FFF4D6", "#FFB3C7", "#C2185B"],
+            ["#FDE68A", "#F97316", "#B91C1C"],
+            ["#E0F2FE", "#7DD3FC", "#6D28D9"],
+            ["#FEF9C3", "#A3E635", "#15803D"],
+            ["#FFFFFF", "#F5D0FE", "#A21CAF"],
+            ["#FFE4E6", "#FB7185", "#7F1D1D", "#1F0A0A"]
+        ]
+    },
+    /** @type {number} Factor affecting the angular spread of petals. */
+    THETA_DELTA_FACTOR: 15,
+    /** @type {number} Factor affecting the radial spread of petal segments. */
+    RADIUS_DELTA_FACTOR: 1,
+    /** @type {string[]} Array of HEX color strings for the flower's color palette. */
+    COLOR_SCHEME: ["#FFD200", "#FF7192", "#FF0066"],
+    /** @type {string} Background color for the light theme (HEX). */
+    COLOR_SCHEME_LIGHT_BG: '#F5F5F5',
+    /** @type {string} Background color for the dark theme (HEX). */
+    COLOR_SCHEME_DARK_BG: '#0F0F0F',
+    /**
+     * @type {object} Palette limits and the default gradient settings used with `COLOR_SCHEME`.
+     * @property {string} DEFAULT_GRADIENT_MODE - Gradient mode name (see `GRADIENT_MODES`).
+     * @property {number} DEFAULT_RADIUS_WEIGHT - Weight of the radial position in the 'radiusDepth' mode.
+     * @property {number} DEFAULT_DEPTH_WEIGHT - Weight of the depth (z) position in the 'radiusDepth' mode.
+     * @property {number} MIN_STOPS - Fewest color stops a palette may have.
+     * @property {number} MAX_STOPS - Most color stops a palette may have.
+     */
+    PALETTE: {
+        DEFAULT_GRADIENT_MODE: 'radiusDepth',
+        DEFAULT_RADIUS_WEIGHT: 0.6,
+        DEFAULT_DEPTH_WEIGHT: 0.4,
+        MIN_STOPS: 2,
+        MAX_STOPS: 8
+    },
+    /**
+     * @type {Array<{name: string, label: string}>} Ways of mapping a face to a position along the palette.
+     * 'radiusDepth' blends radial position and depth; the others follow the column angle, the height or the petal curvature.
+     */
+    GRADIENT_MODES: [
+        { name: 'radiusDepth', label: 'Radius & depth' },
+        { name: 'theta', label: 'Angle (theta)' },
+        { name: 'height', label: 'Height' },
+        { name: 'curvature', label: 'Curvature' }
+    ],
+    /**
+     * @type {object} Default light rig and material settings (see `LightingRig`).
+     * Light directions are given as azimuth (around the Y axis) and elevation (above the horizon) in degrees.
+     * @property {string} MATERIAL - Default material name (see `MATERIALS`).
+     * @property {boolean} FOLLOW_CAMERA - Whether lights stay fixed relative to the camera.
+     * @property {{enabled: boolean, color: string, intensity: number}} AMBIENT - Ambient light.
+     * @property {{enabled: boolean, color: string, intensity: number, azimuth: number, elevation: number}} DIRECTIONAL - Directional light.
+     * @property {{enabled: boolean, color: string, intensity: number, azimuth: number, elevation: number, distance: number}} POINT - Point light.
+     * @property {number} SHININESS - Specular exponent for the Phong material.
+     * @property {string} SPECULAR_COLOR - Highlight color for the Phong material.
+     * @property {number} TOON_BANDS - Number of shading steps for the toon material.
+     * @property {number} MAX_TOON_BANDS - Largest number of toon steps offered.
+     * @property {number} MAX_POINT_DISTANCE - Largest point light distance offered.
+     */
+    LIGHTING: {
+        MATERIAL: 'unlit',
+        FOLLOW_CAMERA: false,
+        AMBIENT: { enabled: true, color: '#FFFFFF', intensity: 0.45 },
+        DIRECTIONAL: { enabled: true, color: '#FFFFFF', intensity: 0.7, azimuth: 30, elevation: 45 },
+        POINT: { enabled: false, color: '#FFE2C4', intensity: 0.8, azimuth: -60, elevation: 20, distance: 400 },
+        SHININESS: 20,
+        SPECULAR_COLOR: '#FFFFFF',
+        TOON_BANDS: 3,
+        MAX_TOON_BANDS: 6,
+        MAX_POINT_DISTANCE: 1500
+    },
+    /**
+     * @type {Array<{name: string, label: string}>} Materials offered in the lighting controls.
+     * 'unlit' is the original procedural look; 'flat' lights each face with its own normal;
+     * 'lambert' and 'phong' use smooth per-vertex normals; 'toon' bands the diffuse light into steps.
+     */
+    MATERIALS: [
+        { name: 'unlit', label: 'Unlit (original)' },
+        { name: 'flat', label: 'Flat' },
+        { name: 'lambert', label: 'Lambert (diffuse)' },
+        { name: 'phong', label: 'Phong (specular)' },
+        { name: 'toon', label: 'Toon' }
+    ],
+    /**
+     * @type {object} Initial parameter values for the flower.
+     * @property {number} opening - Controls the overall openness of the flower.
+     * @property {number} density - Controls the vertical density/tightness of petals.
+     * @property {number} align - Affects petal alignment and overlap.
+     * @property {number} curve1 - Primary curvature factor for petals.
+     * @property {number} curve2 - Secondary curvature factor for petals.
+     * @property {number} rotationSpeed - Initial auto-rotation speed of the flower.
+     * @property {number} stemLength - Stem length as a fraction of `flowerSize` (0 removes the stem and its leaves).
+     * @property {number} stemThickness - Stem radius as a fraction of `flowerSize`.
+     * @property {number} stemBend - Sideways bend of the stem (-1 to 1).
+     * @property {number} calyxSepals - Number of sepals around the base of the bloom (0 removes the calyx).
+     * @property {number} calyxLength - Sepal length as a fraction of `flowerSize`.
+     * @property {number} calyxSpread - How far the sepals open, from hugging the stem (0) to cupping the bloom (1).
+     * @property {number} leafCount - Number of leaves along the stem.
+     * @property {number} leafSize - Leaf length as a fraction of `flowerSize`.
+     * @property {number} leafAngle - Angle of the leaves above the horizontal at the stem, in degrees.
+     */
+    INITIAL_PARAMS: {
+        opening: 0.8,
+        density: 5.5,
+        align: 3.2,
+        curve1: -0.7,
+        curve2: 0.9,
+        rotationSpeed: 0.01,
+        stemLength: 1.0,
+        stemThickness: 0.035,
+        stemBend: 0.3,
+        calyxSepals: 5,
+        calyxLength: 0.3,
+        calyxSpread: 0.55,
+        leafCount: 3,
+        leafSize: 0.5,
+        leafAngle: 25
+    },
+    /**
+     * @type {Array<{name: string, params: object, shape?: string}>} Built-in presets offered in the controls panel.
+     * Each preset's `params` covers the slider params of its petal shape model (`shape`, or `DEFAULT_SHAPE_MODEL` if omitted);
+     * stem, calyx and leaf settings are left as they are.
+     */
+    PRESETS: [
+        { name: 'Original Bloom', params: { opening: 0.8, density: 5.5, align: 3.2, curve1: -0.7, curve2: 0.9, rotationSpeed: 0.01 } },
+        { name: 'Closed Bud', params: { opening: 0.55, density: 3.0, align: 1.6, curve1: 0.4, curve2: 0.5, rotationSpeed: 0.05 } },
+        { name: 'Wide Lotus', params: { opening: 1.25, density: 9.0, align: 4.0, curve1: 0.9, curve2: 1.1, rotationSpeed: 0.02 } },
+        { name: 'Curled Rose', params: { opening: 0.7, density: 14.0, align: 2.4, curve1: 1.6, curve2: 1.4, rotationSpeed: -0.03 } },
+        { name: 'Spiral Star', params: { opening: 1.0, density: 4.0, align: 5.6, curve1: -0.3, curve2: 0.2, rotationSpeed: 0.15 } },
+        { name: 'Rose Curve', shape: 'rose', params: { opening: 0.8, density: 6.0, rosePetals: 2.6, roseSharpness: 0.7, roseCurl: 0.6, rotationSpeed: 0.02 } },
+        { name: 'Tiger Lily', shape: 'lily', params: { opening: 0.9, density: 3.5, lilyPetals: 0.8, lilyNarrowness: 1.5, lilyRecurve: 0.6, rotationSpeed: 0.02 } },
+        { name: 'Tulip Cup', shape: 'tulip', params: { density: 4.0, tulipPetals: 1.35, tulipOpening: 50, tulipCup: 0.35, tulipRoundness: 0.6, rotationSpeed: 0.01 } },
+        { name: 'Daisy', shape: 'daisy', params: { daisyPetals: 2.65, daisyNarrowness: 4, daisyAngle: 95, daisyDroop: 0.3, rotationSpeed: 0.03 } }
+    ],
+    /**
+     * @type {Array<{name: string, label: string}>} Easing curves offered in the UI. Each `name` is a function in `Utils`.
+     */
+    EASINGS: [
+        { name: 'easeInOutCubic', label: 'Ease In-Out (Cubic)' },
+        { name: 'easeInOutSine', label: 'Ease In-Out (Sine)' },
+        { name: 'easeInOutQuad', label: 'Ease In-Out (Quad)' },
+        { name: 'easeInQuad', label: 'Ease In (Quad)' },
+        { name: 'easeOutQuad', label: 'Ease Out (Quad)' },
+        { name: 'easeInCubic', label: 'Ease In (Cubic)' },
+        { name: 'easeOutCubic', label: 'Ease Out (Cubic)' },
+        { name: 'easeOutBack', label: 'Ease Out (Overshoot)' },
+        { name: 'linear', label: 'Linear' }
+    ],
+    /**
+     * @type {object} Defaults for tweened transitions between parameter sets.
+     * @property {number} DEFAULT_DURATION - Transition length in milliseconds.
+     * @property {number} MAX_DURATION - Upper bound for the duration input, in milliseconds.
+     * @property {string} DEFAULT_EASING - Name of the default easing curve (see `EASINGS`).
+     */
+    TRANSITIONS: {
+        DEFAULT_DURATION: 1200,
+        MAX_DURATION: 10000,
+        DEFAULT_EASING: 'easeInOutCubic'
+    },
+    /**
+     * @type {object} Defaults for the keyframe timeline.
+     * @property {number} DEFAULT_DURATION - Length of a new timeline, in seconds.
+     * @property {number} MAX_DURATION - Longest allowed timeline, in seconds.
+     * @property {number} KEYFRAME_MERGE_DISTANCE - Keyframes closer than this (in seconds) are replaced rather than duplicated.
+     * @property {number} FORMAT_VERSION - Version number written into saved timeline files.
+     */
+    TIMELINE: {
+        DEFAULT_DURATION: 20,
+        MAX_DURATION: 600,
+        KEYFRAME_MERGE_DISTANCE: 0.05,
+        FORMAT_VERSION: 1
+    },
+    /**
+     * @type {object} Settings for canvas recording.
+     * @property {number} VIDEO_FPS - Capture rate for live WebM recording.
+     * @property {number} VIDEO_BITS_PER_SECOND - Target video bitrate for live recording.
+     * @property {string[]} VIDEO_MIME_TYPES - Container/codec candidates, in order of preference.
+     * @property {number} FRAME_EXACT_FPS - Default frame rate for frame-exact capture.
+     * @property {number} FRAME_EXACT_DURATION - Default length of a frame-exact capture, in seconds.
+     * @property {number} MAX_FRAME_EXACT_DURATION - Longest allowed frame-exact capture, in seconds.
+     * @property {number} MAX_FRAME_EXACT_FPS - Highest allowed frame-exact capture rate.
+     * @property {number} GIF_MAX_WIDTH - GIF frames are downscaled to at most this width.
+     * @property {number} MAX_LIVE_FRAME_DELTA - Cap on the live frame time step, in milliseconds.
+     */
+    RECORDING: {
+        VIDEO_FPS: 30,
+        VIDEO_BITS_PER_SECOND: 8000000,
+        VIDEO_MIME_TYPES: ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'],
+        FRAME_EXACT_FPS: 30,
+        FRAME_EXACT_DURATION: 5,
+        MAX_FRAME_EXACT_DURATION: 60,
+        MAX_FRAME_EXACT_FPS: 60,
+        GIF_MAX_WIDTH: 640,
+        MAX_LIVE_FRAME_DELTA: 100
+    },
+    /**
+     * @type {object} Settings for the still image export dialog.
+     * @property {Array<{id: string, label: string, width?: number, height?: number}>} RESOLUTIONS - Resolution choices ('screen' and 'custom' have no fixed size).
+     * @property {number[]} SUPERSAMPLING - Supersampling factors offered.
+     * @property {Array<{mime: string, label: string, extension: string, supportsAlpha: boolean, vector?: boolean}>} FORMATS - Output formats (`vector` formats are written by `SvgExporter`).
+     * @property {number} QUALITY - Encoder quality for lossy formats (0-1).
+     * @property {number} MAX_DIMENSION - Largest width or height accepted for the output image.
+     * @property {number} MAX_RENDER_PIXELS - Pixel budget for the offscreen buffer; supersampling is reduced to stay within it.
+     */
+    STILL_EXPORT: {
+        RESOLUTIONS: [
+            { id: 'screen', label: 'Screen size' },
+            { id: '1080p', label: 'Full HD (1920 × 1080)', width: 1920, height: 1080 },
+            { id: '4k', label: '4K UHD (3840 × 2160)', width: 3840, height: 2160 },
+            { id: '8k', label: '8K UHD (7680 × 4320)', width: 7680, height: 4320 },
+            { id: 'square4k', label: 'Square (4096 × 4096)', width: 4096, height: 4096 },
+            { id: 'custom', label: 'Custom…' }
+        ],
+        SUPERSAMPLING: [1, 2, 3, 4],
+        FORMATS: [
+            { mime: 'image/png', label: 'PNG', extension: 'png', supportsAlpha: true },
+            { mime: 'image/jpeg', label: 'JPEG', extension: 'jpg', supportsAlpha: false },
+            { mime: 'image/webp', label: 'WebP', extension: 'webp', supportsAlpha: true },
+            { mime: 'image/svg+xml', label: 'SVG (vector)', extension: 'svg', supportsAlpha: true, vector: true }
+        ],
+        QUALITY: 0.92,
+        MAX_DIMENSION: 16384,
+        MAX_RENDER_PIXELS: 40000000
+    },
+    /**
+     * @type {object} Settings for the SVG vector export.
+     * @property {number} FIELD_OF_VIEW - Vertical field of view in radians (matches the on-screen perspective).
+     * @property {number} NEAR_PLANE - Faces with a vertex closer than this to the camera are dropped.
+     * @property {number} COORDINATE_PRECISION - Decimal places written for projected coordinates.
+     * @property {number} MERGE_ANGLE_TOLERANCE - Largest angle (radians) between face normals still treated as coplanar.
+     */
+    SVG_EXPORT: {
+        FIELD_OF_VIEW: Math.PI / 3.0,
+        NEAR_PLANE: 0.1,
+        COORDINATE_PRECISION: 2,
+        MERGE_ANGLE_TOLERANCE: 0.01
+    },
+    /**
+     * @type {object} Settings for the frame time statistics.
+     * @property {string} QUERY_PARAM - URL query parameter (e.g. `?stats`) that shows the statistics overlay.
+     * @property {number} SMOOTHING - Weight of the newest sample in the moving averages (0-1).
+     * @property {number} OVERLAY_REFRESH_INTERVAL - How often the overlay text is refreshed, in milliseconds.
+     */
+    FRAME_STATS: {
+        QUERY_PARAM: 'stats',
+        SMOOTHING: 0.05,
+        OVERLAY_REFRESH_INTERVAL: 500
+    },
+    /**
+     * @type {object} Configuration for auto-animation of flower parameters.
+     * @property {number} LERP_FACTOR - Interpolation factor for smooth transitions in auto-animation.
+     * @property {number} PERLIN_OFFSET_MULTIPLIER - Offset for Perlin noise to differentiate parameter animations.
+     * @property {number} PERLIN_NOISE_SPEED - Speed at which Perlin noise evolves over time.
+     */
+    AUTO_ANIMATION: {
+        LERP_FACTOR: 0.02,
+        PERLIN_OFFSET_MULTIPLIER: 20,
+        PERLIN_NOISE_SPEED: 0.003,
+    },
+    /**
+     * @type {object} Analysis settings for the audio-reactive mode (see `AudioReactor`).
+     * @property {number} FFT_SIZE - Analyser FFT size (a power of two); the bands get `FFT_SIZE / 2` frequency bins.
+     * @property {number} SMOOTHING - Analyser smoothing between frames (0-1); higher values make the bands calmer.
+     * @property {number} LEVEL_GAIN - Multiplier turning the RMS level of the waveform into a 0-1 'level'.
+     * @property {number} BEAT_THRESHOLD - A beat is an onset where the bass exceeds its recent average by this factor.
+     * @property {number} BEAT_MIN_LEVEL - Bass level below which no beat is detected (ignores quiet passages).
+     * @property {number} BEAT_COOLDOWN_MS - Shortest time between two beats.
+     * @property {number} BEAT_DECAY_MS - Time constant of the 'beat' pulse fading after each onset.
+     * @property {number} AVERAGE_WINDOW_MS - Time constant of the running bass average the onsets are compared with.
+     * @property {number} MAX_MAPPINGS - Most feature-to-param mappings the editor allows.
+     * @property {Array<{feature: string, param: string, amount: number}>} DEFAULT_MAPPINGS - Mappings used until the user edits them.
+     *   Each adds `amount * feature * (slider range)` to the param's slider value.
+     */
+    AUDIO_REACTIVE: {
+        FFT_SIZE: 2048,
+        SMOOTHING: 0.75,
+        LEVEL_GAIN: 3,
+        BEAT_THRESHOLD: 1.3,
+        BEAT_MIN_LEVEL: 0.25,
+        BEAT_COOLDOWN_MS: 250,
+        BEAT_DECAY_MS: 180,
+        AVERAGE_WINDOW_MS: 1000,
+        MAX_MAPPINGS: 8,
+        DEFAULT_MAPPINGS: [
+            { feature: 'bass', param: 'opening', amount: 0.3 },
+            { feature: 'treble', param: 'curve2', amount: 0.25 },
+            { feature: 'beat', param: 'curve1', amount: 0.1 }
+        ]
+    },
+    /**
+     * @type {object} Settings for the microphone as a live animation source (see `AudioManager.startMicrophone`).
+     * @property {number} DEFAULT_GAIN - Initial input gain.
+     * @property {number} MAX_GAIN - Highest gain offered by the gain slider.
+     * @property {number} DEFAULT_SMOOTHING - Initial analyser smoothing for the live input (0-1).
+     * @property {number} MAX_SMOOTHING - Highest smoothing offered by the smoothing slider.
+     * @property {number} RESPONSE - Fraction of the way the params move towards the live targets per frame at `FLOWER_CONFIG.frameRate`.
+     */
+    MICROPHONE: {
+        DEFAULT_GAIN: 1,
+        MAX_GAIN: 8,
+        DEFAULT_SMOOTHING: 0.6,
+        MAX_SMOOTHING: 0.95,
+        RESPONSE: 0.3
+    },
+    /**
+     * @type {object} Defaults and timings of the music and sound effects (see `AudioManager`).
+     * @property {number} DEFAULT_MUSIC_VOLUME - Music volume (0-1) until the user sets one.
+     * @property {number} DEFAULT_EFFECTS_VOLUME - Volume of the click sound and slider feedback (0-1) until the user sets one.
+     * @property {number} FADE_IN_MS - Fade-in time when the music starts.
+     * @property {number} CROSSFADE_MS - Crossfade time between playlist tracks.
+     * @property {number} FADE_STEP_MS - Interval between volume steps of a fade.
+     */
+    AUDIO_SETTINGS: {
+        DEFAULT_MUSIC_VOLUME: 0.3,
+        DEFAULT_EFFECTS_VOLUME: 1,
+        FADE_IN_MS: 2000,
+        CROSSFADE_MS: 4000,
+        FADE_STEP_MS: 50
+    },
+    /**
+     * @type {object} Settings for the generative soundtrack (see `GenerativeSoundtrack`).
+     * @property {string} TRACK_NAME - Name shown for the soundtrack in place of the music track.
+     * @property {number} ROOT_HZ - Lowest root of the drone; `density` raises it by up to one octave along `SCALE`.
+     * @property {number[]} SCALE - Semitones above the root of the notes the drone, chimes and slider feedback use.
+     * @property {number} DRONE_LEVEL - Level of the drone, before the music volume.
+     * @property {number} DRONE_DETUNE_CENTS - Detune of the two drone oscillators against each other.
+     * @property {number} FILTER_MIN_HZ - Drone filter cutoff with the flower closed (lowest `opening`).
+     * @property {number} FILTER_MAX_HZ - Drone filter cutoff with the flower fully open.
+     * @property {number} FILTER_Q - Resonance of the drone filter.
+     * @property {number} TEMPO_MIN_BPM - Chime tempo when the flower doesn't rotate.
+     * @property {number} TEMPO_MAX_BPM - Chime tempo at the fastest `rotationSpeed` (either direction).
+     * @property {number} CHIME_LEVEL - Level of a chime.
+     * @property {number} CHIME_OCTAVE - Octaves between the drone root and the lowest chime.
+     * @property {number} CHIME_DECAY_S - Ring time of a chime.
+     * @property {number} CHIME_PROBABILITY - Chance that a beat sounds a chime.
+     * @property {number} ECHO_DELAY_S - Delay of the echo on the chimes.
+     * @property {number} ECHO_FEEDBACK - Level of each echo repeat.
+     * @property {number} GLIDE_S - Time constant of pitch and filter changes following the params.
+     * @property {number} FADE_S - Fade in/out time when the soundtrack starts or stops.
+     * @property {number} SCHEDULE_AHEAD_S - How far ahead chimes are scheduled on the audio clock.
+     * @property {number} FEEDBACK_LEVEL - Level of a slider feedback note, before the effects volume.
+     * @property {number} FEEDBACK_DECAY_S - Ring time of a slider feedback note.
+     * @property {number} FEEDBACK_OCTAVE - Octaves between the drone root and the lowest feedback note.
+     * @property {number} FEEDBACK_OCTAVES - Octaves of `SCALE` a slider's range spans.
+     * @property {number} FEEDBACK_MIN_INTERVAL_MS - Shortest time between two feedback notes while dragging.
+     */
+    GENERATIVE_AUDIO: {
+        TRACK_NAME: 'Generative soundtrack',
+        ROOT_HZ: 55,
+        SCALE: [0, 2, 4, 7, 9],
+        DRONE_LEVEL: 0.35,
+        DRONE_DETUNE_CENTS: 8,
+        FILTER_MIN_HZ: 120,
+        FILTER_MAX_HZ: 2400,
+        FILTER_Q: 4,
+        TEMPO_MIN_BPM: 30,
+        TEMPO_MAX_BPM: 150,
+        CHIME_LEVEL: 0.25,
+        CHIME_OCTAVE: 3,
+        CHIME_DECAY_S: 2.5,
+        CHIME_PROBABILITY: 0.6,
+        ECHO_DELAY_S: 0.375,
+        ECHO_FEEDBACK: 0.35,
+        GLIDE_S: 0.4,
+        FADE_S: 1.5,
+        SCHEDULE_AHEAD_S: 0.15,
+        FEEDBACK_LEVEL: 0.06,
+        FEEDBACK_DECAY_S: 0.3,
+        FEEDBACK_OCTAVE: 3,
+        FEEDBACK_OCTAVES: 2,
+        FEEDBACK_MIN_INTERVAL_MS: 45
+    },
+    /**
+     * @type {Array<{name: string, label: string, minHz?: number, maxHz?: number}>} Features of the music the flower can react to.
+     * Entries with a frequency range are FFT bands; 'level' is the loudness and 'beat' a pulse after each detected onset.
+     * All features range from 0 to 1.
+     */
+    AUDIO_FEATURES: [
+        { name: 'bass', label: 'Bass', minHz: 20, maxHz: 250 },
+        { name: 'mid', label: 'Mids', minHz: 250, maxHz: 2000 },
+        { name: 'treble', label: 'Highs', minHz: 2000, maxHz: 12000 },
+        { name: 'level', label: 'Level' },
+        { name: 'beat', label: 'Beat' }
+    ],
+    /**
+     * @type {object} Text content for the information popup.
+     * Includes titles, headings, quotes, paragraphs, and credits.
+     */
+    POPUP_TEXTS: {
+        INITIAL_TITLE: "The Better Way Forward.",
+        SECONDARY_HEADING: "Peace, Justice, Strong Institutions",
+        SECONDARY_SUBHEADING: "SDG Goal 16",
+        QUOTE: "'Peace is not just the absence of conflict, peace is the creation of an environment where all can flourish, regardless of race, colour, creed, religion, gender, class, caste, or any other social markers of difference.'",
+        ATTRIBUTION: "Global Convention on Peace and Nonviolence in New Delhi, India, on January 31, 2004.",
+        ADDITIONAL_PARAGRAPH: "Nelson Mandela's quote aligns strongly with Sustainable Development Goal 16, which promotes peace, justice, and strong institutions. True peace is not just the absence of conflict, but the presence of fairness, inclusion, and human dignity. Lasting peace is built on justice and upheld through trust and responsibility.",
+        CALL_TO_ACTION: "Let’s commit to societies where everyone can thrive, ensuring lasting peace!",
+        CREDITS_GROUP_1_TITLE: "(BuBiehkslulu)",
+        CREDITS_GROUP_1_LIST: ["Le Mac Thien Phuc", "Pham Minh Trang", "Tran Huy Toan"],
+        CREDITS_GROUP_2_TITLE: "(Software Used)",
+        CREDITS_GROUP_2_LIST: ["Visual Studio", "Adobe Photoshop", "Adobe After Effect"],
+        CREDITS_GROUP_3_TITLE: "(Software Used)", // Note: Duplicated group title in original, might be intended for different categories or a typo.
+        CREDITS_GROUP_3_LIST: ["Visual Studio", "Adobe Photoshop", "Adobe After Effect", "Adobe Illustrator", "Garage Band", "FL Studio", "BandLab"],
+        CREDITS_COPYRIGHT: "BuBiehkslulu © 2025. All Right Reserved."
+    },
+    /**
+     * @type {object} IDs for HTML audio elements.
+     * @property {string} BACKGROUND_MUSIC_ID - ID of the background music <audio> tag.
+     * @property {string} CLICK_SOUND_ID - ID of the click sound <audio> tag.
+     * @property {string} BUNDLED_TRACK_NAME - Name shown for the background music that ships with the page.
+     */
+    AUDIO_FILES: {
+        BACKGROUND_MUSIC_ID: 'backgroundMusic',
+        CLICK_SOUND_ID: 'clickSound',
+        BUNDLED_TRACK_NAME: 'Bundled track'
+    },
+    /** @type {string} Name of the petal shape model used by new flowers and by presets that don't name one (see `PetalShapes`). */
+    DEFAULT_SHAPE_MODEL: 'classic',
+    /**
+     * @type {Array<object>} Definitions for UI sliders controlling flower parameters.
+     * Each object defines `param` (key in `INITIAL_PARAMS`), `label` for UI, `min`, `max`, `step` for slider,
+     * and `decimals` for display formatting. These are the sliders of the 'classic' shape model; other models declare their own (see `PetalShapes`).
+     */
+    SLIDER_DEFINITIONS: [
+        { param: 'opening', label: 'Flower Opening:', min: 0.5, max: 1.3, step: 0.01, decimals: 2 },
+        { param: 'density', label: 'Vertical Density:', min: 1, max: 20, step: 0.1, decimals: 1 },
+        { param: 'align', label: 'Petal Alignment:', min: 0, max: 6, step: 0.01, decimals: 2 },
+        { param: 'curve1', label: 'Primary Curves:', min: -0.7, max: 2.1, step: 0.05, decimals: 2 },
+        { param: 'curve2', label: 'Secondary Curves:', min: 0.0, max: 1.5, step: 0.01, decimals: 2 },
+        { param: 'rotationSpeed', label: 'Auto-Rotate Speed:', min: -0.5, max: 0.5, step: 0.01, decimals: 2 }
+    ],
+    /**
+     * @type {Array<{name: string, label: string, variables: string[]}>} Shape model functions that can be replaced by a
+     * user formula (see `Flower.setShapeExpression`). Besides `variables`, every formula can read the flower params.
+     * `angle` is `thetaIdx` converted to degrees along the bloom's spiral; `phi` is in degrees.
+     */
+    SHAPE_EXPRESSIONS: [
+        { name: 'phi', label: 'Phi (inclination):', variables: ['thetaIdx', 'angle'] },
+        { name: 'petalShape', label: 'Petal Cut:', variables: ['thetaIdx', 'angle'] },
+        { name: 'curvature', label: 'Curvature:', variables: ['thetaIdx', 'angle', 'normalizedRadius', 'phi'] }
+    ],
+    /**
+     * @type {Array<{name: string, label: string, palette: string[], sliders: Array<object>}>} Parts generated beneath the bloom by `PlantParts`.
+     * Each part has its own HEX palette, blended from where the part starts to its tip, and its own slider definitions
+     * (same format as `SLIDER_DEFINITIONS`). The params are stored with the flower's other params (see `INITIAL_PARAMS`).
+     */
+    PLANT_PARTS: [
+        {
+            name: 'stem', label: 'Stem', palette: ["#5B8C32", "#2F5220"],
+            sliders: [
+                { param: 'stemLength', label: 'Stem Length:', min: 0, max: 3, step: 0.05, decimals: 2 },
+                { param: 'stemThickness', label: 'Stem Thickness:', min: 0.01, max: 0.12, step: 0.005, decimals: 3 },
+                { param: 'stemBend', label: 'Stem Bend:', min: -1, max: 1, step: 0.05, decimals: 2 }
+            ]
+        },
+        {
+            name: 'calyx', label: 'Calyx', palette: ["#3F6B25", "#7BA84A"],
+            sliders: [
+                { param: 'calyxSepals', label: 'Sepals:', min: 0, max: 12, step: 1, decimals: 0 },
+                { param: 'calyxLength', label: 'Sepal Length:', min: 0.05, max: 0.8, step: 0.01, decimals: 2 },
+                { param: 'calyxSpread', label: 'Sepal Spread:', min: 0, max: 1, step: 0.01, decimals: 2 }
+            ]
+        },
+        {
+            name: 'leaves', label: 'Leaves', palette: ["#2E5E1E", "#4F8F2F", "#8CC152"],
+            sliders: [
+                { param: 'leafCount', label: 'Leaves:', min: 0, max: 8, step: 1, decimals: 0 },
+                { param: 'leafSize', label: 'Leaf Size:', min: 0.1, max: 1.5, step: 0.01, decimals: 2 },
+                { param: 'leafAngle', label: 'Leaf Angle:', min: -45, max: 80, step: 1, decimals: 0 }
+            ]
+        }
+    ],
+    /**
+     * @type {object} Fixed mesh resolution of the plant parts (they are small next to the bloom, so they don't follow the LOD).
+     * @property {number} STEM_SEGMENTS - Rings along the stem.
+     * @property {number} STEM_SIDES - Vertices around each ring.
+     * @property {number} SEPAL_SEGMENTS - Segments along each sepal.
+     * @property {number} LEAF_SEGMENTS - Segments along each leaf.
+     */
+    PLANT_PART_RESOLUTION: {
+        STEM_SEGMENTS: 16,
+        STEM_SIDES: 8,
+        SEPAL_SEGMENTS: 4,
+        LEAF_SEGMENTS: 8
+    },
+    /**
+     * @type {object} Timeout and interval delays (in milliseconds).
+     * @property {number} URL_STATE_SYNC - Interval at which the flower state is written to the URL hash.
+     * @property {number} GARDEN_SAVE - Interval at which the garden layout is saved to localStorage (only when it changed).
+     * @property {number} EMBED_STATE_SYNC - Interval at which an embedded experience checks whether to tell the host page its state changed.
+     */
+    TIMEOUT_DELAYS: {
+        URL_STATE_SYNC: 1000,
+        GARDEN_SAVE: 2000,
+        EMBED_STATE_SYNC: 250
+    },
+    /**
+     * @type {object} Settings for embedding the page in an iframe (see `EmbedBridge`).
+     * @property {string[]} ALLOWED_ORIGINS - Origins of host pages allowed to control the page with postMessage, e.g.
+     *   'https://campaign.example.com'. The page's own origin is always allowed.
+     */
+    EMBED: {
+        ALLOWED_ORIGINS: []
+    },
+    /**
+     * @type {object} Settings for synchronizing several windows (see `DisplaySync`).
+     * @property {string} QUERY_PARAM - URL query parameter naming the room to join (e.g. `?sync=lobby`).
+     * @property {string} ANGLE_QUERY_PARAM - URL query parameter turning the window's camera, in degrees (e.g. `&syncAngle=90`).
+     * @property {string} DEFAULT_ROOM - Room joined by a bare `?sync`.
+     * @property {string} CHANNEL_PREFIX - Prefix of the BroadcastChannel names.
+     * @property {number} HEARTBEAT_INTERVAL - How often each window announces itself, in milliseconds.
+     * @property {number} LEADER_TIMEOUT - Time without a heartbeat after which a window is considered closed, in milliseconds.
+     * @property {number} NOISE_SEED - Noise seed shared by the windows, so a new leader continues the auto-animation where the old one was.
+     */
+    DISPLAY_SYNC: {
+        QUERY_PARAM: 'sync',
+        ANGLE_QUERY_PARAM: 'syncAngle',
+        DEFAULT_ROOM: 'default',
+        CHANNEL_PREFIX: 'flower-display-sync:',
+        HEARTBEAT_INTERVAL: 500,
+        LEADER_TIMEOUT: 2000,
+        NOISE_SEED: 1
+    },
+    /**
+     * @type {object} Settings for the live control surface (see `ControlSurface`).
+     * @property {string} QUERY_PARAM - URL query parameter that connects the control surface (e.g. `?control` or `?control=ws://localhost:9090`).
+     * @property {string} DEFAULT_URL - Endpoint used by a bare `?control` (the default port of tools/control-relay.js).
+     * @property {string} ADDRESS_PREFIX - Address prefix of the flower's messages; the param name follows it.
+     * @property {number} RECONNECT_DELAY - Wait before reconnecting after the connection dropped, in milliseconds.
+     */
+    CONTROL_SURFACE: {
+        QUERY_PARAM: 'control',
+        DEFAULT_URL: 'ws://localhost:8080',
+        ADDRESS_PREFIX: '/flower/',
+        RECONNECT_DELAY: 3000
+    },
+    /**
+     * @type {object} Settings for the Web MIDI input (see `MidiController`).
+     * @property {Array<{id: string, label: string}>} NOTE_ACTIONS - Actions a note can be bound to.
+     */
+    MIDI: {
+        NOTE_ACTIONS: [
+            { id: 'preset', label: 'Recall preset' },
+            { id: 'theme', label: 'Toggle theme' },
+            { id: 'autoAnimate', label: 'Toggle auto-animate' }
+        ]
+    }
+};
+
+// Deep freeze the AppConfig object to make it truly immutable.
+Object.freeze(AppConfig);
+Object.freeze(AppConfig.FLOWER_CONFIG);
+Object.freeze(AppConfig.INITIAL_PARAMS);
+AppConfig.PRESETS.forEach(preset => { Object.freeze(preset.params); Object.freeze(preset); });
+Object.freeze(AppConfig.PRESETS);
+AppConfig.EASINGS.forEach(Object.freeze);
+Object.freeze(AppConfig.EASINGS);
+Object.freeze(AppConfig.PALETTE);
+AppConfig.RESOLUTION.LOD_LEVELS.forEach(Object.freeze);
+Object.freeze(AppConfig.RESOLUTION.LOD_LEVELS);
+Object.freeze(AppConfig.RESOLUTION);
+AppConfig.RESOLUTION_MODES.forEach(Object.freeze);
+Object.freeze(AppConfig.RESOLUTION_MODES);
+AppConfig.GARDEN.SCATTER_PALETTES.forEach(Object.freeze);
+Object.freeze(AppConfig.GARDEN.SCATTER_PALETTES);
+Object.freeze(AppConfig.GARDEN);
+Object.freeze(AppConfig.LIGHTING.AMBIENT);
+Object.freeze(AppConfig.LIGHTING.DIRECTIONAL);
+Object.freeze(AppConfig.LIGHTING.POINT);
+Object.freeze(AppConfig.LIGHTING);
+AppConfig.MATERIALS.forEach(Object.freeze);
+Object.freeze(AppConfig.MATERIALS);
+AppConfig.GRADIENT_MODES.forEach(Object.freeze);
+Object.freeze(AppConfig.GRADIENT_MODES);
+Object.freeze(AppConfig.TRANSITIONS);
+Object.freeze(AppConfig.TIMELINE);
+Object.freeze(AppConfig.RECORDING.VIDEO_MIME_TYPES);
+Object.freeze(AppConfig.RECORDING);
+AppConfig.STILL_EXPORT.RESOLUTIONS.forEach(Object.freeze);
+AppConfig.STILL_EXPORT.FORMATS.forEach(Object.freeze);
+Object.freeze(AppConfig.STILL_EXPORT.RESOLUTIONS);
+Object.freeze(AppConfig.STILL_EXPORT.SUPERSAMPLING);
+Object.freeze(AppConfig.STILL_EXPORT.FORMATS);
+Object.freeze(AppConfig.STILL_EXPORT);
+Object.freeze(AppConfig.SVG_EXPORT);
+Object.freeze(AppConfig.FRAME_STATS);
+Object.freeze(AppConfig.AUTO_ANIMATION);
+AppConfig.AUDIO_REACTIVE.DEFAULT_MAPPINGS.forEach(Object.freeze);
+Object.freeze(AppConfig.AUDIO_REACTIVE.DEFAULT_MAPPINGS);
+Object.freeze(AppConfig.AUDIO_REACTIVE);
+Object.freeze(AppConfig.MICROPHONE);
+Object.freeze(AppConfig.AUDIO_SETTINGS);
+Object.freeze(AppConfig.GENERATIVE_AUDIO);
+Object.freeze(AppConfig.GENERATIVE_AUDIO.SCALE);
+AppConfig.AUDIO_FEATURES.forEach(Object.freeze);
+Object.freeze(AppConfig.AUDIO_FEATURES);
+Object.freeze(AppConfig.POPUP_TEXTS);
+Object.freeze(AppConfig.AUDIO_FILES);
+Object.freeze(AppConfig.EMBED.ALLOWED_ORIGINS);
+Object.freeze(AppConfig.EMBED);
+Object.freeze(AppConfig.DISPLAY_SYNC);
+Object.freeze(AppConfig.CONTROL_SURFACE);
+AppConfig.MIDI.NOTE_ACTIONS.forEach(Object.freeze);
+Object.freeze(AppConfig.MIDI.NOTE_ACTIONS);
+Object.freeze(AppConfig.MIDI);
+AppConfig.SHAPE_EXPRESSIONS.forEach(def => { Object.freeze(def.variables); Object.freeze(def); });
+Object.freeze(AppConfig.SHAPE_EXPRESSIONS);
+AppConfig.SLIDER_DEFINITIONS.forEach(Object.freeze); // Freeze each slider definition object
+Object.freeze(AppConfig.SLIDER_DEFINITIONS); // Freeze the array itself
+AppConfig.PLANT_PARTS.forEach(part => {
+    Object.freeze(part.palette);
+    part.sliders.forEach(Object.freeze);
+    Object.freeze(part.sliders);
+    Object.freeze(part);
+});
+Object.freeze(AppConfig.PLANT_PARTS);
+Object.freeze(AppConfig.PLANT_PART_RESOLUTION);
+Object.freeze(AppConfig.TIMEOUT_DELAYS);
+
+
+// PART 6: Flower Class
+// --------------------
+// Defines the 3D flower, its geometry, appearance, and animation logic.
+
+/**
+ * @class Flower
+ * Represents the 3D flower visualization.
+ * Handles geometry generation, coloring, rendering, and parameter-driven transformations.
+ * The stem, calyx and leaves from `PlantParts` are part of the same mesh, so they rotate and export with the bloom.
+ */
+class Flower {
+    /**
+     * Creates an instance of Flower.
+     * @param {p5} p - The p5.js instance.
+     * @param {object} config - Configuration object for flower properties (cols, rows, size, etc.).
+     * @param {object} initialParams - Initial parameters controlling the flower's shape.
+     * @param {string[]} colorScheme - Array of HEX color strings for the flower's palette.
+     * @param {string} [shapeModel] - Name of the petal shape model (see `PetalShapes`).
+     */
+    constructor(p, config, initialParams, colorScheme, shapeModel = AppConfig.DEFAULT_SHAPE_MODEL) {
+        /** @type {p5} The p5.js instance. */
+        this.p = p;
+        /** @type {object} Configuration settings for the flower, copied from AppConfig. */
+        this.config = { ...config };
+        /** @type {object} Current parameters determining the flower's shape and behavior, including those of every petal shape model. */
+        this.params = { ...PetalShapes.getDefaultParams(), ...initialParams };
+        /** @type {PetalShapeModel} Shape model used for the petals (see `PetalShapes`). */
+        this.shapeModel = PetalShapes.get(shapeModel);
+        /** @type {Object<string, CompiledExpression>} User formulas replacing shape model functions, by name (see `AppConfig.SHAPE_EXPRESSIONS`).
+         *  Only formulas that parsed and gave a valid mesh when they were set are kept. */
+        this.shapeExpressions = {};
+        /** @type {Object<string, string>} Formulas that gave NaN or Infinity at the last regeneration, with the error message.
+         *  The shape model's function was used in their place, so the mesh stays valid. */
+        this.shapeExpressionErrors = {};
+        /** @type {object} Variable values read by the formulas: the params plus the current vertex's position on the grid. */
+        this.expressionScope = {};
+        /** @type {string[]} HEX color stops of the current palette (starts as the given color scheme). */
+        this.colorScheme = [...colorScheme];
+        /** @type {{stops: string[], mode: string, radiusWeight: number, depthWeight: number}} Palette stops and gradient settings. */
+        this.paletteSettings = Utils.sanitizePalette({ stops: this.colorScheme });
+        /** @type {Array<object>} Array of face objects, each defining a triangle with vertices and color. Built once per resolution and updated in place.
+         *  The bloom's faces come first, followed by those of `plantParts`. */
+        this.faces = [];
+        /** @type {number} Number of bloom faces at the start of `faces`. */
+        this.bloomFaceCount = 0;
+        /** @type {PlantParts} Generator for the stem, calyx and leaves beneath the bloom. */
+        this.plantParts = new PlantParts();
+        /** @type {Array<Array<{x: number, y: number, z: number}>>} Vertex grid [row][col] shared by the faces. */
+        this.verticesGrid = [];
+        /** @type {{positions: Float32Array, colors: Float32Array, shadedColors: Float32Array, faceNormals: Float32Array, smoothNormals: Float32Array}|null}
+         *  Typed arrays backing the retained mesh: three unshared vertices per face, so each face keeps a flat color. */
+        this.meshBuffers = null;
+        /** @type {p5.Geometry|null} Retained mesh drawn by `render`. Its vertices and normals are `BufferVector` views of `meshBuffers`
+         *  and its colors one of the color arrays, so p5 reads the typed arrays directly when it fills the GPU buffers. */
+        this.geometry = null;
+        /** @type {{face: BufferVector[], smooth: BufferVector[]}|null} Views of `meshBuffers.faceNormals` and `smoothNormals` for the geometry. */
+        this.normalViews = null;
+        /** @type {boolean} True when the geometry's data changed since the main canvas last filled its GPU buffers. */
+        this.geometryDirty = true;
+        /** @type {string|null} Which normals ('face' or 'smooth') the geometry currently uses. */
+        this.geometryNormalSource = null;
+        /** @type {boolean} True while the geometry shows toon-shaded colors instead of the base colors. */
+        this.geometryShowsShadedColors = false;
+        /** @type {{rows: number, cols: number, parts: string}|null} Grid size and plant part layout (`PlantParts.getTopologyKey`) the faces and buffers were built for. */
+        this.topology = null;
+        /** @type {number} Current rotation angle around the Y-axis. */
+        this.rotationAngle = 0;
+        /** @type {LightingRig|null} Lights and material used by `render`; null renders unlit. */
+        this.lighting = null;
+
+        this._updateGridSteps();
+
+        /** @type {Array<{r: number, g: number, b: number}>} Processed color palette (RGB, 0-1 range). */
+        this.palette = [];
+        this._buildPalette();
+
+        this.regenerateGeometry(); // Initial geometry generation.
+    }
+
+    /**
+     * Derives the angular and radial grid steps from `config.cols` and `config.rows`.
+     * The steps scale inversely with the resolution, so the grid always spans the same angles and radii.
+     * @private
+     */
+    _updateGridSteps() {
+        /** @type {number} Angular step between columns of vertices (in degrees). */
+        this.thetaDelta = (180 * AppConfig.THETA_DELTA_FACTOR) / this.config.cols;
+        /** @type {number} Radial step between rows of vertices. */
+        this.radiusDelta = AppConfig.RADIUS_DELTA_FACTOR / this.config.rows;
+        /** @type {number} Pre-calculated thetaDelta in radians for efficiency. */
+        this.precalculatedThetaDeltaRad = this.p.radians(this.thetaDelta);
+    }
+
+    /**
+     * Changes the mesh resolution and rebuilds the geometry. Values are rounded and clamped to `AppConfig.RESOLUTION`.
+     * @param {number} rows - Number of radial rows.
+     * @param {number} cols - Number of angular columns.
+     * @returns {boolean} True if the resolution changed.
+     */
+    setResolution(rows, cols) {
+        const { MIN_ROWS, MAX_ROWS, MIN_COLS, MAX_COLS } = AppConfig.RESOLUTION;
+        const newRows = Math.round(this.p.constrain(rows, MIN_ROWS, MAX_ROWS));
+        const newCols = Math.round(this.p.constrain(cols, MIN_COLS, MAX_COLS));
+        if (!Number.isFinite(newRows) || !Number.isFinite(newCols)) return false;
+        if (newRows === this.config.rows && newCols === this.config.cols) return false;
+        this.config.rows = newRows;
+        this.config.cols = newCols;
+        this._updateGridSteps();
+        this.regenerateGeometry();
+        return true;
+    }
+
+    /**
+     * Switches the petal shape model and rebuilds the geometry. Unknown names fall back to `AppConfig.DEFAULT_SHAPE_MODEL`.
+     * @param {string} name - Model name (see `PetalShapes`).
+     * @returns {boolean} True if the model changed.
+     */
+    setShapeModel(name) {
+        const model = PetalShapes.get(name);
+        if (model === this.shapeModel) return false;
+        this.shapeModel = model;
+        this.regenerateGeometry();
+        return true;
+    }
+
+    /**
+     * Replaces one of the shape model's functions with a formula (see `MathExpression`), or restores the model's function
+     * when `source` is empty. A formula that does not parse, or that gives NaN or Infinity on the mesh with the current params,
+     * is rejected and the last valid formula stays in use.
+     * @param {string} name - Function name: 'phi', 'petalShape' or 'curvature' (see `AppConfig.SHAPE_EXPRESSIONS`).
+     * @param {string} source - The formula. It may read the function's variables and any flower param.
+     * @returns {string|null} Why the formula was rejected, or null if it is in use.
+     */
+    setShapeExpression(name, source) {
+        const definition = AppConfig.SHAPE_EXPRESSIONS.find(def => def.name === name);
+        if (!definition) return `Unknown shape function "${name}".`;
+        const previous = this.shapeExpressions[name];
+        const text = String(source ?? '').trim();
+        if (!text) {
+            if (previous) {
+                delete this.shapeExpressions[name];
+                this.regenerateGeometry();
+            }
+            return null;
+        }
+        if (previous && previous.source === text) return null;
+        let expression;
+        try {
+            expression = MathExpression.compile(text, [...definition.variables, ...Utils.getParamDefinitions().map(def => def.param)]);
+        } catch (e) {
+            return e.message;
+        }
+        this.shapeExpressions[name] = expression;
+        this.regenerateGeometry();
+        const error = this.shapeExpressionErrors[name];
+        if (error) {
+            // Fall back to the last valid formula (or the model's function).
+            if (previous) this.shapeExpressions[name] = previous;
+            else delete this.shapeExpressions[name];
+            this.regenerateGeometry();
+            return error;
+        }
+        return null;
+    }
+
+    /**
+     * Replaces all formulas at once (see `setShapeExpression`); functions missing from `sources` go back to the model's.
+     * @param {*} sources - Formula source by function name, as returned by `getShapeExpressions`.
+     * @returns {Object<string, string>} Error messages of the rejected formulas, by function name.
+     */
+    setShapeExpressions(sources) {
+        const errors = {};
+        AppConfig.SHAPE_EXPRESSIONS.forEach(({ name }) => {
+            const source = sources && typeof sources[name] === 'string' ? sources[name] : '';
+            const error = this.setShapeExpression(name, source);
+            if (error) errors[name] = error;
+        });
+        return errors;
+    }
+
+    /**
+     * Returns the formulas in use.
+     * @returns {Object<string, string>} Formula source by function name; functions without a formula are left out.
+     */
+    getShapeExpressions() {
+        const sources = {};
+        Object.keys(this.shapeExpressions).forEach(name => { sources[name] = this.shapeExpressions[name].source; });
+        return sources;
+    }
+
+    /**
+     * Returns a formula unless it gave NaN or Infinity in the current regeneration.
+     * @param {string} name - Function name.
+     * @returns {CompiledExpression|null} The formula to evaluate, or null to use the shape model's function.
+     * @private
+     */
+    _getActiveExpression(name) {
+        return this.shapeExpressionErrors[name] ? null : (this.shapeExpressions[name] || null);
+    }
+
+    /**
+     * Returns the slider definitions of the bloom parameters used by the current shape model.
+     * @returns {Array<object>} The definitions (see `PetalShapeModel.sliders`).
+     */
+    getSliderDefinitions() {
+        return this.shapeModel.sliders;
+    }
+
+    /**
+     * Converts the HEX stops in `paletteSettings` into the normalized RGB `palette`.
+     * @private
+     */
+    _buildPalette() {
+        this.colorScheme = [...this.paletteSettings.stops];
+        this.palette = this.colorScheme.map(hex => {
+            const rgb = Utils.hexToRgb(hex);
+            return { r: rgb.r / 255, g: rgb.g / 255, b: rgb.b / 255 }; // Normalized 0-1 for lerping.
+        });
+    }
+
+    /**
+     * Sets the light rig used when rendering.
+     * @param {LightingRig|null} lightingRig - The rig, or null to always render unlit.
+     */
+    setLighting(lightingRig) {
+        this.lighting = lightingRig;
+    }
+
+    /**
+     * Returns a copy of the palette stops and gradient settings.
+     * @returns {{stops: string[], mode: string, radiusWeight: number, depthWeight: number}} The palette settings.
+     */
+    getPaletteSettings() {
+        return { ...this.paletteSettings, stops: [...this.paletteSettings.stops] };
+    }
+
+    /**
+     * Replaces the palette and recolors the existing faces; the geometry is left untouched.
+     * Missing or invalid entries keep their current value.
+     * @param {object} settings - Partial or complete `{stops, mode, radiusWeight, depthWeight}`.
+     */
+    setPalette(settings) {
+        this.paletteSettings = Utils.sanitizePalette(settings, this.paletteSettings);
+        this._buildPalette();
+        this.recolor();
+    }
+
+    /**
+     * Recomputes every face color from its stored `colorInfo` and the current palette settings.
+     * Height and curvature are normalized against the range found across all bloom faces.
+     * The plant parts keep the colors of their own palettes (see `_updatePlantParts`).
+     */
+    recolor() {
+        if (this.bloomFaceCount === 0) return;
+        let minHeight = Infinity, maxHeight = -Infinity, minCurvature = Infinity, maxCurvature = -Infinity;
+        for (let f = 0; f < this.bloomFaceCount; f++) {
+            const face = this.faces[f];
+            minHeight = Math.min(minHeight, face.colorInfo.height);
+            maxHeight = Math.max(maxHeight, face.colorInfo.height);
+            minCurvature = Math.min(minCurvature, face.colorInfo.curvature);
+            maxCurvature = Math.max(maxCurvature, face.colorInfo.curvature);
+        }
+        const ranges = { minHeight, heightSpan: maxHeight - minHeight, minCurvature, curvatureSpan: maxCurvature - minCurvature };
+        const colors = this.meshBuffers.colors;
+        const alpha = this.config.alphaValue / 255;
+        for (let f = 0; f < this.bloomFaceCount; f++) {
+            const face = this.faces[f];
+            const c = this._getBlendedColor(face.colorInfo, ranges, face.color);
+            for (let corner = 0, i = f * 12; corner < 3; corner++, i += 4) {
+                colors[i] = c.r;
+                colors[i + 1] = c.g;
+                colors[i + 2] = c.b;
+                colors[i + 3] = alpha;
+            }
+        }
+        this.geometryDirty = true;
+    }
+
+    /**
+     * Updates the flower's parameters.
+     * If parameters affecting geometry (not 'rotationSpeed') change, it triggers regeneration.
+     * When only plant part params change, just the parts are moved (unless their face layout changed).
+     * @param {object} newParams - An object containing new parameter values to apply.
+     */
+    updateParams(newParams) {
+        let needsRegeneration = false;
+        let needsPartsUpdate = false;
+        for (const key in newParams) {
+            if (this.params.hasOwnProperty(key) && this.params[key] !== newParams[key]) {
+                this.params[key] = newParams[key];
+                // Plant part params only move the parts; any other parameter except rotationSpeed reshapes the bloom.
+                if (PlantParts.isPartParam(key)) {
+                    needsPartsUpdate = true;
+                } else if (key !== 'rotationSpeed') {
+                    needsRegeneration = true;
+                }
+            }
+        }
+        if (needsRegeneration || (needsPartsUpdate && (!this.topology || this.topology.parts !== PlantParts.getTopologyKey(this.params)))) {
+            this.regenerateGeometry();
+        } else if (needsPartsUpdate) {
+            this._updatePlantParts();
+        }
+    }
+
+    /**
+     * Calculates the phi angle (inclination from vertical) for a petal segment, using the user's formula or the
+     * shape model's `phi` (by default driven by the `opening` and `density` parameters).
+     * @param {number} thetaIdx - The column index (angular position).
+     * @returns {number} The calculated phi angle in degrees.
+     * @private
+     */
+    _calculatePhi(thetaIdx) {
+        const angle = thetaIdx * this.thetaDelta;
+        const expression = this._getActiveExpression('phi');
+        if (!expression) return this.shapeModel.phi(angle, this.params, this.p);
+        this.expressionScope.thetaIdx = thetaIdx;
+        this.expressionScope.angle = angle;
+        return expression.evaluate(this.expressionScope);
+    }
+
+    /**
+     * Calculates a factor that shapes the petal's edge, creating a "cut" or profile, using the user's formula or the
+     * shape model's `petalShape`. Its periodic variations separate the petals.
+     * @param {number} thetaIdx - The column index (angular position).
+     * @returns {number} A shaping factor, typically between 0 and 1.
+     * @private
+     */
+    _calculatePetalShape(thetaIdx) {
+        const angle = thetaIdx * this.thetaDelta;
+        const expression = this._getActiveExpression('petalShape');
+        if (!expression) return this.shapeModel.petalShape(angle, this.params, this.p);
+        this.expressionScope.thetaIdx = thetaIdx;
+        this.expressionScope.angle = angle;
+        return expression.evaluate(this.expressionScope);
+    }
+
+    /**
+     * Calculates the "hang down" or curvature amount for a point on a petal, using the user's formula or the
+     * shape model's `curvature`.
+     * @param {number} normalizedRadius - The radius normalized to a 0-1 range.
+     * @param {number} phi - The phi angle (inclination) in degrees.
+     * @param {number} thetaIdx - The column index (angular position), for formulas that read it.
+     * @returns {number} The calculated curvature value.
+     * @private
+     */
+    _calculateCurvature(normalizedRadius, phi, thetaIdx) {
+        const expression = this._getActiveExpression('curvature');
+        if (!expression) return this.shapeModel.curvature(normalizedRadius, phi, this.params, this.p);
+        const scope = this.expressionScope;
+        scope.thetaIdx = thetaIdx;
+        scope.angle = thetaIdx * this.thetaDelta;
+        scope.normalizedRadius = normalizedRadius;
+        scope.phi = phi;
+        return expression.evaluate(scope);
+    }
+
+    /**
+     * Calculates the 3D Cartesian coordinates (x, y, z) of a vertex on the flower.
+     * Based on spherical-like coordinates transformed by various shaping factors.
+     * @param {number} normalizedRadius - Normalized distance from the center.
+     * @param {number} phi - Inclination angle (degrees).
+     * @param {number} hangDown - Curvature factor.
+     * @param {number} thetaIdx - Azimuthal angle index.
+     * @param {number} petalCut - Petal shaping factor.
+     * @param {{x: number, y: number, z: number}} [out] - Object to write the result into (avoids allocating one per vertex).
+     * @returns {{x: number, y: number, z: number}} The 3D coordinates.
+     * @private
+     */
+    _calculate3DPosition(normalizedRadius, phi, hangDown, thetaIdx, petalCut, out = {}) {
+        const phiRad = this.p.radians(phi);
+        const thetaRad = thetaIdx * this.precalculatedThetaDeltaRad; // Use pre-calculated radians
+
+        // Standard spherical to Cartesian conversion, modified by petal shape and curvature.
+        const sinPhi = this.p.sin(phiRad);
+        const cosPhi = this.p.cos(phiRad);
+        const sinTheta = this.p.sin(thetaRad);
+        const cosTheta = this.p.cos(thetaRad);
+
+        const radialFactor = normalizedRadius * sinPhi + hangDown * cosPhi;
+        const currentFlowerSize = this.config.flowerSize;
+
+        const x = currentFlowerSize * petalCut * radialFactor * sinTheta;
+        const y = -currentFlowerSize * petalCut * (normalizedRadius * cosPhi - hangDown * sinPhi); // Y is up/down
+        const z = currentFlowerSize * petalCut * radialFactor * cosTheta;
+        out.x = x;
+        out.y = y;
+        out.z = z;
+        return out;
+    }
+
+    /**
+     * Determines the color of a face (triangle) from its position, according to the palette's gradient mode.
+     * The default 'radiusDepth' mode blends the normalized radius and depth (z-coordinate) by the palette weights.
+     * Blends colors from the `palette` using an easing function for smooth transitions.
+     * @param {object} faceInfo - Information about the face (see `regenerateGeometry`).
+     * @param {number} faceInfo.z - Average z-coordinate of the face's vertices.
+     * @param {number} faceInfo.normalizedRadius - Normalized radial position of the face.
+     * @param {number} faceInfo.theta - Average column position of the face (0-1).
+     * @param {number} faceInfo.height - Average height of the face's vertices (up is positive).
+     * @param {number} faceInfo.curvature - Average curvature ("hang down") of the face's vertices.
+     * @param {{minHeight: number, heightSpan: number, minCurvature: number, curvatureSpan: number}} ranges - Height and curvature ranges across all faces.
+     * @param {{r: number, g: number, b: number}} [out] - Object to write the result into.
+     * @returns {{r: number, g: number, b: number}} The blended RGB color (0-1 range).
+     * @private
+     */
+    _getBlendedColor(faceInfo, ranges, out = {}) {
+        const { mode, radiusWeight, depthWeight } = this.paletteSettings;
+        let colorPosition;
+        if (mode === 'theta') {
+            colorPosition = faceInfo.theta;
+        } else if (mode === 'height') {
+            colorPosition = ranges.heightSpan > 0 ? (faceInfo.height - ranges.minHeight) / ranges.heightSpan : 0;
+        } else if (mode === 'curvature') {
+            colorPosition = ranges.curvatureSpan > 0 ? (faceInfo.curvature - ranges.minCurvature) / ranges.curvatureSpan : 0;
+        } else {
+            // Map z-coordinate and radius to factors for color blending.
+            const depthFactor = this.p.map(faceInfo.z, -this.config.flowerSize * 0.8, this.config.flowerSize * 0.8, 0, 1, true);
+            const radiusFactor = faceInfo.normalizedRadius;
+            const totalWeight = radiusWeight + depthWeight;
+            // Combine factors to determine a position in the color palette.
+            colorPosition = totalWeight > 0 ? (radiusWeight * radiusFactor + depthWeight * depthFactor) / totalWeight : 0; // Weighted average
+        }
+        colorPosition = Utils.easeInOutCubic(this.p.constrain(colorPosition, 0, 1)); // Apply easing
+
+        // Map the eased position to indices in the palette for interpolation.
+        colorPosition = this.p.constrain(colorPosition, 0, 0.999); // Avoid exceeding array bounds
+        const mappedPosition = colorPosition * (this.palette.length - 1);
+        const colorIndex = this.p.floor(mappedPosition);
+        const nextColorIndex = this.p.min(colorIndex + 1, this.palette.length - 1);
+        const blendFactor = mappedPosition - colorIndex; // Factor for lerping
+
+        const c1 = this.palette[colorIndex];
+        const c2 = this.palette[nextColorIndex];
+
+        // Linearly interpolate between the two selected palette colors.
+        out.r = this.p.lerp(c1.r, c2.r, blendFactor);
+        out.g = this.p.lerp(c1.g, c2.g, blendFactor);
+        out.b = this.p.lerp(c1.b, c2.b, blendFactor);
+        return out;
+    }
+
+    /**
+     * Builds the parts of the mesh that only depend on the grid size: the vertex grid, the face objects,
+     * the typed arrays and the retained `p5.Geometry`. Called again only when `config.rows` or `config.cols` change;
+     * parameter changes reuse everything and just overwrite values.
+     * @private
+     */
+    _buildTopology() {
+        const { rows, cols } = this.config;
+        const gridCols = cols + 1;
+        const gridSize = (rows + 1) * gridCols;
+
+        this.verticesGrid = [];
+        /** @type {Array<number[]>} Smooth unit normal per grid vertex, shared by the faces as `n1`-`n3`. */
+        this.vertexNormals = [];
+        for (let r = 0; r <= rows; r++) {
+            const row = [];
+            for (let c = 0; c <= cols; c++) {
+                row.push({ x: 0, y: 0, z: 0 });
+                this.vertexNormals.push([0, -1, 0]);
+            }
+            this.verticesGrid.push(row);
+        }
+        /** @type {Float64Array} "Hang down" value per grid vertex, used by the curvature gradient. */
+        this.curvatureGrid = new Float64Array(gridSize);
+        /** @type {Float64Array} Scratch space for summing face normals per grid vertex. */
+        this.normalSums = new Float64Array(gridSize * 3);
+        /** @type {Uint32Array} Grid indices of each face's three corners. */
+        this.faceCorners = new Uint32Array(rows * cols * 2 * 3);
+
+        // Each quad in the grid is split into two triangles: (v1, v2, v4) and (v2, v3, v4).
+        this.faces = [];
+        this.bloomFaceCount = rows * cols * 2;
+        const addFace = (a, b, c) => {
+            const f = this.faces.length;
+            this.faceCorners[f * 3] = a;
+            this.faceCorners[f * 3 + 1] = b;
+            this.faceCorners[f * 3 + 2] = c;
+            const vertexAt = (index) => this.verticesGrid[Math.floor(index / gridCols)][index % gridCols];
+            this.faces.push({
+                v1: vertexAt(a), v2: vertexAt(b), v3: vertexAt(c),
+                color: { r: 0, g: 0, b: 0 },
+                colorInfo: { normalizedRadius: 0, z: 0, theta: 0, height: 0, curvature: 0 },
+                normal: [0, -1, 0],
+                n1: this.vertexNormals[a], n2: this.vertexNormals[b], n3: this.vertexNormals[c],
+            });
+        };
+        for (let r = 0; r < rows; r++) {
+            for (let thetaIdx = 0; thetaIdx < cols; thetaIdx++) {
+                const topLeft = r * gridCols + thetaIdx, topRight = topLeft + 1;
+                const bottomLeft = topLeft + gridCols, bottomRight = bottomLeft + 1;
+                addFace(topLeft, topRight, bottomLeft);
+                addFace(topRight, bottomRight, bottomLeft);
+            }
+        }
+        this.faces.push(...this.plantParts.buildFaces(this.params));
+
+        const vertexCount = this.faces.length * 3;
+        this.meshBuffers = {
+            positions: new Float32Array(vertexCount * 3),
+            colors: new Float32Array(vertexCount * 4),
+            shadedColors: new Float32Array(vertexCount * 4),
+            faceNormals: new Float32Array(vertexCount * 3),
+            smoothNormals: new Float32Array(vertexCount * 3),
+        };
+
+        if (this.geometry && typeof this.p.freeGeometry === 'function') this.p.freeGeometry(this.geometry);
+        const views = (buffer) => Array.from({ length: vertexCount }, (_, index) => new BufferVector(buffer, index));
+        const geometry = new p5.Geometry(1, 1);
+        geometry.gid = `flowerMesh-${Flower.geometryCount++}`; // Unique id under which p5 caches the GPU buffers.
+        geometry.vertices = views(this.meshBuffers.positions);
+        this.normalViews = { face: views(this.meshBuffers.faceNormals), smooth: views(this.meshBuffers.smoothNormals) };
+        geometry.vertexNormals = this.normalViews.smooth;
+        geometry.vertexColors = this.meshBuffers.colors; // Typed array, uploaded as-is.
+        geometry.faces = []; // Unshared vertices: drawn with drawArrays, no index buffer.
+        this.geometry = geometry;
+        this.geometryDirty = true;
+        this.geometryNormalSource = 'smooth';
+        this.geometryShowsShadedColors = false;
+        this.topology = { rows, cols, parts: PlantParts.getTopologyKey(this.params) };
+    }
+
+    /**
+     * Regenerates the flower's geometry (vertices and faces) based on current parameters.
+     * This is called when parameters affecting shape are changed. Vertex, face and buffer objects are reused;
+     * only their values are recomputed, and the GPU buffers are marked for re-upload.
+     */
+    regenerateGeometry() {
+        // Basic validation to prevent errors if params are somehow invalid
+        if (Object.values(this.params).some(v => isNaN(parseFloat(v)))) {
+            console.warn("Invalid flower parameter detected, skipping regeneration:", this.params);
+            return;
+        }
+        if (!this.topology || this.topology.rows !== this.config.rows || this.topology.cols !== this.config.cols ||
+            this.topology.parts !== PlantParts.getTopologyKey(this.params)) {
+            this._buildTopology();
+        }
+
+        // Calculate all vertex positions. A user formula that gives NaN or Infinity is set aside and the pass repeated
+        // with the shape model's function in its place, so a formula never breaks the mesh.
+        this.shapeExpressionErrors = {};
+        Object.assign(this.expressionScope, this.params);
+        while (this._calculateVertices()) { /* Repeat without the formula that failed. */ }
+
+        // Update the color information of each bloom face from the average position of its triangle.
+        const positions = this.meshBuffers.positions;
+        const k = this.curvatureGrid;
+        for (let f = 0; f < this.bloomFaceCount; f++) {
+            const { v1, v2, v3, colorInfo } = this.faces[f];
+            const a = this.faceCorners[f * 3], b = this.faceCorners[f * 3 + 1], c = this.faceCorners[f * 3 + 2];
+            const quad = f >> 1, r = Math.floor(quad / this.config.cols), thetaIdx = quad % this.config.cols;
+            const isFirstOfQuad = f % 2 === 0;
+            // First triangle uses the radius of row 'r', the second the mid-radius between 'r' and 'r+1'.
+            colorInfo.normalizedRadius = (isFirstOfQuad ? r : r + 0.5) * this.radiusDelta;
+            colorInfo.z = (v1.z + v2.z + v3.z) / 3.0;
+            colorInfo.theta = (thetaIdx + (isFirstOfQuad ? 1 / 3 : 2 / 3)) / this.config.cols;
+            colorInfo.height = -(v1.y + v2.y + v3.y) / 3.0; // Y points down in p5.
+            colorInfo.curvature = (k[a] + k[b] + k[c]) / 3.0;
+
+            const i = f * 9;
+            positions[i] = v1.x; positions[i + 1] = v1.y; positions[i + 2] = v1.z;
+            positions[i + 3] = v2.x; positions[i + 4] = v2.y; positions[i + 5] = v2.z;
+            positions[i + 6] = v3.x; positions[i + 7] = v3.y; positions[i + 8] = v3.z;
+        }
+        this.geometryDirty = true;
+        this._computeNormals();
+        this._updatePlantParts();
+        this.recolor();
+    }
+
+    /**
+     * Fills `verticesGrid` and `curvatureGrid` from the shape functions.
+     * Stops early when a user formula gives NaN or Infinity, recording the error in `shapeExpressionErrors`.
+     * @returns {boolean} True if a formula failed and the pass has to be repeated.
+     * @private
+     */
+    _calculateVertices() {
+        const gridCols = this.config.cols + 1;
+        for (let r = 0; r <= this.config.rows; r++) { // Iterate through rows (radial segments)
+            let normalizedRadius = r * this.radiusDelta;
+            for (let thetaIdx = 0; thetaIdx <= this.config.cols; thetaIdx++) { // Iterate through columns (angular segments)
+                let phi = this._calculatePhi(thetaIdx);
+                let petalCut = this._calculatePetalShape(thetaIdx);
+                let hangDown = this._calculateCurvature(normalizedRadius, phi, thetaIdx);
+                if (!Number.isFinite(phi + petalCut + hangDown) && this._setAsideFailedExpression({ phi, petalShape: petalCut, curvature: hangDown }, thetaIdx, normalizedRadius)) {
+                    return true;
+                }
+                this._calculate3DPosition(normalizedRadius, phi, hangDown, thetaIdx, petalCut, this.verticesGrid[r][thetaIdx]);
+                this.curvatureGrid[r * gridCols + thetaIdx] = hangDown;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Records the first active formula (in evaluation order) whose value is not finite, which sets it aside for the
+     * rest of the regeneration.
+     * @param {{phi: number, petalShape: number, curvature: number}} values - Values of the shape functions at one vertex.
+     * @param {number} thetaIdx - The vertex's column index.
+     * @param {number} normalizedRadius - The vertex's normalized radius.
+     * @returns {boolean} True if a formula was set aside; false if the shape model's own functions gave the value.
+     * @private
+     */
+    _setAsideFailedExpression(values, thetaIdx, normalizedRadius) {
+        const failed = AppConfig.SHAPE_EXPRESSIONS.find(def => !Number.isFinite(values[def.name]) && this._getActiveExpression(def.name));
+        if (!failed) return false;
+        this.shapeExpressionErrors[failed.name] =
+            `Gives ${values[failed.name]} at thetaIdx ${thetaIdx}, normalizedRadius ${normalizedRadius.toFixed(2)}.`;
+        return true;
+    }
+
+    /**
+     * Reshapes the stem, calyx and leaves from the current params and copies their faces into the mesh buffers
+     * (after the bloom's). Their colors come from the parts' own palettes, not the flower's.
+     * @private
+     */
+    _updatePlantParts() {
+        this.plantParts.update(this.params, this.config.flowerSize, PlantParts.findAnchor(this.verticesGrid, this.config.flowerSize));
+        const { positions, colors, faceNormals, smoothNormals } = this.meshBuffers;
+        const alpha = this.config.alphaValue / 255;
+        for (let f = this.bloomFaceCount; f < this.faces.length; f++) {
+            const face = this.faces[f];
+            const vertices = [face.v1, face.v2, face.v3], normals = [face.n1, face.n2, face.n3];
+            for (let corner = 0; corner < 3; corner++) {
+                const v = vertices[corner], n = normals[corner];
+                const i = f * 9 + corner * 3;
+                positions[i] = v.x; positions[i + 1] = v.y; positions[i + 2] = v.z;
+                faceNormals[i] = face.normal[0]; faceNormals[i + 1] = face.normal[1]; faceNormals[i + 2] = face.normal[2];
+                smoothNormals[i] = n[0]; smoothNormals[i + 1] = n[1]; smoothNormals[i + 2] = n[2];
+                const j = f * 12 + corner * 4;
+                colors[j] = face.color.r; colors[j + 1] = face.color.g; colors[j + 2] = face.color.b; colors[j + 3] = alpha;
+            }
+        }
+        this.geometryDirty = true;
+    }
+
+    /**
+     * Computes a unit normal for every bloom face (`face.normal`) and smooth per-vertex normals (`face.n1`-`face.n3`)
+     * by summing the area-weighted normals of the faces around each shared vertex of the grid.
+     * Normals are flipped as a whole so that, on average, they point up (towards the open side of the bloom).
+     * The plant parts compute their own normals (see `PlantParts`).
+     * @private
+     */
+    _computeNormals() {
+        const sums = this.normalSums;
+        sums.fill(0);
+        let upward = 0;
+        for (let f = 0; f < this.bloomFaceCount; f++) {
+            const { v1, v2, v3, normal } = this.faces[f];
+            const e1x = v2.x - v1.x, e1y = v2.y - v1.y, e1z = v2.z - v1.z;
+            const e2x = v3.x - v1.x, e2y = v3.y - v1.y, e2z = v3.z - v1.z;
+            normal[0] = e1y * e2z - e1z * e2y; // Length is twice the area.
+            normal[1] = e1z * e2x - e1x * e2z;
+            normal[2] = e1x * e2y - e1y * e2x;
+            upward -= normal[1]; // Y points down in p5.
+            for (let corner = 0; corner < 3; corner++) {
+                const v = this.faceCorners[f * 3 + corner] * 3;
+                sums[v] += normal[0];
+                sums[v + 1] += normal[1];
+                sums[v + 2] += normal[2];
+            }
+        }
+        const sign = upward < 0 ? -1 : 1;
+        const toUnit = (x, y, z, out) => {
+            const length = Math.hypot(x, y, z);
+            if (length > 0) { out[0] = sign * x / length; out[1] = sign * y / length; out[2] = sign * z / length; }
+            else { out[0] = 0; out[1] = -1; out[2] = 0; }
+        };
+        this.vertexNormals.forEach((n, v) => toUnit(sums[v * 3], sums[v * 3 + 1], sums[v * 3 + 2], n));
+
+        const { faceNormals, smoothNormals } = this.meshBuffers;
+        for (let f = 0; f < this.bloomFaceCount; f++) {
+            const face = this.faces[f];
+            toUnit(face.normal[0], face.normal[1], face.normal[2], face.normal);
+            const i = f * 9;
+            [face.n1, face.n2, face.n3].forEach((n, corner) => {
+                const j = i + corner * 3;
+                faceNormals[j] = face.normal[0]; faceNormals[j + 1] = face.normal[1]; faceNormals[j + 2] = face.normal[2];
+                smoothNormals[j] = n[0]; smoothNormals[j + 1] = n[1]; smoothNormals[j + 2] = n[2];
+            });
+        }
+        this.geometryDirty = true;
+    }
+
+    /**
+     * Builds an indexed triangle mesh of the flower for export.
+     * Vertices come from the shared `verticesGrid` (faces reference the same vertex objects), and
+     * vertices at identical positions (e.g. the whole center row) are welded. Degenerate triangles are dropped.
+     * Coordinates are converted from p5's Y-down space to Y-up (rotating 180 degrees around X, so winding is preserved).
+     * @returns {{positions: Float32Array, colors: Float32Array, indices: Uint32Array, faceColors: Float32Array}}
+     *   Positions and per-vertex colors (RGB 0-1, averaged from adjacent faces), triangle indices and per-face colors.
+     */
+    getMeshData() {
+        const indexByVertex = new Map();
+        const indexByPosition = new Map();
+        const positions = [];
+        const colorSums = []; // r, g, b, weight per vertex
+        const indices = [];
+        const faceColors = [];
+
+        const indexOf = (v) => {
+            if (indexByVertex.has(v)) return indexByVertex.get(v);
+            const key = `${v.x.toFixed(4)},${v.y.toFixed(4)},${v.z.toFixed(4)}`;
+            let index = indexByPosition.get(key);
+            if (index === undefined) {
+                index = positions.length / 3;
+                positions.push(v.x, -v.y, -v.z);
+                colorSums.push(0, 0, 0, 0);
+                indexByPosition.set(key, index);
+            }
+            indexByVertex.set(v, index);
+            return index;
+        };
+
+        for (const face of this.faces) {
+            const tri = [indexOf(face.v1), indexOf(face.v2), indexOf(face.v3)];
+            if (tri[0] === tri[1] || tri[1] === tri[2] || tri[0] === tri[2]) continue; // Degenerate after welding.
+            const c = face.color;
+            indices.push(...tri);
+            faceColors.push(c.r, c.g, c.b);
+            tri.forEach(i => {
+                colorSums[i * 4] += c.r;
+                colorSums[i * 4 + 1] += c.g;
+                colorSums[i * 4 + 2] += c.b;
+                colorSums[i * 4 + 3] += 1;
+            });
+        }
+
+        const vertexCount = positions.length / 3;
+        const colors = new Float32Array(vertexCount * 3);
+        for (let i = 0; i < vertexCount; i++) {
+            const weight = colorSums[i * 4 + 3];
+            const fallback = this.palette[0];
+            colors[i * 3] = weight ? colorSums[i * 4] / weight : fallback.r;
+            colors[i * 3 + 1] = weight ? colorSums[i * 4 + 1] / weight : fallback.g;
+            colors[i * 3 + 2] = weight ? colorSums[i * 4 + 2] / weight : fallback.b;
+        }
+
+        return {
+            positions: new Float32Array(positions),
+            colors,
+            indices: new Uint32Array(indices),
+            faceColors: new Float32Array(faceColors),
+        };
+    }
+
+    /**
+     * Displays the flower in the p5.js canvas.
+     * Applies rotation and renders all faces (triangles) with their calculated colors.
+     * @param {number} [deltaMs] - Time elapsed since the previous frame; defaults to one frame at the configured frame rate.
+     */
+    display(deltaMs = 1000 / this.config.frameRate) {
+        this.render(this.p);
+
+        // Update rotation angle if auto-rotation is active.
+        if (this.params.rotationSpeed !== 0 ) {
+            const frameScale = deltaMs * this.config.frameRate / 1000; // 1 at the configured frame rate.
+            this.rotationAngle += this.params.rotationSpeed * 0.02 * frameScale; // Adjust multiplier for desired speed sensitivity.
+        }
+    }
+
+    /**
+     * Draws the flower at its current rotation onto a p5 WEBGL target, without advancing any animation.
+     * Used by `display` for the main canvas and by exporters for offscreen `p5.Graphics` buffers.
+     * The retained `geometry` is drawn with a single `model()` call; its GPU buffers are only refilled after the mesh changed.
+     * With a light rig attached, 'flat', 'lambert' and 'phong' use p5's lights with face or vertex normals,
+     * while 'toon' shades each face on the CPU and draws it unlit.
+     * @param {p5|p5.Graphics} g - The drawing target.
+     */
+    render(g) {
+        if (!this.geometry) return;
+        g.push(); // Save current drawing style and transformation matrix (lights are restored by pop too).
+        g.rotateY(this.rotationAngle); // Apply rotation.
+
+        const material = this.lighting ? this.lighting.settings.material : 'unlit';
+        const shadeToon = material === 'toon' ? this.lighting.createToonShader(this.rotationAngle) : null;
+        if (material === 'flat' || material === 'lambert' || material === 'phong') this.lighting.apply(g);
+
+        this._syncGeometry(material === 'flat' ? 'face' : 'smooth', shadeToon);
+        g.noStroke(); // No outlines for the triangles.
+        // p5 fills a geometry's GPU buffers when it is first drawn and keeps them until `freeGeometry`.
+        if (g === this.p && this.geometryDirty) {
+            g.freeGeometry(this.geometry);
+            this.geometryDirty = false;
+        }
+        g.model(this.geometry);
+        if (g !== this.p) g.freeGeometry(this.geometry); // Other targets draw it once, so they get fresh buffers every time.
+        g.pop(); // Restore previous drawing style and transformation matrix.
+    }
+
+    /**
+     * Points the retained geometry at the normals and colors the material needs, marking it dirty when they change.
+     * @param {'face'|'smooth'} normalSource - Which normals the material needs.
+     * @param {function(object): {r: number, g: number, b: number}|null} shadeToon - Per-face toon shader, or null for base colors.
+     * @private
+     */
+    _syncGeometry(normalSource, shadeToon) {
+        const geometry = this.geometry;
+        const { colors, shadedColors } = this.meshBuffers;
+        if (this.geometryNormalSource !== normalSource) {
+            geometry.vertexNormals = this.normalViews[normalSource];
+            this.geometryNormalSource = normalSource;
+            this.geometryDirty = true;
+        }
+        if (shadeToon) {
+            // Toon colors depend on the rotation, so they are recomputed every frame.
+            this.faces.forEach((face, f) => {
+                const c = shadeToon(face);
+                for (let corner = 0, i = f * 12; corner < 3; corner++, i += 4) {
+                    shadedColors[i] = c.r;
+                    shadedColors[i + 1] = c.g;
+                    shadedColors[i + 2] = c.b;
+                    shadedColors[i + 3] = colors[i + 3];
+                }
+            });
+            geometry.vertexColors = shadedColors;
+            this.geometryShowsShadedColors = true;
+            this.geometryDirty = true;
+        } else if (this.geometryShowsShadedColors) {
+            geometry.vertexColors = colors;
+            this.geometryShowsShadedColors = false;
+            this.geometryDirty = true;
+        }
+    }
+
+    /**
+     * Automatically animates flower parameters using Perlin noise.
+     * Lerps the parameters of the current shape model's sliders towards target values derived from noise.
+     * Triggers geometry regeneration if shape parameters change significantly.
+     * @param {number} time - A time value (e.g., incrementing frame count or UIManager's animationTime) to drive Perlin noise.
+     * @param {number} [lerpFactor] - How far to move towards the noise targets this frame.
+     * @returns {object} The updated parameters object.
+     */
+    autoAnimateParams(time, lerpFactor = AppConfig.AUTO_ANIMATION.LERP_FACTOR) {
+        const sliderDefinitions = this.getSliderDefinitions();
+        const automatableParams = sliderDefinitions.map(def => def.param);
+        let needsRegeneration = false;
+        let newParams = { ...this.params }; // Work with a copy to calculate new state.
+
+        automatableParams.forEach((paramName, index) => {
+            const sliderDef = sliderDefinitions.find(def => def.param === paramName);
+            if (sliderDef) {
+                const minVal = sliderDef.min;
+                const maxVal = sliderDef.max;
+                // Generate Perlin noise value (0-1 range).
+                // Offset by index to make each parameter's animation slightly different.
+                let noiseVal = this.p.noise(time + index * AppConfig.AUTO_ANIMATION.PERLIN_OFFSET_MULTIPLIER);
+                // Map noise value to the parameter's allowed range [minVal, maxVal].
+                let targetValue = this.p.map(noiseVal, 0, 1, minVal, maxVal);
+
+                // Smoothly interpolate (lerp) current parameter towards the target value.
+                newParams[paramName] = this.p.lerp(this.params[paramName], targetValue, lerpFactor);
+                // Ensure the new value stays within defined bounds.
+                newParams[paramName] = this.p.constrain(newParams[paramName], minVal, maxVal);
+
+                // Check if a geometry-affecting parameter has changed enough to warrant regeneration.
+                if (paramName !== 'rotationSpeed' && Math.abs(this.params[paramName] - newParams[paramName]) > 0.0001) {
+                    needsRegeneration = true;
+                }
+            }
+        });
+
+        this.params = newParams; // Apply the newly calculated parameters.
+        if (needsRegeneration) {
+            this.regenerateGeometry();
+        }
+        return this.params; // Return the updated params (useful for UIManager to update sliders).
+    }
+
+    /**
+     * Moves parameters part of the way towards target values, e.g. ones derived from the live input.
+     * @param {object} targets - Target parameter values, already within their slider ranges.
+     * @param {number} lerpFactor - Fraction of the remaining distance to cover (0-1).
+     * @returns {object} The updated parameters object.
+     */
+    animateParamsTowards(targets, lerpFactor) {
+        const newParams = {};
+        Object.keys(targets).forEach(paramName => {
+            if (typeof this.params[paramName] === 'number') newParams[paramName] = this.p.lerp(this.params[paramName], targets[paramName], lerpFactor);
+        });
+        this.updateParams(newParams);
+        return this.params;
+    }
+}
+
+/** @type {number} Counter used to give each retained flower mesh a unique geometry id. */
+Flower.geometryCount = 0;
+
+/**
+ * @class BufferVector
+ * A read-only `{x, y, z}` view of three consecutive values in a typed array. p5 1.9 reads a geometry's vertices and
+ * normals as objects with x, y and z, so these let it read them from the flower's typed arrays without a copy.
+ */
+class BufferVector {
+    /**
+     * Creates an instance of BufferVector.
+     * @param {Float32Array} buffer - Packed x, y, z triples.
+     * @param {number} index - Which triple this vector views.
+     */
+    constructor(buffer, index) {
+        /** @type {Float32Array} The viewed array. */
+        this.buffer = buffer;
+        /** @type {number} Index of the x value in `buffer`. */
+        this.offset = index * 3;
+    }
+
+    /** @returns {number} The x value. */
+    get x() { return this.buffer[this.offset]; }
+    /** @returns {number} The y value. */
+    get y() { return this.buffer[this.offset + 1]; }
+    /** @returns {number} The z value. */
+    get z() { return this.buffer[this.offset + 2]; }
+}
+
+// PART 7: UrlStateManager Class
+// -----------------------------
+// Mirrors the full flower state into the URL hash so a link reproduces exactly what is on screen.
+
+/**
+ * @class UrlStateManager
+ * Serializes the flower parameters, rotation, camera pose, palette, theme and auto-animate flag
+ * into `location.hash`, and restores them on load or when the hash changes.
+ * Example hash: `#opening=0.80&density=5.5&...&rot=1.2345&cam=0,0,800,0,0,0,0,1,0&pal=FFD200-FF7192-FF0066&grad=radiusDepth&rw=0.60&dw=0.40&theme=dark&auto=0`.
+ */
+class UrlStateManager {
+    /**
+     * Creates an instance of UrlStateManager, restores any state present in the hash
+     * and starts periodically writing the current state back.
+     * @param {p5.Camera} camera - The orbit camera whose pose is shared.
+     * @param {UIManager} uiManagerInstance - The UI manager owning params, theme and auto-animation; the state describes its selected flower.
+     */
+    constructor(camera, uiManagerInstance) {
+        /** @type {p5.Camera} The orbit camera. */
+        this.camera = camera;
+        /** @type {UIManager} Reference to the UIManager instance. */
+        this.uiManager = uiManagerInstance;
+        /** @type {string} The last hash written or read, used to skip redundant history updates. */
+        this.lastHash = '';
+        /** @type {number|null} ID of the interval that writes the hash. */
+        this.syncIntervalId = null;
+        /** @type {function(): void} The hashchange listener, kept so `destroy` can remove it. */
+        this.hashChangeListener = () => this.restoreFromHash(window.location.hash);
+
+        this.restoreFromHash(window.location.hash);
+        window.addEventListener('hashchange', this.hashChangeListener);
+        this.syncIntervalId = setInterval(() => this.writeHash(), AppConfig.TIMEOUT_DELAYS.URL_STATE_SYNC);
+    }
+
+    /**
+     * Stops syncing the hash.
+     */
+    destroy() {
+        clearInterval(this.syncIntervalId);
+        this.syncIntervalId = null;
+        window.removeEventListener('hashchange', this.hashChangeListener);
+    }
+
+    /**
+     * Builds the hash string (without the leading '#') describing the current state.
+     * @returns {string} The serialized state.
+     */
+    serialize() {
+        const query = new URLSearchParams();
+        const flower = this.uiManager.flower;
+        query.set('shape', flower.shapeModel.name);
+        // Only the params of the current shape model matter; the other models' params are left out to keep links short.
+        [...flower.getSliderDefinitions(), ...AppConfig.PLANT_PARTS.flatMap(part => part.sliders)].forEach(def => {
+            query.set(def.param, Number(this.uiManager.currentParams[def.param]).toFixed(def.decimals));
+        });
+        const expressions = flower.getShapeExpressions();
+        Object.keys(expressions).forEach(name => query.set(`${name}Formula`, expressions[name]));
+        const normalizedAngle = ((flower.rotationAngle % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+        query.set('rot', normalizedAngle.toFixed(4));
+        if (this.camera) {
+            query.set('cam', Utils.getCameraPose(this.camera).map(v => Number(v.toFixed(2))).join(','));
+        }
+        const palette = this.uiManager.getPalette();
+        query.set('pal', palette.stops.map(hex => hex.replace('#', '')).join('-'));
+        query.set('grad', palette.mode);
+        query.set('rw', palette.radiusWeight.toFixed(2));
+        query.set('dw', palette.depthWeight.toFixed(2));
+        query.set('theme', this.uiManager.getTheme());
+        query.set('auto', this.uiManager.isAutoAnimating ? '1' : '0');
+        return query.toString();
+    }
+
+    /**
+     * Parses a hash string into a state object. Unknown keys are ignored and malformed values are dropped;
+     * params are clamped against the slider definitions by `UIManager.sanitizeParams`.
+     * @param {string} hash - The hash, with or without the leading '#'.
+     * Palette entries are returned raw in `palette` and validated by `Flower.setPalette`.
+     * @returns {{params: object, shape: (string|undefined), expressions: (object|undefined), rotationAngle: (number|undefined), cameraPose: (number[]|undefined), palette: (object|undefined), theme: (string|undefined), autoAnimate: (boolean|undefined)}} The parsed state.
+     */
+    parse(hash) {
+        const query = new URLSearchParams((hash || '').replace(/^#/, ''));
+        const state = { params: {} };
+        if (PetalShapes.has(query.get('shape'))) state.shape = query.get('shape');
+        AppConfig.SHAPE_EXPRESSIONS.forEach(({ name }) => {
+            if (!query.has(`${name}Formula`)) return;
+            state.expressions = state.expressions || {};
+            state.expressions[name] = query.get(`${name}Formula`); // Checked by `Flower.setShapeExpression`.
+        });
+        Utils.getParamDefinitions().forEach(def => {
+            if (query.has(def.param)) state.params[def.param] = query.get(def.param);
+        });
+        const rot = Number(query.get('rot'));
+        if (query.has('rot') && Number.isFinite(rot)) state.rotationAngle = rot;
+        if (query.has('cam')) {
+            const pose = query.get('cam').split(',').map(Number);
+            if (pose.length === 9 && pose.every(Number.isFinite)) state.cameraPose = pose;
+        }
+        if (query.has('pal') || query.has('grad') || query.has('rw') || query.has('dw')) {
+            state.palette = {
+                stops: query.has('pal') ? query.get('pal').split('-').map(hex => `#${hex}`) : undefined,
+                mode: query.get('grad') || undefined,
+                radiusWeight: query.has('rw') ? query.get('rw') : undefined,
+                depthWeight: query.has('dw') ? query.get('dw') : undefined,
+            };
+        }
+        const theme = query.get('theme');
+        if (theme === 'light' || theme === 'dark') state.theme = theme;
+        const auto = query.get('auto');
+        if (auto === '1' || auto === '0') state.autoAnimate = auto === '1';
+        return state;
+    }
+
+    /**
+     * Restores the state encoded in a hash. Missing entries leave the current state untouched.
+     * @param {string} hash - The hash to restore from.
+     */
+    restoreFromHash(hash) {
+        const normalizedHash = (hash || '').replace(/^#/, '');
+        if (!normalizedHash || normalizedHash === this.lastHash) return;
+        const state = this.parse(normalizedHash);
+
+        if (state.autoAnimate !== undefined) this.uiManager.setAutoAnimating(false); // Let the params land first.
+        if (state.shape && state.shape !== this.uiManager.flower.shapeModel.name) this.uiManager.setShapeModel(state.shape);
+        this.uiManager.applyParams(state.params);
+        if (state.expressions) this.uiManager.setShapeExpressions({ ...this.uiManager.flower.getShapeExpressions(), ...state.expressions });
+        if (state.rotationAngle !== undefined) this.uiManager.flower.rotationAngle = state.rotationAngle;
+        if (state.cameraPose) Utils.applyCameraPose(this.camera, state.cameraPose);
+        if (state.palette) this.uiManager.setPalette(state.palette);
+        if (state.theme && state.theme !== this.uiManager.getTheme()) this.uiManager.setTheme(state.theme);
+        if (state.autoAnimate) this.uiManager.setAutoAnimating(true);
+
+        this.lastHash = normalizedHash;
+    }
+
+    /**
+     * Writes the current state to the URL hash if it changed.
+     * Uses `history.replaceState` so the back button is not flooded and no `hashchange` is fired.
+     */
+    writeHash() {
+        const nextHash = this.serialize();
+        if (nextHash === this.lastHash) return;
+        this.lastHash = nextHash;
+        history.replaceState(null, '', `${window.location.pathname}${window.location.search}#${nextHash}`);
+    }
+}
+
+// PART 8: PresetLibrary Class
+// ---------------------------
+// Stores named parameter presets: read-only built-ins plus user presets persisted to localStorage.
+
+/**
+ * @class PresetLibrary
+ * Keeps the list of named flower parameter presets.
+ * Built-in presets come from `AppConfig.PRESETS` and cannot be changed;
+ * user presets are saved to localStorage and can be renamed, deleted, imported and exported.
+ */
+class PresetLibrary {
+    /**
+     * Creates an instance of PresetLibrary and loads saved user presets from localStorage.
+     * @param {Array<{name: string, params: object}>} builtInPresets - Read-only presets shipped with the app.
+     */
+    constructor(builtInPresets) {
+        /** @type {Array<{name: string, params: object, shape?: string, builtIn: boolean}>} Read-only presets. */
+        this.builtIns = builtInPresets.map(preset => {
+            const entry = { name: preset.name, params: { ...preset.params }, builtIn: true };
+            if (preset.shape) entry.shape = preset.shape;
+            return entry;
+        });
+        /** @type {Array<{name: string, params: object, shape?: string, palette?: object, builtIn: boolean}>} Presets saved by the user, optionally with a shape model and palette. */
+        this.userPresets = [];
+        this._load();
+    }
+
+    /**
+     * Loads user presets from localStorage, dropping any malformed entries.
+     * @private
+     */
+    _load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(PresetLibrary.STORAGE_KEY) || '[]');
+            this.userPresets = PresetLibrary.normalizeEntries(saved);
+        } catch (e) {
+            console.warn("Saved presets could not be read from localStorage:", e.message);
+            this.userPresets = [];
+        }
+    }
+
+    /**
+     * Persists user presets to localStorage.
+     * @private
+     */
+    _persist() {
+        try {
+            const entries = this.userPresets.map(PresetLibrary._serializeEntry);
+            localStorage.setItem(PresetLibrary.STORAGE_KEY, JSON.stringify(entries));
+        } catch (e) { console.warn("localStorage not available. Presets not saved."); }
+    }
+
+    /**
+     * Converts a user preset into its stored/exported form.
+     * @param {{name: string, params: object, shape?: string, palette?: object}} preset - The preset.
+     * @returns {{name: string, params: object, shape?: string, palette?: object}} A plain copy without the `builtIn` flag.
+     * @private
+     */
+    static _serializeEntry(preset) {
+        const entry = { name: preset.name, params: { ...preset.params } };
+        if (preset.shape) entry.shape = preset.shape;
+        if (preset.palette) entry.palette = { ...preset.palette, stops: [...preset.palette.stops] };
+        return entry;
+    }
+
+    /**
+     * Validates raw preset entries, keeping only named entries with numeric params.
+     * An optional `palette` is validated with `Utils.sanitizePalette`; an unknown `shape` is dropped (the default model is used).
+     * @param {*} entries - Candidate entries, expected to be an array of `{name, params, shape?, palette?}`.
+     * @returns {Array<{name: string, params: object, shape?: string, palette?: object, builtIn: boolean}>} The valid entries.
+     */
+    static normalizeEntries(entries) {
+        if (!Array.isArray(entries)) return [];
+        const result = [];
+        entries.forEach(entry => {
+            if (!entry || typeof entry.name !== 'string' || !entry.name.trim() || !entry.params || typeof entry.params !== 'object') return;
+            const params = {};
+            Utils.getParamDefinitions().forEach(({ param: key }) => {
+                const value = Number(entry.params[key]);
+                if (entry.params[key] !== undefined && Number.isFinite(value)) params[key] = value;
+            });
+            if (Object.keys(params).length === 0) return;
+            const preset = { name: entry.name.trim(), params, builtIn: false };
+            if (PetalShapes.has(entry.shape)) preset.shape = entry.shape;
+            if (entry.palette && typeof entry.palette === 'object') preset.palette = Utils.sanitizePalette(entry.palette);
+            result.push(preset);
+        });
+        return result;
+    }
+
+    /** @returns {Array<object>} The built-in presets. */
+    getBuiltIns() {
+        return this.builtIns;
+    }
+
+    /** @returns {Array<object>} The user presets. */
+    getUserPresets() {
+        return this.userPresets;
+    }
+
+    /**
+     * Finds a preset by name. User presets cannot shadow built-ins, so lookup order does not matter.
+     * @param {string} name - The preset name.
+     * @returns {object|undefined} The preset, if found.
+     */
+    get(name) {
+        return this.builtIns.find(p => p.name === name) || this.userPresets.find(p => p.name === name);
+    }
+
+    /**
+     * Saves (or overwrites) a user preset.
+     * @param {string} name - The preset name. Must not match a built-in preset.
+     * @param {object} params - The parameters to store.
+     * @param {object} [palette] - Palette settings to store alongside the parameters.
+     * @param {string} [shape] - Name of the petal shape model the parameters are meant for.
+     * @returns {boolean} True if the preset was saved.
+     */
+    save(name, params, palette, shape) {
+        if (!name || this.builtIns.some(p => p.name === name)) return false;
+        const entry = { name, params: { ...params }, builtIn: false };
+        if (PetalShapes.has(shape)) entry.shape = shape;
+        if (palette) entry.palette = Utils.sanitizePalette(palette);
+        const index = this.userPresets.findIndex(p => p.name === name);
+        if (index >= 0) this.userPresets[index] = entry;
+        else this.userPresets.push(entry);
+        this._persist();
+        return true;
+    }
+
+    /**
+     * Renames a user preset.
+     * @param {string} oldName - The current name.
+     * @param {string} newName - The new name. Must not already be in use.
+     * @returns {boolean} True if the preset was renamed.
+     */
+    rename(oldName, newName) {
+        const preset = this.userPresets.find(p => p.name === oldName);
+        if (!preset || !newName || this.get(newName)) return false;
+        preset.name = newName;
+        this._persist();
+        return true;
+    }
+
+    /**
+     * Deletes a user preset.
+     * @param {string} name - The preset name.
+     * @returns {boolean} True if a preset was deleted.
+     */
+    remove(name) {
+        const index = this.userPresets.findIndex(p => p.name === name);
+        if (index < 0) return false;
+        this.userPresets.splice(index, 1);
+        this._persist();
+        return true;
+    }
+
+    /**
+     * Serializes the user presets into the export file format.
+     * @returns {{version: number, presets: Array<{name: string, params: object, palette?: object}>}} The exportable library.
+     */
+    toJSON() {
+        return {
+            version: PresetLibrary.FORMAT_VERSION,
+            presets: this.userPresets.map(PresetLibrary._serializeEntry),
+        };
+    }
+
+    /**
+     * Merges presets from an exported library into the user presets.
+     * Entries with the same name as an existing user preset replace it; entries named like a built-in are skipped.
+     * @param {object|Array} data - Parsed file content: `{version, presets}` or a bare array of presets.
+     * @returns {number} The number of presets imported.
+     * @throws {Error} If the data does not contain a preset list.
+     */
+    importJSON(data) {
+        const entries = Array.isArray(data) ? data : data && data.presets;
+        if (!Array.isArray(entries)) throw new Error("File does not contain a preset list.");
+        let importedCount = 0;
+        PresetLibrary.normalizeEntries(entries).forEach(entry => {
+            if (this.builtIns.some(p => p.name === entry.name)) return;
+            const index = this.userPresets.findIndex(p => p.name === entry.name);
+            if (index >= 0) this.userPresets[index] = entry;
+            else this.userPresets.push(entry);
+            importedCount++;
+        });
+        this._persist();
+        return importedCount;
+    }
+}
+
+/** @type {string} localStorage key under which user presets are stored. */
+PresetLibrary.STORAGE_KEY = 'flowerPresets';
+/** @type {number} Version number written into exported preset files. */
+PresetLibrary.FORMAT_VERSION = 1;
+
+// PART 9: ParamTransition Class
+// -----------------------------
+// A small tween engine that interpolates numeric parameter sets over time.
+
+/**
+ * @class ParamTransition
+ * Interpolates from the current parameters to a target set over a duration, using an easing curve.
+ * Interpolated values are clamped to the param definitions, so overshooting easings stay within the sliders' range.
+ * Advanced once per frame via `update(deltaMs)` from `draw()`.
+ * A new `transitionTo` cancels whatever is running; `chain` queues a transition after the current one.
+ * Every transition returns a promise resolving to `true` when it completes or `false` when it is cancelled.
+ */
+class ParamTransition {
+    /**
+     * Creates an instance of ParamTransition.
+     * @param {function(): object} getParams - Returns the current parameter values (read when a transition starts).
+     * @param {function(object): void} applyParams - Receives the interpolated values on every frame.
+     */
+    constructor(getParams, applyParams) {
+        /** @type {function(): object} Reads the current parameters. */
+        this.getParams = getParams;
+        /** @type {function(object): void} Applies interpolated parameters. */
+        this.applyParams = applyParams;
+        /** @type {object|null} The running transition, if any. */
+        this.active = null;
+        /** @type {Array<object>} Transitions waiting for the running one to finish. */
+        this.queue = [];
+    }
+
+    /**
+     * Cancels any running or queued transition and starts a new one from the current parameters.
+     * @param {object} target - Target values; only numeric keys are interpolated.
+     * @param {{duration?: number, easing?: string, onStart?: function(): void, onComplete?: function(boolean): void}} [options] - Duration (ms), easing name, and callbacks for when it starts and settles.
+     * @returns {Promise<boolean>} Resolves true on completion, false if cancelled.
+     */
+    transitionTo(target, options = {}) {
+        this.cancel();
+        return this.chain(target, options);
+    }
+
+    /**
+     * Queues a transition to start when the running one (and any queued before it) completes.
+     * Starts immediately if nothing is running. The start values are read when the transition begins.
+     * @param {object} target - Target values; only numeric keys are interpolated.
+     * @param {{duration?: number, easing?: string, onStart?: function(): void, onComplete?: function(boolean): void}} [options] - Duration (ms), easing name, and callbacks for when it starts and settles.
+     * @returns {Promise<boolean>} Resolves true on completion, false if cancelled.
+     */
+    chain(target, options = {}) {
+        return new Promise(resolve => {
+            const duration = Number(options.duration);
+            this.queue.push({
+                target: { ...target },
+                duration: Number.isFinite(duration) ? Math.max(0, duration) : AppConfig.TRANSITIONS.DEFAULT_DURATION,
+                easing: Utils.getEasing(options.easing || AppConfig.TRANSITIONS.DEFAULT_EASING),
+                onStart: options.onStart,
+                onComplete: options.onComplete,
+                resolve,
+                from: null,
+                elapsed: 0,
+            });
+            if (!this.active) this._startNext();
+        });
+    }
+
+    /**
+     * Cancels the running transition and everything queued after it.
+     * Parameters stay wherever the running transition left them.
+     */
+    cancel() {
+        const pending = this.active ? [this.active, ...this.queue] : this.queue;
+        this.active = null;
+        this.queue = [];
+        pending.forEach(tween => this._settle(tween, false));
+    }
+
+    /**
+     * @returns {boolean} True while a transition is running.
+     */
+    isRunning() {
+        return this.active !== null;
+    }
+
+    /**
+     * Advances the running transition and applies the interpolated values.
+     * @param {number} deltaMs - Time elapsed since the previous frame, in milliseconds.
+     */
+    update(deltaMs) {
+        const tween = this.active;
+        if (!tween) return;
+        tween.elapsed += Math.max(0, deltaMs || 0);
+        const progress = tween.duration > 0 ? Math.min(1, tween.elapsed / tween.duration) : 1;
+        const eased = progress >= 1 ? 1 : tween.easing(progress);
+
+        const frame = {};
+        for (const key in tween.target) {
+            frame[key] = tween.from[key] + (tween.target[key] - tween.from[key]) * eased;
+        }
+        // Overshooting easings (e.g. easeOutBack) would leave the slider ranges near the ends; clamp each frame.
+        this.applyParams(Utils.sanitizeParams(frame, frame));
+
+        if (progress >= 1) {
+            this.active = null;
+            this._settle(tween, true);
+            this._startNext();
+        }
+    }
+
+    /**
+     * Starts the next queued transition, capturing its start values from the current parameters.
+     * @private
+     */
+    _startNext() {
+        const tween = this.queue.shift();
+        if (!tween) return;
+        const current = this.getParams();
+        tween.from = {};
+        for (const key in tween.target) {
+            const fromValue = Number(current[key]);
+            const toValue = Number(tween.target[key]);
+            if (!Number.isFinite(fromValue) || !Number.isFinite(toValue)) {
+                delete tween.target[key]; // Only numeric params can be interpolated.
+                continue;
+            }
+            tween.from[key] = fromValue;
+            tween.target[key] = toValue;
+        }
+        this.active = tween;
+        if (typeof tween.onStart === 'function') {
+            try { tween.onStart(); }
+            catch (e) { console.error("Transition start callback failed:", e); }
+        }
+    }
+
+    /**
+     * Resolves a transition's promise and calls its completion callback.
+     * @param {object} tween - The transition to settle.
+     * @param {boolean} completed - Whether it ran to completion.
+     * @private
+     */
+    _settle(tween, completed) {
+        if (typeof tween.onComplete === 'function') {
+            try { tween.onComplete(completed); }
+            catch (e) { console.error("Transition completion callback failed:", e); }
+        }
+        tween.resolve(completed);
+    }
+}
+
+// PART 10: Timeline Class
+// -----------------------
+// Data model for keyframed flower animations: keyframes of params and camera pose at specific times.
+
+/**
+ * @typedef {object} TimelineKeyframe
+ * @property {number} time - Position on the timeline, in seconds.
+ * @property {object} params - Flower parameters at this keyframe (including `rotationSpeed`).
+ * @property {number[]|null} camera - Camera pose from `Utils.getCameraPose`, or null to leave the camera alone.
+ * @property {string} easing - Easing name (see `AppConfig.EASINGS`) for the segment leaving this keyframe.
+ */
+
+/**
+ * @class Timeline
+ * Holds a sorted list of keyframes and interpolates between them.
+ * Each segment uses the easing of the keyframe it starts from.
+ */
+class Timeline {
+    /**
+     * Creates an empty timeline.
+     * @param {number} [duration] - Length of the timeline in seconds.
+     */
+    constructor(duration = AppConfig.TIMELINE.DEFAULT_DURATION) {
+        /** @type {number} Length of the timeline, in seconds. */
+        this.duration = duration;
+        /** @type {boolean} Whether playback wraps around at the end. */
+        this.loop = true;
+        /** @type {TimelineKeyframe[]} Keyframes, sorted by time. */
+        this.keyframes = [];
+    }
+
+    /**
+     * Adds a keyframe, replacing any keyframe within `KEYFRAME_MERGE_DISTANCE` of the same time.
+     * @param {number} time - Position in seconds (clamped to the timeline).
+     * @param {object} params - Flower parameters to store.
+     * @param {number[]|null} camera - Camera pose to store.
+     * @param {string} easing - Easing for the segment leaving this keyframe.
+     * @returns {TimelineKeyframe} The stored keyframe.
+     */
+    addKeyframe(time, params, camera, easing) {
+        const keyframe = {
+            time: Math.min(this.duration, Math.max(0, time)),
+            params: { ...params },
+            camera: Array.isArray(camera) ? [...camera] : null,
+            easing,
+        };
+        this.keyframes = this.keyframes.filter(k => Math.abs(k.time - keyframe.time) >= AppConfig.TIMELINE.KEYFRAME_MERGE_DISTANCE);
+        this.keyframes.push(keyframe);
+        this._sort();
+        return keyframe;
+    }
+
+    /**
+     * Removes a keyframe.
+     * @param {TimelineKeyframe} keyframe - The keyframe to remove.
+     */
+    removeKeyframe(keyframe) {
+        this.keyframes = this.keyframes.filter(k => k !== keyframe);
+    }
+
+    /**
+     * Moves a keyframe to a new time, keeping the list sorted.
+     * @param {TimelineKeyframe} keyframe - The keyframe to move.
+     * @param {number} time - The new time in seconds (clamped to the timeline).
+     */
+    moveKeyframe(keyframe, time) {
+        keyframe.time = Math.min(this.duration, Math.max(0, time));
+        this._sort();
+    }
+
+    /**
+     * Changes the timeline length. It can't be shorter than the last keyframe.
+     * @param {number} duration - The new length in seconds.
+     */
+    setDuration(duration) {
+        const lastTime = this.keyframes.length ? this.keyframes[this.keyframes.length - 1].time : 0;
+        this.duration = Math.min(AppConfig.TIMELINE.MAX_DURATION, Math.max(lastTime, 0.1, duration));
+    }
+
+    /**
+     * Sorts keyframes by time.
+     * @private
+     */
+    _sort() {
+        this.keyframes.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Interpolates the params and camera pose at a given time.
+     * Before the first keyframe and after the last one, the nearest keyframe is held.
+     * @param {number} time - Position in seconds.
+     * @returns {{params: object, camera: (number[]|null)}|null} The sampled state, or null if there are no keyframes.
+     */
+    sample(time) {
+        const keyframes = this.keyframes;
+        if (keyframes.length === 0) return null;
+        const first = keyframes[0];
+        const last = keyframes[keyframes.length - 1];
+        if (time <= first.time) return { params: { ...first.params }, camera: first.camera };
+        if (time >= last.time) return { params: { ...last.params }, camera: last.camera };
+
+        let index = 0;
+        while (index < keyframes.length - 2 && keyframes[index + 1].time <= time) index++;
+        const from = keyframes[index];
+        const to = keyframes[index + 1];
+        const span = to.time - from.time;
+        const progress = span > 0 ? (time - from.time) / span : 1;
+        const eased = Utils.getEasing(from.easing)(progress);
+        const lerp = (a, b) => a + (b - a) * eased;
+
+        const params = { ...from.params };
+        for (const key in to.params) {
+            if (Number.isFinite(from.params[key]) && Number.isFinite(to.params[key])) {
+                params[key] = lerp(from.params[key], to.params[key]);
+            }
+        }
+        let camera = from.camera || to.camera;
+        if (from.camera && to.camera) {
+            camera = from.camera.map((value, i) => lerp(value, to.camera[i]));
+        }
+        return { params, camera };
+    }
+
+    /**
+     * Serializes the timeline into its save file format.
+     * @returns {object} The JSON-ready timeline.
+     */
+    toJSON() {
+        return {
+            version: AppConfig.TIMELINE.FORMAT_VERSION,
+            duration: this.duration,
+            loop: this.loop,
+            keyframes: this.keyframes.map(k => ({ time: k.time, params: { ...k.params }, camera: k.camera, easing: k.easing })),
+        };
+    }
+
+    /**
+     * Creates a timeline from saved JSON. Malformed keyframes are dropped; params are kept as numbers only.
+     * @param {object} data - Parsed file content.
+     * @returns {Timeline} The loaded timeline.
+     * @throws {Error} If the data has no keyframe list.
+     */
+    static fromJSON(data) {
+        if (!data || !Array.isArray(data.keyframes)) throw new Error("File does not contain a timeline.");
+        const timeline = new Timeline(AppConfig.TIMELINE.MAX_DURATION);
+        data.keyframes.forEach(k => {
+            const time = Number(k && k.time);
+            if (!Number.isFinite(time) || !k.params || typeof k.params !== 'object') return;
+            const params = {};
+            Utils.getParamDefinitions().forEach(({ param: key }) => {
+                const value = Number(k.params[key]);
+                if (k.params[key] !== undefined && Number.isFinite(value)) params[key] = value;
+            });
+            const camera = Array.isArray(k.camera) && k.camera.length === 9 && k.camera.every(Number.isFinite) ? k.camera : null;
+            timeline.addKeyframe(time, params, camera, typeof k.easing === 'string' ? k.easing : AppConfig.TRANSITIONS.DEFAULT_EASING);
+        });
+        const duration = Number(data.duration);
+        timeline.setDuration(Number.isFinite(duration) ? duration : AppConfig.TIMELINE.DEFAULT_DURATION);
+        timeline.loop = data.loop !== false;
+        return timeline;
+    }
+}
+
+// PART 11: TimelineEditor Class
+// -----------------------------
+// The timeline panel: keyframe editing, transport controls and playback from draw().
+
+/**
+ * @class TimelineEditor
+ * Builds the timeline panel UI and plays a `Timeline` back, driving the flower params and camera.
+ * While playing, `draw()` calls `update()` instead of the noise-driven auto-animation.
+ */
+class TimelineEditor {
+    /**
+     * Creates an instance of TimelineEditor.
+     * @param {p5} p - The p5.js instance, used for saving JSON.
+     * @param {p5.Camera} camera - The orbit camera to keyframe.
+     * @param {UIManager} uiManagerInstance - The UI manager owning the current params and sliders.
+     * @param {ParentNode} [root=document] - Element (or document) in which the timeline markup is looked up.
+     */
+    constructor(p, camera, uiManagerInstance, root = document) {
+        /** @type {p5} The p5.js instance. */
+        this.p = p;
+        /** @type {p5.Camera} The orbit camera. */
+        this.camera = camera;
+        /** @type {UIManager} Reference to the UIManager. */
+        this.uiManager = uiManagerInstance;
+        /** @type {Timeline} The timeline being edited. */
+        this.timeline = new Timeline();
+        /** @type {number} Playhead position, in seconds. */
+        this.currentTime = 0;
+        /** @type {boolean} Whether the timeline is playing. */
+        this.isPlaying = false;
+        /** @type {TimelineKeyframe|null} The keyframe selected for editing. */
+        this.selectedKeyframe = null;
+        /** @type {AbortController} Aborting it removes the listener on the toggle button (see `destroy`). */
+        this.listenerController = new AbortController();
+
+        /** @type {object} References to the timeline DOM elements. */
+        this.dom = {
+            toggleBtn: root.querySelector('#timelineToggleBtn'),
+            panel: root.querySelector('#timelinePanel'),
+        };
+
+        this._createPanel();
+        if (this.dom.toggleBtn) this.dom.toggleBtn.addEventListener('click', () => this.togglePanel(), { signal: this.listenerController.signal });
+    }
+
+    /**
+     * Builds the panel contents: transport, scrub track with keyframe markers, keyframe editor and file actions.
+     * @private
+     */
+    _createPanel() {
+        if (!this.dom.panel) return;
+        this.dom.panel.innerHTML = '';
+
+        const makeRow = (className) => {
+            const row = document.createElement('div');
+            row.className = `timeline-panel__row ${className}`;
+            this.dom.panel.appendChild(row);
+            return row;
+        };
+        const makeButton = (row, text, onClick) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'button button--small';
+            button.textContent = text;
+            button.addEventListener('click', onClick);
+            row.appendChild(button);
+            return button;
+        };
+        const makeLabel = (row, text) => {
+            const label = document.createElement('label');
+            label.textContent = text;
+            row.appendChild(label);
+            return label;
+        };
+
+        // Transport: play/pause, stop, loop and time readout.
+        const transportRow = makeRow('timeline-panel__transport');
+        this.dom.playBtn = makeButton(transportRow, 'Play', () => (this.isPlaying ? this.pause() : this.play()));
+        makeButton(transportRow, 'Stop', () => this.stop());
+        const loopLabel = makeLabel(transportRow, ' Loop');
+        this.dom.loopCheckbox = document.createElement('input');
+        this.dom.loopCheckbox.type = 'checkbox';
+        this.dom.loopCheckbox.checked = this.timeline.loop;
+        this.dom.loopCheckbox.addEventListener('change', () => { this.timeline.loop = this.dom.loopCheckbox.checked; });
+        loopLabel.prepend(this.dom.loopCheckbox);
+        this.dom.timeDisplay = document.createElement('span');
+        this.dom.timeDisplay.className = 'timeline-panel__time';
+        transportRow.appendChild(this.dom.timeDisplay);
+
+        // Track: keyframe markers above a scrub slider.
+        const trackRow = makeRow('timeline-panel__track');
+        this.dom.markers = document.createElement('div');
+        this.dom.markers.className = 'timeline-panel__markers';
+        trackRow.appendChild(this.dom.markers);
+        this.dom.scrubber = document.createElement('input');
+        this.dom.scrubber.type = 'range';
+        this.dom.scrubber.min = 0;
+        this.dom.scrubber.step = 0.01;
+        this.dom.scrubber.setAttribute('aria-label', 'Timeline position');
+        this.dom.scrubber.addEventListener('input', () => {
+            this.pause();
+            this.seek(Number(this.dom.scrubber.value));
+        });
+        trackRow.appendChild(this.dom.scrubber);
+
+        // Keyframe editing: add/delete, time and easing of the selected keyframe.
+        const keyframeRow = makeRow('timeline-panel__keyframe');
+        makeButton(keyframeRow, '+ Keyframe', () => this.addKeyframe());
+        this.dom.deleteKeyframeBtn = makeButton(keyframeRow, 'Delete', () => this.deleteSelectedKeyframe());
+        makeLabel(keyframeRow, 'At');
+        this.dom.keyframeTimeInput = document.createElement('input');
+        this.dom.keyframeTimeInput.type = 'number';
+        this.dom.keyframeTimeInput.min = 0;
+        this.dom.keyframeTimeInput.step = 0.1;
+        this.dom.keyframeTimeInput.setAttribute('aria-label', 'Keyframe time in seconds');
+        this.dom.keyframeTimeInput.addEventListener('change', () => {
+            const time = Number(this.dom.keyframeTimeInput.value);
+            if (this.selectedKeyframe && Number.isFinite(time)) this.timeline.moveKeyframe(this.selectedKeyframe, time);
+            this._render();
+        });
+        keyframeRow.appendChild(this.dom.keyframeTimeInput);
+        this.dom.keyframeEasingSelect = document.createElement('select');
+        this.dom.keyframeEasingSelect.setAttribute('aria-label', 'Easing to the next keyframe');
+        AppConfig.EASINGS.forEach(easing => {
+            const option = document.createElement('option');
+            option.value = easing.name;
+            option.textContent = easing.label;
+            this.dom.keyframeEasingSelect.appendChild(option);
+        });
+        this.dom.keyframeEasingSelect.addEventListener('change', () => {
+            if (this.selectedKeyframe) this.selectedKeyframe.easing = this.dom.keyframeEasingSelect.value;
+        });
+        keyframeRow.appendChild(this.dom.keyframeEasingSelect);
+
+        // File actions and duration.
+        const fileRow = makeRow('timeline-panel__file');
+        makeLabel(fileRow, 'Length');
+        this.dom.durationInput = document.createElement('input');
+        this.dom.durationInput.type = 'number';
+        this.dom.durationInput.min = 1;
+        this.dom.durationInput.max = AppConfig.TIMELINE.MAX_DURATION;
+        this.dom.durationInput.step = 1;
+        this.dom.durationInput.setAttribute('aria-label', 'Timeline length in seconds');
+        this.dom.durationInput.addEventListener('change', () => {
+            const duration = Number(this.dom.durationInput.value);
+            if (Number.isFinite(duration)) this.timeline.setDuration(duration);
+            this.currentTime = Math.min(this.currentTime, this.timeline.duration);
+            this._render();
+        });
+        fileRow.appendChild(this.dom.durationInput);
+        makeButton(fileRow, 'Save', () => this.p.saveJSON(this.timeline.toJSON(), 'flower_timeline.json'));
+        this.dom.fileInput = document.createElement('input');
+        this.dom.fileInput.type = 'file';
+        this.dom.fileInput.accept = 'application/json,.json';
+        this.dom.fileInput.style.display = 'none';
+        this.dom.fileInput.addEventListener('change', () => {
+            if (this.dom.fileInput.files && this.dom.fileInput.files[0]) this._loadFile(this.dom.fileInput.files[0]);
+            this.dom.fileInput.value = '';
+        });
+        fileRow.appendChild(this.dom.fileInput);
+        makeButton(fileRow, 'Load', () => this.dom.fileInput.click());
+        makeButton(fileRow, 'Clear', () => {
+            if (this.timeline.keyframes.length && !confirm("Remove all keyframes?")) return;
+            this.stop();
+            this.timeline = new Timeline(this.timeline.duration);
+            this.timeline.loop = this.dom.loopCheckbox.checked;
+            this.selectedKeyframe = null;
+            this._render();
+        });
+
+        this._render();
+    }
+
+    /**
+     * Shows or hides the timeline panel.
+     */
+    togglePanel() {
+        if (!this.dom.panel) return;
+        const isVisible = this.dom.panel.getAttribute('aria-hidden') === 'false';
+        this.dom.panel.setAttribute('aria-hidden', isVisible ? 'true' : 'false');
+        if (this.dom.toggleBtn) this.dom.toggleBtn.setAttribute('aria-expanded', isVisible ? 'false' : 'true');
+    }
+
+    /**
+     * Starts playback from the playhead. Turns off auto-animation, which the timeline replaces.
+     * Restarts from the beginning if the playhead is at the end of a non-looping timeline.
+     */
+    play() {
+        if (this.timeline.keyframes.length === 0) return;
+        this.uiManager.setAutoAnimating(false);
+        this.uiManager.paramTransition.cancel();
+        if (this.currentTime >= this.timeline.duration) this.currentTime = 0;
+        this._setPlaying(true);
+        this._render();
+    }
+
+    /**
+     * Pauses playback, leaving the flower at the current position.
+     */
+    pause() {
+        this._setPlaying(false);
+        this._render();
+    }
+
+    /**
+     * Stops playback and rewinds to the start.
+     */
+    stop() {
+        this._setPlaying(false);
+        this.seek(0);
+    }
+
+    /**
+     * Sets `isPlaying` and locks the flower sliders while playing, since every frame overwrites the params.
+     * @param {boolean} playing - Whether the timeline is playing.
+     * @private
+     */
+    _setPlaying(playing) {
+        this.isPlaying = playing;
+        this.uiManager.setTimelinePlaying(playing);
+    }
+
+    /**
+     * Pauses playback and removes the listener on the toggle button. The panel contents stay until rebuilt.
+     */
+    destroy() {
+        this.pause();
+        this.listenerController.abort();
+    }
+
+    /**
+     * Moves the playhead and applies the sampled state.
+     * @param {number} time - The new position in seconds.
+     */
+    seek(time) {
+        this.currentTime = Math.min(this.timeline.duration, Math.max(0, time));
+        this._applySample();
+        this._render();
+    }
+
+    /**
+     * Advances playback. Called from `draw()` while playing.
+     * @param {number} deltaMs - Time elapsed since the previous frame, in milliseconds.
+     */
+    update(deltaMs) {
+        if (!this.isPlaying) return;
+        this.currentTime += Math.max(0, deltaMs || 0) / 1000;
+        if (this.currentTime >= this.timeline.duration) {
+            if (this.timeline.loop) {
+                this.currentTime %= this.timeline.duration;
+            } else {
+                this.currentTime = this.timeline.duration;
+                this._setPlaying(false);
+            }
+        }
+        this._applySample();
+        this._renderPlayhead();
+        if (!this.isPlaying) this._render();
+    }
+
+    /**
+     * Samples the timeline at the playhead and applies params and camera pose.
+     * @private
+     */
+    _applySample() {
+        const sample = this.timeline.sample(this.currentTime);
+        if (!sample) return;
+        this.uiManager.applyFrameParams(this.uiManager.sanitizeParams(sample.params));
+        if (sample.camera) Utils.applyCameraPose(this.camera, sample.camera);
+    }
+
+    /**
+     * Records the current params and camera pose as a keyframe at the playhead and selects it.
+     */
+    addKeyframe() {
+        const easing = this.selectedKeyframe ? this.selectedKeyframe.easing : this.uiManager.transitionSettings.easing;
+        this.selectedKeyframe = this.timeline.addKeyframe(this.currentTime, this.uiManager.currentParams, Utils.getCameraPose(this.camera), easing);
+        this._render();
+    }
+
+    /**
+     * Deletes the selected keyframe.
+     */
+    deleteSelectedKeyframe() {
+        if (!this.selectedKeyframe) return;
+        this.timeline.removeKeyframe(this.selectedKeyframe);
+        this.selectedKeyframe = null;
+        this._render();
+    }
+
+    /**
+     * Selects a keyframe and moves the playhead onto it.
+     * @param {TimelineKeyframe} keyframe - The keyframe to select.
+     */
+    selectKeyframe(keyframe) {
+        this.pause();
+        this.selectedKeyframe = keyframe;
+        this.seek(keyframe.time);
+    }
+
+    /**
+     * Replaces the timeline with one loaded from a JSON file.
+     * @param {File} file - The file chosen by the user.
+     * @private
+     */
+    _loadFile(file) {
+        file.text()
+            .then(text => {
+                this.stop();
+                this.timeline = Timeline.fromJSON(JSON.parse(text));
+                this.selectedKeyframe = null;
+                this.dom.loopCheckbox.checked = this.timeline.loop;
+                this.seek(0);
+            })
+            .catch(error => alert(`Could not load timeline: ${error.message}`));
+    }
+
+    /**
+     * Formats seconds as `m:ss.cc`.
+     * @param {number} seconds - The time to format.
+     * @returns {string} The formatted time.
+     * @private
+     */
+    _formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const rest = (seconds - minutes * 60).toFixed(2).padStart(5, '0');
+        return `${minutes}:${rest}`;
+    }
+
+    /**
+     * Updates the scrubber and time readout only; cheap enough to run every frame.
+     * @private
+     */
+    _renderPlayhead() {
+        if (!this.dom.scrubber) return;
+        this.dom.scrubber.value = this.currentTime;
+        this.dom.timeDisplay.textContent = `${this._formatTime(this.currentTime)} / ${this._formatTime(this.timeline.duration)}`;
+    }
+
+    /**
+     * Re-renders the whole panel state: markers, selection fields and transport labels.
+     * @private
+     */
+    _render() {
+        if (!this.dom.panel || !this.dom.scrubber) return;
+        this.dom.playBtn.textContent = this.isPlaying ? 'Pause' : 'Play';
+        this.dom.scrubber.max = this.timeline.duration;
+        this.dom.durationInput.value = this.timeline.duration;
+        this.dom.keyframeTimeInput.max = this.timeline.duration;
+        this._renderPlayhead();
+
+        this.dom.markers.innerHTML = '';
+        this.timeline.keyframes.forEach(keyframe => {
+            const marker = document.createElement('button');
+            marker.type = 'button';
+            marker.className = 'timeline-panel__marker';
+            if (keyframe === this.selectedKeyframe) marker.classList.add('timeline-panel__marker--selected');
+            marker.style.left = `${(keyframe.time / this.timeline.duration) * 100}%`;
+            marker.title = `Keyframe at ${this._formatTime(keyframe.time)}`;
+            marker.setAttribute('aria-label', marker.title);
+            marker.addEventListener('click', () => this.selectKeyframe(keyframe));
+            this.dom.markers.appendChild(marker);
+        });
+
+        const hasSelection = !!this.selectedKeyframe;
+        this.dom.deleteKeyframeBtn.disabled = !hasSelection;
+        this.dom.keyframeTimeInput.disabled = !hasSelection;
+        this.dom.keyframeEasingSelect.disabled = !hasSelection;
+        if (hasSelection) {
+            this.dom.keyframeTimeInput.value = this.selectedKeyframe.time.toFixed(2);
+            this.dom.keyframeEasingSelect.value = this.selectedKeyframe.easing;
+        } else {
+            this.dom.keyframeTimeInput.value = '';
+        }
+    }
+}
+
+// PART 12: MeshExporter
+// ---------------------
+// Serializes an indexed triangle mesh (see `Flower.getMeshData`) into common 3D file formats.
+
+/**
+ * @typedef {object} MeshData
+ * @property {Float32Array} positions - Vertex positions, 3 floats per vertex (Y-up).
+ * @property {Float32Array} colors - Per-vertex RGB colors (0-1), 3 floats per vertex.
+ * @property {Uint32Array} indices - Triangle vertex indices, 3 per triangle.
+ * @property {Float32Array} faceColors - Per-triangle RGB colors (0-1), 3 floats per triangle.
+ */
+
+/**
+ * @namespace MeshExporter
+ * Pure functions converting `MeshData` into OBJ, MTL, STL, PLY and glTF binary (.glb).
+ */
+const MeshExporter = {
+    /**
+     * Computes smooth per-vertex normals by summing area-weighted face normals.
+     * @param {Float32Array} positions - Vertex positions.
+     * @param {Uint32Array} indices - Triangle indices.
+     * @returns {Float32Array} Unit normals, 3 floats per vertex.
+     */
+    computeVertexNormals: (positions, indices) => {
+        const normals = new Float32Array(positions.length);
+        for (let i = 0; i < indices.length; i += 3) {
+            const n = MeshExporter._faceNormal(positions, indices[i], indices[i + 1], indices[i + 2], false);
+            for (let k = 0; k < 3; k++) {
+                const v = indices[i + k] * 3;
+                normals[v] += n[0];
+                normals[v + 1] += n[1];
+                normals[v + 2] += n[2];
+            }
+        }
+        for (let v = 0; v < normals.length; v += 3) {
+            const length = Math.hypot(normals[v], normals[v + 1], normals[v + 2]) || 1;
+            normals[v] /= length;
+            normals[v + 1] /= length;
+            normals[v + 2] /= length;
+        }
+        return normals;
+    },
+
+    /**
+     * Computes the normal of triangle (a, b, c).
+     * @param {Float32Array} positions - Vertex positions.
+     * @param {number} a - First vertex index.
+     * @param {number} b - Second vertex index.
+     * @param {number} c - Third vertex index.
+     * @param {boolean} normalize - Return a unit vector instead of an area-weighted one.
+     * @returns {number[]} The normal `[x, y, z]`.
+     * @private
+     */
+    _faceNormal: (positions, a, b, c, normalize) => {
+        const ax = positions[a * 3], ay = positions[a * 3 + 1], az = positions[a * 3 + 2];
+        const e1x = positions[b * 3] - ax, e1y = positions[b * 3 + 1] - ay, e1z = positions[b * 3 + 2] - az;
+        const e2x = positions[c * 3] - ax, e2y = positions[c * 3 + 1] - ay, e2z = positions[c * 3 + 2] - az;
+        const n = [e1y * e2z - e1z * e2y, e1z * e2x - e1x * e2z, e1x * e2y - e1y * e2x];
+        if (!normalize) return n;
+        const length = Math.hypot(n[0], n[1], n[2]) || 1;
+        return [n[0] / length, n[1] / length, n[2] / length];
+    },
+
+    /**
+     * Wavefront OBJ with per-vertex colors (the widely supported `v x y z r g b` extension).
+     * @param {MeshData} mesh - The mesh to export.
+     * @returns {string} The OBJ file content.
+     */
+    toOBJ: (mesh) => {
+        const lines = ['# The Better Way Forward - flower mesh', 'o Flower'];
+        for (let i = 0; i < mesh.positions.length; i += 3) {
+            lines.push(`v ${mesh.positions[i].toFixed(4)} ${mesh.positions[i + 1].toFixed(4)} ${mesh.positions[i + 2].toFixed(4)} ` +
+                `${mesh.colors[i].toFixed(4)} ${mesh.colors[i + 1].toFixed(4)} ${mesh.colors[i + 2].toFixed(4)}`);
+        }
+        for (let i = 0; i < mesh.indices.length; i += 3) {
+            lines.push(`f ${mesh.indices[i] + 1} ${mesh.indices[i + 1] + 1} ${mesh.indices[i + 2] + 1}`); // OBJ indices are 1-based.
+        }
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Wavefront OBJ plus an MTL material library. Face colors are quantized so that
+     * similar colors share a material instead of emitting one material per triangle.
+     * @param {MeshData} mesh - The mesh to export.
+     * @param {string} mtlFileName - File name the OBJ references via `mtllib`.
+     * @returns {{obj: string, mtl: string}} The OBJ and MTL file contents.
+     */
+    toOBJWithMTL: (mesh, mtlFileName) => {
+        const levels = 31; // Quantization steps per channel.
+        const quantize = (value) => Math.round(Math.min(1, Math.max(0, value)) * levels);
+        const materials = new Map(); // name -> [r, g, b]
+        const faceMaterials = [];
+        for (let f = 0; f < mesh.faceColors.length / 3; f++) {
+            const q = [quantize(mesh.faceColors[f * 3]), quantize(mesh.faceColors[f * 3 + 1]), quantize(mesh.faceColors[f * 3 + 2])];
+            const name = `petal_${q.map(v => v.toString(16).padStart(2, '0')).join('')}`;
+            if (!materials.has(name)) materials.set(name, q.map(v => v / levels));
+            faceMaterials.push(name);
+        }
+
+        const objLines = ['# The Better Way Forward - flower mesh', `mtllib ${mtlFileName}`, 'o Flower'];
+        for (let i = 0; i < mesh.positions.length; i += 3) {
+            objLines.push(`v ${mesh.positions[i].toFixed(4)} ${mesh.positions[i + 1].toFixed(4)} ${mesh.positions[i + 2].toFixed(4)}`);
+        }
+        let currentMaterial = null;
+        for (let f = 0; f < faceMaterials.length; f++) {
+            if (faceMaterials[f] !== currentMaterial) {
+                currentMaterial = faceMaterials[f];
+                objLines.push(`usemtl ${currentMaterial}`);
+            }
+            const i = f * 3;
+            objLines.push(`f ${mesh.indices[i] + 1} ${mesh.indices[i + 1] + 1} ${mesh.indices[i + 2] + 1}`);
+        }
+
+        const mtlLines = ['# The Better Way Forward - flower materials'];
+        materials.forEach((rgb, name) => {
+            mtlLines.push('', `newmtl ${name}`, `Kd ${rgb.map(v => v.toFixed(4)).join(' ')}`, 'Ka 0 0 0', 'Ks 0 0 0', 'd 1', 'illum 1');
+        });
+        return { obj: objLines.join('\n') + '\n', mtl: mtlLines.join('\n') + '\n' };
+    },
+
+    /**
+     * Binary STL (no colors; the format has no standard color support).
+     * @param {MeshData} mesh - The mesh to export.
+     * @returns {ArrayBuffer} The STL file content.
+     */
+    toSTL: (mesh) => {
+        const triangleCount = mesh.indices.length / 3;
+        const buffer = new ArrayBuffer(84 + triangleCount * 50);
+        const view = new DataView(buffer);
+        const header = 'The Better Way Forward - flower mesh';
+        for (let i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i));
+        view.setUint32(80, triangleCount, true);
+
+        let offset = 84;
+        for (let t = 0; t < triangleCount; t++) {
+            const a = mesh.indices[t * 3], b = mesh.indices[t * 3 + 1], c = mesh.indices[t * 3 + 2];
+            const normal = MeshExporter._faceNormal(mesh.positions, a, b, c, true);
+            normal.forEach(value => { view.setFloat32(offset, value, true); offset += 4; });
+            [a, b, c].forEach(v => {
+                for (let k = 0; k < 3; k++) {
+                    view.setFloat32(offset, mesh.positions[v * 3 + k], true);
+                    offset += 4;
+                }
+            });
+            view.setUint16(offset, 0, true); // Attribute byte count.
+            offset += 2;
+        }
+        return buffer;
+    },
+
+    /**
+     * Binary little-endian PLY with per-vertex colors.
+     * @param {MeshData} mesh - The mesh to export.
+     * @returns {ArrayBuffer} The PLY file content.
+     */
+    toPLY: (mesh) => {
+        const vertexCount = mesh.positions.length / 3;
+        const faceCount = mesh.indices.length / 3;
+        const header = [
+            'ply',
+            'format binary_little_endian 1.0',
+            'comment The Better Way Forward - flower mesh',
+            `element vertex ${vertexCount}`,
+            'property float x', 'property float y', 'property float z',
+            'property uchar red', 'property uchar green', 'property uchar blue',
+            `element face ${faceCount}`,
+            'property list uchar int vertex_indices',
+            'end_header',
+            ''
+        ].join('\n');
+        const headerBytes = new TextEncoder().encode(header);
+        const buffer = new ArrayBuffer(headerBytes.length + vertexCount * 15 + faceCount * 13);
+        new Uint8Array(buffer).set(headerBytes, 0);
+        const view = new DataView(buffer);
+
+        let offset = headerBytes.length;
+        for (let v = 0; v < vertexCount; v++) {
+            for (let k = 0; k < 3; k++) {
+                view.setFloat32(offset, mesh.positions[v * 3 + k], true);
+                offset += 4;
+            }
+            for (let k = 0; k < 3; k++) {
+                view.setUint8(offset, Math.round(Math.min(1, Math.max(0, mesh.colors[v * 3 + k])) * 255));
+                offset += 1;
+            }
+        }
+        for (let f = 0; f < faceCount; f++) {
+            view.setUint8(offset, 3);
+            offset += 1;
+            for (let k = 0; k < 3; k++) {
+                view.setInt32(offset, mesh.indices[f * 3 + k], true);
+                offset += 4;
+            }
+        }
+        return buffer;
+    },
+
+    /**
+     * glTF 2.0 binary (.glb) with positions, smooth normals, vertex colors and a double-sided material.
+     * @param {MeshData} mesh - The mesh to export.
+     * @returns {ArrayBuffer} The GLB file content.
+     */
+    toGLB: (mesh) => {
+        const vertexCount = mesh.positions.length / 3;
+        const normals = MeshExporter.computeVertexNormals(mesh.positions, mesh.indices);
+        const colors = new Float32Array(vertexCount * 4);
+        for (let v = 0; v < vertexCount; v++) {
+            colors.set([mesh.colors[v * 3], mesh.colors[v * 3 + 1], mesh.colors[v * 3 + 2], 1], v * 4);
+        }
+
+        // Pack all attribute arrays into one binary buffer, 4-byte aligned.
+        const arrays = [mesh.positions, normals, colors, mesh.indices];
+        const byteOffsets = [];
+        let binLength = 0;
+        arrays.forEach(array => {
+            byteOffsets.push(binLength);
+            binLength += Math.ceil(array.byteLength / 4) * 4;
+        });
+        const bin = new Uint8Array(binLength);
+        arrays.forEach((array, i) => bin.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), byteOffsets[i]));
+
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < mesh.positions.length; i++) {
+            min[i % 3] = Math.min(min[i % 3], mesh.positions[i]);
+            max[i % 3] = Math.max(max[i % 3], mesh.positions[i]);
+        }
+
+        const FLOAT = 5126, UNSIGNED_INT = 5125, ARRAY_BUFFER = 34962, ELEMENT_ARRAY_BUFFER = 34963;
+        const gltf = {
+            asset: { version: '2.0', generator: 'The Better Way Forward' },
+            scene: 0,
+            scenes: [{ nodes: [0] }],
+            nodes: [{ mesh: 0, name: 'Flower' }],
+            meshes: [{ name: 'Flower', primitives: [{ attributes: { POSITION: 0, NORMAL: 1, COLOR_0: 2 }, indices: 3, material: 0 }] }],
+            materials: [{
+                name: 'Petals',
+                doubleSided: true,
+                pbrMetallicRoughness: { baseColorFactor: [1, 1, 1, 1], metallicFactor: 0, roughnessFactor: 0.8 },
+            }],
+            buffers: [{ byteLength: binLength }],
+            bufferViews: [
+                { buffer: 0, byteOffset: byteOffsets[0], byteLength: mesh.positions.byteLength, target: ARRAY_BUFFER },
+                { buffer: 0, byteOffset: byteOffsets[1], byteLength: normals.byteLength, target: ARRAY_BUFFER },
+                { buffer: 0, byteOffset: byteOffsets[2], byteLength: colors.byteLength, target: ARRAY_BUFFER },
+                { buffer: 0, byteOffset: byteOffsets[3], byteLength: mesh.indices.byteLength, target: ELEMENT_ARRAY_BUFFER },
+            ],
+            accessors: [
+                { bufferView: 0, componentType: FLOAT, count: vertexCount, type: 'VEC3', min, max },
+                { bufferView: 1, componentType: FLOAT, count: vertexCount, type: 'VEC3' },
+                { bufferView: 2, componentType: FLOAT, count: vertexCount, type: 'VEC4' },
+                { bufferView: 3, componentType: UNSIGNED_INT, count: mesh.indices.length, type: 'SCALAR' },
+            ],
+        };
+
+        // JSON chunk is padded with spaces, BIN chunk with zeros, both to 4 bytes.
+        let jsonBytes = new TextEncoder().encode(JSON.stringify(gltf));
+        const jsonPadded = new Uint8Array(Math.ceil(jsonBytes.length / 4) * 4).fill(0x20);
+        jsonPadded.set(jsonBytes);
+        jsonBytes = jsonPadded;
+
+        const totalLength = 12 + 8 + jsonBytes.length + 8 + bin.length;
+        const glb = new ArrayBuffer(totalLength);
+        const view = new DataView(glb);
+        const bytes = new Uint8Array(glb);
+        view.setUint32(0, 0x46546C67, true); // 'glTF'
+        view.setUint32(4, 2, true); // Version
+        view.setUint32(8, totalLength, true);
+        view.setUint32(12, jsonBytes.length, true);
+        view.setUint32(16, 0x4E4F534A, true); // 'JSON'
+        bytes.set(jsonBytes, 20);
+        const binHeader = 20 + jsonBytes.length;
+        view.setUint32(binHeader, bin.length, true);
+        view.setUint32(binHeader + 4, 0x004E4942, true); // 'BIN'
+        bytes.set(bin, binHeader + 8);
+        return glb;
+    }
+};
+Object.freeze(MeshExporter);
+
+// PART 13: CanvasRecorder Class
+// -----------------------------
+// Records the canvas: live WebM via MediaRecorder, or frame-exact GIF / PNG sequence by stepping draw().
+
+/**
+ * @class CanvasRecorder
+ * Live mode captures the canvas stream with MediaRecorder (optionally mixing in the background music).
+ * Frame-exact mode stops the p5 loop and calls `redraw()` once per output frame with a fixed time step
+ * (`stepMs`, read by `draw()`), so the result is independent of the live frame rate.
+ */
+class CanvasRecorder {
+    /**
+     * Creates an instance of CanvasRecorder.
+     * @param {p5} p - The p5.js instance, used to pause and step the draw loop.
+     * @param {HTMLCanvasElement} canvas - The WebGL canvas to record.
+     * @param {AudioManager} audioManagerInstance - Provides the music stream for recordings with audio.
+     * @param {ParentNode} [root=document] - Element (or document) in which the record button and menu are looked up.
+     */
+    constructor(p, canvas, audioManagerInstance, root = document) {
+        /** @type {p5} The p5.js instance. */
+        this.p = p;
+        /** @type {HTMLCanvasElement} The canvas being recorded. */
+        this.canvas = canvas;
+        /** @type {AudioManager} Reference to the AudioManager. */
+        this.audioManager = audioManagerInstance;
+        /** @type {MediaRecorder|null} The active live recorder. */
+        this.mediaRecorder = null;
+        /** @type {boolean} True while a live recording is running. */
+        this.isRecording = false;
+        /** @type {boolean} True while frames are being stepped for a frame-exact capture (read by `draw()`). */
+        this.isStepping = false;
+        /** @type {number} Fixed time step per frame during frame-exact capture, in milliseconds. */
+        this.stepMs = 1000 / AppConfig.RECORDING.FRAME_EXACT_FPS;
+        /** @type {number|null} Interval updating the elapsed-time label during live recording. */
+        this.timerIntervalId = null;
+        /** @type {boolean} Set by `destroy`; ends a frame-exact capture early. */
+        this.destroyed = false;
+        /** @type {AbortController} Aborting it removes the listeners on the record button and menu (see `destroy`). */
+        this.listenerController = new AbortController();
+
+        /** @type {object} References to the recording controls. */
+        this.dom = {
+            recordBtn: root.querySelector('#recordBtn'),
+            recordMenu: root.querySelector('#recordMenu'),
+            fpsInput: root.querySelector('#recordFpsInput'),
+            durationInput: root.querySelector('#recordDurationInput'),
+        };
+        this._setupControls();
+    }
+
+    /**
+     * Wires up the record button and the recording menu.
+     * @private
+     */
+    _setupControls() {
+        const { recordBtn, recordMenu, fpsInput, durationInput } = this.dom;
+        const { signal } = this.listenerController;
+        if (fpsInput) {
+            fpsInput.min = 1;
+            fpsInput.max = AppConfig.RECORDING.MAX_FRAME_EXACT_FPS;
+            fpsInput.value = AppConfig.RECORDING.FRAME_EXACT_FPS;
+        }
+        if (durationInput) {
+            durationInput.min = 0.5;
+            durationInput.max = AppConfig.RECORDING.MAX_FRAME_EXACT_DURATION;
+            durationInput.value = AppConfig.RECORDING.FRAME_EXACT_DURATION;
+        }
+        if (recordBtn) {
+            recordBtn.addEventListener('click', () => {
+                if (this.isRecording) this.stopVideo();
+                else if (!this.isStepping) this._toggleMenu();
+            }, { signal });
+        }
+        if (recordMenu) {
+            recordMenu.addEventListener('click', (event) => {
+                const item = event.target.closest('[data-record]');
+                if (!item) return;
+                this._toggleMenu(false);
+                const mode = item.dataset.record;
+                if (mode === 'webm' || mode === 'webm-audio') {
+                    this.startVideo(mode === 'webm-audio');
+                } else {
+                    this.captureFrameExact(mode, Number(fpsInput && fpsInput.value), Number(durationInput && durationInput.value));
+                }
+            }, { signal });
+        }
+    }
+
+    /**
+     * Opens or closes the recording menu.
+     * @param {boolean} [forceOpen] - Open (true) or close (false) instead of toggling.
+     * @private
+     */
+    _toggleMenu(forceOpen) {
+        const { recordBtn, recordMenu } = this.dom;
+        if (!recordBtn || !recordMenu) return;
+        const isOpen = recordMenu.getAttribute('aria-hidden') === 'false';
+        const open = forceOpen === undefined ? !isOpen : forceOpen;
+        recordMenu.setAttribute('aria-hidden', open ? 'false' : 'true');
+        recordBtn.setAttribute('aria-expanded', open ? 'true' : 'false');
+    }
+
+    /**
+     * Updates the record button label.
+     * @param {string} text - The label to show.
+     * @private
+     */
+    _setButtonLabel(text) {
+        if (this.dom.recordBtn) this.dom.recordBtn.textContent = text;
+    }
+
+    /**
+     * Starts a live WebM recording of the canvas.
+     * @param {boolean} includeAudio - Mix the background music into the recording.
+     */
+    startVideo(includeAudio) {
+        if (this.isRecording || this.isStepping) return;
+        if (!window.MediaRecorder || !this.canvas.captureStream) {
+            alert("Video recording is not supported in this browser.");
+            return;
+        }
+        const stream = this.canvas.captureStream(AppConfig.RECORDING.VIDEO_FPS);
+        if (includeAudio) {
+            const audioStream = this.audioManager ? this.audioManager.getRecordingStream() : null;
+            if (audioStream) audioStream.getAudioTracks().forEach(track => stream.addTrack(track));
+            else console.warn("Music could not be captured; recording video only.");
+        }
+        const mimeType = AppConfig.RECORDING.VIDEO_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+        const chunks = [];
+        try {
+            this.mediaRecorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: AppConfig.RECORDING.VIDEO_BITS_PER_SECOND });
+        } catch (e) {
+            alert(`Could not start recording: ${e.message}`);
+            return;
+        }
+        this.mediaRecorder.addEventListener('dataavailable', (event) => {
+            if (event.data && event.data.size > 0) chunks.push(event.data);
+        });
+        this.mediaRecorder.addEventListener('stop', () => {
+            // Only stop the canvas tracks; the music tap is reused by later recordings.
+            stream.getVideoTracks().forEach(track => track.stop());
+            Utils.downloadBlob(new Blob(chunks, { type: this.mediaRecorder.mimeType || 'video/webm' }), 'flower_recording.webm');
+            this.mediaRecorder = null;
+        });
+        this.mediaRecorder.start(1000); // Collect data every second so long recordings don't buffer in one piece.
+        this.isRecording = true;
+
+        const startTime = performance.now();
+        const updateLabel = () => {
+            const seconds = Math.floor((performance.now() - startTime) / 1000);
+            this._setButtonLabel(`Stop ● ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`);
+        };
+        updateLabel();
+        this.timerIntervalId = setInterval(updateLabel, 500);
+    }
+
+    /**
+     * Stops the live recording and downloads the WebM file.
+     */
+    stopVideo() {
+        if (!this.isRecording) return;
+        this.isRecording = false;
+        clearInterval(this.timerIntervalId);
+        this.timerIntervalId = null;
+        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') this.mediaRecorder.stop();
+        this._setButtonLabel('Record');
+    }
+
+    /**
+     * Renders a fixed number of frames deterministically and downloads them as a GIF or a zip of PNGs.
+     * The live draw loop is paused for the duration and resumed afterwards.
+     * @param {'gif'|'png-zip'} format - The output format.
+     * @param {number} fps - Output frame rate.
+     * @param {number} duration - Output length in seconds.
+     * @returns {Promise<void>} Resolves when the file has been handed to the browser.
+     */
+    async captureFrameExact(format, fps, duration) {
+        if (this.isRecording || this.isStepping) return;
+        const safeFps = Number.isFinite(fps) ? Math.min(AppConfig.RECORDING.MAX_FRAME_EXACT_FPS, Math.max(1, Math.round(fps))) : AppConfig.RECORDING.FRAME_EXACT_FPS;
+        const safeDuration = Number.isFinite(duration) ? Math.min(AppConfig.RECORDING.MAX_FRAME_EXACT_DURATION, Math.max(0.5, duration)) : AppConfig.RECORDING.FRAME_EXACT_DURATION;
+        const frameCount = Math.max(1, Math.round(safeFps * safeDuration));
+
+        // Frames are copied into a 2D canvas right after each redraw (downscaled for GIFs).
+        const scale = format === 'gif' ? Math.min(1, AppConfig.RECORDING.GIF_MAX_WIDTH / this.canvas.width) : 1;
+        const frameCanvas = document.createElement('canvas');
+        frameCanvas.width = Math.max(1, Math.round(this.canvas.width * scale));
+        frameCanvas.height = Math.max(1, Math.round(this.canvas.height * scale));
+        const frameContext = frameCanvas.getContext('2d', { willReadFrequently: format === 'gif' });
+
+        const gif = format === 'gif' ? new GifEncoder(frameCanvas.width, frameCanvas.height) : null;
+        const zip = format === 'gif' ? null : new ZipWriter();
+        const digits = String(frameCount).length;
+
+        this.stepMs = 1000 / safeFps;
+        this.isStepping = true;
+        this.p.noLoop();
+        try {
+            for (let i = 0; i < frameCount; i++) {
+                if (this.destroyed) return; // The sketch is gone; drop the partial capture.
+                this.p.redraw(); // Runs draw() synchronously with the fixed time step.
+                frameContext.clearRect(0, 0, frameCanvas.width, frameCanvas.height);
+                frameContext.drawImage(this.canvas, 0, 0, frameCanvas.width, frameCanvas.height);
+
+                if (gif) {
+                    const pixels = frameContext.getImageData(0, 0, frameCanvas.width, frameCanvas.height).data;
+                    // GIF delays are in centiseconds; distribute rounding so the total length stays exact.
+                    const delay = Math.round((i + 1) * 100 / safeFps) - Math.round(i * 100 / safeFps);
+                    gif.addFrame(pixels, delay);
+                } else {
+                    const blob = await new Promise(resolve => frameCanvas.toBlob(resolve, 'image/png'));
+                    zip.addFile(`flower_${String(i).padStart(digits, '0')}.png`, new Uint8Array(await blob.arrayBuffer()));
+                }
+
+                this._setButtonLabel(`Rendering ${i + 1}/${frameCount}`);
+                await new Promise(resolve => setTimeout(resolve, 0)); // Let the page repaint the progress label.
+            }
+            if (gif) Utils.downloadBlob(new Blob([gif.finish()], { type: 'image/gif' }), 'flower_animation.gif');
+            else Utils.downloadBlob(new Blob([zip.finish()], { type: 'application/zip' }), 'flower_frames.zip');
+        } catch (e) {
+            console.error("Frame-exact capture failed:", e);
+            alert(`Capture failed: ${e.message}`);
+        } finally {
+            this.isStepping = false;
+            if (!this.destroyed) this.p.loop();
+            this._setButtonLabel('Record');
+        }
+    }
+
+    /**
+     * Stops a live recording (its file is still downloaded), ends a frame-exact capture without saving it,
+     * and removes the listeners on the record button and menu.
+     */
+    destroy() {
+        this.destroyed = true;
+        this.stopVideo();
+        this._toggleMenu(false);
+        this.listenerController.abort();
+    }
+}
+
+// PART 14: GifEncoder Class
+// -------------------------
+// Minimal streaming animated GIF89a encoder (global palette, LZW compression, infinite loop).
+
+/**
+ * @class GifEncoder
+ * Encodes RGBA frames into an animated GIF. The 256-color global palette is built from the first frame
+ * (popularity over a 15-bit color histogram), which suits the flower's smooth gradient on a flat background.
+ */
+class GifEncoder {
+    /**
+     * Creates an instance of GifEncoder.
+     * @param {number} width - Frame width in pixels.
+     * @param {number} height - Frame height in pixels.
+     */
+    constructor(width, height) {
+        /** @type {number} Frame width. */
+        this.width = width;
+        /** @type {number} Frame height. */
+        this.height = height;
+        /** @type {Uint8Array[]} Encoded byte chunks. */
+        this.chunks = [];
+        /** @type {Uint8Array|null} Palette as RGB triplets (256 entries). */
+        this.palette = null;
+        /** @type {number} Number of palette entries actually in use. */
+        this.paletteSize = 0;
+        /** @type {Int16Array|null} 15-bit color -> palette index cache (-1 = not computed yet). */
+        this.lookup = null;
+    }
+
+    /**
+     * Appends a frame.
+     * @param {Uint8ClampedArray} rgba - Pixel data, `width * height * 4` bytes.
+     * @param {number} delay - Frame duration in centiseconds.
+     */
+    addFrame(rgba, delay) {
+        if (!this.palette) this._writeHeader(rgba);
+        const pixelCount = this.width * this.height;
+        const indices = new Uint8Array(pixelCount);
+        for (let i = 0; i < pixelCount; i++) {
+            indices[i] = this._paletteIndex(rgba[i * 4], rgba[i * 4 + 1], rgba[i * 4 + 2]);
+        }
+        const w = this.width, h = this.height;
+        this.chunks.push(new Uint8Array([
+            0x21, 0xF9, 0x04, 0x04, delay & 0xFF, (delay >> 8) & 0xFF, 0x00, 0x00, // Graphic control: no disposal, no transparency.
+            0x2C, 0, 0, 0, 0, w & 0xFF, w >> 8, h & 0xFF, h >> 8, 0x00, // Image descriptor using the global palette.
+        ]));
+        this.chunks.push(GifEncoder.lzwEncode(indices, 8));
+    }
+
+    /**
+     * Finishes the file.
+     * @returns {Uint8Array} The complete GIF file.
+     */
+    finish() {
+        this.chunks.push(new Uint8Array([0x3B])); // Trailer.
+        const total = this.chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        const out = new Uint8Array(total);
+        let offset = 0;
+        this.chunks.forEach(chunk => { out.set(chunk, offset); offset += chunk.length; });
+        return out;
+    }
+
+    /**
+     * Builds the palette from the first frame and writes the header, screen descriptor,
+     * global color table and looping extension.
+     * @param {Uint8ClampedArray} rgba - The first frame.
+     * @private
+     */
+    _writeHeader(rgba) {
+        const counts = new Uint32Array(32768);
+        for (let i = 0; i < rgba.length; i += 4) {
+            counts[((rgba[i] >> 3) << 10) | ((rgba[i + 1] >> 3) << 5) | (rgba[i + 2] >> 3)]++;
+        }
+        const bins = [];
+        for (let key = 0; key < counts.length; key++) if (counts[key] > 0) bins.push(key);
+        bins.sort((a, b) => counts[b] - counts[a]);
+
+        this.palette = new Uint8Array(256 * 3);
+        bins.slice(0, 256).forEach((key, i) => {
+            // Use the center of each 5-bit bin.
+            this.palette[i * 3] = ((key >> 10) & 31) * 8 + 4;
+            this.palette[i * 3 + 1] = ((key >> 5) & 31) * 8 + 4;
+            this.palette[i * 3 + 2] = (key & 31) * 8 + 4;
+        });
+        this.paletteSize = Math.max(1, Math.min(256, bins.length));
+        this.lookup = new Int16Array(32768).fill(-1);
+
+        const w = this.width, h = this.height;
+        const header = new Uint8Array([
+            0x47, 0x49, 0x46, 0x38, 0x39, 0x61, // 'GIF89a'
+            w & 0xFF, w >> 8, h & 0xFF, h >> 8,
+            0xF7, 0x00, 0x00, // Global color table, 8 bits per channel, 256 entries.
+        ]);
+        const loop = new Uint8Array([
+            0x21, 0xFF, 0x0B, 0x4E, 0x45, 0x54, 0x53, 0x43, 0x41, 0x50, 0x45, 0x32, 0x2E, 0x30, // 'NETSCAPE2.0'
+            0x03, 0x01, 0x00, 0x00, 0x00, // Loop forever.
+        ]);
+        this.chunks.push(header, this.palette, loop);
+    }
+
+    /**
+     * Finds the nearest palette entry for a color, caching results per 15-bit color.
+     * @param {number} r - Red (0-255).
+     * @param {number} g - Green (0-255).
+     * @param {number} b - Blue (0-255).
+     * @returns {number} Palette index.
+     * @private
+     */
+    _paletteIndex(r, g, b) {
+        const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+        const cached = this.lookup[key];
+        if (cached >= 0) return cached;
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let i = 0; i < this.paletteSize; i++) {
+            const dr = this.palette[i * 3] - r, dg = this.palette[i * 3 + 1] - g, db = this.palette[i * 3 + 2] - b;
+            const distance = dr * dr + dg * dg + db * db;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = i;
+            }
+        }
+        this.lookup[key] = best;
+        return best;
+    }
+
+    /**
+     * LZW-compresses palette indices into GIF image data (minimum code size byte, sub-blocks and terminator).
+     * @param {Uint8Array} indices - Palette index per pixel.
+     * @param {number} minCodeSize - LZW minimum code size (8 for a 256-color palette).
+     * @returns {Uint8Array} The encoded image data.
+     */
+    static lzwEncode(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        let nextCode = endCode + 1;
+        let codeSize = minCodeSize + 1;
+        let table = new Map();
+
+        let packed = new Uint8Array(Math.max(1024, indices.length));
+        let packedLength = 0;
+        let bitBuffer = 0;
+        let bitCount = 0;
+        const pushByte = (byte) => {
+            if (packedLength === packed.length) {
+                const grown = new Uint8Array(packed.length * 2);
+                grown.set(packed);
+                packed = grown;
+            }
+            packed[packedLength++] = byte;
+        };
+        const emit = (code) => {
+            bitBuffer |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                pushByte(bitBuffer & 0xFF);
+                bitBuffer >>>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        emit(clearCode);
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const k = indices[i];
+            const key = (prefix << 8) | k;
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+            emit(prefix);
+            if (nextCode === 4096) {
+                // Table full: reset it.
+                emit(clearCode);
+                table = new Map();
+                nextCode = endCode + 1;
+                codeSize = minCodeSize + 1;
+            } else {
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                table.set(key, nextCode++);
+            }
+            prefix = k;
+        }
+        emit(prefix);
+        emit(endCode);
+        if (bitCount > 0) pushByte(bitBuffer & 0xFF); // Flush the remaining bits.
+
+        // Split into sub-blocks of at most 255 bytes.
+        const blockCount = Math.ceil(packedLength / 255);
+        const out = new Uint8Array(1 + packedLength + blockCount + 1);
+        let offset = 0;
+        out[offset++] = minCodeSize;
+        for (let start = 0; start < packedLength; start += 255) {
+            const size = Math.min(255, packedLength - start);
+            out[offset++] = size;
+            out.set(packed.subarray(start, start + size), offset);
+            offset += size;
+        }
+        out[offset++] = 0x00; // Block terminator.
+        return out.subarray(0, offset);
+    }
+}
+
+// PART 15: ZipWriter Class
+// ------------------------
+// Minimal uncompressed (STORE) zip writer, used for PNG sequences (PNG data is already compressed).
+
+/**
+ * @class ZipWriter
+ * Collects files and produces a zip archive without compression.
+ */
+class ZipWriter {
+    /**
+     * Creates an empty archive.
+     */
+    constructor() {
+        /** @type {Array<{name: Uint8Array, data: Uint8Array, crc: number, offset: number}>} Files added so far. */
+        this.files = [];
+        /** @type {Uint8Array[]} Local headers and file data, in order. */
+        this.chunks = [];
+        /** @type {number} Bytes written so far. */
+        this.offset = 0;
+    }
+
+    /**
+     * Adds a file to the archive.
+     * @param {string} name - Path inside the archive.
+     * @param {Uint8Array} data - File content.
+     */
+    addFile(name, data) {
+        const nameBytes = new TextEncoder().encode(name);
+        const crc = ZipWriter.crc32(data);
+        const header = new Uint8Array(30 + nameBytes.length);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, 0x04034B50, true); // Local file header signature.
+        view.setUint16(4, 20, true); // Version needed.
+        view.setUint16(6, 0x0800, true); // UTF-8 names.
+        view.setUint16(8, 0, true); // Method: store.
+        this._writeDosDateTime(view, 10);
+        view.setUint32(14, crc, true);
+        view.setUint32(18, data.length, true);
+        view.setUint32(22, data.length, true);
+        view.setUint16(26, nameBytes.length, true);
+        header.set(nameBytes, 30);
+
+        this.files.push({ name: nameBytes, data, crc, offset: this.offset });
+        this.chunks.push(header, data);
+        this.offset += header.length + data.length;
+    }
+
+    /**
+     * Writes the central directory and returns the archive.
+     * @returns {Uint8Array} The zip file.
+     */
+    finish() {
+        const centralStart = this.offset;
+        const central = this.files.map(file => {
+            const entry = new Uint8Array(46 + file.name.length);
+            const view = new DataView(entry.buffer);
+            view.setUint32(0, 0x02014B50, true); // Central directory signature.
+            view.setUint16(4, 20, true); // Version made by.
+            view.setUint16(6, 20, true); // Version needed.
+            view.setUint16(8, 0x0800, true);
+            view.setUint16(10, 0, true);
+            this._writeDosDateTime(view, 12);
+            view.setUint32(16, file.crc, true);
+            view.setUint32(20, file.data.length, true);
+            view.setUint32(24, file.data.length, true);
+            view.setUint16(28, file.name.length, true);
+            view.setUint32(42, file.offset, true);
+            entry.set(file.name, 46);
+            return entry;
+        });
+        const centralSize = central.reduce((sum, entry) => sum + entry.length, 0);
+        const end = new Uint8Array(22);
+        const endView = new DataView(end.buffer);
+        endView.setUint32(0, 0x06054B50, true); // End of central directory signature.
+        endView.setUint16(8, this.files.length, true);
+        endView.setUint16(10, this.files.length, true);
+        endView.setUint32(12, centralSize, true);
+        endView.setUint32(16, centralStart, true);
+
+        const parts = [...this.chunks, ...central, end];
+        const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => { out.set(part, offset); offset += part.length; });
+        return out;
+    }
+
+    /**
+     * Writes the current time in MS-DOS format (time then date, 2 bytes each).
+     * @param {DataView} view - Target view.
+     * @param {number} offset - Byte offset of the time field.
+     * @private
+     */
+    _writeDosDateTime(view, offset) {
+        const now = new Date();
+        view.setUint16(offset, (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2), true);
+        view.setUint16(offset + 2, ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate(), true);
+    }
+
+    /**
+     * Computes the CRC-32 of some bytes.
+     * @param {Uint8Array} data - The bytes.
+     * @returns {number} The unsigned CRC-32.
+     */
+    static crc32(data) {
+        if (!ZipWriter.crcTable) {
+            ZipWriter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                ZipWriter.crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) crc = ZipWriter.crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+/** @type {Uint32Array|null} Lazily built CRC-32 lookup table. */
+ZipWriter.crcTable = null;
+
+// PART 16: StillExporter Class
+// ----------------------------
+// Export dialog for high-resolution stills, rendered offscreen so the on-screen canvas is never resized.
+
+/**
+ * @class StillExporter
+ * Renders the flower (or the whole garden) into an offscreen WEBGL `p5.Graphics` at the requested size (times the supersampling factor),
+ * with the current camera pose and field of view, then downsamples into a 2D canvas and encodes it.
+ */
+class StillExporter {
+    /**
+     * Creates an instance of StillExporter and wires up the export dialog.
+     * @param {p5} p - The p5.js instance, used to create offscreen buffers.
+     * @param {p5.Camera} camera - The on-screen camera whose pose is reproduced.
+     * @param {Garden} garden - The garden to render (the main flower alone unless garden mode is on).
+     * @param {ParentNode} [root=document] - Element (or document) in which the export button and dialog are looked up.
+     */
+    constructor(p, camera, garden, root = document) {
+        /** @type {p5} The p5.js instance. */
+        this.p = p;
+        /** @type {p5.Camera} The on-screen camera. */
+        this.camera = camera;
+        /** @type {Garden} The garden to render. */
+        this.garden = garden;
+        /** @type {boolean} True while an export is being rendered. */
+        this.isExporting = false;
+        /** @type {AbortController} Aborting it removes the listeners on the export button and dialog (see `destroy`). */
+        this.listenerController = new AbortController();
+
+        /** @type {object} References to the dialog elements. */
+        this.dom = {
+            openBtn: root.querySelector('#saveImageBtn'),
+            dialog: root.querySelector('#stillExportDialog'),
+            resolutionSelect: root.querySelector('#stillResolutionSelect'),
+            widthInput: root.querySelector('#stillWidthInput'),
+            heightInput: root.querySelector('#stillHeightInput'),
+            supersamplingSelect: root.querySelector('#stillSupersamplingSelect'),
+            formatSelect: root.querySelector('#stillFormatSelect'),
+            transparentCheckbox: root.querySelector('#stillTransparentCheckbox'),
+            mergeCheckbox: root.querySelector('#stillMergeCheckbox'),
+            statusText: root.querySelector('#stillExportStatus'),
+            exportBtn: root.querySelector('#stillExportConfirmBtn'),
+            cancelBtn: root.querySelector('#stillExportCancelBtn'),
+        };
+        this._setupDialog();
+    }
+
+    /**
+     * Fills the dialog's pickers from `AppConfig.STILL_EXPORT` and attaches listeners.
+     * @private
+     */
+    _setupDialog() {
+        const { openBtn, dialog, resolutionSelect, supersamplingSelect, formatSelect, transparentCheckbox, exportBtn, cancelBtn, widthInput, heightInput } = this.dom;
+        const { signal } = this.listenerController;
+        if (openBtn) openBtn.addEventListener('click', () => this.open(), { signal });
+        if (!dialog) return;
+
+        const fillSelect = (select, items, valueOf, labelOf) => {
+            if (!select) return;
+            select.innerHTML = '';
+            items.forEach(item => {
+                const option = document.createElement('option');
+                option.value = valueOf(item);
+                option.textContent = labelOf(item);
+                select.appendChild(option);
+            });
+        };
+        fillSelect(resolutionSelect, AppConfig.STILL_EXPORT.RESOLUTIONS, r => r.id, r => r.label);
+        fillSelect(supersamplingSelect, AppConfig.STILL_EXPORT.SUPERSAMPLING, f => f, f => `${f}×`);
+        fillSelect(formatSelect, AppConfig.STILL_EXPORT.FORMATS, f => f.mime, f => f.label);
+        [widthInput, heightInput].forEach(input => {
+            if (!input) return;
+            input.min = 1;
+            input.max = AppConfig.STILL_EXPORT.MAX_DIMENSION;
+        });
+
+        if (resolutionSelect) resolutionSelect.addEventListener('change', () => this._syncFields(), { signal });
+        if (formatSelect) formatSelect.addEventListener('change', () => this._syncFields(), { signal });
+        if (cancelBtn) cancelBtn.addEventListener('click', () => this.close(), { signal });
+        if (exportBtn) exportBtn.addEventListener('click', () => this._exportFromDialog(), { signal });
+        dialog.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') this.close();
+        }, { signal });
+        if (transparentCheckbox) transparentCheckbox.checked = false;
+        this._syncFields();
+    }
+
+    /**
+     * Shows the export dialog.
+     */
+    open() {
+        if (!this.dom.dialog) return;
+        this._syncFields();
+        this._setStatus('');
+        this.dom.dialog.setAttribute('aria-hidden', 'false');
+        if (this.dom.resolutionSelect) this.dom.resolutionSelect.focus();
+    }
+
+    /**
+     * Hides the export dialog (unless an export is in progress).
+     */
+    close() {
+        if (!this.dom.dialog || this.isExporting) return;
+        this.dom.dialog.setAttribute('aria-hidden', 'true');
+    }
+
+    /**
+     * Hides the dialog and removes the listeners on the export button and dialog.
+     */
+    destroy() {
+        if (this.dom.dialog) this.dom.dialog.setAttribute('aria-hidden', 'true');
+        this.listenerController.abort();
+    }
+
+    /**
+     * Updates the size fields for the chosen resolution and disables transparency for formats without alpha.
+     * @private
+     */
+    _syncFields() {
+        const { resolutionSelect, widthInput, heightInput, formatSelect, transparentCheckbox, supersamplingSelect, mergeCheckbox } = this.dom;
+        if (resolutionSelect && widthInput && heightInput) {
+            const resolution = AppConfig.STILL_EXPORT.RESOLUTIONS.find(r => r.id === resolutionSelect.value);
+            const isCustom = resolution && resolution.id === 'custom';
+            if (resolution && resolution.id === 'screen') {
+                widthInput.value = Math.round(this.p.width * this.p.pixelDensity());
+                heightInput.value = Math.round(this.p.height * this.p.pixelDensity());
+            } else if (resolution && !isCustom) {
+                widthInput.value = resolution.width;
+                heightInput.value = resolution.height;
+            }
+            widthInput.disabled = !isCustom;
+            heightInput.disabled = !isCustom;
+        }
+        if (formatSelect && transparentCheckbox) {
+            const format = AppConfig.STILL_EXPORT.FORMATS.find(f => f.mime === formatSelect.value);
+            transparentCheckbox.disabled = !format || !format.supportsAlpha;
+            if (transparentCheckbox.disabled) transparentCheckbox.checked = false;
+            // Supersampling only applies to raster output; face merging only to vector output.
+            const isVector = !!(format && format.vector);
+            if (supersamplingSelect) supersamplingSelect.disabled = isVector;
+            if (mergeCheckbox) mergeCheckbox.disabled = !isVector;
+        }
+    }
+
+    /**
+     * Shows a status or error message in the dialog.
+     * @param {string} text - The message.
+     * @private
+     */
+    _setStatus(text) {
+        if (this.dom.statusText) this.dom.statusText.textContent = text;
+    }
+
+    /**
+     * Reads the dialog fields and runs the export.
+     * @private
+     */
+    async _exportFromDialog() {
+        const { widthInput, heightInput, supersamplingSelect, formatSelect, transparentCheckbox, mergeCheckbox, exportBtn } = this.dom;
+        const options = {
+            width: Math.round(Number(widthInput && widthInput.value)),
+            height: Math.round(Number(heightInput && heightInput.value)),
+            supersampling: supersamplingSelect && !supersamplingSelect.disabled ? Number(supersamplingSelect.value) : 1,
+            format: formatSelect ? formatSelect.value : 'image/png',
+            transparent: !!(transparentCheckbox && transparentCheckbox.checked),
+            mergeCoplanar: !!(mergeCheckbox && mergeCheckbox.checked),
+        };
+        if (exportBtn) exportBtn.disabled = true;
+        this._setStatus('Rendering…');
+        try {
+            const result = await this.exportStill(options);
+            this._setStatus(result.supersampling < options.supersampling
+                ? `Saved. Supersampling reduced to ${result.supersampling}× to fit GPU limits.`
+                : 'Saved.');
+        } catch (e) {
+            console.error("Still export failed:", e);
+            this._setStatus(`Export failed: ${e.message}`);
+        } finally {
+            if (exportBtn) exportBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Renders and downloads a still image.
+     * SVG output is projected on the CPU by `SvgExporter` and skips the GPU limits and supersampling.
+     * @param {{width: number, height: number, supersampling?: number, format?: string, transparent?: boolean, mergeCoplanar?: boolean}} options - Output settings.
+     * @returns {Promise<{supersampling: number}>} The supersampling factor actually used.
+     * @throws {Error} If the size is invalid or exceeds the GPU limits.
+     */
+    async exportStill(options) {
+        if (this.isExporting) throw new Error("An export is already running.");
+        const { width, height } = options;
+        const format = AppConfig.STILL_EXPORT.FORMATS.find(f => f.mime === options.format) || AppConfig.STILL_EXPORT.FORMATS[0];
+        const transparent = !!options.transparent && format.supportsAlpha;
+        const maxDimension = format.vector ? AppConfig.STILL_EXPORT.MAX_DIMENSION : Math.min(AppConfig.STILL_EXPORT.MAX_DIMENSION, this._getGpuMaxDimension());
+        if (!Number.isFinite(width) || !Number.isFinite(height) || width < 1 || height < 1) throw new Error("Please enter a valid size.");
+        if (width > maxDimension || height > maxDimension) throw new Error(`The largest supported size is ${maxDimension} px per side.`);
+
+        if (format.vector) {
+            const svg = SvgExporter.toSVG(this.garden.getFaces(), {
+                width, height,
+                rotationAngle: 0, // Faces come back from the garden already rotated and placed.
+                cameraPose: Utils.getCameraPose(this.camera),
+                alpha: this.garden.getMainFlower().config.alphaValue / 255,
+                background: transparent ? null : Utils.getThemeBackgroundRgb(),
+                mergeCoplanar: !!options.mergeCoplanar,
+            });
+            Utils.downloadBlob(new Blob([svg], { type: format.mime }), `flower_artwork_${width}x${height}.${format.extension}`);
+            return { supersampling: 1 };
+        }
+        // Reduce supersampling until the offscreen buffer fits the GPU and the pixel budget.
+        let supersampling = Math.max(1, Math.floor(options.supersampling || 1));
+        while (supersampling > 1 && (width * supersampling > maxDimension || height * supersampling > maxDimension ||
+               width * height * supersampling * supersampling > AppConfig.STILL_EXPORT.MAX_RENDER_PIXELS)) {
+            supersampling--;
+        }
+
+        this.isExporting = true;
+        let buffer = null;
+        try {
+            buffer = this.p.createGraphics(width * supersampling, height * supersampling, this.p.WEBGL);
+            buffer.pixelDensity(1); // Render exactly the requested pixels, regardless of the display's density.
+            this._renderInto(buffer, transparent);
+
+            const output = document.createElement('canvas');
+            output.width = width;
+            output.height = height;
+            const context = output.getContext('2d');
+            context.imageSmoothingEnabled = true;
+            context.imageSmoothingQuality = 'high';
+            context.drawImage(buffer.elt, 0, 0, width, height);
+
+            const blob = await new Promise(resolve => output.toBlob(resolve, format.mime, AppConfig.STILL_EXPORT.QUALITY));
+            if (!blob) throw new Error(`${format.label} encoding is not supported by this browser.`);
+            Utils.downloadBlob(blob, `flower_artwork_${width}x${height}.${format.extension}`);
+            return { supersampling };
+        } finally {
+            if (buffer) buffer.remove(); // Release the offscreen WebGL context.
+            this.isExporting = false;
+        }
+    }
+
+    /**
+     * Draws the current scene into an offscreen buffer with the on-screen camera pose and field of view.
+     * @param {p5.Graphics} buffer - The WEBGL buffer.
+     * @param {boolean} transparent - Leave the background transparent instead of using the theme color.
+     * @private
+     */
+    _renderInto(buffer, transparent) {
+        buffer.perspective(Math.PI / 3.0, buffer.width / buffer.height, 0.1, 5000);
+        const pose = Utils.getCameraPose(this.camera);
+        buffer.camera(...pose);
+        if (transparent) {
+            buffer.clear();
+        } else {
+            const bg = Utils.getThemeBackgroundRgb();
+            buffer.background(bg.r, bg.g, bg.b);
+        }
+        this.garden.render(buffer);
+    }
+
+    /**
+     * Reads the largest renderbuffer size the GPU supports.
+     * @returns {number} The limit in pixels (falls back to 4096 if it can't be queried).
+     * @private
+     */
+    _getGpuMaxDimension() {
+        const gl = this.p.drawingContext;
+        if (gl && typeof gl.getParameter === 'function') {
+            return Math.min(gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), gl.getParameter(gl.MAX_TEXTURE_SIZE));
+        }
+        return 4096;
+    }
+}
+
+// PART 17: SvgExporter
+// --------------------
+// Projects the flower's faces through the camera into 2D and writes them as SVG polygons, back to front.
+
+/**
+ * @typedef {object} ProjectedFace
+ * @property {number[][]} points - Screen-space `[x, y]` of the three vertices (y down).
+ * @property {string[]} keys - Position keys of the three vertices, used to find shared edges.
+ * @property {number} depth - Mean distance in front of the camera (larger is farther away).
+ * @property {number[]} normal - Unit face normal after the flower's rotation.
+ * @property {number[]} origin - First vertex after the flower's rotation (a point on the face's plane).
+ * @property {string} fill - Fill color as `#rrggbb`.
+ */
+
+/**
+ * @namespace SvgExporter
+ * Pure functions turning `Flower.faces` into an SVG document. Depth is resolved with the painter's algorithm,
+ * since SVG has no depth buffer: shapes are sorted by mean depth and written farthest first.
+ */
+const SvgExporter = {
+    /**
+     * Builds an SVG document of the faces as seen from the camera.
+     * @param {Array<{v1: object, v2: object, v3: object, color: {r: number, g: number, b: number}}>} faces - The flower's faces.
+     * @param {object} options - Projection and output settings.
+     * @param {number} options.width - Image width in pixels.
+     * @param {number} options.height - Image height in pixels.
+     * @param {number} options.rotationAngle - The flower's Y rotation (radians).
+     * @param {number[]} options.cameraPose - Camera pose from `Utils.getCameraPose`.
+     * @param {number} options.alpha - Fill opacity (0-1).
+     * @param {{r: number, g: number, b: number}|null} options.background - Background color (0-255), or null for transparent.
+     * @param {boolean} [options.mergeCoplanar=false] - Merge adjacent coplanar faces of the same color into one shape.
+     * @returns {string} The SVG file content.
+     */
+    toSVG: (faces, options) => {
+        const { width, height, alpha, background } = options;
+        const projected = SvgExporter.projectFaces(faces, options);
+        const groups = options.mergeCoplanar ? SvgExporter.mergeCoplanarFaces(projected) : projected.map(face => [face]);
+        const precision = AppConfig.SVG_EXPORT.COORDINATE_PRECISION;
+        const formatPoint = (point) => `${+point[0].toFixed(precision)},${+point[1].toFixed(precision)}`;
+        const opacity = +alpha.toFixed(3);
+
+        const shapes = groups.map(group => ({
+            group,
+            depth: group.reduce((sum, face) => sum + face.depth, 0) / group.length,
+        }));
+        shapes.sort((a, b) => b.depth - a.depth); // Painter's algorithm: farthest first.
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+            '<title>The Better Way Forward - flower</title>',
+        ];
+        if (background) lines.push(`<rect width="${width}" height="${height}" fill="${SvgExporter._toHex(background.r, background.g, background.b)}"/>`);
+        lines.push('<g stroke="none">');
+        for (const { group } of shapes) {
+            const fill = group[0].fill;
+            const loops = group.length === 1 ? [group[0].points] : SvgExporter._traceOutline(group);
+            if (!loops) {
+                // The outline could not be traced (non-manifold group): fall back to the individual triangles.
+                group.forEach(face => lines.push(`<polygon points="${face.points.map(formatPoint).join(' ')}" fill="${face.fill}" fill-opacity="${opacity}"/>`));
+            } else if (loops.length === 1) {
+                lines.push(`<polygon points="${loops[0].map(formatPoint).join(' ')}" fill="${fill}" fill-opacity="${opacity}"/>`);
+            } else {
+                const d = loops.map(loop => `M${loop.map(formatPoint).join('L')}Z`).join('');
+                lines.push(`<path d="${d}" fill="${fill}" fill-opacity="${opacity}" fill-rule="evenodd"/>`);
+            }
+        }
+        lines.push('</g>', '</svg>', '');
+        return lines.join('\n');
+    },
+
+    /**
+     * Applies the flower's Y rotation, the camera's view transform and a perspective projection to every face.
+     * Mirrors p5's `rotateY`, `camera` and `perspective`, so the result lines up with the WEBGL render.
+     * @param {Array<object>} faces - The flower's faces.
+     * @param {{width: number, height: number, rotationAngle: number, cameraPose: number[]}} options - Projection settings.
+     * @returns {ProjectedFace[]} Faces fully in front of the near plane.
+     */
+    projectFaces: (faces, options) => {
+        const { width, height, rotationAngle } = options;
+        const normalize = (v) => {
+            const length = Math.hypot(v[0], v[1], v[2]) || 1;
+            return [v[0] / length, v[1] / length, v[2] / length];
+        };
+        const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+        const { eye: [eyeX, eyeY, eyeZ], xAxis, yAxis, zAxis } = Utils.getCameraBasis(options.cameraPose);
+        const focal = 1 / Math.tan(AppConfig.SVG_EXPORT.FIELD_OF_VIEW / 2);
+        const aspect = width / height;
+        const cosA = Math.cos(rotationAngle), sinA = Math.sin(rotationAngle);
+
+        const projected = [];
+        for (const face of faces) {
+            const world = [face.v1, face.v2, face.v3].map(v => [v.x * cosA + v.z * sinA, v.y, -v.x * sinA + v.z * cosA]);
+            const points = [];
+            let depthSum = 0;
+            let inFront = true;
+            for (const w of world) {
+                const dx = w[0] - eyeX, dy = w[1] - eyeY, dz = w[2] - eyeZ;
+                const viewX = dx * xAxis[0] + dy * xAxis[1] + dz * xAxis[2];
+                const viewY = dx * yAxis[0] + dy * yAxis[1] + dz * yAxis[2];
+                const depth = -(dx * zAxis[0] + dy * zAxis[1] + dz * zAxis[2]);
+                if (depth < AppConfig.SVG_EXPORT.NEAR_PLANE) { inFront = false; break; }
+                points.push([
+                    (1 + focal * viewX / (aspect * depth)) * width / 2,
+                    (1 + focal * viewY / depth) * height / 2, // p5's view space is already y-down.
+                ]);
+                depthSum += depth;
+            }
+            if (!inFront) continue;
+            const c = face.color;
+            projected.push({
+                points,
+                keys: [face.v1, face.v2, face.v3].map(v => `${v.x.toFixed(4)},${v.y.toFixed(4)},${v.z.toFixed(4)}`),
+                depth: depthSum / 3,
+                normal: normalize(cross(
+                    [world[1][0] - world[0][0], world[1][1] - world[0][1], world[1][2] - world[0][2]],
+                    [world[2][0] - world[0][0], world[2][1] - world[0][1], world[2][2] - world[0][2]])),
+                origin: world[0],
+                fill: SvgExporter._toHex(c.r * 255, c.g * 255, c.b * 255),
+            });
+        }
+        return projected;
+    },
+
+    /**
+     * Groups faces that share an edge, have the same fill and lie in the same plane.
+     * Each group is grown from a seed face and compared against the seed, so a gently curving surface
+     * can't creep into one large group one small angle at a time.
+     * @param {ProjectedFace[]} faces - Projected faces.
+     * @returns {ProjectedFace[][]} Groups of faces; unmerged faces form groups of one.
+     */
+    mergeCoplanarFaces: (faces) => {
+        const edgeKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+        const facesByEdge = new Map();
+        faces.forEach((face, index) => {
+            for (let k = 0; k < 3; k++) {
+                const key = edgeKey(face.keys[k], face.keys[(k + 1) % 3]);
+                if (!facesByEdge.has(key)) facesByEdge.set(key, []);
+                facesByEdge.get(key).push(index);
+            }
+        });
+
+        const minCos = Math.cos(AppConfig.SVG_EXPORT.MERGE_ANGLE_TOLERANCE);
+        const assigned = new Uint8Array(faces.length);
+        const groups = [];
+        faces.forEach((seed, seedIndex) => {
+            if (assigned[seedIndex]) return;
+            assigned[seedIndex] = 1;
+            const group = [seed];
+            const queue = [seedIndex];
+            // Largest allowed offset from the seed's plane, scaled by the seed's size.
+            const planeTolerance = AppConfig.SVG_EXPORT.MERGE_ANGLE_TOLERANCE * SvgExporter._edgeLength(seed);
+            while (queue.length > 0) {
+                const face = faces[queue.pop()];
+                for (let k = 0; k < 3; k++) {
+                    for (const neighbourIndex of facesByEdge.get(edgeKey(face.keys[k], face.keys[(k + 1) % 3]))) {
+                        if (assigned[neighbourIndex]) continue;
+                        const neighbour = faces[neighbourIndex];
+                        if (neighbour.fill !== seed.fill) continue;
+                        // Winding may differ between neighbours, so compare normals up to sign.
+                        const dot = neighbour.normal[0] * seed.normal[0] + neighbour.normal[1] * seed.normal[1] + neighbour.normal[2] * seed.normal[2];
+                        if (Math.abs(dot) < minCos) continue;
+                        const offset = (neighbour.origin[0] - seed.origin[0]) * seed.normal[0] +
+                            (neighbour.origin[1] - seed.origin[1]) * seed.normal[1] +
+                            (neighbour.origin[2] - seed.origin[2]) * seed.normal[2];
+                        if (Math.abs(offset) > planeTolerance) continue;
+                        assigned[neighbourIndex] = 1;
+                        group.push(neighbour);
+                        queue.push(neighbourIndex);
+                    }
+                }
+            }
+            groups.push(group);
+        });
+        return groups;
+    },
+
+    /**
+     * Traces the outline of a group of faces: the edges used by exactly one face, chained into closed loops.
+     * @param {ProjectedFace[]} group - Connected faces.
+     * @returns {number[][][]|null} Loops of screen points, or null if the boundary isn't a set of simple loops.
+     * @private
+     */
+    _traceOutline: (group) => {
+        const pointByKey = new Map();
+        const edgeCounts = new Map();
+        for (const face of group) {
+            for (let k = 0; k < 3; k++) {
+                const a = face.keys[k], b = face.keys[(k + 1) % 3];
+                pointByKey.set(a, face.points[k]);
+                const key = a < b ? `${a}|${b}` : `${b}|${a}`;
+                const entry = edgeCounts.get(key);
+                if (entry) entry.count++;
+                else edgeCounts.set(key, { a, b, count: 1 });
+            }
+        }
+        const neighbours = new Map();
+        for (const { a, b, count } of edgeCounts.values()) {
+            if (count !== 1) continue;
+            if (!neighbours.has(a)) neighbours.set(a, []);
+            if (!neighbours.has(b)) neighbours.set(b, []);
+            neighbours.get(a).push(b);
+            neighbours.get(b).push(a);
+        }
+        for (const list of neighbours.values()) if (list.length !== 2) return null; // Boundary touches itself.
+
+        const loops = [];
+        const visited = new Set();
+        for (const start of neighbours.keys()) {
+            if (visited.has(start)) continue;
+            const loop = [];
+            let previous = null, current = start;
+            while (!visited.has(current)) {
+                visited.add(current);
+                loop.push(pointByKey.get(current));
+                const [first, second] = neighbours.get(current);
+                const next = first !== previous ? first : second;
+                previous = current;
+                current = next;
+            }
+            if (current !== start || loop.length < 3) return null;
+            // Drop points lying on a straight run of the outline; shared grid edges leave many of them.
+            const simplified = loop.filter((point, i) => {
+                const before = loop[(i + loop.length - 1) % loop.length], after = loop[(i + 1) % loop.length];
+                const turn = (point[0] - before[0]) * (after[1] - point[1]) - (point[1] - before[1]) * (after[0] - point[0]);
+                return Math.abs(turn) > 1e-6;
+            });
+            loops.push(simplified.length >= 3 ? simplified : loop);
+        }
+        return loops.length > 0 ? loops : null;
+    },
+
+    /**
+     * Returns the longest edge of a face in world units, measured from its position keys (rotation doesn't change lengths).
+     * @param {ProjectedFace} face - The face.
+     * @returns {number} The edge length.
+     * @private
+     */
+    _edgeLength: (face) => {
+        const vertices = face.keys.map(key => key.split(',').map(Number));
+        let longest = 0;
+        for (let k = 0; k < 3; k++) {
+            const a = vertices[k], b = vertices[(k + 1) % 3];
+            longest = Math.max(longest, Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]));
+        }
+        return longest;
+    },
+
+    /**
+     * Formats an RGB color (0-255) as `#rrggbb`.
+     * @param {number} r - Red.
+     * @param {number} g - Green.
+     * @param {number} b - Blue.
+     * @returns {string} The hex color.
+     * @private
+     */
+    _toHex: (r, g, b) => '#' + [r, g, b].map(v => Math.round(Math.min(255, Math.max(0, v))).toString(16).padStart(2, '0')).join(''),
+};
+Object.freeze(SvgExporter);
+
+// PART 18: LightingRig Class
+// --------------------------
+// Ambient, directional and point lights plus the material used to shade the flower. Settings persist in localStorage.
+
+/**
+ * @class LightingRig
+ * Holds the light and material settings and applies them to a p5 WEBGL renderer.
+ * Lights live in world space, so they stay put while `orbitControl` moves the camera,
+ * unless `followCamera` is set, in which case their directions are taken relative to the camera.
+ */
+class LightingRig {
+    /**
+     * Creates an instance of LightingRig and restores saved settings.
+     * @param {p5.Camera} camera - The camera used for camera-relative lights.
+     */
+    constructor(camera) {
+        /** @type {p5.Camera} The camera used when lights follow the camera. */
+        this.camera = camera;
+        /** @type {object} Current settings (see `LightingRig.sanitize`). */
+        this.settings = LightingRig.sanitize(null);
+        this._load();
+    }
+
+    /**
+     * Validates light rig settings, filling anything missing or malformed from `fallback` (or the defaults).
+     * @param {*} raw - Candidate settings.
+     * @param {object} [fallback] - Settings to fall back to.
+     * @returns {{material: string, followCamera: boolean, shininess: number, toonBands: number, ambient: object, directional: object, point: object}} Valid settings.
+     */
+    static sanitize(raw, fallback) {
+        const defaults = AppConfig.LIGHTING;
+        const base = fallback || {
+            material: defaults.MATERIAL,
+            followCamera: defaults.FOLLOW_CAMERA,
+            shininess: defaults.SHININESS,
+            toonBands: defaults.TOON_BANDS,
+            ambient: { ...defaults.AMBIENT },
+            directional: { ...defaults.DIRECTIONAL },
+            point: { ...defaults.POINT },
+        };
+        const source = raw && typeof raw === 'object' ? raw : {};
+        const number = (value, min, max, fallbackValue) => {
+            const n = Number(value);
+            return value !== undefined && value !== null && value !== '' && Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallbackValue;
+        };
+        const light = (rawLight, baseLight) => {
+            const l = rawLight && typeof rawLight === 'object' ? rawLight : {};
+            const result = {
+                enabled: typeof l.enabled === 'boolean' ? l.enabled : baseLight.enabled,
+                color: typeof l.color === 'string' && /^#[0-9a-f]{6}$/i.test(l.color) ? l.color.toUpperCase() : baseLight.color,
+                intensity: number(l.intensity, 0, 1.5, baseLight.intensity),
+            };
+            if ('azimuth' in baseLight) result.azimuth = number(l.azimuth, -180, 180, baseLight.azimuth);
+            if ('elevation' in baseLight) result.elevation = number(l.elevation, -90, 90, baseLight.elevation);
+            if ('distance' in baseLight) result.distance = number(l.distance, 50, defaults.MAX_POINT_DISTANCE, baseLight.distance);
+            return result;
+        };
+        return {
+            material: AppConfig.MATERIALS.some(m => m.name === source.material) ? source.material : base.material,
+            followCamera: typeof source.followCamera === 'boolean' ? source.followCamera : base.followCamera,
+            shininess: number(source.shininess, 1, 100, base.shininess),
+            toonBands: Math.round(number(source.toonBands, 2, defaults.MAX_TOON_BANDS, base.toonBands)),
+            ambient: light(source.ambient, base.ambient),
+            directional: light(source.directional, base.directional),
+            point: light(source.point, base.point),
+        };
+    }
+
+    /**
+     * Returns a copy of the current settings.
+     * @returns {object} The settings.
+     */
+    getSettings() {
+        const { ambient, directional, point } = this.settings;
+        return { ...this.settings, ambient: { ...ambient }, directional: { ...directional }, point: { ...point } };
+    }
+
+    /**
+     * Merges partial settings into the current ones, validates and saves them.
+     * @param {object} partial - Settings to change; `ambient`, `directional` and `point` may be partial.
+     */
+    setSettings(partial) {
+        const source = partial && typeof partial === 'object' ? partial : {};
+        const merged = { ...this.settings, ...source };
+        ['ambient', 'directional', 'point'].forEach(key => {
+            merged[key] = { ...this.settings[key], ...(source[key] || {}) };
+        });
+        this.settings = LightingRig.sanitize(merged, this.settings);
+        this._persist();
+    }
+
+    /**
+     * Loads saved settings from localStorage.
+     * @private
+     */
+    _load() {
+        try {
+            const saved = localStorage.getItem(LightingRig.STORAGE_KEY);
+            if (saved) this.settings = LightingRig.sanitize(JSON.parse(saved), this.settings);
+        } catch (e) {
+            console.warn("Saved lighting settings could not be read from localStorage:", e.message);
+        }
+    }
+
+    /**
+     * Saves the settings to localStorage.
+     * @private
+     */
+    _persist() {
+        try {
+            localStorage.setItem(LightingRig.STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (e) { console.warn("localStorage not available. Lighting settings not saved."); }
+    }
+
+    /**
+     * Converts an azimuth/elevation pair into the world-space unit vector pointing from the scene towards the light.
+     * Azimuth 0 with elevation 0 points along +Z (towards the default camera); positive elevation is up (-Y in p5).
+     * With `followCamera`, the vector is taken in camera space and rotated into world space.
+     * @param {number} azimuth - Degrees around the vertical axis.
+     * @param {number} elevation - Degrees above the horizon.
+     * @returns {number[]} The unit vector `[x, y, z]`.
+     * @private
+     */
+    _towardsLight(azimuth, elevation) {
+        const az = azimuth * Math.PI / 180, el = elevation * Math.PI / 180;
+        const local = [Math.sin(az) * Math.cos(el), -Math.sin(el), Math.cos(az) * Math.cos(el)];
+        if (!this.settings.followCamera || !this.camera) return local;
+        const { xAxis, yAxis, zAxis } = Utils.getCameraBasis(Utils.getCameraPose(this.camera));
+        return [0, 1, 2].map(i => local[0] * xAxis[i] + local[1] * yAxis[i] + local[2] * zAxis[i]);
+    }
+
+    /**
+     * Computes the world-space light geometry for the current settings and camera.
+     * @returns {{directionalDirection: number[], pointPosition: number[]}} The direction the directional light travels
+     *   and the point light's position.
+     */
+    getLightGeometry() {
+        const { directional, point } = this.settings;
+        const toDirectional = this._towardsLight(directional.azimuth, directional.elevation);
+        const toPoint = this._towardsLight(point.azimuth, point.elevation);
+        // Camera-relative point lights orbit around the camera's target, like the camera itself.
+        const pose = this.settings.followCamera && this.camera ? Utils.getCameraPose(this.camera) : null;
+        const origin = pose ? [pose[3], pose[4], pose[5]] : [0, 0, 0];
+        return {
+            directionalDirection: toDirectional.map(v => -v),
+            pointPosition: toPoint.map((v, i) => origin[i] + v * point.distance),
+        };
+    }
+
+    /**
+     * Sets up the enabled lights and, for the Phong material, the specular highlight on a renderer.
+     * Call inside `push()`/`pop()` before drawing; p5 resets lights every frame.
+     * @param {p5|p5.Graphics} g - The WEBGL drawing target.
+     */
+    apply(g) {
+        const { ambient, directional, point, material } = this.settings;
+        const scaled = (light) => {
+            const rgb = Utils.hexToRgb(light.color);
+            return [rgb.r * light.intensity, rgb.g * light.intensity, rgb.b * light.intensity];
+        };
+        const { directionalDirection, pointPosition } = this.getLightGeometry();
+        if (ambient.enabled) g.ambientLight(...scaled(ambient));
+        if (directional.enabled) g.directionalLight(...scaled(directional), ...directionalDirection);
+        if (point.enabled) g.pointLight(...scaled(point), ...pointPosition);
+        if (material === 'phong') {
+            const specular = Utils.hexToRgb(AppConfig.LIGHTING.SPECULAR_COLOR);
+            g.specularMaterial(specular.r, specular.g, specular.b);
+            g.shininess(this.settings.shininess);
+        }
+    }
+
+    /**
+     * Prepares toon shading for one frame. Lights are moved into the flower's rotated frame once,
+     * and the returned function shades a face from its normal, banding each light's diffuse term.
+     * @param {number} rotationAngle - The flower's Y rotation (radians).
+     * @returns {function(object): {r: number, g: number, b: number}} Shades a face (uses `face.color`, `face.normal` and its vertices).
+     */
+    createToonShader(rotationAngle) {
+        const { ambient, directional, point, toonBands } = this.settings;
+        const cosA = Math.cos(rotationAngle), sinA = Math.sin(rotationAngle);
+        // Inverse of rotateY: world space -> the flower's local frame.
+        const toLocal = (v) => [v[0] * cosA - v[2] * sinA, v[1], v[0] * sinA + v[2] * cosA];
+        const color = (light) => {
+            const rgb = Utils.hexToRgb(light.color);
+            return [rgb.r / 255 * light.intensity, rgb.g / 255 * light.intensity, rgb.b / 255 * light.intensity];
+        };
+        const { directionalDirection, pointPosition } = this.getLightGeometry();
+        const ambientColor = ambient.enabled ? color(ambient) : [0, 0, 0];
+        const directionalColor = color(directional);
+        const pointColor = color(point);
+        const towardsDirectional = toLocal(directionalDirection.map(v => -v));
+        const pointLocal = toLocal(pointPosition);
+        const band = (lambert) => Math.min(toonBands - 1, Math.floor(Math.max(0, lambert) * toonBands)) / (toonBands - 1);
+
+        return (face) => {
+            const n = face.normal;
+            const light = [...ambientColor];
+            if (directional.enabled) {
+                const level = band(n[0] * towardsDirectional[0] + n[1] * towardsDirectional[1] + n[2] * towardsDirectional[2]);
+                for (let i = 0; i < 3; i++) light[i] += directionalColor[i] * level;
+            }
+            if (point.enabled) {
+                const dx = pointLocal[0] - (face.v1.x + face.v2.x + face.v3.x) / 3;
+                const dy = pointLocal[1] - (face.v1.y + face.v2.y + face.v3.y) / 3;
+                const dz = pointLocal[2] - (face.v1.z + face.v2.z + face.v3.z) / 3;
+                const length = Math.hypot(dx, dy, dz) || 1;
+                const level = band((n[0] * dx + n[1] * dy + n[2] * dz) / length);
+                for (let i = 0; i < 3; i++) light[i] += pointColor[i] * level;
+            }
+            return {
+                r: Math.min(1, face.color.r * light[0]),
+                g: Math.min(1, face.color.g * light[1]),
+                b: Math.min(1, face.color.b * light[2]),
+            };
+        };
+    }
+}
+
+/** @type {string} localStorage key under which the lighting settings are stored. */
+LightingRig.STORAGE_KEY = 'flowerLighting';
+
+// PART 19: FrameStats Class
+// -------------------------
+// Keeps smoothed frame and draw times, optionally shown in a small overlay for performance checks.
+
+/**
+ * @class FrameStats
+ * @description Tracks exponential moving averages of the time between frames and of the CPU time spent in `draw()`.
+ * The overlay is only created when the page URL contains the `AppConfig.FRAME_STATS.QUERY_PARAM` query parameter.
+ */
+class FrameStats {
+    /**
+     * Creates an instance of FrameStats.
+     * @param {Garden} garden - The garden, whose triangle count is shown in the overlay.
+     */
+    constructor(garden) {
+        /** @type {Garden} The garden being measured. */
+        this.garden = garden;
+        /** @type {number} Smoothed time between frames, in milliseconds (0 until the first sample). */
+        this.frameMs = 0;
+        /** @type {number} Smoothed CPU time spent in `draw()`, in milliseconds. */
+        this.drawMs = 0;
+        /** @type {number} Timestamp of the last overlay refresh. */
+        this.lastOverlayRefresh = 0;
+        /** @type {object} DOM elements. */
+        this.dom = { overlay: null };
+
+        if (new URLSearchParams(window.location.search).has(AppConfig.FRAME_STATS.QUERY_PARAM)) {
+            this.dom.overlay = document.createElement('div');
+            this.dom.overlay.className = 'frame-stats';
+            this.dom.overlay.setAttribute('aria-hidden', 'true');
+            document.body.appendChild(this.dom.overlay);
+        }
+    }
+
+    /**
+     * Discards the averages, e.g. after the resolution changed, so the next frame starts a fresh measurement.
+     */
+    reset() {
+        this.frameMs = 0;
+        this.drawMs = 0;
+    }
+
+    /**
+     * Adds one frame's measurements to the moving averages and refreshes the overlay when due.
+     * @param {number} frameMs - Time since the previous frame, in milliseconds.
+     * @param {number} drawMs - CPU time spent drawing this frame, in milliseconds.
+     */
+    record(frameMs, drawMs) {
+        const k = AppConfig.FRAME_STATS.SMOOTHING;
+        this.frameMs = this.frameMs === 0 ? frameMs : this.frameMs + (frameMs - this.frameMs) * k;
+        this.drawMs = this.drawMs === 0 ? drawMs : this.drawMs + (drawMs - this.drawMs) * k;
+
+        const now = performance.now();
+        if (this.dom.overlay && now - this.lastOverlayRefresh >= AppConfig.FRAME_STATS.OVERLAY_REFRESH_INTERVAL) {
+            this.lastOverlayRefresh = now;
+            const fps = this.frameMs > 0 ? 1000 / this.frameMs : 0;
+            this.dom.overlay.textContent =
+                `${fps.toFixed(0)} fps · frame ${this.frameMs.toFixed(1)} ms · draw ${this.drawMs.toFixed(2)} ms · ${this.garden.getTriangleCount()} triangles`;
+        }
+    }
+
+    /**
+     * Removes the overlay, if shown.
+     */
+    destroy() {
+        if (this.dom.overlay) this.dom.overlay.remove();
+        this.dom.overlay = null;
+    }
+}
+
+// PART 20: DetailController Class
+// -------------------------------
+// Chooses the flower's mesh resolution: fixed rows/cols, or an automatic level of detail.
+
+/**
+ * @class DetailController
+ * @description Applies the resolution settings to every flower of the garden. In 'manual' mode the saved rows and columns are used.
+ * In 'auto' mode one of `AppConfig.RESOLUTION.LOD_LEVELS` is picked each frame: the closer the camera, the finer the mesh,
+ * capped one level lower whenever measured frames stay too slow, and raised again after frames have been on target for a while.
+ * Settings are persisted in localStorage.
+ */
+class DetailController {
+    /**
+     * Creates an instance of DetailController, restores saved settings and applies them.
+     * @param {Garden} garden - The garden whose flowers' resolution is controlled.
+     * @param {p5.Camera} camera - The camera whose distance drives the automatic level of detail.
+     * @param {FrameStats} frameStats - Frame time measurements.
+     */
+    constructor(garden, camera, frameStats) {
+        /** @type {Garden} The garden whose flowers' resolution is controlled. */
+        this.garden = garden;
+        /** @type {p5.Camera} The camera whose distance drives the automatic level of detail. */
+        this.camera = camera;
+        /** @type {FrameStats} Frame time measurements. */
+        this.frameStats = frameStats;
+        /** @type {{mode: string, rows: number, cols: number}} Current settings (see `DetailController.sanitize`). */
+        this.settings = DetailController.sanitize(null);
+        /** @type {number|null} Index of the LOD level in use, or null until the automatic mode has picked one. */
+        this.levelIndex = null;
+        /** @type {number} Highest LOD level currently allowed by the measured frame times. */
+        this.maxLevelIndex = AppConfig.RESOLUTION.LOD_LEVELS.length - 1;
+        /** @type {number} Time of the last level switch (performance.now() based). */
+        this.lastSwitchTime = 0;
+        /** @type {number} Time the level cap last changed. */
+        this.lastCapChangeTime = 0;
+        /** @type {number|null} Time since which frames have been too slow, or null. */
+        this.slowSince = null;
+        /** @type {function(): void|null} Called after the flowers' resolution changed (set by the UI to refresh its controls). */
+        this.onResolutionChange = null;
+        this._load();
+        this._applyMode();
+    }
+
+    /**
+     * Validates resolution settings, filling anything missing or malformed from `fallback` (or the defaults).
+     * @param {*} raw - Candidate settings.
+     * @param {object} [fallback] - Settings to fall back to.
+     * @returns {{mode: string, rows: number, cols: number}} Valid settings.
+     */
+    static sanitize(raw, fallback) {
+        const limits = AppConfig.RESOLUTION;
+        const base = fallback || { mode: limits.DEFAULT_MODE, rows: AppConfig.FLOWER_CONFIG.rows, cols: AppConfig.FLOWER_CONFIG.cols };
+        const source = raw && typeof raw === 'object' ? raw : {};
+        const integer = (value, min, max, fallbackValue) => {
+            const n = Number(value);
+            return value !== undefined && value !== null && value !== '' && Number.isFinite(n) ? Math.round(Math.min(max, Math.max(min, n))) : fallbackValue;
+        };
+        return {
+            mode: AppConfig.RESOLUTION_MODES.some(m => m.name === source.mode) ? source.mode : base.mode,
+            rows: integer(source.rows, limits.MIN_ROWS, limits.MAX_ROWS, base.rows),
+            cols: integer(source.cols, limits.MIN_COLS, limits.MAX_COLS, base.cols),
+        };
+    }
+
+    /**
+     * Returns a copy of the current settings.
+     * @returns {{mode: string, rows: number, cols: number}} The settings.
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Merges partial settings into the current ones, validates, saves and applies them.
+     * @param {{mode?: string, rows?: number, cols?: number}} partial - Settings to change.
+     */
+    setSettings(partial) {
+        const source = partial && typeof partial === 'object' ? partial : {};
+        const previousMode = this.settings.mode;
+        this.settings = DetailController.sanitize({ ...this.settings, ...source }, this.settings);
+        this._persist();
+        if (this.settings.mode === 'manual' || this.settings.mode !== previousMode) this._applyMode();
+    }
+
+    /**
+     * Applies the manual resolution, or resets the automatic mode so it picks a level on the next `update`.
+     * @private
+     */
+    _applyMode() {
+        if (this.settings.mode === 'manual') {
+            this.levelIndex = null;
+            if (this.garden.setResolution(this.settings.rows, this.settings.cols)) this._notify();
+        } else {
+            this.levelIndex = null;
+            this.maxLevelIndex = AppConfig.RESOLUTION.LOD_LEVELS.length - 1;
+            this.slowSince = null;
+        }
+    }
+
+    /**
+     * Maps the camera's distance from the flower to a fractional LOD level: `LOD_REFERENCE_LEVEL` at the camera's
+     * default distance, `LOD_LEVELS_PER_ZOOM` more each time the distance halves.
+     * @returns {number} The fractional level (not clamped).
+     */
+    getDistanceLevel() {
+        const { LOD_REFERENCE_LEVEL, LOD_LEVELS_PER_ZOOM } = AppConfig.RESOLUTION;
+        const pose = Utils.getCameraPose(this.camera);
+        const distance = Math.max(1e-3, Math.hypot(pose[0], pose[1], pose[2])); // The flower sits at the origin.
+        const reference = this.camera.defaultEyeZ || distance;
+        return LOD_REFERENCE_LEVEL + Math.log2(reference / distance) * LOD_LEVELS_PER_ZOOM;
+    }
+
+    /**
+     * Advances the automatic level of detail by one frame. Does nothing in manual mode.
+     * @param {number} now - Current time in milliseconds (performance.now() based).
+     */
+    update(now) {
+        if (this.settings.mode !== 'auto') return;
+        const config = AppConfig.RESOLUTION;
+        const topLevel = config.LOD_LEVELS.length - 1;
+
+        // Judge the frame rate only once the averages reflect the current level.
+        const frameMs = this.frameStats.frameMs;
+        if (this.levelIndex !== null && frameMs > 0 && now - this.lastSwitchTime >= config.LOD_SETTLE_TIME) {
+            const targetFrameMs = 1000 / AppConfig.FLOWER_CONFIG.frameRate;
+            if (frameMs > targetFrameMs * config.LOD_SLOW_FRAME_FACTOR) {
+                if (this.slowSince === null) this.slowSince = now;
+                if (now - this.slowSince >= config.LOD_SLOW_DURATION && this.levelIndex > 0) {
+                    this.maxLevelIndex = this.levelIndex - 1;
+                    this.lastCapChangeTime = now;
+                    this.slowSince = null;
+                }
+            } else {
+                this.slowSince = null;
+                if (frameMs <= targetFrameMs * config.LOD_GOOD_FRAME_FACTOR &&
+                    this.maxLevelIndex < topLevel && now - this.lastCapChangeTime >= config.LOD_RECOVERY_DELAY) {
+                    this.maxLevelIndex++;
+                    this.lastCapChangeTime = now;
+                }
+            }
+        }
+
+        const target = Math.min(this.getDistanceLevel(), this.maxLevelIndex);
+        let nextLevel = this.levelIndex;
+        if (nextLevel === null || nextLevel > this.maxLevelIndex || Math.abs(target - nextLevel) > 0.5 + config.LOD_HYSTERESIS) {
+            nextLevel = Math.min(this.maxLevelIndex, Math.max(0, Math.round(target)));
+        }
+        if (nextLevel !== this.levelIndex) this._setLevel(nextLevel, now);
+    }
+
+    /**
+     * Switches the flowers to an LOD level and restarts the frame time measurement.
+     * @param {number} index - Index into `AppConfig.RESOLUTION.LOD_LEVELS`.
+     * @param {number} now - Current time in milliseconds.
+     * @private
+     */
+    _setLevel(index, now) {
+        const level = AppConfig.RESOLUTION.LOD_LEVELS[index];
+        this.levelIndex = index;
+        this.lastSwitchTime = now;
+        if (this.garden.setResolution(level.rows, level.cols)) {
+            this.frameStats.reset();
+            this._notify();
+        }
+    }
+
+    /**
+     * Calls `onResolutionChange`, if set.
+     * @private
+     */
+    _notify() {
+        if (typeof this.onResolutionChange === 'function') this.onResolutionChange();
+    }
+
+    /**
+     * Loads saved settings from localStorage.
+     * @private
+     */
+    _load() {
+        try {
+            const saved = localStorage.getItem(DetailController.STORAGE_KEY);
+            if (saved) this.settings = DetailController.sanitize(JSON.parse(saved), this.settings);
+        } catch (e) {
+            console.warn("Saved resolution settings could not be read from localStorage:", e.message);
+        }
+    }
+
+    /**
+     * Saves the settings to localStorage.
+     * @private
+     */
+    _persist() {
+        try {
+            localStorage.setItem(DetailController.STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (e) { console.warn("localStorage not available. Resolution settings not saved."); }
+    }
+}
+
+/** @type {string} localStorage key under which the resolution settings are stored. */
+DetailController.STORAGE_KEY = 'flowerResolution';
+
+// PART 21: Garden Class
+// ---------------------
+// Holds the flowers of the scene: the main flower and, in garden mode, any number of extra blooms.
+
+/**
+ * @class Garden
+ * @description Keeps a list of `Flower` instances, each with its own params, palette and rotation speed, plus a position
+ * on the ground plane and a scale. The first entry is the main flower and always exists. With garden mode off only the
+ * main flower is drawn, at the origin, exactly as before. The layout is saved to localStorage and restored on load.
+ */
+class Garden {
+    /**
+     * Creates an instance of Garden around the main flower and restores any saved layout.
+     * @param {p5} p - The p5.js instance.
+     * @param {Flower} mainFlower - The main flower; new flowers copy its resolution and light rig.
+     * @param {boolean} [persist=true] - Whether the layout is restored from and saved to localStorage.
+     */
+    constructor(p, mainFlower, persist = true) {
+        /** @type {p5} The p5.js instance. */
+        this.p = p;
+        /** @type {Array<{flower: Flower, x: number, z: number, scale: number}>} The flowers and their placement; entry 0 is the main flower. */
+        this.entries = [{ flower: mainFlower, x: 0, z: 0, scale: 1 }];
+        /** @type {boolean} Whether all flowers are shown (garden mode) or only the main flower. */
+        this.enabled = false;
+        /** @type {number} Index of the flower edited by the controls. */
+        this.selectedIndex = 0;
+        /** @type {string} The last layout written to or read from localStorage, used to skip redundant writes. */
+        this.lastSavedLayout = '';
+        /** @type {number|null} ID of the interval that saves the layout (flower params change without notifying the garden). */
+        this.saveIntervalId = null;
+        /** @type {boolean} Whether the layout is restored from and saved to localStorage. */
+        this.persist = persist;
+
+        if (this.persist) {
+            this._load();
+            this.saveIntervalId = setInterval(() => this.save(), AppConfig.TIMEOUT_DELAYS.GARDEN_SAVE);
+        }
+    }
+
+    /**
+     * Saves the layout one last time and stops the periodic save.
+     */
+    destroy() {
+        if (this.saveIntervalId === null) return;
+        clearInterval(this.saveIntervalId);
+        this.saveIntervalId = null;
+        this.save();
+    }
+
+    /**
+     * Returns the main flower.
+     * @returns {Flower} The flower in entry 0.
+     */
+    getMainFlower() {
+        return this.entries[0].flower;
+    }
+
+    /**
+     * Returns the flower edited by the controls.
+     * @returns {Flower} The selected flower.
+     */
+    getSelectedFlower() {
+        return this.entries[this.selectedIndex].flower;
+    }
+
+    /**
+     * Switches garden mode on or off.
+     * @param {boolean} enabled - Show all flowers (true) or only the main flower (false).
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        this.save();
+    }
+
+    /**
+     * Selects the flower edited by the controls.
+     * @param {number} index - Index into `entries`; clamped to the list.
+     */
+    select(index) {
+        const i = Math.round(Number(index));
+        this.selectedIndex = Number.isFinite(i) ? Math.min(this.entries.length - 1, Math.max(0, i)) : 0;
+        this.save();
+    }
+
+    /**
+     * Changes a flower's position and scale. Values are clamped to `AppConfig.GARDEN`.
+     * @param {number} index - Index into `entries`.
+     * @param {{x?: number, z?: number, scale?: number}} placement - Values to change.
+     */
+    setPlacement(index, placement) {
+        const entry = this.entries[index];
+        if (!entry) return;
+        Object.assign(entry, Garden._sanitizePlacement(placement, entry));
+        this.save();
+    }
+
+    /**
+     * Adds a copy of the selected flower next to it and selects the copy.
+     * @returns {number} Index of the new flower, or -1 if the garden is full.
+     */
+    addFlower() {
+        if (this.entries.length >= AppConfig.GARDEN.MAX_FLOWERS) return -1;
+        const source = this.entries[this.selectedIndex];
+        const random = Utils.createRandom(Date.now());
+        const spot = this._findFreeSpot(random, source.scale, { x: source.x, z: source.z });
+        this.entries.push({
+            flower: this._createFlower(source.flower.params, source.flower.getPaletteSettings(), source.flower.shapeModel.name, source.flower.getShapeExpressions()),
+            ...Garden._sanitizePlacement({ ...spot, scale: source.scale }, source),
+        });
+        this.selectedIndex = this.entries.length - 1;
+        this.save();
+        return this.selectedIndex;
+    }
+
+    /**
+     * Removes a flower. The main flower (index 0) cannot be removed.
+     * @param {number} index - Index into `entries`.
+     * @returns {boolean} True if a flower was removed.
+     */
+    removeFlower(index) {
+        if (index <= 0 || index >= this.entries.length) return false;
+        const [removed] = this.entries.splice(index, 1);
+        this._disposeFlower(removed.flower);
+        if (this.selectedIndex >= index) this.selectedIndex = Math.max(0, this.selectedIndex - 1);
+        this.save();
+        return true;
+    }
+
+    /**
+     * Replaces every flower except the main one with a field of varied blooms. Each flower starts from a random
+     * built-in preset (and its petal shape model) with the model's params jittered, and gets a random palette, gradient mode, scale, position and rotation speed.
+     * @param {number} [count] - Number of flowers to add (limited by `MAX_FLOWERS`).
+     * @param {number} [seed] - Seed for the random generator; the same seed gives the same field.
+     */
+    scatter(count = AppConfig.GARDEN.DEFAULT_SCATTER_COUNT, seed = Date.now()) {
+        const config = AppConfig.GARDEN;
+        const random = Utils.createRandom(seed);
+        const pick = (list) => list[Math.floor(random() * list.length)];
+        this.entries.splice(1).forEach(entry => this._disposeFlower(entry.flower));
+
+        const total = Math.max(0, Math.min(config.MAX_FLOWERS - 1, Math.floor(Number(count) || 0)));
+        for (let i = 0; i < total; i++) {
+            const preset = pick(AppConfig.PRESETS);
+            const model = PetalShapes.get(preset.shape);
+            const params = {};
+            model.sliders.forEach(def => {
+                params[def.param] = preset.params[def.param] + (random() * 2 - 1) * config.PARAM_JITTER * (def.max - def.min);
+            });
+            const scale = config.SCATTER_MIN_SCALE + random() * (config.SCATTER_MAX_SCALE - config.SCATTER_MIN_SCALE);
+            const spot = this._findFreeSpot(random, scale);
+            const palette = { stops: [...pick(config.SCATTER_PALETTES)], mode: pick(AppConfig.GRADIENT_MODES).name };
+            this.entries.push({
+                flower: this._createFlower(Utils.sanitizeParams(params, AppConfig.INITIAL_PARAMS), palette, model.name),
+                ...Garden._sanitizePlacement({ ...spot, scale }, this.entries[0]),
+            });
+        }
+        this.selectedIndex = 0;
+        this.enabled = true;
+        this.save();
+    }
+
+    /**
+     * Looks for a spot on the scatter disc that keeps `MIN_SPACING` (scaled by size) to the other flowers.
+     * Gives up after a number of tries and returns the last candidate, so crowded gardens still get filled.
+     * @param {function(): number} random - Random generator.
+     * @param {number} scale - Scale of the flower being placed.
+     * @param {{x: number, z: number}} [near] - Search around this point instead of the garden center.
+     * @returns {{x: number, z: number}} The spot.
+     * @private
+     */
+    _findFreeSpot(random, scale, near = { x: 0, z: 0 }) {
+        const { SCATTER_RADIUS, MIN_SPACING } = AppConfig.GARDEN;
+        let candidate = { x: near.x, z: near.z };
+        for (let attempt = 0; attempt < 60; attempt++) {
+            // Uniform over the disc (sqrt keeps the density even), widening a little with every failed attempt.
+            const radius = SCATTER_RADIUS * Math.sqrt(random()) * (1 + attempt / 30);
+            const angle = random() * Math.PI * 2;
+            candidate = { x: near.x + radius * Math.cos(angle), z: near.z + radius * Math.sin(angle) };
+            const isFree = this.entries.every(entry =>
+                Math.hypot(entry.x - candidate.x, entry.z - candidate.z) >= MIN_SPACING * (entry.scale + scale) / 2);
+            if (isFree) break;
+        }
+        return candidate;
+    }
+
+    /**
+     * Creates a flower sharing the main flower's resolution and light rig.
+     * @param {object} params - Flower params (already sanitized).
+     * @param {object} [palette] - Palette settings (see `Flower.setPalette`).
+     * @param {string} [shape] - Petal shape model name (see `PetalShapes`).
+     * @param {object} [expressions] - Shape formulas (see `Flower.setShapeExpressions`).
+     * @returns {Flower} The new flower.
+     * @private
+     */
+    _createFlower(params, palette, shape, expressions) {
+        const main = this.getMainFlower();
+        const flower = new Flower(this.p, main.config, params, AppConfig.COLOR_SCHEME, shape);
+        flower.setLighting(main.lighting);
+        if (palette) flower.setPalette(palette);
+        if (expressions) flower.setShapeExpressions(expressions);
+        return flower;
+    }
+
+    /**
+     * Releases a removed flower's GPU buffers.
+     * @param {Flower} flower - The flower.
+     * @private
+     */
+    _disposeFlower(flower) {
+        if (flower.geometry && typeof this.p.freeGeometry === 'function') this.p.freeGeometry(flower.geometry);
+    }
+
+    /**
+     * Clamps a placement, filling missing or malformed values from `fallback`.
+     * @param {*} raw - Candidate placement.
+     * @param {{x: number, z: number, scale: number}} fallback - Values to fall back to.
+     * @returns {{x: number, z: number, scale: number}} A valid placement.
+     * @private
+     */
+    static _sanitizePlacement(raw, fallback) {
+        const { POSITION_LIMIT, MIN_SCALE, MAX_SCALE } = AppConfig.GARDEN;
+        const source = raw && typeof raw === 'object' ? raw : {};
+        const number = (value, min, max, fallbackValue) => {
+            const n = Number(value);
+            return value !== undefined && value !== null && value !== '' && Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallbackValue;
+        };
+        return {
+            x: number(source.x, -POSITION_LIMIT, POSITION_LIMIT, fallback.x),
+            z: number(source.z, -POSITION_LIMIT, POSITION_LIMIT, fallback.z),
+            scale: number(source.scale, MIN_SCALE, MAX_SCALE, fallback.scale),
+        };
+    }
+
+    /**
+     * Returns the entries currently drawn: all of them in garden mode, otherwise just the main flower at the origin.
+     * @returns {Array<{flower: Flower, x: number, z: number, scale: number}>} The visible entries.
+     */
+    getVisibleEntries() {
+        return this.enabled ? this.entries : [{ flower: this.getMainFlower(), x: 0, z: 0, scale: 1 }];
+    }
+
+    /**
+     * Sets the mesh resolution of every flower (see `Flower.setResolution`).
+     * @param {number} rows - Number of radial rows.
+     * @param {number} cols - Number of angular columns.
+     * @returns {boolean} True if the resolution changed.
+     */
+    setResolution(rows, cols) {
+        return this.entries.reduce((changed, entry) => entry.flower.setResolution(rows, cols) || changed, false);
+    }
+
+    /**
+     * Counts the triangles currently drawn.
+     * @returns {number} The triangle count of the visible flowers.
+     */
+    getTriangleCount() {
+        return this.getVisibleEntries().reduce((sum, entry) => sum + entry.flower.faces.length, 0);
+    }
+
+    /**
+     * Draws the visible flowers on the main canvas and advances their rotation.
+     * @param {number} [deltaMs] - Time elapsed since the previous frame.
+     */
+    display(deltaMs) {
+        this.getVisibleEntries().forEach(entry => {
+            this.p.push();
+            this.p.translate(entry.x, 0, entry.z);
+            this.p.scale(entry.scale);
+            entry.flower.display(deltaMs);
+            this.p.pop();
+        });
+    }
+
+    /**
+     * Draws the visible flowers onto a p5 WEBGL target without advancing any animation (used by exporters).
+     * @param {p5|p5.Graphics} g - The drawing target.
+     */
+    render(g) {
+        this.getVisibleEntries().forEach(entry => {
+            g.push();
+            g.translate(entry.x, 0, entry.z);
+            g.scale(entry.scale);
+            entry.flower.render(g);
+            g.pop();
+        });
+    }
+
+    /**
+     * Collects the faces of the visible flowers in scene space, with each flower's rotation, scale and position applied.
+     * Vertices shared within a flower stay shared, so coplanar merging in `SvgExporter` still works.
+     * @returns {Array<{v1: object, v2: object, v3: object, color: {r: number, g: number, b: number}}>} The faces.
+     */
+    getFaces() {
+        const faces = [];
+        this.getVisibleEntries().forEach(({ flower, x, z, scale }) => {
+            const cosA = Math.cos(flower.rotationAngle), sinA = Math.sin(flower.rotationAngle);
+            const transformed = new Map();
+            // Same order as `render`: rotateY, then scale, then translate.
+            const toScene = (v) => {
+                if (!transformed.has(v)) {
+                    transformed.set(v, {
+                        x: (v.x * cosA + v.z * sinA) * scale + x,
+                        y: v.y * scale,
+                        z: (-v.x * sinA + v.z * cosA) * scale + z,
+                    });
+                }
+                return transformed.get(v);
+            };
+            flower.faces.forEach(face => faces.push({ v1: toScene(face.v1), v2: toScene(face.v2), v3: toScene(face.v3), color: face.color }));
+        });
+        return faces;
+    }
+
+    /**
+     * Builds one indexed triangle mesh for export (see `Flower.getMeshData`). With garden mode off this is the main
+     * flower's mesh as before; in garden mode the flowers are combined with their rotation, scale and position applied.
+     * @returns {{positions: Float32Array, colors: Float32Array, indices: Uint32Array, faceColors: Float32Array}} The mesh.
+     */
+    getMeshData() {
+        if (!this.enabled) return this.getMainFlower().getMeshData();
+        const meshes = this.entries.map(({ flower, x, z, scale }) => {
+            const mesh = flower.getMeshData();
+            const cosA = Math.cos(flower.rotationAngle), sinA = Math.sin(flower.rotationAngle);
+            const positions = mesh.positions;
+            for (let i = 0; i < positions.length; i += 3) {
+                // Exported coordinates are Y-up (x, -y, -z of p5 space); transform in p5 space and convert back.
+                const px = positions[i], py = -positions[i + 1], pz = -positions[i + 2];
+                positions[i] = (px * cosA + pz * sinA) * scale + x;
+                positions[i + 1] = -(py * scale);
+                positions[i + 2] = -((-px * sinA + pz * cosA) * scale + z);
+            }
+            return mesh;
+        });
+        const concat = (key, Type) => {
+            const result = new Type(meshes.reduce((sum, mesh) => sum + mesh[key].length, 0));
+            let offset = 0;
+            meshes.forEach(mesh => { result.set(mesh[key], offset); offset += mesh[key].length; });
+            return result;
+        };
+        const indices = concat('indices', Uint32Array);
+        let offset = 0, vertexBase = 0;
+        meshes.forEach(mesh => {
+            for (let i = 0; i < mesh.indices.length; i++) indices[offset + i] += vertexBase;
+            offset += mesh.indices.length;
+            vertexBase += mesh.positions.length / 3;
+        });
+        return {
+            positions: concat('positions', Float32Array),
+            colors: concat('colors', Float32Array),
+            indices,
+            faceColors: concat('faceColors', Float32Array),
+        };
+    }
+
+    /**
+     * Describes the layout (every flower's params, shape model and formulas, palette and placement) as plain data.
+     * @returns {{version: number, enabled: boolean, selected: number, flowers: Array<{params: object, shape: string, expressions: object, palette: object, x: number, z: number, scale: number}>}} The layout.
+     */
+    toJSON() {
+        return {
+            version: 1,
+            enabled: this.enabled,
+            selected: this.selectedIndex,
+            flowers: this.entries.map(({ flower, x, z, scale }) => ({
+                params: { ...flower.params },
+                shape: flower.shapeModel.name,
+                expressions: flower.getShapeExpressions(),
+                palette: flower.getPaletteSettings(),
+                x, z, scale,
+            })),
+        };
+    }
+
+    /**
+     * Replaces the layout with one produced by `toJSON`. Malformed entries are skipped and values are clamped;
+     * the first entry is applied to the main flower.
+     * @param {*} data - The layout.
+     */
+    fromJSON(data) {
+        if (!data || typeof data !== 'object' || !Array.isArray(data.flowers)) return;
+        const [mainData, ...others] = data.flowers.filter(item => item && typeof item === 'object').slice(0, AppConfig.GARDEN.MAX_FLOWERS);
+        this.entries.splice(1).forEach(entry => this._disposeFlower(entry.flower));
+        if (mainData) {
+            const main = this.entries[0];
+            main.flower.setShapeModel(mainData.shape);
+            main.flower.updateParams(Utils.sanitizeParams(mainData.params, main.flower.params));
+            main.flower.setShapeExpressions(mainData.expressions);
+            if (mainData.palette) main.flower.setPalette(mainData.palette);
+            Object.assign(main, Garden._sanitizePlacement(mainData, main));
+        }
+        others.forEach(item => {
+            this.entries.push({
+                flower: this._createFlower(Utils.sanitizeParams(item.params, AppConfig.INITIAL_PARAMS), item.palette, item.shape, item.expressions),
+                ...Garden._sanitizePlacement(item, { x: 0, z: 0, scale: 1 }),
+            });
+        });
+        this.enabled = data.enabled === true;
+        this.select(data.selected);
+    }
+
+    /**
+     * Saves the layout to localStorage if it changed since the last save.
+     */
+    save() {
+        if (!this.persist) return;
+        const layout = JSON.stringify(this.toJSON());
+        if (layout === this.lastSavedLayout) return;
+        try {
+            localStorage.setItem(Garden.STORAGE_KEY, layout);
+            this.lastSavedLayout = layout;
+        } catch (e) { console.warn("localStorage not available. Garden layout not saved."); }
+    }
+
+    /**
+     * Restores the layout saved in localStorage.
+     * @private
+     */
+    _load() {
+        try {
+            const saved = localStorage.getItem(Garden.STORAGE_KEY);
+            if (!saved) return;
+            this.fromJSON(JSON.parse(saved));
+            this.lastSavedLayout = saved;
+        } catch (e) {
+            console.warn("Saved garden layout could not be read from localStorage:", e.message);
+        }
+    }
+}
+
+/** @type {string} localStorage key under which the garden layout is stored. */
+Garden.STORAGE_KEY = 'flowerGarden';
+
+// PART 22: PlantParts Class
+// -------------------------
+// Parametric stem, calyx and leaves attached beneath the bloom.
+
+/**
+ * @typedef {object} PlantPartPatch
+ * @property {string} part - Name of the part (see `AppConfig.PLANT_PARTS`).
+ * @property {number} rows - Segments along the part.
+ * @property {number} cols - Segments across (or around) the part.
+ * @property {boolean} wrap - True if the first and last columns meet (the stem's tube), so their normals are shared.
+ * @property {Array<{x: number, y: number, z: number}>} vertices - Vertex grid, row by row, shared by the faces.
+ * @property {Array<number[]>} normals - Smooth unit normal per vertex, shared by the faces as `n1`-`n3`.
+ * @property {Uint32Array} corners - Grid indices of each face's three corners.
+ * @property {Float64Array} normalSums - Scratch space for summing face normals per vertex.
+ * @property {number} faceStart - Index of the patch's first face in `PlantParts.faces`.
+ * @property {number} faceCount - Number of faces in the patch.
+ */
+
+/**
+ * @class PlantParts
+ * Generates the supporting structure of a flower: a tapered tube along a curved spline (the stem), a ring of
+ * sepals around the base of the bloom (the calyx) and leaves spiralling up the stem.
+ * Each part is made of grid patches whose faces have the same shape as `Flower.faces`, so the flower appends them
+ * to its own mesh. The parts hang from an anchor point below the bloom's centre (see `findAnchor`); +Y points down in p5.
+ * Face objects only change when the number of parts changes (`getTopologyKey`); `update` moves them in place.
+ */
+class PlantParts {
+    /**
+     * Creates an instance of PlantParts with no faces; call `buildFaces` first.
+     */
+    constructor() {
+        /** @type {Array<object>} Faces of every part, in the format of `Flower.faces` plus the `part` they belong to. */
+        this.faces = [];
+        /** @type {Array<PlantPartPatch>} Grid patches making up the parts, in the order of their faces. */
+        this.patches = [];
+        /** @type {Object<string, Array<{r: number, g: number, b: number}>>} Normalized RGB palette (0-1) per part name. */
+        this.palettes = {};
+        AppConfig.PLANT_PARTS.forEach(part => {
+            this.palettes[part.name] = part.palette.map(hex => {
+                const rgb = Utils.hexToRgb(hex);
+                return { r: rgb.r / 255, g: rgb.g / 255, b: rgb.b / 255 };
+            });
+        });
+    }
+
+    /**
+     * Tells whether a parameter belongs to the plant parts rather than the bloom.
+     * @param {string} param - Parameter name.
+     * @returns {boolean} True for the params of `AppConfig.PLANT_PARTS`.
+     */
+    static isPartParam(param) {
+        return PlantParts.PARAMS.includes(param);
+    }
+
+    /**
+     * Counts the patches the given params produce. Leaves need a stem to grow on.
+     * @param {object} params - Flower parameters.
+     * @returns {{stem: number, sepals: number, leaves: number}} The counts.
+     */
+    static getCounts(params) {
+        const count = (value) => Math.max(0, Math.round(Number(value) || 0));
+        const stem = Number(params.stemLength) > 0 ? 1 : 0;
+        return { stem, sepals: count(params.calyxSepals), leaves: stem ? count(params.leafCount) : 0 };
+    }
+
+    /**
+     * Describes the face layout the given params produce; the faces must be rebuilt when it changes.
+     * @param {object} params - Flower parameters.
+     * @returns {string} The key.
+     */
+    static getTopologyKey(params) {
+        const { stem, sepals, leaves } = PlantParts.getCounts(params);
+        return `${stem}/${sepals}/${leaves}`;
+    }
+
+    /**
+     * Finds where the stem meets the underside of the bloom: the lowest bloom vertex near the Y axis. Each vertex is
+     * raised by a penalty growing with the square of its distance from the axis (`flowerSize` at `ANCHOR_RADIUS`), so the
+     * anchor moves smoothly while the bloom animates instead of jumping between vertices. It is never above the
+     * bloom's centre (the origin).
+     * @param {Array<Array<{x: number, y: number, z: number}>>} verticesGrid - The bloom's vertex grid.
+     * @param {number} flowerSize - The flower's base size.
+     * @returns {number} Y coordinate of the anchor.
+     */
+    static findAnchor(verticesGrid, flowerSize) {
+        const radius = PlantParts.ANCHOR_RADIUS * flowerSize;
+        const penalty = flowerSize / (radius * radius);
+        let anchor = 0;
+        verticesGrid.forEach(row => row.forEach(v => {
+            anchor = Math.max(anchor, v.y - (v.x * v.x + v.z * v.z) * penalty);
+        }));
+        return anchor;
+    }
+
+    /**
+     * Rebuilds the patches and face objects for the given params. Positions are filled in by `update`.
+     * @param {object} params - Flower parameters.
+     * @returns {Array<object>} The new faces.
+     */
+    buildFaces(params) {
+        const { STEM_SEGMENTS, STEM_SIDES, SEPAL_SEGMENTS, LEAF_SEGMENTS } = AppConfig.PLANT_PART_RESOLUTION;
+        const counts = PlantParts.getCounts(params);
+        this.faces = [];
+        this.patches = [];
+        if (counts.stem) this._addPatch('stem', STEM_SEGMENTS, STEM_SIDES, true);
+        for (let i = 0; i < counts.sepals; i++) this._addPatch('calyx', SEPAL_SEGMENTS, 2, false);
+        for (let i = 0; i < counts.leaves; i++) this._addPatch('leaves', LEAF_SEGMENTS, 2, false);
+        return this.faces;
+    }
+
+    /**
+     * Adds a grid patch and its faces. Each quad is split into two triangles, like the bloom's grid.
+     * Face colors only depend on the position along the part, so they are set here.
+     * @param {string} part - Part name.
+     * @param {number} rows - Segments along the part.
+     * @param {number} cols - Segments across the part.
+     * @param {boolean} wrap - Whether the first and last columns meet.
+     * @private
+     */
+    _addPatch(part, rows, cols, wrap) {
+        const gridCols = cols + 1;
+        const vertexCount = (rows + 1) * gridCols;
+        const patch = {
+            part, rows, cols, wrap,
+            vertices: Array.from({ length: vertexCount }, () => ({ x: 0, y: 0, z: 0 })),
+            normals: Array.from({ length: vertexCount }, () => [0, -1, 0]),
+            corners: new Uint32Array(rows * cols * 2 * 3),
+            normalSums: new Float64Array(vertexCount * 3),
+            faceStart: this.faces.length,
+            faceCount: rows * cols * 2,
+        };
+        const { vertices, normals, corners } = patch;
+        let f = 0;
+        const addFace = (a, b, c, along) => {
+            corners[f * 3] = a;
+            corners[f * 3 + 1] = b;
+            corners[f * 3 + 2] = c;
+            f++;
+            this.faces.push({
+                v1: vertices[a], v2: vertices[b], v3: vertices[c],
+                color: this._getPartColor(part, along),
+                normal: [0, -1, 0],
+                n1: normals[a], n2: normals[b], n3: normals[c],
+                part,
+            });
+        };
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                const topLeft = r * gridCols + c, topRight = topLeft + 1;
+                const bottomLeft = topLeft + gridCols, bottomRight = bottomLeft + 1;
+                addFace(topLeft, topRight, bottomLeft, (r + 1 / 3) / rows);
+                addFace(topRight, bottomRight, bottomLeft, (r + 2 / 3) / rows);
+            }
+        }
+        this.patches.push(patch);
+    }
+
+    /**
+     * Blends a part's palette linearly.
+     * @param {string} part - Part name.
+     * @param {number} along - Position from where the part starts (0) to its tip (1).
+     * @returns {{r: number, g: number, b: number}} The RGB color (0-1 range).
+     * @private
+     */
+    _getPartColor(part, along) {
+        const palette = this.palettes[part];
+        const mapped = Math.min(Math.max(along, 0), 0.999) * (palette.length - 1);
+        const index = Math.floor(mapped);
+        const next = Math.min(index + 1, palette.length - 1);
+        const t = mapped - index;
+        const c1 = palette[index], c2 = palette[next];
+        return { r: c1.r + (c2.r - c1.r) * t, g: c1.g + (c2.g - c1.g) * t, b: c1.b + (c2.b - c1.b) * t };
+    }
+
+    /**
+     * Moves every vertex to match the params and recomputes the normals. Call `buildFaces` first
+     * whenever `getTopologyKey` changes.
+     * @param {object} params - Flower parameters.
+     * @param {number} flowerSize - The flower's base size; lengths and widths in the params are fractions of it.
+     * @param {number} anchorY - Y coordinate where the stem and calyx meet the bloom (see `findAnchor`).
+     */
+    update(params, flowerSize, anchorY) {
+        const stem = { top: anchorY, length: params.stemLength * flowerSize, radius: params.stemThickness * flowerSize, bend: params.stemBend };
+        const counts = PlantParts.getCounts(params);
+        let sepal = 0, leaf = 0;
+        const centre = { x: 0, y: 0, z: 0 }, tangent = { x: 0, y: 0, z: 0 };
+
+        this.patches.forEach(patch => {
+            if (patch.part === 'stem') {
+                this._shapeStem(patch, stem);
+            } else if (patch.part === 'calyx') {
+                // Sepals sit between the first petals and start at the top of the stem.
+                const azimuth = (sepal++ + 0.5) * 2 * Math.PI / counts.sepals;
+                const radius = this._getStemRadius(0, stem.radius);
+                this._shapeBlade(patch, {
+                    base: { x: Math.sin(azimuth) * radius, y: stem.top, z: Math.cos(azimuth) * radius },
+                    azimuth,
+                    length: params.calyxLength * flowerSize,
+                    width: params.calyxLength * flowerSize * 0.45,
+                    widthStart: 0.25,
+                    elevation: this._radians(-70 + 120 * params.calyxSpread),
+                    bend: this._radians(35),
+                    fold: 0.15,
+                });
+            } else {
+                // Leaves spiral up the middle of the stem by the golden angle.
+                const t = 0.3 + 0.55 * (leaf + 0.5) / counts.leaves;
+                const azimuth = leaf++ * PlantParts.GOLDEN_ANGLE;
+                const radius = this._getStemRadius(t, stem.radius);
+                this._getStemPoint(t, stem, centre, tangent);
+                this._shapeBlade(patch, {
+                    base: { x: centre.x + Math.sin(azimuth) * radius, y: centre.y, z: centre.z + Math.cos(azimuth) * radius },
+                    azimuth,
+                    length: params.leafSize * flowerSize,
+                    width: params.leafSize * flowerSize * 0.42,
+                    widthStart: 0,
+                    elevation: this._radians(params.leafAngle),
+                    bend: this._radians(-50), // Droops towards the tip.
+                    fold: 0.2,
+                });
+            }
+            this._computeNormals(patch);
+        });
+    }
+
+    /**
+     * Converts degrees to radians.
+     * @param {number} degrees - Angle in degrees.
+     * @returns {number} Angle in radians.
+     * @private
+     */
+    _radians(degrees) {
+        return degrees * Math.PI / 180;
+    }
+
+    /**
+     * Samples the stem's spline: a cubic Bézier in the XY plane that leaves the bloom straight down and bends sideways.
+     * @param {number} t - Position along the stem, from the bloom (0) to its end (1).
+     * @param {{top: number, length: number, radius: number, bend: number}} stem - Anchor Y, length, radius and sideways bend (-1 to 1).
+     * @param {{x: number, y: number, z: number}} centre - Receives the point on the spline.
+     * @param {{x: number, y: number, z: number}} tangent - Receives the unit tangent (pointing away from the bloom).
+     * @private
+     */
+    _getStemPoint(t, stem, centre, tangent) {
+        const { top, length, bend } = stem;
+        // Control points relative to the anchor: (0, 0), (0, L/3), (0.4 bend L, 2L/3), (0.25 bend L, L). They are
+        // evenly spaced in Y, so y is simply L * t; x (zero for the first two points) carries the bend.
+        const p2x = 0.4 * bend * length, p3x = 0.25 * bend * length;
+        const s = 1 - t;
+        centre.x = 3 * s * t * t * p2x + t * t * t * p3x;
+        centre.y = top + length * t;
+        centre.z = 0;
+        const dx = 6 * s * t * p2x + 3 * t * t * (p3x - p2x);
+        const dy = length;
+        const dLength = Math.hypot(dx, dy) || 1;
+        tangent.x = dx / dLength;
+        tangent.y = dy / dLength;
+        tangent.z = 0;
+    }
+
+    /**
+     * Stem radius along its length: it thickens towards the end and closes off with a rounded tip.
+     * @param {number} t - Position along the stem (0-1).
+     * @param {number} radius - The stem's nominal radius.
+     * @returns {number} The radius at `t`.
+     * @private
+     */
+    _getStemRadius(t, radius) {
+        const tipStart = 1 - PlantParts.STEM_TIP_LENGTH;
+        const tip = t > tipStart ? Math.sqrt(Math.max(0, 1 - ((t - tipStart) / PlantParts.STEM_TIP_LENGTH) ** 2)) : 1;
+        return radius * (0.7 + 0.3 * t) * tip;
+    }
+
+    /**
+     * Places the stem's rings along its spline. The spline stays in the XY plane, so +Z is a stable
+     * second axis for the rings and they never twist.
+     * @param {PlantPartPatch} patch - The stem patch.
+     * @param {{top: number, length: number, radius: number, bend: number}} stem - Stem shape (see `_getStemPoint`).
+     * @private
+     */
+    _shapeStem(patch, stem) {
+        const centre = { x: 0, y: 0, z: 0 }, tangent = { x: 0, y: 0, z: 0 };
+        const gridCols = patch.cols + 1;
+        for (let r = 0; r <= patch.rows; r++) {
+            const t = r / patch.rows;
+            this._getStemPoint(t, stem, centre, tangent);
+            const ringRadius = this._getStemRadius(t, stem.radius);
+            // Normal of the spline within the XY plane: (0, 0, 1) x tangent.
+            const nx = -tangent.y, ny = tangent.x;
+            for (let c = 0; c <= patch.cols; c++) {
+                const angle = (c % patch.cols) / patch.cols * 2 * Math.PI;
+                const cos = Math.cos(angle), sin = Math.sin(angle);
+                const v = patch.vertices[r * gridCols + c];
+                v.x = centre.x + ringRadius * cos * nx;
+                v.y = centre.y + ringRadius * cos * ny;
+                v.z = centre.z + ringRadius * sin;
+            }
+        }
+    }
+
+    /**
+     * Shapes a sepal or leaf: a blade growing outwards from `base` in the direction of `azimuth`.
+     * Its centre line starts at `elevation` above the horizontal and turns by `bend` towards the tip; it is widest
+     * in the middle, and its edges are lifted by `fold` times the width to give it a shallow V-shaped cross-section.
+     * @param {PlantPartPatch} patch - The blade patch (three vertices across: edge, midrib, edge).
+     * @param {{base: {x: number, y: number, z: number}, azimuth: number, length: number, width: number, widthStart: number, elevation: number, bend: number, fold: number}} shape
+     *   Blade shape; `widthStart` (0-1) is how far into the width profile the blade starts, so sepals have a wide base.
+     * @private
+     */
+    _shapeBlade(patch, shape) {
+        const { base, azimuth, length, width, widthStart, elevation, bend, fold } = shape;
+        const outX = Math.sin(azimuth), outZ = Math.cos(azimuth); // Away from the stem, matching the bloom's theta.
+        const acrossX = Math.cos(azimuth), acrossZ = -Math.sin(azimuth);
+        const gridCols = patch.cols + 1;
+        const step = length / patch.rows;
+        let x = base.x, y = base.y, z = base.z;
+        for (let r = 0; r <= patch.rows; r++) {
+            const along = r / patch.rows;
+            if (r > 0) {
+                const angle = elevation + bend * (along - 0.5 / patch.rows); // Angle at the middle of the segment.
+                x += outX * Math.cos(angle) * step;
+                y -= Math.sin(angle) * step; // Y points down in p5.
+                z += outZ * Math.cos(angle) * step;
+            }
+            const angle = elevation + bend * along;
+            const cos = Math.cos(angle), sin = Math.sin(angle);
+            // Upper side of the blade: the cross product of its width (across) and its direction (out * cos + up * sin).
+            const upX = -outX * sin, upY = -cos, upZ = -outZ * sin;
+            const halfWidth = width / 2 * Math.sin(Math.PI * (widthStart + (1 - widthStart) * along));
+            for (let c = 0; c <= patch.cols; c++) {
+                const offset = c / patch.cols * 2 - 1; // -1 to 1 across the blade.
+                const lift = Math.abs(offset) * halfWidth * 2 * fold;
+                const v = patch.vertices[r * gridCols + c];
+                v.x = x + acrossX * offset * halfWidth + upX * lift;
+                v.y = y + upY * lift;
+                v.z = z + acrossZ * offset * halfWidth + upZ * lift;
+            }
+        }
+    }
+
+    /**
+     * Computes unit face normals and smooth, area-weighted vertex normals for a patch.
+     * The patches are wound so the normals point out of the stem and to the upper side of the blades.
+     * @param {PlantPartPatch} patch - The patch.
+     * @private
+     */
+    _computeNormals(patch) {
+        const sums = patch.normalSums;
+        sums.fill(0);
+        for (let f = 0; f < patch.faceCount; f++) {
+            const { v1, v2, v3, normal } = this.faces[patch.faceStart + f];
+            const e1x = v2.x - v1.x, e1y = v2.y - v1.y, e1z = v2.z - v1.z;
+            const e2x = v3.x - v1.x, e2y = v3.y - v1.y, e2z = v3.z - v1.z;
+            normal[0] = e1y * e2z - e1z * e2y; // Length is twice the area.
+            normal[1] = e1z * e2x - e1x * e2z;
+            normal[2] = e1x * e2y - e1y * e2x;
+            for (let corner = 0; corner < 3; corner++) {
+                const v = patch.corners[f * 3 + corner] * 3;
+                sums[v] += normal[0];
+                sums[v + 1] += normal[1];
+                sums[v + 2] += normal[2];
+            }
+        }
+        if (patch.wrap) {
+            // The first and last columns are the same seam: give both the combined normal.
+            const gridCols = patch.cols + 1;
+            for (let r = 0; r <= patch.rows; r++) {
+                const first = r * gridCols * 3, last = (r * gridCols + patch.cols) * 3;
+                for (let i = 0; i < 3; i++) {
+                    sums[first + i] += sums[last + i];
+                    sums[last + i] = sums[first + i];
+                }
+            }
+        }
+        const toUnit = (x, y, z, out) => {
+            const length = Math.hypot(x, y, z);
+            if (length > 0) { out[0] = x / length; out[1] = y / length; out[2] = z / length; }
+            else { out[0] = 0; out[1] = -1; out[2] = 0; }
+        };
+        patch.normals.forEach((n, v) => toUnit(sums[v * 3], sums[v * 3 + 1], sums[v * 3 + 2], n));
+        for (let f = 0; f < patch.faceCount; f++) {
+            const normal = this.faces[patch.faceStart + f].normal;
+            toUnit(normal[0], normal[1], normal[2], normal);
+        }
+    }
+}
+
+/** @type {string[]} Names of the params that shape the plant parts. */
+PlantParts.PARAMS = AppConfig.PLANT_PARTS.flatMap(part => part.sliders.map(def => def.param));
+/** @type {number} Angle between successive leaves around the stem (the golden angle, in radians). */
+PlantParts.GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+/** @type {number} Distance from the Y axis, as a fraction of `flowerSize`, at which a bloom vertex is raised by a whole `flowerSize` when finding the anchor. */
+PlantParts.ANCHOR_RADIUS = 0.3;
+/** @type {number} Fraction of the stem's length over which its end is rounded off. */
+PlantParts.STEM_TIP_LENGTH = 0.06;
+
+// PART 23: PetalShapes Registry
+// -----------------------------
+// Pluggable shape models for the bloom's petals, each with its own parameters and sliders.
+
+/**
+ * @typedef {object} PetalShapeModel
+ * @property {string} name - Unique name, stored with presets, gardens and shared links.
+ * @property {string} label - Name shown in the controls panel.
+ * @property {object} params - Default values of the parameters the model adds to the flower's params.
+ * @property {Array<object>} sliders - Slider definitions shown while the model is selected (format of `AppConfig.SLIDER_DEFINITIONS`),
+ *   including shared ones such as `opening` or `rotationSpeed`. Auto-animation animates exactly these params.
+ * @property {function(number, object, p5): number} [phi] - Inclination from vertical (degrees) of the column at `angle` degrees
+ *   along the bloom's spiral; defaults to `PetalShapes.defaultPhi`.
+ * @property {function(number, object, p5): number} petalShape - Factor (about 0-1) scaling the column at `angle` degrees; its
+ *   periodic variation cuts the petals.
+ * @property {function(number, number, object, p5): number} curvature - "Hang down" amount at a normalized radius and phi (degrees);
+ *   positive values bend the petal outwards, negative values curl it in.
+ */
+
+/**
+ * @namespace PetalShapes
+ * Registry of petal shape models. `Flower` asks the selected model for the three functions that shape its surface:
+ * the inclination of each column along the spiral (`phi`), the petal outline (`petalShape`) and the curl along each
+ * petal (`curvature`). Parameter names are shared across models, so a name must mean the same thing (and use the same
+ * slider range) in every model that lists it. More models can be added with `PetalShapes.register`.
+ */
+const PetalShapes = {
+    /** @type {Map<string, PetalShapeModel>} Registered models by name, in registration order. */
+    models: new Map(),
+    /**
+     * Adds (or replaces) a shape model. The model and its definitions are frozen.
+     * @param {PetalShapeModel} model - The model.
+     * @returns {PetalShapeModel} The registered model.
+     * @throws {Error} If the model has no name, no sliders or is missing a shape function.
+     */
+    register: (model) => {
+        if (!model || typeof model.name !== 'string' || !model.name) throw new Error("A petal shape model needs a name.");
+        if (typeof model.petalShape !== 'function' || typeof model.curvature !== 'function') {
+            throw new Error(`Petal shape model "${model.name}" needs petalShape and curvature functions.`);
+        }
+        if (!Array.isArray(model.sliders) || model.sliders.length === 0) throw new Error(`Petal shape model "${model.name}" has no sliders.`);
+        const registered = {
+            label: model.name,
+            phi: PetalShapes.defaultPhi,
+            ...model,
+            params: Object.freeze({ ...model.params }),
+            sliders: Object.freeze(model.sliders.map(def => Object.freeze({ ...def }))),
+        };
+        PetalShapes.models.set(registered.name, Object.freeze(registered));
+        return registered;
+    },
+    /**
+     * Looks up a model, falling back to `AppConfig.DEFAULT_SHAPE_MODEL` for unknown names.
+     * @param {string} name - Model name.
+     * @returns {PetalShapeModel} The model.
+     */
+    get: (name) => PetalShapes.models.get(name) || PetalShapes.models.get(AppConfig.DEFAULT_SHAPE_MODEL),
+    /**
+     * Tells whether a model is registered.
+     * @param {*} name - Model name.
+     * @returns {boolean} True if registered.
+     */
+    has: (name) => PetalShapes.models.has(name),
+    /** @returns {Array<PetalShapeModel>} The registered models, in registration order. */
+    list: () => [...PetalShapes.models.values()],
+    /**
+     * Collects the default values of every model's own parameters.
+     * @returns {object} Parameter defaults, merged in registration order.
+     */
+    getDefaultParams: () => Object.assign({}, ...PetalShapes.list().map(model => model.params)),
+    /**
+     * Picks shared slider definitions from `AppConfig.SLIDER_DEFINITIONS`, for models that reuse them.
+     * @param {...string} params - Parameter names.
+     * @returns {Array<object>} The definitions, in the given order.
+     */
+    sharedSliders: (...params) => params.map(param => AppConfig.SLIDER_DEFINITIONS.find(def => def.param === param)),
+    /**
+     * The original inclination: columns start at `180 / opening` degrees and rise towards vertical along the spiral,
+     * more slowly for a higher `density`.
+     * @param {number} angle - Angle along the spiral, in degrees.
+     * @param {object} params - Flower parameters.
+     * @param {p5} p - The p5.js instance.
+     * @returns {number} Phi in degrees.
+     */
+    defaultPhi: (angle, params, p) => (180 / params.opening) * p.exp(-angle / (params.density * 180)),
+    /**
+     * Position within the current petal, for models with `petals` petals per turn of the spiral.
+     * @param {number} angle - Angle along the spiral, in degrees.
+     * @param {number} petals - Petals per turn; fractional values offset the petals of successive turns.
+     * @returns {number} 0 at one edge of the petal, 0.5 in its middle, approaching 1 at the other edge.
+     */
+    petalPosition: (angle, petals) => {
+        const turns = petals * angle / 360;
+        return turns - Math.floor(turns);
+    },
+};
+
+PetalShapes.register({
+    name: 'classic',
+    label: 'Classic',
+    params: {},
+    sliders: AppConfig.SLIDER_DEFINITIONS,
+    petalShape: (angle, params, p) => {
+        const petalProgress = (params.align * angle % 360) / 180;
+        return 1 - (0.5) * p.pow((1.25) * p.pow(1 - petalProgress, 2) - 0.25, 2);
+    },
+    curvature: (normalizedRadius, phi, params, p) => params.curve1 * p.pow(normalizedRadius, 2) *
+        p.pow(params.curve2 * normalizedRadius - 1, 2) * p.sin(p.radians(phi)),
+});
+
+PetalShapes.register({
+    name: 'rose',
+    label: 'Rose curve',
+    params: { rosePetals: 2.6, roseSharpness: 0.7, roseCurl: 0.6 },
+    sliders: [
+        ...PetalShapes.sharedSliders('opening', 'density'),
+        { param: 'rosePetals', label: 'Petals per Turn:', min: 1, max: 8, step: 0.05, decimals: 2 },
+        { param: 'roseSharpness', label: 'Petal Sharpness:', min: 0.1, max: 3, step: 0.05, decimals: 2 },
+        { param: 'roseCurl', label: 'Petal Curl:', min: -1, max: 2, step: 0.05, decimals: 2 },
+        ...PetalShapes.sharedSliders('rotationSpeed')
+    ],
+    // Rose curve r = |cos(k theta / 2)|, raised to a power to sharpen or round the lobes.
+    petalShape: (angle, params, p) => 0.2 + 0.8 * p.pow(Math.abs(p.cos(p.radians(angle) * params.rosePetals / 2)), params.roseSharpness),
+    curvature: (normalizedRadius, phi, params, p) => params.roseCurl * p.pow(normalizedRadius, 2) * p.sin(p.radians(phi)),
+});
+
+PetalShapes.register({
+    name: 'lily',
+    label: 'Lily',
+    params: { lilyPetals: 0.8, lilyNarrowness: 1.5, lilyRecurve: 0.6 },
+    sliders: [
+        ...PetalShapes.sharedSliders('opening', 'density'),
+        { param: 'lilyPetals', label: 'Petals per Turn:', min: 0.5, max: 4, step: 0.05, decimals: 2 },
+        { param: 'lilyNarrowness', label: 'Petal Narrowness:', min: 0.2, max: 4, step: 0.05, decimals: 2 },
+        { param: 'lilyRecurve', label: 'Tip Recurve:', min: -1, max: 3, step: 0.05, decimals: 2 },
+        ...PetalShapes.sharedSliders('rotationSpeed')
+    ],
+    // Few long petals whose tips bend back sharply (the curl grows with the cube of the radius).
+    petalShape: (angle, params, p) => 0.15 + 0.85 * p.pow(p.sin(Math.PI * PetalShapes.petalPosition(angle, params.lilyPetals)), params.lilyNarrowness),
+    curvature: (normalizedRadius, phi, params, p) => params.lilyRecurve * p.pow(normalizedRadius, 3),
+});
+
+PetalShapes.register({
+    name: 'tulip',
+    label: 'Tulip cup',
+    params: { tulipPetals: 1.35, tulipOpening: 50, tulipCup: 0.35, tulipRoundness: 0.6 },
+    sliders: [
+        ...PetalShapes.sharedSliders('density'),
+        { param: 'tulipPetals', label: 'Petals per Turn:', min: 0.5, max: 4, step: 0.05, decimals: 2 },
+        { param: 'tulipOpening', label: 'Cup Opening:', min: 5, max: 120, step: 1, decimals: 0 },
+        { param: 'tulipCup', label: 'Cup Depth:', min: 0, max: 2, step: 0.05, decimals: 2 },
+        { param: 'tulipRoundness', label: 'Petal Roundness:', min: 0, max: 1, step: 0.01, decimals: 2 },
+        ...PetalShapes.sharedSliders('rotationSpeed')
+    ],
+    // Upright broad petals: the outer turn starts at `tulipOpening` degrees instead of `180 / opening`.
+    phi: (angle, params, p) => params.tulipOpening * p.exp(-angle / (params.density * 180)),
+    petalShape: (angle, params, p) => 1 - 0.5 * params.tulipRoundness * p.pow(1 - p.sin(Math.PI * PetalShapes.petalPosition(angle, params.tulipPetals)), 2),
+    curvature: (normalizedRadius, phi, params, p) => -params.tulipCup * p.pow(normalizedRadius, 2) * (1 - 0.5 * normalizedRadius),
+});
+
+PetalShapes.register({
+    name: 'daisy',
+    label: 'Daisy',
+    params: { daisyPetals: 2.65, daisyNarrowness: 4, daisyAngle: 95, daisyDroop: 0.3 },
+    sliders: [
+        { param: 'daisyPetals', label: 'Petals per Turn:', min: 1, max: 8, step: 0.05, decimals: 2 },
+        { param: 'daisyNarrowness', label: 'Petal Narrowness:', min: 1, max: 12, step: 0.1, decimals: 1 },
+        { param: 'daisyAngle', label: 'Petal Angle:', min: 45, max: 135, step: 1, decimals: 0 },
+        { param: 'daisyDroop', label: 'Petal Droop:', min: -1, max: 1, step: 0.05, decimals: 2 },
+        ...PetalShapes.sharedSliders('rotationSpeed')
+    ],
+    // Every turn of the spiral lies at nearly the same angle, so the many narrow petals form one flat ray.
+    phi: (angle, params) => params.daisyAngle * (1 - 0.1 * angle / (180 * AppConfig.THETA_DELTA_FACTOR)),
+    petalShape: (angle, params, p) => 0.08 + 0.92 * p.pow(p.sin(Math.PI * PetalShapes.petalPosition(angle, params.daisyPetals)), params.daisyNarrowness),
+    curvature: (normalizedRadius, phi, params, p) => params.daisyDroop * p.pow(normalizedRadius, 2),
+});
+
+// PART 24: MathExpression Parser
+// ------------------------------
+// A small sandboxed parser for formulas typed by the user: arithmetic, named variables and a fixed set of math functions.
+
+/**
+ * @typedef {object} CompiledExpression
+ * @property {string} source - The formula as typed (trimmed).
+ * @property {string[]} variables - Names of the variables the formula reads.
+ * @property {function(object): number} evaluate - Evaluates the formula, reading variable values from a scope object.
+ */
+
+/**
+ * @namespace MathExpression
+ * Parses formulas such as `180 / opening * exp(-angle / (density * 180))` into a tree of closures. No text is ever handed
+ * to `eval` or `Function`: a name can only refer to one of the variables passed to `compile` or to an entry of `FUNCTIONS`
+ * or `CONSTANTS`, so a formula cannot reach any other object.
+ * Grammar, from lowest to highest precedence: `+ -`, `* / %`, unary `+ -`, `^` (right-associative), then numbers, names,
+ * function calls and parentheses. Trigonometric functions work in radians.
+ */
+const MathExpression = {
+    /** @type {Object<string, {minArgs: number, maxArgs: number, fn: function(...number): number}>} Functions a formula may call. */
+    FUNCTIONS: {
+        sin: { minArgs: 1, maxArgs: 1, fn: Math.sin },
+        cos: { minArgs: 1, maxArgs: 1, fn: Math.cos },
+        tan: { minArgs: 1, maxArgs: 1, fn: Math.tan },
+        asin: { minArgs: 1, maxArgs: 1, fn: Math.asin },
+        acos: { minArgs: 1, maxArgs: 1, fn: Math.acos },
+        atan: { minArgs: 1, maxArgs: 1, fn: Math.atan },
+        atan2: { minArgs: 2, maxArgs: 2, fn: Math.atan2 },
+        sqrt: { minArgs: 1, maxArgs: 1, fn: Math.sqrt },
+        exp: { minArgs: 1, maxArgs: 1, fn: Math.exp },
+        log: { minArgs: 1, maxArgs: 1, fn: Math.log },
+        pow: { minArgs: 2, maxArgs: 2, fn: Math.pow },
+        abs: { minArgs: 1, maxArgs: 1, fn: Math.abs },
+        sign: { minArgs: 1, maxArgs: 1, fn: Math.sign },
+        floor: { minArgs: 1, maxArgs: 1, fn: Math.floor },
+        ceil: { minArgs: 1, maxArgs: 1, fn: Math.ceil },
+        round: { minArgs: 1, maxArgs: 1, fn: Math.round },
+        frac: { minArgs: 1, maxArgs: 1, fn: x => x - Math.floor(x) },
+        min: { minArgs: 2, maxArgs: Infinity, fn: Math.min },
+        max: { minArgs: 2, maxArgs: Infinity, fn: Math.max },
+        clamp: { minArgs: 3, maxArgs: 3, fn: (x, low, high) => Math.min(high, Math.max(low, x)) },
+        lerp: { minArgs: 3, maxArgs: 3, fn: (a, b, t) => a + (b - a) * t },
+        radians: { minArgs: 1, maxArgs: 1, fn: degrees => degrees * Math.PI / 180 },
+        degrees: { minArgs: 1, maxArgs: 1, fn: radians => radians * 180 / Math.PI },
+    },
+    /** @type {Object<string, number>} Named constants a formula may use. */
+    CONSTANTS: { PI: Math.PI, TWO_PI: Math.PI * 2, E: Math.E },
+    /** @type {number} Longest accepted formula, in characters. */
+    MAX_LENGTH: 400,
+    /** @type {number} Deepest accepted nesting of parentheses, calls and unary signs (keeps the parser's recursion bounded). */
+    MAX_DEPTH: 64,
+
+    /**
+     * Parses a formula.
+     * @param {string} source - The formula.
+     * @param {string[]} variableNames - Names the formula may read; their values are looked up in the scope passed to `evaluate`.
+     * @returns {CompiledExpression} The compiled formula.
+     * @throws {Error} With a message describing the first syntax error (and a 1-based `position` where it applies).
+     */
+    compile: (source, variableNames) => {
+        const text = String(source ?? '').trim();
+        if (!text) throw MathExpression._error("The formula is empty.");
+        if (text.length > MathExpression.MAX_LENGTH) throw MathExpression._error(`The formula is longer than ${MathExpression.MAX_LENGTH} characters.`);
+        const tokens = MathExpression._tokenize(text);
+        const allowed = new Set(variableNames);
+        const used = new Set();
+        let index = 0;
+        let depth = 0;
+        const peek = () => tokens[index];
+        const next = () => tokens[index++];
+        const describe = (token) => token.type === 'end' ? "end of formula" : `"${token.value}"`;
+        const expect = (value) => {
+            const token = next();
+            if (token.value !== value) throw MathExpression._error(`Expected "${value}" but found ${describe(token)}`, token.position);
+        };
+        const nest = (token, parse) => {
+            if (++depth > MathExpression.MAX_DEPTH) throw MathExpression._error("The formula is nested too deeply", token.position);
+            const node = parse();
+            depth--;
+            return node;
+        };
+
+        const parseSum = () => {
+            let node = parseProduct();
+            while (peek().value === '+' || peek().value === '-') {
+                const operator = next().value;
+                const left = node, right = parseProduct();
+                node = operator === '+' ? scope => left(scope) + right(scope) : scope => left(scope) - right(scope);
+            }
+            return node;
+        };
+        const parseProduct = () => {
+            let node = parseUnary();
+            while (peek().value === '*' || peek().value === '/' || peek().value === '%') {
+                const operator = next().value;
+                const left = node, right = parseUnary();
+                if (operator === '*') node = scope => left(scope) * right(scope);
+                else if (operator === '/') node = scope => left(scope) / right(scope);
+                else node = scope => left(scope) % right(scope);
+            }
+            return node;
+        };
+        const parseUnary = () => {
+            const token = peek();
+            if (token.value !== '-' && token.value !== '+') return parsePower();
+            next();
+            const operand = nest(token, parseUnary);
+            return token.value === '-' ? scope => -operand(scope) : operand;
+        };
+        const parsePower = () => {
+            const base = parsePrimary();
+            const token = peek();
+            if (token.value !== '^') return base;
+            next();
+            const exponent = nest(token, parseUnary); // Right-associative, and allows 2^-x.
+            return scope => Math.pow(base(scope), exponent(scope));
+        };
+        const parsePrimary = () => {
+            const token = next();
+            if (token.type === 'number') {
+                const value = token.number;
+                return () => value;
+            }
+            if (token.value === '(') {
+                const node = nest(token, parseSum);
+                expect(')');
+                return node;
+            }
+            if (token.type === 'name') return parseName(token);
+            throw MathExpression._error(`Unexpected ${describe(token)}`, token.position);
+        };
+        const parseName = (token) => {
+            const name = token.value;
+            const isCall = peek().value === '(';
+            if (Object.prototype.hasOwnProperty.call(MathExpression.FUNCTIONS, name)) {
+                if (!isCall) throw MathExpression._error(`"${name}" is a function; call it as ${name}(...)`, token.position);
+                return parseCall(token);
+            }
+            if (isCall) throw MathExpression._error(`"${name}" is not a function`, token.position);
+            if (Object.prototype.hasOwnProperty.call(MathExpression.CONSTANTS, name)) {
+                const value = MathExpression.CONSTANTS[name];
+                return () => value;
+            }
+            if (!allowed.has(name)) throw MathExpression._error(`Unknown name "${name}"`, token.position);
+            used.add(name);
+            return scope => scope[name];
+        };
+        const parseCall = (token) => {
+            const { minArgs, maxArgs, fn } = MathExpression.FUNCTIONS[token.value];
+            next(); // '('
+            const args = [];
+            if (peek().value !== ')') {
+                args.push(nest(token, parseSum));
+                while (peek().value === ',') {
+                    next();
+                    args.push(nest(token, parseSum));
+                }
+            }
+            expect(')');
+            if (args.length < minArgs || args.length > maxArgs) {
+                const count = minArgs === maxArgs ? `${minArgs}` : maxArgs === Infinity ? `at least ${minArgs}` : `${minArgs} to ${maxArgs}`;
+                throw MathExpression._error(`${token.value}() takes ${count} argument${minArgs === 1 && maxArgs === 1 ? '' : 's'}`, token.position);
+            }
+            // Avoid building an argument array per evaluation for the common arities.
+            const [a, b, c] = args;
+            if (args.length === 1) return scope => fn(a(scope));
+            if (args.length === 2) return scope => fn(a(scope), b(scope));
+            if (args.length === 3) return scope => fn(a(scope), b(scope), c(scope));
+            return scope => fn(...args.map(arg => arg(scope)));
+        };
+
+        const root = parseSum();
+        const trailing = peek();
+        if (trailing.type !== 'end') throw MathExpression._error(`Unexpected ${describe(trailing)}`, trailing.position);
+        return { source: text, variables: [...used], evaluate: root };
+    },
+
+    /**
+     * Splits a formula into number, name, operator and end tokens.
+     * @param {string} text - The formula.
+     * @returns {Array<{type: string, value: string, position: number, number?: number}>} The tokens, ending with an 'end' token.
+     * @throws {Error} On a character that cannot start a token.
+     * @private
+     */
+    _tokenize: (text) => {
+        const tokens = [];
+        const numberPattern = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/;
+        const namePattern = /^[A-Za-z_][A-Za-z0-9_]*/;
+        let i = 0;
+        while (i < text.length) {
+            const rest = text.slice(i);
+            const char = text[i];
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+            const position = i + 1;
+            const numberMatch = rest.match(numberPattern);
+            if (numberMatch) {
+                tokens.push({ type: 'number', value: numberMatch[0], number: Number(numberMatch[0]), position });
+                i += numberMatch[0].length;
+            } else if (namePattern.test(rest)) {
+                const name = rest.match(namePattern)[0];
+                tokens.push({ type: 'name', value: name, position });
+                i += name.length;
+            } else if ('+-*/%^(),'.includes(char)) {
+                tokens.push({ type: 'operator', value: char, position });
+                i++;
+            } else {
+                throw MathExpression._error(`Unexpected character "${char}"`, position);
+            }
+        }
+        tokens.push({ type: 'end', value: '', position: text.length + 1 });
+        return tokens;
+    },
+
+    /**
+     * Creates a syntax error, appending the position to the message when given.
+     * @param {string} message - What went wrong.
+     * @param {number} [position] - 1-based character position in the formula.
+     * @returns {Error} The error, with `position` set.
+     * @private
+     */
+    _error: (message, position) => {
+        const error = new Error(position ? `${message} at position ${position}.` : message);
+        error.position = position;
+        return error;
+    },
+};
+
+Object.freeze(MathExpression.FUNCTIONS);
+Object.freeze(MathExpression.CONSTANTS);
+
+// PART 25: AudioReactor Class
+// ---------------------------
+// Analyses the background music and offsets flower params by its bands, level and beats.
+
+/**
+ * @class AudioReactor
+ * Drives the audio-reactive mode. An AnalyserNode on the background music (see `AudioManager.createAnalyser`) supplies
+ * the FFT bands and waveform each frame; they are reduced to the 0-1 features of `AppConfig.AUDIO_FEATURES`, with beats
+ * detected as bass onsets. Each mapping then adds `amount * feature` times the param's slider range to the param,
+ * so the sliders still set the flower's resting shape. The mappings are saved in localStorage.
+ */
+class AudioReactor {
+    /**
+     * Creates an instance of AudioReactor and restores saved mappings. The analyser is created when the mode is first enabled.
+     * @param {AudioManager} audioManager - Owner of the background music and its audio graph.
+     */
+    constructor(audioManager) {
+        /** @type {AudioManager} Owner of the background music and its audio graph. */
+        this.audioManager = audioManager;
+        /** @type {AnalyserNode|null} Analyser fed by the analysed input (music or microphone), created on first use. */
+        this.analyser = null;
+        /** @type {Uint8Array|null} Frequency magnitudes (0-255) of the last analysis. */
+        this.frequencyData = null;
+        /** @type {Uint8Array|null} Waveform samples (128 is silence) of the last analysis. */
+        this.timeData = null;
+        /** @type {boolean} Whether the mode is on. */
+        this.enabled = false;
+        /** @type {Array<{feature: string, param: string, amount: number}>} Current mappings (see `AudioReactor.sanitizeMappings`). */
+        this.mappings = AudioReactor.sanitizeMappings(null);
+        /** @type {Object<string, number>} Latest value (0-1) of each feature in `AppConfig.AUDIO_FEATURES`, by name. */
+        this.features = {};
+        AppConfig.AUDIO_FEATURES.forEach(feature => { this.features[feature.name] = 0; });
+        /** @type {number} Running average of the bass, compared with the current bass to detect onsets. */
+        this.bassAverage = 0;
+        /** @type {number} Time of the last detected beat (performance.now() based). */
+        this.lastBeatTime = -Infinity;
+        /** @type {number|null} Time of the previous `update`, or null before the first one. */
+        this.lastUpdateTime = null;
+        this._load();
+    }
+
+    /**
+     * Validates mappings, dropping entries with an unknown feature or param and clamping amounts to [-1, 1].
+     * Anything but an array gives a copy of `AppConfig.AUDIO_REACTIVE.DEFAULT_MAPPINGS`.
+     * @param {*} raw - Candidate mappings.
+     * @returns {Array<{feature: string, param: string, amount: number}>} Valid mappings (at most `MAX_MAPPINGS`).
+     */
+    static sanitizeMappings(raw) {
+        const config = AppConfig.AUDIO_REACTIVE;
+        if (!Array.isArray(raw)) return config.DEFAULT_MAPPINGS.map(mapping => ({ ...mapping }));
+        const params = new Set(Utils.getParamDefinitions().map(def => def.param));
+        return raw
+            .filter(m => m && AppConfig.AUDIO_FEATURES.some(f => f.name === m.feature) && params.has(m.param))
+            .map(m => {
+                const amount = Number(m.amount);
+                return { feature: m.feature, param: m.param, amount: Number.isFinite(amount) ? Math.min(1, Math.max(-1, amount)) : 0 };
+            })
+            .slice(0, config.MAX_MAPPINGS);
+    }
+
+    /**
+     * Turns the mode on or off. Turning it on creates the analyser and starts the music (so call it from a user gesture).
+     * @param {boolean} enabled - Whether the mode should be on.
+     * @returns {boolean} Whether the mode is on; false if the browser has no Web Audio support.
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled && this.ensureAnalyser();
+        if (this.enabled) this.audioManager.ensurePlaying();
+        this.lastUpdateTime = null;
+        return this.enabled;
+    }
+
+    /**
+     * Creates the analyser if it does not exist yet. `update` needs it, whether or not the mode is on.
+     * @returns {boolean} Whether there is an analyser; false if the browser has no Web Audio support.
+     */
+    ensureAnalyser() {
+        if (!this.analyser) {
+            this.analyser = this.audioManager ? this.audioManager.createAnalyser() : null;
+            if (!this.analyser) return false;
+            this.analyser.fftSize = AppConfig.AUDIO_REACTIVE.FFT_SIZE;
+            this.analyser.smoothingTimeConstant = AppConfig.AUDIO_REACTIVE.SMOOTHING;
+            this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+            this.timeData = new Uint8Array(this.analyser.fftSize);
+        }
+        return true;
+    }
+
+    /**
+     * Sets how much the analyser averages successive frames; higher values react more slowly but flicker less.
+     * @param {number} [smoothing=AppConfig.AUDIO_REACTIVE.SMOOTHING] - Smoothing time constant (0-1).
+     */
+    setSmoothing(smoothing = AppConfig.AUDIO_REACTIVE.SMOOTHING) {
+        if (this.analyser) this.analyser.smoothingTimeConstant = Math.min(1, Math.max(0, smoothing));
+    }
+
+    /**
+     * Replaces the mappings and saves them.
+     * @param {Array<{feature: string, param: string, amount: number}>} mappings - The new mappings (validated).
+     */
+    setMappings(mappings) {
+        this.mappings = AudioReactor.sanitizeMappings(mappings);
+        this._persist();
+    }
+
+    /**
+     * Analyses the current audio frame and updates `features`. Silence (or paused music) gives all zeros.
+     * @param {number} now - Current time in milliseconds (performance.now() based).
+     * @returns {Object<string, number>} The features.
+     */
+    update(now) {
+        if (!this.analyser) return this.features;
+        const config = AppConfig.AUDIO_REACTIVE;
+        const deltaMs = this.lastUpdateTime === null ? 0 : Math.max(0, now - this.lastUpdateTime);
+        this.lastUpdateTime = now;
+
+        this.analyser.getByteFrequencyData(this.frequencyData);
+        this.analyser.getByteTimeDomainData(this.timeData);
+        const binHz = this.analyser.context.sampleRate / this.analyser.fftSize;
+        AppConfig.AUDIO_FEATURES.forEach(feature => {
+            if (feature.minHz !== undefined) this.features[feature.name] = this._getBandLevel(feature.minHz, feature.maxHz, binHz);
+        });
+
+        let sumOfSquares = 0;
+        for (let i = 0; i < this.timeData.length; i++) {
+            const sample = (this.timeData[i] - 128) / 128;
+            sumOfSquares += sample * sample;
+        }
+        this.features.level = Math.min(1, Math.sqrt(sumOfSquares / this.timeData.length) * config.LEVEL_GAIN);
+
+        // A beat is a sharp rise of the bass above its running average, at most one per cooldown.
+        const bass = this.features.bass;
+        if (bass > config.BEAT_MIN_LEVEL && bass > this.bassAverage * config.BEAT_THRESHOLD && now - this.lastBeatTime > config.BEAT_COOLDOWN_MS) {
+            this.lastBeatTime = now;
+        }
+        this.bassAverage += (bass - this.bassAverage) * (1 - Math.exp(-deltaMs / config.AVERAGE_WINDOW_MS));
+        this.features.beat = Math.exp(-(now - this.lastBeatTime) / config.BEAT_DECAY_MS);
+        return this.features;
+    }
+
+    /**
+     * Applies the mappings to a set of params, using the latest features.
+     * @param {object} baseParams - The resting params (the slider values).
+     * @returns {object} A copy of `baseParams` with the mapped params offset and clamped to their slider ranges.
+     */
+    applyTo(baseParams) {
+        const params = { ...baseParams };
+        const definitions = Utils.getParamDefinitions();
+        const mapped = new Map();
+        this.mappings.forEach(({ feature, param, amount }) => {
+            const def = definitions.find(d => d.param === param);
+            if (!def || typeof params[param] !== 'number') return;
+            params[param] += amount * this.features[feature] * (def.max - def.min);
+            mapped.set(param, def);
+        });
+        mapped.forEach((def, param) => { params[param] = Math.min(def.max, Math.max(def.min, params[param])); });
+        return params;
+    }
+
+    /**
+     * Averages the frequency bins between two frequencies.
+     * @param {number} minHz - Lower bound of the band.
+     * @param {number} maxHz - Upper bound of the band.
+     * @param {number} binHz - Width of one frequency bin.
+     * @returns {number} The band level (0-1).
+     * @private
+     */
+    _getBandLevel(minHz, maxHz, binHz) {
+        const first = Math.max(1, Math.floor(minHz / binHz)); // Skip the DC bin.
+        const last = Math.min(this.frequencyData.length - 1, Math.ceil(maxHz / binHz));
+        if (last < first) return 0;
+        let sum = 0;
+        for (let i = first; i <= last; i++) sum += this.frequencyData[i];
+        return sum / ((last - first + 1) * 255);
+    }
+
+    /**
+     * Restores the mappings saved in localStorage.
+     * @private
+     */
+    _load() {
+        try {
+            const saved = localStorage.getItem(AudioReactor.STORAGE_KEY);
+            if (saved) this.mappings = AudioReactor.sanitizeMappings(JSON.parse(saved));
+        } catch (e) {
+            console.warn("Saved audio mappings could not be read from localStorage:", e.message);
+        }
+    }
+
+    /**
+     * Saves the mappings to localStorage.
+     * @private
+     */
+    _persist() {
+        try {
+            localStorage.setItem(AudioReactor.STORAGE_KEY, JSON.stringify(this.mappings));
+        } catch (e) { console.warn("localStorage not available. Audio mappings not saved."); }
+    }
+}
+
+/** @type {string} localStorage key under which the audio-reactive mappings are stored. */
+AudioReactor.STORAGE_KEY = 'flowerAudioMappings';
+
+// PART 26: GenerativeSoundtrack Class
+// -----------------------------------
+// Synthesizes an ambient drone and chimes that follow the flower's params, plus pitched slider feedback.
+
+/**
+ * @class GenerativeSoundtrack
+ * An alternative to the background music, built from Web Audio nodes in the `AudioManager`'s context. Two detuned
+ * sawtooth oscillators and a sub sine form the drone, behind a low-pass filter that `opening` opens; `density` picks
+ * the root from `AppConfig.GENERATIVE_AUDIO.SCALE`, and `rotationSpeed` sets the tempo of bell-like chimes on the same
+ * scale. `update` is called every frame: it glides the drone towards the params and schedules the chimes of the next
+ * few milliseconds on the audio clock. Slider feedback notes are played whether or not the soundtrack runs.
+ */
+class GenerativeSoundtrack {
     /**
-     * Converts a HEX color string to an RGB object.
-     * @param {string} hex - The HEX color string (e.g., "#FF0000" or "FF0000").
-     * @returns {{r: number, g: number, b: number}} An object with r, g, b properties (0-255).
+     * Creates the soundtrack's output in a context. No sound is made until `start` or `playFeedback`.
+     * @param {AudioContext} context - Audio context to synthesize in.
      */
-    hexToRgb: (hex) => {
-        hex = hex.replace('#', '');
-        const r = parseInt(hex.substring(0, 2), 16);
-        const g = parseInt(hex.substring(2, 4), 16);
-        const b = parseInt(hex.substring(4, 6), 16);
-        return { r, g, b };
-    },
+    constructor(context) {
+        /** @type {AudioContext} Audio context the soundtrack synthesizes in. */
+        this.context = context;
+        /** @type {GainNode} Output of the soundtrack and the slider feedback (silent while muted). */
+        this.output = context.createGain();
+        this.output.connect(context.destination);
+        /** @type {GainNode} Level of the drone and chimes, set by the music volume. */
+        this.musicLevel = context.createGain();
+        this.musicLevel.gain.value = AppConfig.AUDIO_SETTINGS.DEFAULT_MUSIC_VOLUME;
+        this.musicLevel.connect(this.output);
+        /** @type {number} Effects volume (0-1) scaling the slider feedback. */
+        this.effectsVolume = AppConfig.AUDIO_SETTINGS.DEFAULT_EFFECTS_VOLUME;
+        /** @type {{ambience: GainNode, oscillators: OscillatorNode[], ratios: number[], filter: BiquadFilterNode, chimeBus: GainNode}|null} Nodes of the running drone and chimes. */
+        this.voices = null;
+        /** @type {{rootHz: number, filterHz: number, bpm: number}} Musical state derived from the latest params. */
+        this.state = GenerativeSoundtrack.deriveState(AppConfig.INITIAL_PARAMS);
+        /** @type {number} Audio clock time of the next chime beat. */
+        this.nextChimeTime = 0;
+        /** @type {number} Scale step of the last chime, which the next one avoids. */
+        this.lastChimeStep = -1;
+        /** @type {number} Audio clock time of the last slider feedback note. */
+        this.lastFeedbackTime = -Infinity;
+    }
+
     /**
-     * Easing function for smooth animations (cubic ease-in-out).
-     * @param {number} t - The input time/progress, typically from 0 to 1.
-     * @returns {number} The eased value, also from 0 to 1.
+     * Derives the musical state from flower params, normalizing each param by its slider range.
+     * Params missing from the flower's shape model count as mid-range.
+     * @param {object} params - Flower params.
+     * @returns {{rootHz: number, filterHz: number, bpm: number}} Drone root, filter cutoff and chime tempo.
      */
-    easeInOutCubic: (t) => {
-        return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+    static deriveState(params) {
+        const config = AppConfig.GENERATIVE_AUDIO;
+        const definitions = Utils.getParamDefinitions();
+        const normalize = (param) => {
+            const def = definitions.find(d => d.param === param);
+            const value = Number(params[param]);
+            if (!def || !Number.isFinite(value)) return 0.5;
+            return Math.min(1, Math.max(0, (value - def.min) / (def.max - def.min)));
+        };
+        const rotation = definitions.find(d => d.param === 'rotationSpeed');
+        const speed = rotation && Number.isFinite(Number(params.rotationSpeed))
+            ? Math.min(1, Math.abs(params.rotationSpeed) / Math.max(Math.abs(rotation.min), Math.abs(rotation.max))) : 0.5;
+        const step = Math.round(normalize('density') * (config.SCALE.length - 1));
+        return {
+            rootHz: config.ROOT_HZ * Math.pow(2, config.SCALE[step] / 12),
+            filterHz: config.FILTER_MIN_HZ * Math.pow(config.FILTER_MAX_HZ / config.FILTER_MIN_HZ, normalize('opening')),
+            bpm: config.TEMPO_MIN_BPM + (config.TEMPO_MAX_BPM - config.TEMPO_MIN_BPM) * speed,
+        };
     }
-};
-Object.freeze(Utils); // Make the Utils object immutable.
 
-// PART 5: Application Configuration
-// ---------------------------------
-// Centralized configuration settings for the application.
+    /**
+     * Gives the frequency of a step of the scale, counting on through higher octaves.
+     * @param {number} rootHz - Frequency of step 0.
+     * @param {number} step - Scale step (0 or more).
+     * @returns {number} The frequency.
+     * @private
+     */
+    static _stepHz(rootHz, step) {
+        const scale = AppConfig.GENERATIVE_AUDIO.SCALE;
+        const semitones = scale[step % scale.length] + 12 * Math.floor(step / scale.length);
+        return rootHz * Math.pow(2, semitones / 12);
+    }
+
+    /** @returns {boolean} True while the drone and chimes play. */
+    isPlaying() {
+        return !!this.voices;
+    }
+
+    /**
+     * Starts the drone and chimes, fading them in.
+     * @param {object} params - Flower params to start from.
+     */
+    start(params) {
+        if (this.voices) return;
+        const config = AppConfig.GENERATIVE_AUDIO;
+        const ctx = this.context;
+        const now = ctx.currentTime;
+        this.state = GenerativeSoundtrack.deriveState(params);
+
+        const ambience = ctx.createGain();
+        ambience.gain.setValueAtTime(0, now);
+        ambience.gain.linearRampToValueAtTime(1, now + config.FADE_S);
+        ambience.connect(this.musicLevel);
+
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.Q.value = config.FILTER_Q;
+        filter.frequency.value = this.state.filterHz;
+        const droneGain = ctx.createGain();
+        droneGain.gain.value = config.DRONE_LEVEL;
+        droneGain.connect(filter);
+        filter.connect(ambience);
+
+        const ratios = [1, 1, 0.5];
+        const oscillators = ratios.map((ratio, index) => {
+            const oscillator = ctx.createOscillator();
+            oscillator.type = index < 2 ? 'sawtooth' : 'sine';
+            oscillator.frequency.value = this.state.rootHz * ratio;
+            if (index < 2) oscillator.detune.value = (index === 0 ? -1 : 1) * config.DRONE_DETUNE_CENTS;
+            const level = ctx.createGain();
+            level.gain.value = index < 2 ? 0.5 : 1;
+            oscillator.connect(level);
+            level.connect(droneGain);
+            oscillator.start(now);
+            return oscillator;
+        });
+
+        // Chimes ring through a feedback delay for a sense of space.
+        const chimeBus = ctx.createGain();
+        chimeBus.gain.value = config.CHIME_LEVEL;
+        const delay = ctx.createDelay(1);
+        delay.delayTime.value = config.ECHO_DELAY_S;
+        const echo = ctx.createGain();
+        echo.gain.value = config.ECHO_FEEDBACK;
+        chimeBus.connect(ambience);
+        chimeBus.connect(delay);
+        delay.connect(echo);
+        echo.connect(delay);
+        echo.connect(ambience);
+
+        this.voices = { ambience, oscillators, ratios, filter, chimeBus };
+        this.nextChimeTime = now + 60 / this.state.bpm;
+    }
+
+    /**
+     * Fades the drone and chimes out and releases their nodes.
+     */
+    stop() {
+        if (!this.voices) return;
+        const { ambience, oscillators } = this.voices;
+        const now = this.context.currentTime;
+        const end = now + AppConfig.GENERATIVE_AUDIO.FADE_S;
+        ambience.gain.cancelScheduledValues(now);
+        ambience.gain.setValueAtTime(ambience.gain.value, now);
+        ambience.gain.linearRampToValueAtTime(0, end);
+        oscillators.forEach(oscillator => oscillator.stop(end));
+        oscillators[0].onended = () => ambience.disconnect(); // Lets the rest of the graph be collected.
+        this.voices = null;
+    }
+
+    /**
+     * Silences or restores the soundtrack and the slider feedback, following the mute button.
+     * @param {boolean} muted - Whether to silence them.
+     */
+    setMuted(muted) {
+        const now = this.context.currentTime;
+        this.output.gain.cancelScheduledValues(now);
+        this.output.gain.setTargetAtTime(muted ? 0 : 1, now, 0.05);
+    }
+
+    /**
+     * Applies the music volume to the drone and chimes and the effects volume to the slider feedback.
+     * @param {{music: number, effects: number}} volumes - Volumes (0-1), as in `AudioManager.volumes`.
+     */
+    setVolumes(volumes) {
+        this.musicLevel.gain.setTargetAtTime(volumes.music, this.context.currentTime, 0.05);
+        this.effectsVolume = volumes.effects;
+    }
+
+    /**
+     * Glides the drone towards the params and schedules the chimes due soon. Called every frame while playing.
+     * @param {object} params - The flower params to follow.
+     */
+    update(params) {
+        if (!this.voices) return;
+        const config = AppConfig.GENERATIVE_AUDIO;
+        const now = this.context.currentTime;
+        const state = GenerativeSoundtrack.deriveState(params);
+        const { oscillators, ratios, filter } = this.voices;
+        if (state.rootHz !== this.state.rootHz) {
+            oscillators.forEach((oscillator, index) => oscillator.frequency.setTargetAtTime(state.rootHz * ratios[index], now, config.GLIDE_S));
+        }
+        if (state.filterHz !== this.state.filterHz) filter.frequency.setTargetAtTime(state.filterHz, now, config.GLIDE_S);
+        this.state = state;
+
+        // After a stall (e.g. a hidden tab) pick the beat up from now rather than playing the missed ones.
+        if (this.nextChimeTime < now) this.nextChimeTime = now;
+        while (this.nextChimeTime < now + config.SCHEDULE_AHEAD_S) {
+            if (Math.random() < config.CHIME_PROBABILITY) this._playChime(this.nextChimeTime);
+            this.nextChimeTime += 60 / state.bpm;
+        }
+    }
+
+    /**
+     * Plays a short note pitched by a slider's position, at most every `FEEDBACK_MIN_INTERVAL_MS`.
+     * The note is on the soundtrack's scale and root, so it fits in with the drone.
+     * @param {number} position - The slider's position in its range (0-1).
+     */
+    playFeedback(position) {
+        const config = AppConfig.GENERATIVE_AUDIO;
+        const now = this.context.currentTime;
+        if (now - this.lastFeedbackTime < config.FEEDBACK_MIN_INTERVAL_MS / 1000) return;
+        this.lastFeedbackTime = now;
+        const steps = config.SCALE.length * config.FEEDBACK_OCTAVES;
+        const step = Math.round(Math.min(1, Math.max(0, position)) * steps);
+        const frequency = GenerativeSoundtrack._stepHz(this.state.rootHz * Math.pow(2, config.FEEDBACK_OCTAVE), step);
+        if (this.effectsVolume <= 0) return; // An exponential envelope can't peak at 0.
+        this._playTone(frequency, now, config.FEEDBACK_LEVEL * this.effectsVolume, config.FEEDBACK_DECAY_S, this.output, 'triangle');
+    }
+
+    /**
+     * Plays a bell-like chime on a random scale step other than the previous one.
+     * @param {number} time - Audio clock time to play it at.
+     * @private
+     */
+    _playChime(time) {
+        const config = AppConfig.GENERATIVE_AUDIO;
+        const steps = config.SCALE.length * 2;
+        let step = Math.floor(Math.random() * steps);
+        if (step === this.lastChimeStep) step = (step + 1 + Math.floor(Math.random() * (steps - 1))) % steps;
+        this.lastChimeStep = step;
+        const frequency = GenerativeSoundtrack._stepHz(this.state.rootHz * Math.pow(2, config.CHIME_OCTAVE), step);
+        const level = 0.6 + Math.random() * 0.4;
+        this._playTone(frequency, time, level, config.CHIME_DECAY_S, this.voices.chimeBus);
+        this._playTone(frequency * 2.76, time, level * 0.3, config.CHIME_DECAY_S * 0.4, this.voices.chimeBus); // Inharmonic partial.
+    }
+
+    /**
+     * Plays a tone with a quick attack and an exponential decay, releasing its nodes when it ends.
+     * @param {number} frequency - Pitch in Hz.
+     * @param {number} time - Audio clock time to start at.
+     * @param {number} level - Peak level.
+     * @param {number} decay - Time to fade out.
+     * @param {AudioNode} destination - Node to play into.
+     * @param {OscillatorType} [type='sine'] - Oscillator waveform.
+     * @private
+     */
+    _playTone(frequency, time, level, decay, destination, type = 'sine') {
+        const oscillator = this.context.createOscillator();
+        oscillator.type = type;
+        oscillator.frequency.value = frequency;
+        const envelope = this.context.createGain();
+        envelope.gain.setValueAtTime(0.0001, time);
+        envelope.gain.exponentialRampToValueAtTime(level, time + 0.005);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, time + decay);
+        oscillator.connect(envelope);
+        envelope.connect(destination);
+        oscillator.start(time);
+        oscillator.stop(time + decay + 0.05);
+        oscillator.onended = () => envelope.disconnect();
+    }
+}
+
+// PART 27: EmbedBridge Class
+// ---------------------------
+// Lets a page embedding the experience in an iframe control it with `window.postMessage` and hear about its state.
 
 /**
- * @namespace AppConfig
- * Static configuration object for the application.
- * Contains settings for p5.js canvas, flower geometry, colors,
- * initial parameters, auto-animation, popup text, audio files, and slider definitions.
- * All properties are frozen to prevent accidental modification.
+ * @typedef {object} EmbedState
+ * @property {object} params - The edited flower's params.
+ * @property {string} shape - Name of its petal shape model.
+ * @property {'light'|'dark'} theme - The active theme.
+ * @property {boolean} autoAnimate - Whether auto-animation is on.
+ * @property {boolean} infoOpen - Whether the info popup is open.
  */
-const AppConfig = {
-    /** @type {string} ID of the HTML element that will contain the p5.js canvas. */
-    P5_CANVAS_ID: 'canvas-container',
+
+/**
+ * @class EmbedBridge
+ * @description The postMessage protocol between an experience running in an iframe and the host page (`window.parent`).
+ * Messages are plain objects whose `type` starts with `flower:`. Messages from any other window, or from an origin
+ * not in the allow-list, are ignored; the embed's own origin is always allowed and '*' allows every origin.
+ *
+ * Host to embed (an optional `requestId` is echoed in the reply):
+ * - `{ type: 'flower:setParams', params: { opening: 1.1, ... } }` - Applies params. Names must be flower params (see
+ *   `Utils.getParamDefinitions`) and values finite numbers, else the whole message is rejected; values are clamped to the slider range.
+ * - `{ type: 'flower:toggleTheme' }` - Switches between the light and dark theme.
+ * - `{ type: 'flower:setAutoAnimate', enabled: true }` - Turns auto-animation on or off; toggles it without `enabled`.
+ * - `{ type: 'flower:exportImage', width?, height?, format?, transparent? }` - Downloads a still image (default: canvas size, PNG),
+ *   replying `flower:exported` once saved.
+ * - `{ type: 'flower:openInfo' }`, `{ type: 'flower:closeInfo' }` - Opens or closes the info popup.
+ * - `{ type: 'flower:getState' }` - Replies `flower:state`.
+ *
+ * Theme, info and export commands are rejected when the experience was created without the controls they need.
+ *
+ * Embed to host (`state` is an `EmbedState`):
+ * - `{ type: 'flower:ready', version, state }` - Sent once when the experience has started.
+ * - `{ type: 'flower:stateChange', state }` - Sent whenever the state differs from the last one sent (checked periodically).
+ * - `{ type: 'flower:state', requestId, state }` - Reply to every accepted command.
+ * - `{ type: 'flower:error', requestId, message }` - Reply to a rejected command.
+ *
+ * Replies go to the origin of the request; `ready` and `stateChange` to each allowed origin.
+ */
+class EmbedBridge {
     /**
-     * @type {object} Configuration for the Flower's geometry and rendering.
-     * @property {number} cols - Number of columns (segments around the flower's circumference).
-     * @property {number} rows - Number of rows (segments from center to edge of petals).
-     * @property {number} flowerSize - Base size of the flower.
-     * @property {number} alphaValue - Alpha transparency for the flower's fill color (0-255).
-     * @property {number} frameRate - Target frame rate for the p5.js sketch.
+     * Creates an instance of EmbedBridge, starts listening for messages and announces the experience to the host.
+     * @param {FlowerExperience} experience - The experience to control; its `setup` must have run.
+     * @param {string[]} allowedOrigins - Origins of the host pages allowed to control it, e.g. 'https://example.com'.
      */
-    FLOWER_CONFIG: {
-        cols: 80,
-        rows: 6,
-        flowerSize: 200,
-        alphaValue: 247,
-        frameRate: 30,
-    },
-    /** @type {number} Factor affecting the angular spread of petals. */
-    THETA_DELTA_FACTOR: 15,
-    /** @type {number} Factor affecting the radial spread of petal segments. */
-    RADIUS_DELTA_FACTOR: 1,
-    /** @type {string[]} Array of HEX color strings for the flower's color palette. */
-    COLOR_SCHEME: ["#FFD200", "#FF7192", "#FF0066"],
-    /** @type {string} Background color for the light theme (HEX). */
-    COLOR_SCHEME_LIGHT_BG: '#F5F5F5',
-    /** @type {string} Background color for the dark theme (HEX). */
-    COLOR_SCHEME_DARK_BG: '#0F0F0F',
+    constructor(experience, allowedOrigins) {
+        /** @type {FlowerExperience} The controlled experience. */
+        this.experience = experience;
+        /** @type {string[]} Origins allowed to send commands and receive events. */
+        this.allowedOrigins = [...new Set([window.location.origin, ...allowedOrigins])];
+        /** @type {string} The last state sent, serialized, used to skip redundant events. */
+        this.lastState = '';
+        /** @type {number|null} ID of the interval that checks for state changes. */
+        this.syncIntervalId = null;
+        /** @type {function(MessageEvent): void} The message listener, kept so `destroy` can remove it. */
+        this.messageListener = (event) => this._handleMessage(event);
+
+        window.addEventListener('message', this.messageListener);
+        this.lastState = JSON.stringify(this.getState());
+        this._broadcast({ type: 'flower:ready', version: EmbedBridge.PROTOCOL_VERSION, state: this.getState() });
+        this.syncIntervalId = setInterval(() => this._sendStateChange(), AppConfig.TIMEOUT_DELAYS.EMBED_STATE_SYNC);
+    }
+
     /**
-     * @type {object} Initial parameter values for the flower.
-     * @property {number} opening - Controls the overall openness of the flower.
-     * @property {number} density - Controls the vertical density/tightness of petals.
-     * @property {number} align - Affects petal alignment and overlap.
-     * @property {number} curve1 - Primary curvature factor for petals.
-     * @property {number} curve2 - Secondary curvature factor for petals.
-     * @property {number} rotationSpeed - Initial auto-rotation speed of the flower.
+     * Describes the current state as sent to the host.
+     * @returns {EmbedState} The state.
      */
-    INITIAL_PARAMS: {
-        opening: 0.8,
-        density: 5.5,
-        align: 3.2,
-        curve1: -0.7,
-        curve2: 0.9,
-        rotationSpeed: 0.01
-    },
+    getState() {
+        const uiManager = this.experience.uiManager;
+        return {
+            params: this.experience.getParams(),
+            shape: uiManager.flower.shapeModel.name,
+            theme: uiManager.getTheme(),
+            autoAnimate: uiManager.isAutoAnimating,
+            infoOpen: !!uiManager.dom.infoPopup && uiManager.dom.infoPopup.getAttribute('aria-hidden') === 'false',
+        };
+    }
+
     /**
-     * @type {object} Configuration for auto-animation of flower parameters.
-     * @property {number} LERP_FACTOR - Interpolation factor for smooth transitions in auto-animation.
-     * @property {number} PERLIN_OFFSET_MULTIPLIER - Offset for Perlin noise to differentiate parameter animations.
-     * @property {number} PERLIN_NOISE_SPEED - Speed at which Perlin noise evolves over time.
+     * Stops listening for messages and sending state changes.
      */
-    AUTO_ANIMATION: {
-        LERP_FACTOR: 0.02,
-        PERLIN_OFFSET_MULTIPLIER: 20,
-        PERLIN_NOISE_SPEED: 0.003,
-    },
+    destroy() {
+        window.removeEventListener('message', this.messageListener);
+        clearInterval(this.syncIntervalId);
+        this.syncIntervalId = null;
+    }
+
     /**
-     * @type {object} Text content for the information popup.
-     * Includes titles, headings, quotes, paragraphs, and credits.
+     * Validates a message from the host and runs its command, replying with the new state or an error.
+     * @param {MessageEvent} event - The message event.
+     * @private
      */
-    POPUP_TEXTS: {
-        INITIAL_TITLE: "The Better Way Forward.",
-        SECONDARY_HEADING: "Peace, Justice, Strong Institutions",
-        SECONDARY_SUBHEADING: "SDG Goal 16",
-        QUOTE: "'Peace is not just the absence of conflict, peace is the creation of an environment where all can flourish, regardless of race, colour, creed, religion, gender, class, caste, or any other social markers of difference.'",
-        ATTRIBUTION: "Global Convention on Peace and Nonviolence in New Delhi, India, on January 31, 2004.",
-        ADDITIONAL_PARAGRAPH: "Nelson Mandela's quote aligns strongly with Sustainable Development Goal 16, which promotes peace, justice, and strong institutions. True peace is not just the absence of conflict, but the presence of fairness, inclusion, and human dignity. Lasting peace is built on justice and upheld through trust and responsibility.",
-        CALL_TO_ACTION: "Let’s commit to societies where everyone can thrive, ensuring lasting peace!",
-        CREDITS_GROUP_1_TITLE: "(BuBiehkslulu)",
-        CREDITS_GROUP_1_LIST: ["Le Mac Thien Phuc", "Pham Minh Trang", "Tran Huy Toan"],
-        CREDITS_GROUP_2_TITLE: "(Software Used)",
-        CREDITS_GROUP_2_LIST: ["Visual Studio", "Adobe Photoshop", "Adobe After Effect"],
-        CREDITS_GROUP_3_TITLE: "(Software Used)", // Note: Duplicated group title in original, might be intended for different categories or a typo.
-        CREDITS_GROUP_3_LIST: ["Visual Studio", "Adobe Photoshop", "Adobe After Effect", "Adobe Illustrator", "Garage Band", "FL Studio", "BandLab"],
-        CREDITS_COPYRIGHT: "BuBiehkslulu © 2025. All Right Reserved."
-    },
+    async _handleMessage(event) {
+        const data = event.data;
+        if (event.source !== window.parent || !data || typeof data !== 'object' || typeof data.type !== 'string' || !data.type.startsWith('flower:')) return;
+        if (!this._isAllowed(event.origin)) {
+            console.warn(`Ignored a ${data.type} message from ${event.origin}, which is not an allowed embedding origin.`);
+            return;
+        }
+        const requestId = data.requestId;
+        try {
+            const command = EmbedBridge.COMMANDS[data.type];
+            if (!command) throw new Error(`Unknown message type "${data.type}".`);
+            const reply = await command.call(this, data);
+            this._post({ type: 'flower:state', ...reply, requestId, state: this.getState() }, event.origin);
+        } catch (e) {
+            this._post({ type: 'flower:error', requestId, message: e.message }, event.origin);
+        }
+    }
+
     /**
-     * @type {object} IDs for HTML audio elements.
-     * @property {string} BACKGROUND_MUSIC_ID - ID of the background music <audio> tag.
-     * @property {string} CLICK_SOUND_ID - ID of the click sound <audio> tag.
+     * Applies params from the host after checking every name and value.
+     * @param {object} params - Params by name.
+     * @throws {Error} If `params` is not an object or holds unknown names or non-numeric values.
+     * @private
      */
-    AUDIO_FILES: {
-        BACKGROUND_MUSIC_ID: 'backgroundMusic',
-        CLICK_SOUND_ID: 'clickSound'
+    _setParams(params) {
+        if (!params || typeof params !== 'object' || Array.isArray(params)) throw new Error("'params' must be an object.");
+        const definitions = Utils.getParamDefinitions();
+        const unknown = Object.keys(params).filter(name => !definitions.some(def => def.param === name));
+        if (unknown.length) throw new Error(`Unknown params: ${unknown.join(', ')}.`);
+        const invalid = Object.keys(params).filter(name => typeof params[name] !== 'number' || !Number.isFinite(params[name]));
+        if (invalid.length) throw new Error(`Params must be finite numbers: ${invalid.join(', ')}.`);
+        this.experience.setParams(params);
+    }
+
+    /**
+     * Checks that the experience has a control a command relies on; without it (e.g. an embed created without
+     * `controls`) the command would silently do nothing.
+     * @param {HTMLElement|null} element - The control's element.
+     * @param {string} feature - What the command needs, for the error message.
+     * @throws {Error} If the element is missing.
+     * @private
+     */
+    _requireControl(element, feature) {
+        if (!element) throw new Error(`${feature} is not available in this embed.`);
+    }
+
+    /**
+     * Exports a still image as requested by the host.
+     * @param {{width?: number, height?: number, format?: string, transparent?: boolean}} data - The message.
+     * @returns {Promise<{type: string}>} Marks the reply as `flower:exported`.
+     * @throws {Error} If the experience has no still exporter or the export fails.
+     * @private
+     */
+    async _exportImage(data) {
+        const { stillExporter, p } = this.experience;
+        this._requireControl(stillExporter, "Image export");
+        if (data.format !== undefined && !AppConfig.STILL_EXPORT.FORMATS.some(f => f.mime === data.format)) {
+            throw new Error(`Unsupported format "${data.format}". Supported: ${AppConfig.STILL_EXPORT.FORMATS.map(f => f.mime).join(', ')}.`);
+        }
+        await stillExporter.exportStill({
+            width: data.width === undefined ? p.width : Math.round(Number(data.width)),
+            height: data.height === undefined ? p.height : Math.round(Number(data.height)),
+            format: data.format,
+            transparent: !!data.transparent,
+        });
+        return { type: 'flower:exported' };
+    }
+
+    /**
+     * Sends the state to the host if it changed since it was last sent.
+     * @private
+     */
+    _sendStateChange() {
+        const state = this.getState();
+        const serialized = JSON.stringify(state);
+        if (serialized === this.lastState) return;
+        this.lastState = serialized;
+        this._broadcast({ type: 'flower:stateChange', state });
+    }
+
+    /**
+     * @param {string} origin - Origin of a message.
+     * @returns {boolean} Whether that origin may control the experience.
+     * @private
+     */
+    _isAllowed(origin) {
+        return this.allowedOrigins.includes('*') || this.allowedOrigins.includes(origin);
+    }
+
+    /**
+     * Sends a message to the host, delivered only if the host page has the given origin.
+     * @param {object} message - The message.
+     * @param {string} targetOrigin - The origin, or '*'.
+     * @private
+     */
+    _post(message, targetOrigin) {
+        window.parent.postMessage(message, targetOrigin);
+    }
+
+    /**
+     * Sends a message to the host, whichever of the allowed origins it has.
+     * @param {object} message - The message.
+     * @private
+     */
+    _broadcast(message) {
+        if (this.allowedOrigins.includes('*')) this._post(message, '*');
+        else this.allowedOrigins.forEach(origin => this._post(message, origin));
+    }
+}
+
+/** @type {number} Version of the message protocol, sent with `flower:ready`. */
+EmbedBridge.PROTOCOL_VERSION = 1;
+/**
+ * @type {Object<string, function(object): (object|void|Promise<object|void>)>} Commands by message type, called with the bridge as `this`.
+ * What they return is merged into the reply (e.g. to change its type).
+ */
+EmbedBridge.COMMANDS = Object.freeze({
+    'flower:setParams': function (data) { this._setParams(data.params); },
+    'flower:toggleTheme': function () {
+        const uiManager = this.experience.uiManager;
+        this._requireControl(uiManager.dom.themeToggleBtn, "The theme toggle");
+        uiManager.toggleTheme();
+    },
+    'flower:setAutoAnimate': function (data) {
+        const uiManager = this.experience.uiManager;
+        uiManager.setAutoAnimating(typeof data.enabled === 'boolean' ? data.enabled : !uiManager.isAutoAnimating);
+    },
+    'flower:exportImage': function (data) { return this._exportImage(data); },
+    'flower:openInfo': function () {
+        const uiManager = this.experience.uiManager;
+        this._requireControl(uiManager.dom.infoPopup && uiManager.dom.infoPopupContentWrapper, "The info popup");
+        uiManager.showInfoPopup();
     },
+    'flower:closeInfo': function () {
+        const uiManager = this.experience.uiManager;
+        this._requireControl(uiManager.dom.infoPopup, "The info popup");
+        uiManager.hideInfoPopup();
+    },
+    'flower:getState': function () {},
+});
+
+// PART 28: DisplaySync Class
+// ---------------------------
+// Keeps the flower in lockstep across several windows of the same browser (e.g. an installation spanning screens).
+
+/**
+ * @typedef {object} DisplaySyncOptions
+ * @property {string} room - Windows in the same room are synchronized (they share a BroadcastChannel).
+ * @property {number} [cameraAngle=0] - Degrees this window's camera is turned around the vertical axis, for a different view.
+ */
+
+/**
+ * @class DisplaySync
+ * @description Synchronizes the windows of a room over a `BroadcastChannel`. The window that joined first is the leader:
+ * every frame it sends the edited flower's `currentParams` and shape, its `rotationAngle`, the auto-animation state and time
+ * (`UIManager.animationTime`) and the theme. The followers render that state instead of animating themselves.
+ * Every window sends a heartbeat; when the leader's stops (or it says goodbye on closing), the window that joined next
+ * takes over from the last state it received. All windows seed the noise alike, so the auto-animation carries on seamlessly.
+ */
+class DisplaySync {
+    /**
+     * Creates an instance of DisplaySync, joins the room and turns the camera by the configured angle.
+     * @param {FlowerExperience} experience - The experience to synchronize; its `setup` must have run.
+     * @param {DisplaySyncOptions} options - Room and camera angle.
+     */
+    constructor(experience, options) {
+        /** @type {FlowerExperience} The synchronized experience. */
+        this.experience = experience;
+        /** @type {string} Unique ID of this window. */
+        this.id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        /** @type {number} When this window joined (Date.now() based); the earliest window leads. */
+        this.joinedAt = Date.now();
+        /** @type {Map<string, {joinedAt: number, lastSeen: number}>} Other windows of the room, by ID. */
+        this.peers = new Map();
+        /** @type {boolean} Whether this window leads the room. */
+        this.isLeader = true;
+        /** @type {string} ID of the leading window. */
+        this.leaderId = this.id;
+        /** @type {object|null} The last state received from the leader, applied on the next frame. */
+        this.leaderState = null;
+        /** @type {BroadcastChannel} The room's channel. */
+        this.channel = new BroadcastChannel(`${AppConfig.DISPLAY_SYNC.CHANNEL_PREFIX}${options.room}`);
+        /** @type {number|null} ID of the heartbeat interval. */
+        this.heartbeatIntervalId = null;
+        /** @type {function(): void} Says goodbye when the window closes, kept so `destroy` can remove it. */
+        this.pageHideListener = () => this._send({ kind: 'bye' });
+
+        this.experience.p.noiseSeed(AppConfig.DISPLAY_SYNC.NOISE_SEED);
+        this._turnCamera(Number(options.cameraAngle) || 0);
+        this.channel.onmessage = (event) => this._handleMessage(event.data);
+        window.addEventListener('pagehide', this.pageHideListener);
+        this._send({ kind: 'hello' });
+        this.heartbeatIntervalId = setInterval(() => {
+            this._send({ kind: 'heartbeat' });
+            this._electLeader();
+        }, AppConfig.DISPLAY_SYNC.HEARTBEAT_INTERVAL);
+    }
+
+    /**
+     * Reads the sync options from the page URL, e.g. `?sync=lobby&syncAngle=90` (a bare `?sync` joins the default room).
+     * @param {string} search - The URL's query string.
+     * @returns {DisplaySyncOptions|null} The options, or null if the page is not synchronized.
+     */
+    static optionsFromQuery(search) {
+        const query = new URLSearchParams(search);
+        if (!query.has(AppConfig.DISPLAY_SYNC.QUERY_PARAM)) return null;
+        return {
+            room: query.get(AppConfig.DISPLAY_SYNC.QUERY_PARAM) || AppConfig.DISPLAY_SYNC.DEFAULT_ROOM,
+            cameraAngle: Number(query.get(AppConfig.DISPLAY_SYNC.ANGLE_QUERY_PARAM)) || 0,
+        };
+    }
+
+    /**
+     * Sends the frame's state to the followers. Called from `draw()` before the flowers are displayed; does nothing on followers.
+     */
+    publish() {
+        if (!this.isLeader || !this.peers.size) return;
+        const uiManager = this.experience.uiManager;
+        this._send({
+            kind: 'state',
+            state: {
+                params: uiManager.currentParams,
+                shape: uiManager.flower.shapeModel.name,
+                rotationAngle: uiManager.flower.rotationAngle,
+                autoAnimate: uiManager.isAutoAnimating,
+                animationTime: uiManager.animationTime,
+                theme: uiManager.getTheme(),
+            },
+        });
+    }
+
+    /**
+     * Shows the leader's last state. Called from `draw()` on followers in place of the animations.
+     */
+    applyLeaderState() {
+        const state = this.leaderState;
+        if (!state) return;
+        const uiManager = this.experience.uiManager;
+        if (state.shape !== uiManager.flower.shapeModel.name) uiManager.setShapeModel(state.shape);
+        if (state.autoAnimate !== uiManager.isAutoAnimating) uiManager.setAutoAnimating(state.autoAnimate);
+        if (state.theme !== uiManager.getTheme()) uiManager.setTheme(state.theme);
+        uiManager.animationTime = state.animationTime;
+        uiManager.applyFrameParams(state.params);
+        uiManager.flower.rotationAngle = state.rotationAngle;
+    }
+
+    /**
+     * Leaves the room.
+     */
+    destroy() {
+        this._send({ kind: 'bye' });
+        clearInterval(this.heartbeatIntervalId);
+        this.heartbeatIntervalId = null;
+        window.removeEventListener('pagehide', this.pageHideListener);
+        this.channel.close();
+    }
+
+    /**
+     * Tracks the other windows and keeps the latest leader state.
+     * @param {{kind: string, id: string, joinedAt: number, state?: object}} message - A message from another window.
+     * @private
+     */
+    _handleMessage(message) {
+        if (!message || typeof message.id !== 'string' || message.id === this.id) return;
+        if (message.kind === 'bye') {
+            this.peers.delete(message.id);
+            this._electLeader();
+            return;
+        }
+        const isNewPeer = !this.peers.has(message.id);
+        this.peers.set(message.id, { joinedAt: Number(message.joinedAt) || 0, lastSeen: Date.now() });
+        if (isNewPeer) {
+            this._electLeader();
+            if (message.kind === 'hello') this._send({ kind: 'heartbeat' }); // Let the newcomer find the leader right away.
+        }
+        if (message.kind === 'state' && !this.isLeader && message.id === this.leaderId) this.leaderState = message.state;
+    }
+
+    /**
+     * Forgets windows whose heartbeat stopped and picks the earliest remaining one (by ID on ties) as the leader.
+     * @private
+     */
+    _electLeader() {
+        const now = Date.now();
+        this.peers.forEach((peer, id) => {
+            if (now - peer.lastSeen > AppConfig.DISPLAY_SYNC.LEADER_TIMEOUT) this.peers.delete(id);
+        });
+        let leader = { id: this.id, joinedAt: this.joinedAt };
+        this.peers.forEach((peer, id) => {
+            if (peer.joinedAt < leader.joinedAt || (peer.joinedAt === leader.joinedAt && id < leader.id)) leader = { id, joinedAt: peer.joinedAt };
+        });
+        this.leaderId = leader.id;
+        const wasLeader = this.isLeader;
+        this.isLeader = leader.id === this.id;
+        if (this.isLeader !== wasLeader) console.log(`Display sync: this window is now ${this.isLeader ? 'the leader' : 'a follower'}.`);
+    }
+
     /**
-     * @type {Array<object>} Definitions for UI sliders controlling flower parameters.
-     * Each object defines `param` (key in `INITIAL_PARAMS`), `label` for UI, `min`, `max`, `step` for slider,
-     * and `decimals` for display formatting.
+     * Turns the camera around the vertical axis through its center.
+     * @param {number} degrees - The angle.
+     * @private
      */
-    SLIDER_DEFINITIONS: [
-        { param: 'opening', label: 'Flower Opening:', min: 0.5, max: 1.3, step: 0.01, decimals: 2 },
-        { param: 'density', label: 'Vertical Density:', min: 1, max: 20, step: 0.1, decimals: 1 },
-        { param: 'align', label: 'Petal Alignment:', min: 0, max: 6, step: 0.01, decimals: 2 },
-        { param: 'curve1', label: 'Primary Curves:', min: -0.7, max: 2.1, step: 0.05, decimals: 2 },
-        { param: 'curve2', label: 'Secondary Curves:', min: 0.0, max: 1.5, step: 0.01, decimals: 2 },
-        { param: 'rotationSpeed', label: 'Auto-Rotate Speed:', min: -0.5, max: 0.5, step: 0.01, decimals: 2 }
-    ],
-    /** @type {object} Placeholder for timeout delay configurations, currently empty. */
-    TIMEOUT_DELAYS: {}
-};
+    _turnCamera(degrees) {
+        if (!degrees) return;
+        const [ex, ey, ez, cx, cy, cz, ux, uy, uz] = Utils.getCameraPose(this.experience.camera);
+        const angle = degrees * Math.PI / 180;
+        const cosA = Math.cos(angle), sinA = Math.sin(angle);
+        const dx = ex - cx, dz = ez - cz;
+        Utils.applyCameraPose(this.experience.camera, [cx + dx * cosA + dz * sinA, ey, cz - dx * sinA + dz * cosA, cx, cy, cz, ux, uy, uz]);
+    }
 
-// Deep freeze the AppConfig object to make it truly immutable.
-Object.freeze(AppConfig);
-Object.freeze(AppConfig.FLOWER_CONFIG);
-Object.freeze(AppConfig.INITIAL_PARAMS);
-Object.freeze(AppConfig.AUTO_ANIMATION);
-Object.freeze(AppConfig.POPUP_TEXTS);
-Object.freeze(AppConfig.AUDIO_FILES);
-AppConfig.SLIDER_DEFINITIONS.forEach(Object.freeze); // Freeze each slider definition object
-Object.freeze(AppConfig.SLIDER_DEFINITIONS); // Freeze the array itself
-Object.freeze(AppConfig.TIMEOUT_DELAYS);
+    /**
+     * Posts a message to the other windows of the room.
+     * @param {object} message - The message; this window's ID and join time are added.
+     * @private
+     */
+    _send(message) {
+        this.channel.postMessage({ ...message, id: this.id, joinedAt: this.joinedAt });
+    }
+}
 
+// PART 29: ControlSurface Class
+// ------------------------------
+// Lets live performance tools (MIDI bridges, show software) drive the flower params over a local WebSocket.
 
-// PART 6: Flower Class
-// --------------------
-// Defines the 3D flower, its geometry, appearance, and animation logic.
+/**
+ * @typedef {object} ControlSurfaceOptions
+ * @property {string} url - WebSocket endpoint to connect to, e.g. 'ws://localhost:8080' (see tools/control-relay.js).
+ */
 
 /**
- * @class Flower
- * Represents the 3D flower visualization.
- * Handles geometry generation, coloring, rendering, and parameter-driven transformations.
+ * @class ControlSurface
+ * @description A WebSocket client speaking OSC-style text messages: one message per line, an address followed by
+ * space-separated arguments. `/flower/<param> <value>` (e.g. `/flower/opening 0.9`) sets a flower param, clamped to its slider
+ * range; every param of `Utils.getParamDefinitions` has an address. `/flower/sync` asks for all current values.
+ * Param changes made here (sliders, presets, animation) are published back in the same form, only for the params that changed.
+ * The client reconnects after the connection drops.
  */
-class Flower {
+class ControlSurface {
     /**
-     * Creates an instance of Flower.
-     * @param {p5} p - The p5.js instance.
-     * @param {object} config - Configuration object for flower properties (cols, rows, size, etc.).
-     * @param {object} initialParams - Initial parameters controlling the flower's shape.
-     * @param {string[]} colorScheme - Array of HEX color strings for the flower's palette.
+     * Creates an instance of ControlSurface and connects to the endpoint.
+     * @param {FlowerExperience} experience - The experience to control; its `setup` must have run.
+     * @param {ControlSurfaceOptions} options - The endpoint.
      */
-    constructor(p, config, initialParams, colorScheme) {
-        /** @type {p5} The p5.js instance. */
-        this.p = p;
-        /** @type {object} Configuration settings for the flower, copied from AppConfig. */
-        this.config = { ...config };
-        /** @type {object} Current parameters determining the flower's shape and behavior. */
-        this.params = { ...initialParams };
-        /** @type {string[]} Original HEX color scheme. */
-        this.colorScheme = [...colorScheme];
-        /** @type {Array<object>} Array of face objects, each defining a triangle with vertices and color. */
-        this.faces = [];
-        /** @type {number} Current rotation angle around the Y-axis. */
-        this.rotationAngle = 0;
+    constructor(experience, options) {
+        /** @type {FlowerExperience} The controlled experience. */
+        this.experience = experience;
+        /** @type {string} The WebSocket endpoint. */
+        this.url = options.url;
+        /** @type {WebSocket|null} The open (or opening) connection. */
+        this.socket = null;
+        /** @type {object} Param values last sent or received, used to publish only what changed. */
+        this.lastValues = {};
+        /** @type {number|null} ID of the timeout that reconnects after the connection dropped. */
+        this.reconnectTimeoutId = null;
+        /** @type {boolean} Set once `destroy` has run, so the connection is not reopened. */
+        this.destroyed = false;
+        /** @type {function(): void} Removes the 'change' handler publishing param changes. */
+        this.removeChangeHandler = experience.on('change', params => this._publish(params));
 
-        /** @type {number} Angular step between columns of vertices (in degrees). */
-        this.thetaDelta = (180 * AppConfig.THETA_DELTA_FACTOR) / this.config.cols;
-        /** @type {number} Radial step between rows of vertices. */
-        this.radiusDelta = AppConfig.RADIUS_DELTA_FACTOR / this.config.rows;
-        /** @type {number} Pre-calculated thetaDelta in radians for efficiency. */
-        this.precalculatedThetaDeltaRad = this.p.radians(this.thetaDelta);
+        this._connect();
+    }
 
-        /** @type {Array<{r: number, g: number, b: number}>} Processed color palette (RGB, 0-1 range). */
-        this.palette = this.colorScheme.map(hex => {
-            const rgb = Utils.hexToRgb(hex);
-            return { r: rgb.r / 255, g: rgb.g / 255, b: rgb.b / 255 }; // Normalized 0-1 for lerping.
-        });
+    /**
+     * Reads the endpoint from the page URL: `?control` uses `AppConfig.CONTROL_SURFACE.DEFAULT_URL`, `?control=ws://host:port` another one.
+     * @param {string} search - The URL's query string.
+     * @returns {ControlSurfaceOptions|null} The options, or null if no control surface is requested or the URL is not a WebSocket URL.
+     */
+    static optionsFromQuery(search) {
+        const query = new URLSearchParams(search);
+        if (!query.has(AppConfig.CONTROL_SURFACE.QUERY_PARAM)) return null;
+        const url = query.get(AppConfig.CONTROL_SURFACE.QUERY_PARAM) || AppConfig.CONTROL_SURFACE.DEFAULT_URL;
+        if (!/^wss?:\/\//i.test(url)) {
+            console.warn(`Control surface URL "${url}" ignored: it must start with ws:// or wss://.`);
+            return null;
+        }
+        return { url };
+    }
 
-        this.regenerateGeometry(); // Initial geometry generation.
+    /**
+     * Splits an OSC-style text message into its address and numeric arguments.
+     * @param {string} line - The message, e.g. '/flower/opening 0.9'.
+     * @returns {{address: string, args: number[]}|null} The parsed message, or null if it has no address or a non-numeric argument.
+     */
+    static parseMessage(line) {
+        const [address, ...rawArgs] = line.trim().split(/\s+/);
+        if (!address || !address.startsWith('/')) return null;
+        const args = rawArgs.map(Number);
+        if (!args.every(Number.isFinite)) return null;
+        return { address, args };
     }
 
     /**
-     * Updates the flower's parameters.
-     * If parameters affecting geometry (not 'rotationSpeed') change, it triggers regeneration.
-     * @param {object} newParams - An object containing new parameter values to apply.
+     * Closes the connection for good.
      */
-    updateParams(newParams) {
-        let needsRegeneration = false;
-        for (const key in newParams) {
-            if (this.params.hasOwnProperty(key) && this.params[key] !== newParams[key]) {
-                this.params[key] = newParams[key];
-                // If any parameter other than rotationSpeed changes, geometry needs to be recalculated.
-                if (key !== 'rotationSpeed') {
-                    needsRegeneration = true;
-                }
-            }
-        }
-        if (needsRegeneration) {
-            this.regenerateGeometry();
-        }
+    destroy() {
+        this.destroyed = true;
+        this.removeChangeHandler();
+        clearTimeout(this.reconnectTimeoutId);
+        if (this.socket) this.socket.close();
+        this.socket = null;
     }
 
     /**
-     * Calculates the phi angle (inclination from vertical) for a petal segment.
-     * This angle is influenced by the `opening` and `density` parameters.
-     * @param {number} thetaIdx - The column index (angular position).
-     * @returns {number} The calculated phi angle in degrees.
+     * Opens the connection and sends all current values once it is open.
      * @private
      */
-    _calculatePhi(thetaIdx) {
-        return (180 / this.params.opening) * this.p.exp(-thetaIdx * this.thetaDelta / (this.params.density * 180));
+    _connect() {
+        let socket;
+        try {
+            socket = new WebSocket(this.url);
+        } catch (e) {
+            console.warn(`Control surface could not connect to ${this.url}:`, e.message);
+            return;
+        }
+        this.socket = socket;
+        socket.addEventListener('open', () => {
+            console.log(`Control surface connected to ${this.url}.`);
+            this._sendAll();
+        });
+        socket.addEventListener('message', (event) => {
+            if (typeof event.data !== 'string') return; // Only text messages belong to the protocol.
+            event.data.split('\n').filter(line => line.trim()).forEach(line => this._handleLine(line));
+        });
+        socket.addEventListener('close', () => {
+            if (this.destroyed || socket !== this.socket) return;
+            this.socket = null;
+            this.reconnectTimeoutId = setTimeout(() => this._connect(), AppConfig.CONTROL_SURFACE.RECONNECT_DELAY);
+        });
     }
 
     /**
-     * Calculates a factor that shapes the petal's edge, creating a "cut" or profile.
-     * Influenced by the `align` parameter, it creates periodic variations.
-     * @param {number} thetaIdx - The column index (angular position).
-     * @returns {number} A shaping factor, typically between 0 and 1.
+     * Runs one incoming message.
+     * @param {string} line - The message.
      * @private
      */
-    _calculatePetalShape(thetaIdx) {
-        let petalProgress = (this.params.align * thetaIdx * this.thetaDelta % 360) / 180;
-        // Complex formula to create a specific petal edge shape.
-        return 1 - (0.5) * this.p.pow((1.25) * this.p.pow(1 - petalProgress, 2) - 0.25, 2);
+    _handleLine(line) {
+        const message = ControlSurface.parseMessage(line);
+        const prefix = AppConfig.CONTROL_SURFACE.ADDRESS_PREFIX;
+        if (!message || !message.address.startsWith(prefix)) {
+            console.warn("Control surface ignored a malformed message:", line);
+            return;
+        }
+        const name = message.address.slice(prefix.length);
+        if (name === 'sync') {
+            this._sendAll();
+            return;
+        }
+        const definition = Utils.getParamDefinitions().find(def => def.param === name);
+        if (!definition || message.args.length !== 1) {
+            console.warn("Control surface ignored an unknown address or wrong argument count:", line);
+            return;
+        }
+        const value = Math.min(definition.max, Math.max(definition.min, message.args[0]));
+        this.lastValues[name] = value; // Don't echo the value back.
+        this.experience.setParams({ [name]: value });
     }
 
     /**
-     * Calculates the "hang down" or curvature amount for a point on a petal.
-     * This is influenced by `curve1`, `curve2`, the normalized radius, and the phi angle.
-     * @param {number} normalizedRadius - The radius normalized to a 0-1 range.
-     * @param {number} phi - The phi angle (inclination) in degrees.
-     * @returns {number} The calculated curvature value.
+     * Sends the params that changed since they were last sent or received.
+     * @param {object} params - The current params.
      * @private
      */
-    _calculateCurvature(normalizedRadius, phi) {
-        return this.params.curve1 * this.p.pow(normalizedRadius, 2) *
-               this.p.pow(this.params.curve2 * normalizedRadius - 1, 2) *
-               this.p.sin(this.p.radians(phi));
+    _publish(params) {
+        const lines = [];
+        Utils.getParamDefinitions().forEach(def => {
+            const value = Number(params[def.param]);
+            if (!Number.isFinite(value) || this.lastValues[def.param] === value) return;
+            this.lastValues[def.param] = value;
+            lines.push(`${AppConfig.CONTROL_SURFACE.ADDRESS_PREFIX}${def.param} ${value.toFixed(def.decimals)}`);
+        });
+        this._send(lines);
     }
 
     /**
-     * Calculates the 3D Cartesian coordinates (x, y, z) of a vertex on the flower.
-     * Based on spherical-like coordinates transformed by various shaping factors.
-     * @param {number} normalizedRadius - Normalized distance from the center.
-     * @param {number} phi - Inclination angle (degrees).
-     * @param {number} hangDown - Curvature factor.
-     * @param {number} thetaIdx - Azimuthal angle index.
-     * @param {number} petalCut - Petal shaping factor.
-     * @returns {{x: number, y: number, z: number}} The 3D coordinates.
+     * Sends every current param value.
      * @private
      */
-    _calculate3DPosition(normalizedRadius, phi, hangDown, thetaIdx, petalCut) {
-        const phiRad = this.p.radians(phi);
-        const thetaRad = thetaIdx * this.precalculatedThetaDeltaRad; // Use pre-calculated radians
-
-        // Standard spherical to Cartesian conversion, modified by petal shape and curvature.
-        const sinPhi = this.p.sin(phiRad);
-        const cosPhi = this.p.cos(phiRad);
-        const sinTheta = this.p.sin(thetaRad);
-        const cosTheta = this.p.cos(thetaRad);
-
-        const radialFactor = normalizedRadius * sinPhi + hangDown * cosPhi;
-        const currentFlowerSize = this.config.flowerSize;
-
-        const x = currentFlowerSize * petalCut * radialFactor * sinTheta;
-        const y = -currentFlowerSize * petalCut * (normalizedRadius * cosPhi - hangDown * sinPhi); // Y is up/down
-        const z = currentFlowerSize * petalCut * radialFactor * cosTheta;
-        return { x, y, z };
+    _sendAll() {
+        this.lastValues = {};
+        this._publish(this.experience.getParams());
     }
 
     /**
-     * Determines the color of a face (triangle) based on its depth (z-coordinate) and normalized radius.
-     * Blends colors from the `palette` using an easing function for smooth transitions.
-     * @param {object} faceInfo - Information about the face, including `z` and `normalizedRadius`.
-     * @param {number} faceInfo.z - Average z-coordinate of the face's vertices.
-     * @param {number} faceInfo.normalizedRadius - Normalized radial position of the face.
-     * @returns {{r: number, g: number, b: number}} The blended RGB color (0-1 range).
+     * Sends messages, one per line, if the connection is open.
+     * @param {string[]} lines - The messages.
      * @private
      */
-    _getBlendedColor(faceInfo) {
-        // Map z-coordinate and radius to factors for color blending.
-        const depthFactor = this.p.map(faceInfo.z, -this.config.flowerSize * 0.8, this.config.flowerSize * 0.8, 0, 1, true);
-        const radiusFactor = faceInfo.normalizedRadius;
+    _send(lines) {
+        if (!lines.length || !this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+        this.socket.send(lines.join('\n'));
+    }
+}
 
-        // Combine factors to determine a position in the color palette.
-        let colorPosition = 0.6 * radiusFactor + 0.4 * depthFactor; // Weighted average
-        colorPosition = Utils.easeInOutCubic(this.p.constrain(colorPosition, 0, 1)); // Apply easing
+// PART 30: MidiController Class
+// ------------------------------
+// Binds hardware knobs and pads to flower params and actions through Web MIDI, with a MIDI-learn mode.
 
-        // Map the eased position to indices in the palette for interpolation.
-        colorPosition = this.p.constrain(colorPosition, 0, 0.999); // Avoid exceeding array bounds
-        const mappedPosition = colorPosition * (this.palette.length - 1);
-        const colorIndex = this.p.floor(mappedPosition);
-        const nextColorIndex = this.p.min(colorIndex + 1, this.palette.length - 1);
-        const blendFactor = mappedPosition - colorIndex; // Factor for lerping
+/**
+ * @typedef {object} MidiNoteMapping
+ * @property {string} action - One of the ids in `AppConfig.MIDI.NOTE_ACTIONS`.
+ * @property {string} [preset] - Name of the preset to recall, for the 'preset' action.
+ */
 
-        const c1 = this.palette[colorIndex];
-        const c2 = this.palette[nextColorIndex];
+/**
+ * @class MidiController
+ * @description Listens to every MIDI input. Control change (CC) messages move the params they are bound to, scaled from 0-127
+ * to the slider's range and step; note-on messages run the actions they are bound to. Bindings are made by learning: pick a
+ * target (`startLearn`), then the next CC or note received is bound to it. Bindings are keyed by channel and number and saved
+ * in localStorage. The owner acts on the messages through the `onControl` and `onNote` callbacks.
+ */
+class MidiController {
+    /**
+     * Creates an instance of MidiController and restores the saved bindings. MIDI access is only requested by `enable`.
+     */
+    constructor() {
+        /** @type {MIDIAccess|null} Granted MIDI access, or null while MIDI is off. */
+        this.access = null;
+        /** @type {{controls: Object<string, string>, notes: Object<string, MidiNoteMapping>}} Bindings by 'channel:number' key (see `MidiController.sanitizeMappings`). */
+        this.mappings = MidiController.sanitizeMappings(null);
+        /** @type {{kind: string, param?: string, note?: MidiNoteMapping}|null} What the next CC ('control') or note ('note') will be bound to. */
+        this.learnTarget = null;
+        /** @type {function(string, number): void|null} Called with a param name and its scaled value when a bound knob moves. */
+        this.onControl = null;
+        /** @type {function(MidiNoteMapping): void|null} Called when a bound note is played. */
+        this.onNote = null;
+        /** @type {function(): void|null} Called when the bindings, the learn target or the connected inputs change. */
+        this.onChange = null;
 
-        // Linearly interpolate between the two selected palette colors.
-        return {
-            r: this.p.lerp(c1.r, c2.r, blendFactor),
-            g: this.p.lerp(c1.g, c2.g, blendFactor),
-            b: this.p.lerp(c1.b, c2.b, blendFactor)
+        this._load();
+    }
+
+    /**
+     * Validates bindings, dropping any with a malformed key, an unknown param or action, or a preset action without a preset.
+     * @param {*} raw - Candidate bindings.
+     * @returns {{controls: Object<string, string>, notes: Object<string, MidiNoteMapping>}} Valid bindings.
+     */
+    static sanitizeMappings(raw) {
+        const source = raw && typeof raw === 'object' ? raw : {};
+        const isKey = (key) => {
+            const match = /^(\d{1,2}):(\d{1,3})$/.exec(key);
+            return !!match && Number(match[1]) < 16 && Number(match[2]) < 128;
         };
+        const params = Utils.getParamDefinitions().map(def => def.param);
+        const controls = {};
+        Object.entries(source.controls && typeof source.controls === 'object' ? source.controls : {}).forEach(([key, param]) => {
+            if (isKey(key) && params.includes(param)) controls[key] = param;
+        });
+        const notes = {};
+        Object.entries(source.notes && typeof source.notes === 'object' ? source.notes : {}).forEach(([key, note]) => {
+            if (!isKey(key) || !note || !AppConfig.MIDI.NOTE_ACTIONS.some(action => action.id === note.action)) return;
+            if (note.action === 'preset') {
+                if (typeof note.preset === 'string' && note.preset) notes[key] = { action: 'preset', preset: note.preset };
+            } else {
+                notes[key] = { action: note.action };
+            }
+        });
+        return { controls, notes };
     }
 
     /**
-     * Regenerates the flower's geometry (vertices and faces) based on current parameters.
-     * This is called when parameters affecting shape are changed.
+     * Scales a 7-bit controller value to a slider's range, snapped to its step.
+     * @param {number} value - Controller value (0-127).
+     * @param {{min: number, max: number, step: number, decimals: number}} definition - The slider definition.
+     * @returns {number} The param value.
      */
-    regenerateGeometry() {
-        // Basic validation to prevent errors if params are somehow invalid
-        if (Object.values(this.params).some(v => isNaN(parseFloat(v)))) {
-            console.warn("Invalid flower parameter detected, skipping regeneration:", this.params);
-            return;
-        }
-        this.faces = []; // Clear existing faces.
-        const verticesGrid = []; // 2D array to store calculated vertices: [row][col]
+    static scaleControlValue(value, definition) {
+        const { min, max, step, decimals } = definition;
+        const raw = min + (Math.min(127, Math.max(0, value)) / 127) * (max - min);
+        const snapped = step > 0 ? min + Math.round((raw - min) / step) * step : raw;
+        return Number(Math.min(max, Math.max(min, snapped)).toFixed(decimals));
+    }
 
-        // Calculate all vertex positions.
-        for (let r = 0; r <= this.config.rows; r++) { // Iterate through rows (radial segments)
-            verticesGrid.push([]);
-            let normalizedRadius = r * this.radiusDelta;
-            for (let thetaIdx = 0; thetaIdx <= this.config.cols; thetaIdx++) { // Iterate through columns (angular segments)
-                let phi = this._calculatePhi(thetaIdx);
-                let petalCut = this._calculatePetalShape(thetaIdx);
-                let hangDown = this._calculateCurvature(normalizedRadius, phi);
-                let point = this._calculate3DPosition(normalizedRadius, phi, hangDown, thetaIdx, petalCut);
-                verticesGrid[r].push(point);
-            }
+    /**
+     * Asks for MIDI access and starts listening to every input, including ones plugged in later.
+     * @returns {Promise<void>} Resolves once access is granted.
+     * @throws {Error} With a message for the user if Web MIDI is unsupported or access is denied.
+     */
+    async enable() {
+        if (this.access) return;
+        if (!navigator.requestMIDIAccess) throw new Error("This browser does not support Web MIDI.");
+        let access;
+        try {
+            access = await navigator.requestMIDIAccess();
+        } catch (e) {
+            if (e.name === 'SecurityError' || e.name === 'NotAllowedError') throw new Error("MIDI access was denied. Allow it in the site settings and try again.");
+            throw new Error(`MIDI could not be opened: ${e.message}`);
         }
+        this.access = access;
+        access.onstatechange = () => {
+            this._listenToInputs();
+            this._notifyChange();
+        };
+        this._listenToInputs();
+        this._notifyChange();
+    }
 
-        // Create faces (triangles) from the grid of vertices.
-        // Each quad in the grid is split into two triangles.
-        for (let r = 0; r < this.config.rows; r++) {
-            for (let thetaIdx = 0; thetaIdx < this.config.cols; thetaIdx++) {
-                const v1 = verticesGrid[r][thetaIdx];         // Top-left
-                const v2 = verticesGrid[r][thetaIdx + 1];     // Top-right
-                const v3 = verticesGrid[r + 1][thetaIdx + 1]; // Bottom-right
-                const v4 = verticesGrid[r + 1][thetaIdx];     // Bottom-left
+    /**
+     * Stops listening to the inputs and ends learning.
+     */
+    disable() {
+        if (!this.access) return;
+        this.access.onstatechange = null;
+        this.access.inputs.forEach(input => { input.onmidimessage = null; });
+        this.access = null;
+        this.learnTarget = null;
+        this._notifyChange();
+    }
 
-                // Information for coloring, based on average z and radius of the triangle.
-                const faceInfo1 = {
-                    normalizedRadius: r * this.radiusDelta, // Use radius of the 'r' row
-                    z: (v1.z + v2.z + v4.z) / 3.0 // Average Z of the first triangle
-                };
-                const faceInfo2 = {
-                    normalizedRadius: (r + 0.5) * this.radiusDelta, // Use mid-radius between 'r' and 'r+1' rows
-                    z: (v2.z + v3.z + v4.z) / 3.0 // Average Z of the second triangle
-                };
+    /** @returns {boolean} True while MIDI access is granted and enabled. */
+    isEnabled() {
+        return !!this.access;
+    }
 
-                const color1 = this._getBlendedColor(faceInfo1);
-                const color2 = this._getBlendedColor(faceInfo2);
+    /** @returns {string[]} Names of the connected inputs. */
+    getInputNames() {
+        if (!this.access) return [];
+        return Array.from(this.access.inputs.values()).filter(input => input.state !== 'disconnected').map(input => input.name || 'MIDI input');
+    }
 
-                // Add two triangles to form a quad.
-                this.faces.push({ v1: v1, v2: v2, v3: v4, color: color1 }); // Triangle 1 (v1, v2, v4)
-                this.faces.push({ v1: v2, v2: v3, v3: v4, color: color2 }); // Triangle 2 (v2, v3, v4)
-            }
-        }
+    /**
+     * Makes the next CC or note received bind to a target, replacing what was bound to it before.
+     * @param {{kind: string, param?: string, note?: MidiNoteMapping}|null} target - A param ('control') or note action ('note'); null cancels learning.
+     */
+    startLearn(target) {
+        this.learnTarget = target;
+        this._notifyChange();
     }
 
     /**
-     * Displays the flower in the p5.js canvas.
-     * Applies rotation and renders all faces (triangles) with their calculated colors.
+     * Removes a binding.
+     * @param {string} kind - 'controls' or 'notes'.
+     * @param {string} key - Its 'channel:number' key.
      */
-    display() {
-        this.p.push(); // Save current drawing style and transformation matrix.
-        this.p.rotateY(this.rotationAngle); // Apply rotation.
+    removeMapping(kind, key) {
+        if (!this.mappings[kind] || !(key in this.mappings[kind])) return;
+        delete this.mappings[kind][key];
+        this._save();
+        this._notifyChange();
+    }
 
-        // Update rotation angle if auto-rotation is active.
-        if (this.params.rotationSpeed !== 0 ) {
-            this.rotationAngle += this.params.rotationSpeed * 0.02; // Adjust multiplier for desired speed sensitivity.
-        }
+    /**
+     * Disables MIDI and drops the callbacks.
+     */
+    destroy() {
+        this.disable();
+        this.onControl = this.onNote = this.onChange = null;
+    }
 
-        this.p.noStroke(); // No outlines for the triangles.
-        // Render each face of the flower.
-        for (const face of this.faces) {
-            const c = face.color;
-            this.p.fill(c.r * 255, c.g * 255, c.b * 255, this.config.alphaValue); // Set fill color and alpha.
-            this.p.beginShape(this.p.TRIANGLES); // Start drawing a triangle.
-            this.p.vertex(face.v1.x, face.v1.y, face.v1.z);
-            this.p.vertex(face.v2.x, face.v2.y, face.v2.z);
-            this.p.vertex(face.v3.x, face.v3.y, face.v3.z);
-            this.p.endShape(this.p.CLOSE); // End drawing.
+    /**
+     * Binds a learned CC or note, or passes a bound one on to the callbacks.
+     * @param {Uint8Array} data - The MIDI message bytes.
+     * @private
+     */
+    _handleMessage(data) {
+        if (!data || data.length < 3) return;
+        const type = data[0] & 0xf0;
+        const key = `${data[0] & 0x0f}:${data[1]}`;
+        if (type === 0xb0) {
+            if (this.learnTarget && this.learnTarget.kind === 'control') {
+                this._bind('controls', key, this.learnTarget.param);
+                return;
+            }
+            const param = this.mappings.controls[key];
+            const definition = param && Utils.getParamDefinitions().find(def => def.param === param);
+            if (definition && this.onControl) this.onControl(param, MidiController.scaleControlValue(data[2], definition));
+        } else if (type === 0x90 && data[2] > 0) { // A note-on with velocity 0 is a note-off.
+            if (this.learnTarget && this.learnTarget.kind === 'note') {
+                this._bind('notes', key, { ...this.learnTarget.note });
+                return;
+            }
+            const note = this.mappings.notes[key];
+            if (note && this.onNote) this.onNote(note);
         }
-        this.p.pop(); // Restore previous drawing style and transformation matrix.
     }
 
     /**
-     * Automatically animates flower parameters using Perlin noise.
-     * Lerps current parameters towards target values derived from noise.
-     * Triggers geometry regeneration if shape parameters change significantly.
-     * @param {number} time - A time value (e.g., incrementing frame count or UIManager's animationTime) to drive Perlin noise.
-     * @returns {object} The updated parameters object.
+     * Binds a key to a target, unbinding any other key bound to the same target, and ends learning.
+     * @param {string} kind - 'controls' or 'notes'.
+     * @param {string} key - The 'channel:number' key.
+     * @param {string|MidiNoteMapping} target - The param or note action.
+     * @private
      */
-    autoAnimateParams(time) {
-        const automatableParams = AppConfig.SLIDER_DEFINITIONS.map(def => def.param);
-        let needsRegeneration = false;
-        let newParams = { ...this.params }; // Work with a copy to calculate new state.
+    _bind(kind, key, target) {
+        const serialized = JSON.stringify(target);
+        Object.keys(this.mappings[kind]).forEach(existing => {
+            if (JSON.stringify(this.mappings[kind][existing]) === serialized) delete this.mappings[kind][existing];
+        });
+        this.mappings[kind][key] = target;
+        this.learnTarget = null;
+        this._save();
+        this._notifyChange();
+    }
 
-        automatableParams.forEach((paramName, index) => {
-            const sliderDef = AppConfig.SLIDER_DEFINITIONS.find(def => def.param === paramName);
-            if (sliderDef) {
-                const minVal = sliderDef.min;
-                const maxVal = sliderDef.max;
-                // Generate Perlin noise value (0-1 range).
-                // Offset by index to make each parameter's animation slightly different.
-                let noiseVal = this.p.noise(time + index * AppConfig.AUTO_ANIMATION.PERLIN_OFFSET_MULTIPLIER);
-                // Map noise value to the parameter's allowed range [minVal, maxVal].
-                let targetValue = this.p.map(noiseVal, 0, 1, minVal, maxVal);
+    /**
+     * Points every input's message handler at `_handleMessage`.
+     * @private
+     */
+    _listenToInputs() {
+        if (!this.access) return;
+        this.access.inputs.forEach(input => { input.onmidimessage = (event) => this._handleMessage(event.data); });
+    }
 
-                // Smoothly interpolate (lerp) current parameter towards the target value.
-                newParams[paramName] = this.p.lerp(this.params[paramName], targetValue, AppConfig.AUTO_ANIMATION.LERP_FACTOR);
-                // Ensure the new value stays within defined bounds.
-                newParams[paramName] = this.p.constrain(newParams[paramName], minVal, maxVal);
+    /**
+     * Tells the listener that the inputs, bindings or learn target changed.
+     * @private
+     */
+    _notifyChange() {
+        if (this.onChange) this.onChange();
+    }
 
-                // Check if a geometry-affecting parameter has changed enough to warrant regeneration.
-                if (paramName !== 'rotationSpeed' && Math.abs(this.params[paramName] - newParams[paramName]) > 0.0001) {
-                    needsRegeneration = true;
-                }
-            }
-        });
+    /**
+     * Saves the bindings to localStorage.
+     * @private
+     */
+    _save() {
+        try { localStorage.setItem(MidiController.STORAGE_KEY, JSON.stringify(this.mappings)); }
+        catch (e) { console.warn("localStorage not available. MIDI mappings not saved."); }
+    }
 
-        this.params = newParams; // Apply the newly calculated parameters.
-        if (needsRegeneration) {
-            this.regenerateGeometry();
+    /**
+     * Restores the bindings saved in localStorage.
+     * @private
+     */
+    _load() {
+        try {
+            const saved = localStorage.getItem(MidiController.STORAGE_KEY);
+            if (saved) this.mappings = MidiController.sanitizeMappings(JSON.parse(saved));
+        } catch (e) {
+            console.warn("Saved MIDI mappings could not be read from localStorage:", e.message);
         }
-        return this.params; // Return the updated params (useful for UIManager to update sliders).
     }
-}
\ No newline at end of file
+}
+
+/** @type {string} localStorage key under which the MIDI mappings are stored. */
+MidiController.STORAGE_KEY = 'flowerMidiMappings';
+
+// PART 31: Page Start
+// -------------------
+// The full page (index.html) loads this script with `data-autostart`; embedding pages call `createFlowerExperience` themselves.
+
+/** @type {FlowerExperienceAPI|null} The experience of the full page, if started here. */
+const pageExperience = document.currentScript && document.currentScript.hasAttribute('data-autostart')
+    ? createFlowerExperience(document.getElementById(AppConfig.P5_CANVAS_ID), {
+        controls: document,
+        persist: true,
+        urlState: true,
+        embedOrigins: AppConfig.EMBED.ALLOWED_ORIGINS,
+        sync: DisplaySync.optionsFromQuery(window.location.search),
+        control: ControlSurface.optionsFromQuery(window.location.search),
+    })
+    : null;
@@ -0,0 +1,363 @@
+// Reference relay for the flower's live control surface (see `ControlSurface` in sketch.js).
+// --------------------------------------------------------------------------------------------
+// Runs with plain Node.js (no dependencies):
+//
+//     node tools/control-relay.js [--port 8080] [--host 127.0.0.1] [--allow-origin http://localhost:8000]
+//                                 [--osc-in 9000] [--osc-out 127.0.0.1:9001]
+//
+// then open the page with `?control` (or `?control=ws://localhost:<port>`).
+//
+// The relay only listens on 127.0.0.1 (WebSocket and OSC input); pass `--host 0.0.0.0` to reach it from other machines.
+// Browsers may only connect from pages served by localhost, so other websites the operator visits can't drive the
+// flower. Each `--allow-origin` (repeatable) replaces that default with an exact origin, e.g. `https://show.example`.
+// Clients that send no Origin header (Node scripts, MIDI bridges) are always accepted.
+//
+// Every text message a WebSocket client sends is passed on to all other clients, so a MIDI bridge or a test page
+// connected here can send `/flower/opening 0.9` and hears the flower's param changes. With `--osc-in`, OSC packets
+// received over UDP (from show software) are turned into the same text messages; with `--osc-out`, the flower's
+// messages are also sent out as OSC packets (float arguments).
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const dgram = require('dgram');
+
+/** @type {string} GUID appended to the client key in the WebSocket handshake (RFC 6455). */
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+/** @type {number} Largest accepted WebSocket message, in bytes. */
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+/** @type {string[]} Host names whose pages may connect when no `--allow-origin` is given. */
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+/** @type {string} Usage line printed on bad options. */
+const USAGE = 'Usage: node tools/control-relay.js [--port 8080] [--host 127.0.0.1] [--allow-origin <origin>]... [--osc-in 9000] [--osc-out 127.0.0.1:9001]';
+
+/**
+ * @typedef {object} RelayOptions
+ * @property {number} port - WebSocket port.
+ * @property {string} host - Interface the WebSocket server and the OSC input listen on.
+ * @property {string[]} allowedOrigins - Browser origins that may connect; empty means pages served by localhost.
+ * @property {number|null} oscIn - UDP port to receive OSC on.
+ * @property {{host: string, port: number}|null} oscOut - Where to send OSC.
+ */
+
+/**
+ * Reads the command line options.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {RelayOptions} The options.
+ */
+function parseArgs(argv) {
+    const options = { port: 8080, host: '127.0.0.1', allowedOrigins: [], oscIn: null, oscOut: null };
+    for (let i = 0; i < argv.length; i += 2) {
+        const [flag, value] = [argv[i], argv[i + 1]];
+        if (flag !== undefined && value === undefined) throw new Error(`Missing value for "${flag}".`);
+        if (flag === '--port') options.port = Number(value);
+        else if (flag === '--host') options.host = value;
+        else if (flag === '--allow-origin') options.allowedOrigins.push(value.replace(/\/+$/, ''));
+        else if (flag === '--osc-in') options.oscIn = Number(value);
+        else if (flag === '--osc-out') {
+            const [host, port] = String(value).split(':');
+            options.oscOut = { host: host || '127.0.0.1', port: Number(port) };
+        } else {
+            throw new Error(`Unknown option "${flag}".`);
+        }
+    }
+    [options.port, options.oscIn, options.oscOut && options.oscOut.port].forEach(port => {
+        if (port !== null && !(Number.isInteger(port) && port > 0 && port < 65536)) throw new Error(`Invalid port "${port}".`);
+    });
+    return options;
+}
+
+/**
+ * Checks the Origin header of a WebSocket upgrade. Browsers always send it, so this keeps other websites from
+ * connecting; tools that send none are trusted like any local process.
+ * @param {string|undefined} origin - The header value.
+ * @param {string[]} allowedOrigins - Exact origins to accept; empty means pages served by localhost.
+ * @returns {boolean} Whether the client may connect.
+ */
+function isOriginAllowed(origin, allowedOrigins) {
+    if (origin === undefined) return true;
+    if (allowedOrigins.length) return allowedOrigins.includes(origin);
+    try {
+        const url = new URL(origin);
+        return (url.protocol === 'http:' || url.protocol === 'https:') && LOCAL_HOSTNAMES.includes(url.hostname);
+    } catch (e) {
+        return false; // E.g. 'null' from sandboxed frames and file:// pages.
+    }
+}
+
+// WebSocket framing (RFC 6455), enough for text messages between local tools.
+
+/**
+ * Encodes a text message as a single unmasked frame (servers don't mask).
+ * @param {string} text - The message.
+ * @returns {Buffer} The frame.
+ */
+function encodeTextFrame(text) {
+    const payload = Buffer.from(text, 'utf8');
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Encodes a control frame (close, ping or pong).
+ * @param {number} opcode - 0x8, 0x9 or 0xA.
+ * @param {Buffer} [payload] - Up to 125 bytes.
+ * @returns {Buffer} The frame.
+ */
+function encodeControlFrame(opcode, payload = Buffer.alloc(0)) {
+    return Buffer.concat([Buffer.from([0x80 | opcode, payload.length]), payload]);
+}
+
+/**
+ * Takes the complete frames off the front of a buffer.
+ * @param {Buffer} buffer - Received bytes.
+ * @returns {{frames: Array<{fin: boolean, opcode: number, payload: Buffer}>, rest: Buffer}} The frames and the bytes of an incomplete one.
+ * @throws {Error} If a frame is too large.
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+    while (buffer.length - offset >= 2) {
+        const fin = (buffer[offset] & 0x80) !== 0;
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let headerLength = 2;
+        if (length === 126) {
+            if (buffer.length - offset < 4) break;
+            length = buffer.readUInt16BE(offset + 2);
+            headerLength = 4;
+        } else if (length === 127) {
+            if (buffer.length - offset < 10) break;
+            const bigLength = buffer.readBigUInt64BE(offset + 2);
+            if (bigLength > BigInt(MAX_MESSAGE_BYTES)) throw new Error('Frame too large.');
+            length = Number(bigLength);
+            headerLength = 10;
+        }
+        if (length > MAX_MESSAGE_BYTES) throw new Error('Frame too large.');
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length - offset < headerLength + maskLength + length) break;
+        const mask = masked ? buffer.subarray(offset + headerLength, offset + headerLength + 4) : null;
+        const payload = Buffer.from(buffer.subarray(offset + headerLength + maskLength, offset + headerLength + maskLength + length));
+        if (mask) for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        frames.push({ fin, opcode, payload });
+        offset += headerLength + maskLength + length;
+    }
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+// OSC encoding (OSC 1.0): strings and blobs are padded to multiples of 4 bytes, numbers are big-endian.
+
+/**
+ * Reads a padded OSC string.
+ * @param {Buffer} buffer - The packet.
+ * @param {number} offset - Where the string starts.
+ * @returns {{value: string, offset: number}} The string and the offset after its padding.
+ */
+function readOscString(buffer, offset) {
+    const end = buffer.indexOf(0, offset);
+    if (end === -1) throw new Error('Unterminated OSC string.');
+    return { value: buffer.toString('utf8', offset, end), offset: (end + 4) & ~3 };
+}
+
+/**
+ * Pads a string the OSC way.
+ * @param {string} text - The string.
+ * @returns {Buffer} The padded bytes.
+ */
+function oscString(text) {
+    const bytes = Buffer.from(text, 'utf8');
+    return Buffer.concat([bytes, Buffer.alloc(4 - (bytes.length % 4))]);
+}
+
+/**
+ * Turns an OSC packet (a message or a bundle of them) into text messages. Only numeric arguments are kept.
+ * @param {Buffer} buffer - The packet.
+ * @returns {string[]} One text message per OSC message, e.g. '/flower/opening 0.9'.
+ */
+function decodeOscPacket(buffer) {
+    if (buffer.toString('utf8', 0, 8) === '#bundle\0') {
+        const lines = [];
+        let offset = 16; // Skip '#bundle' and the time tag.
+        while (offset + 4 <= buffer.length) {
+            const size = buffer.readInt32BE(offset);
+            lines.push(...decodeOscPacket(buffer.subarray(offset + 4, offset + 4 + size)));
+            offset += 4 + size;
+        }
+        return lines;
+    }
+    const address = readOscString(buffer, 0);
+    const tags = readOscString(buffer, address.offset);
+    let offset = tags.offset;
+    const args = [];
+    for (const tag of tags.value.slice(1)) {
+        if (tag === 'f') { args.push(buffer.readFloatBE(offset)); offset += 4; }
+        else if (tag === 'i') { args.push(buffer.readInt32BE(offset)); offset += 4; }
+        else if (tag === 'd') { args.push(buffer.readDoubleBE(offset)); offset += 8; }
+        else if (tag === 'h') { args.push(Number(buffer.readBigInt64BE(offset))); offset += 8; }
+        else if (tag === 'T' || tag === 'F') args.push(tag === 'T' ? 1 : 0);
+        else if (tag === 's' || tag === 'S') offset = readOscString(buffer, offset).offset;
+        else if (tag === 'b') offset += 4 + ((buffer.readInt32BE(offset) + 3) & ~3);
+        // Tags without data (N, I) are skipped.
+    }
+    return [[address.value, ...args.map(arg => Number(arg.toPrecision(7)))].join(' ')];
+}
+
+/**
+ * Turns a text message into an OSC message with float arguments.
+ * @param {string} line - The message, e.g. '/flower/opening 0.90'.
+ * @returns {Buffer|null} The packet, or null if the line is not an address with numeric arguments.
+ */
+function encodeOscMessage(line) {
+    const [address, ...rawArgs] = line.trim().split(/\s+/);
+    const args = rawArgs.map(Number);
+    if (!address || !address.startsWith('/') || !args.every(Number.isFinite)) return null;
+    const values = Buffer.alloc(args.length * 4);
+    args.forEach((arg, i) => values.writeFloatBE(arg, i * 4));
+    return Buffer.concat([oscString(address), oscString(`,${'f'.repeat(args.length)}`), values]);
+}
+
+/**
+ * Starts the relay.
+ * @param {RelayOptions} options - Ports, interface and allowed origins.
+ */
+function startRelay(options) {
+    /** @type {Set<import('net').Socket>} Connected WebSocket clients. */
+    const clients = new Set();
+    // Separate sockets, so OSC input can stay on the loopback interface while OSC output goes to another machine.
+    const udpIn = options.oscIn !== null ? dgram.createSocket(options.host.includes(':') ? 'udp6' : 'udp4') : null;
+    const udpOut = options.oscOut ? dgram.createSocket('udp4') : null;
+
+    /**
+     * Passes text messages on to every client but the sender, and out as OSC.
+     * @param {string} text - One or more messages, one per line.
+     * @param {import('net').Socket|null} sender - The client that sent them, or null for OSC input.
+     */
+    const relay = (text, sender) => {
+        const frame = encodeTextFrame(text);
+        clients.forEach(client => { if (client !== sender) client.write(frame); });
+        if (options.oscOut && sender) {
+            text.split('\n').map(encodeOscMessage).filter(Boolean).forEach(packet => udpOut.send(packet, options.oscOut.port, options.oscOut.host));
+        }
+    };
+
+    const server = http.createServer((request, response) => {
+        response.writeHead(426, { 'Content-Type': 'text/plain' });
+        response.end('This is a WebSocket relay for the flower control surface.\n');
+    });
+
+    server.on('upgrade', (request, socket) => {
+        const key = request.headers['sec-websocket-key'];
+        if (!key || String(request.headers.upgrade).toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        if (!isOriginAllowed(request.headers.origin, options.allowedOrigins)) {
+            console.warn(`Refused a client from origin ${request.headers.origin} (see --allow-origin).`);
+            socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+            return;
+        }
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write(['HTTP/1.1 101 Switching Protocols', 'Upgrade: websocket', 'Connection: Upgrade', `Sec-WebSocket-Accept: ${accept}`, '', ''].join('\r\n'));
+        socket.setNoDelay(true);
+        clients.add(socket);
+        console.log(`Client connected (${clients.size} connected).`);
+
+        let pending = Buffer.alloc(0);
+        /** @type {{opcode: number, fragments: Buffer[], size: number}|null} The (possibly fragmented) data message being received. */
+        let message = null;
+        const dropClient = (reason) => {
+            console.warn('Dropping client:', reason);
+            socket.destroy();
+        };
+        socket.on('data', (chunk) => {
+            let decoded;
+            try {
+                decoded = decodeFrames(Buffer.concat([pending, chunk]));
+            } catch (e) {
+                dropClient(e.message);
+                return;
+            }
+            pending = decoded.rest;
+            for (const { fin, opcode, payload } of decoded.frames) {
+                if (opcode === 0x8) {
+                    socket.end(encodeControlFrame(0x8));
+                    return;
+                } else if (opcode === 0x9) {
+                    socket.write(encodeControlFrame(0xA, payload));
+                    continue;
+                } else if (opcode === 0x1 || opcode === 0x2) {
+                    if (message) return dropClient('New message before the previous one was finished.');
+                    message = { opcode, fragments: [], size: 0 };
+                } else if (opcode === 0x0) {
+                    if (!message) return dropClient('Continuation frame without a message in progress.');
+                } else {
+                    continue; // Pongs are ignored.
+                }
+                // Fragments count towards the same limit as whole frames.
+                message.size += payload.length;
+                if (message.size > MAX_MESSAGE_BYTES) return dropClient('Message too large.');
+                if (message.opcode === 0x1) message.fragments.push(payload); // Binary messages are ignored, so not buffered.
+                if (!fin) continue;
+                const { opcode: messageOpcode, fragments } = message;
+                message = null;
+                if (messageOpcode === 0x1) relay(Buffer.concat(fragments).toString('utf8'), socket);
+            }
+        });
+        socket.on('close', () => {
+            clients.delete(socket);
+            console.log(`Client disconnected (${clients.size} connected).`);
+        });
+        socket.on('error', () => socket.destroy());
+    });
+
+    server.on('error', (e) => {
+        console.error(`Control relay could not listen on ${options.host}:${options.port}: ${e.message}`);
+        process.exitCode = 1;
+    });
+    server.listen(options.port, options.host, () => console.log(`Control relay listening on ws://${formatHost(options.host)}:${options.port}`));
+
+    if (udpIn) {
+        udpIn.on('message', (packet) => {
+            try {
+                const lines = decodeOscPacket(packet);
+                if (lines.length) relay(lines.join('\n'), null);
+            } catch (e) {
+                console.warn('Ignored a malformed OSC packet:', e.message);
+            }
+        });
+        udpIn.bind(options.oscIn, options.host, () => console.log(`Receiving OSC on udp://${formatHost(options.host)}:${options.oscIn}`));
+    }
+    if (options.oscOut) console.log(`Sending OSC to udp://${options.oscOut.host}:${options.oscOut.port}`);
+}
+
+/**
+ * Formats a host for a URL, bracketing IPv6 addresses.
+ * @param {string} host - A host name or address.
+ * @returns {string} The host as it appears in a URL.
+ */
+function formatHost(host) {
+    return host.includes(':') ? `[${host}]` : host;
+}
+
+try {
+    startRelay(parseArgs(process.argv.slice(2)));
+} catch (e) {
+    console.error(e.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+}